@@ -0,0 +1,158 @@
+/**
+ * AI 对决 - 双方都由 aiStrategy 驱动、在 GameSession 上逐步结算的对局，纯数据层
+ *
+ * 与 SimulationEngine 的区别：SimulationEngine 为调参而简化了决策（不做风险推演）并一次跑完整局；
+ * 这里双方使用与人机对战完全相同的 makeAIDecision 与 WeaponService，每次只推进一步，
+ * 由观战界面（SpectatorView）把每一步的事件渲染到棋盘上。
+ *
+ * ============================================================================
+ * 导出接口
+ * ============================================================================
+ *
+ * - AIDuel 类
+ *   - step(): 行动方决策并结算一步，返回 { side, decision, events, shipsSunk }；对局已结束时返回 null
+ *   - getHeatmap(attacker): 攻击方眼中对手海域的概率热力图
+ *   - isFinished() / winner / session
+ * - DUEL_SIDE_LABELS: 双方的称呼
+ *
+ * 注意：aiStrategy 的内部状态（伤害记录、随机数）是模块级的，对决中每一步先导入行动方的状态、
+ * 决策后再导出保存，因此会覆盖人机对战的 AI 状态，只能在没有进行中的对局时使用。
+ */
+
+import { deployShips } from './aiDeployment.js';
+import { SeededRandom, deriveSeed, normalizeSeed, randomSeed } from './SeededRandom.js';
+import { makeAIDecision, calculateProbabilityGrid, resetAIState, exportAIState, importAIState } from './aiStrategy.js';
+import { GameSession, GamePhase, Side, createShip } from '../game/core/GameSession.js';
+import { DEFAULT_PLACEMENT_RULE } from '../game/core/PlacementRule.js';
+import { FiringMode, DEFAULT_FIRING_MODE, getSalvoSize } from '../game/core/FiringMode.js';
+
+/** 双方的称呼（Side.PLAYER 为蓝方，Side.AI 为红方） */
+export const DUEL_SIDE_LABELS = {
+    [Side.PLAYER]: '蓝方',
+    [Side.AI]: '红方'
+};
+
+/** 每格平均回合数上限，超过后判为平局（防止双方反复空转） */
+const MAX_TURNS_PER_CELL = 4;
+
+export class AIDuel {
+    /**
+     * @param {Object} options
+     * @param {Object} options.configs - 双方的 AI 配置 { PLAYER: { alpha, randomness, riskAwareness }, AI: {...} }
+     * @param {Array<Object>} options.fleet - 双方共用的舰队定义
+     * @param {WeaponService} options.service - 不带渲染器的武器服务（事件由调用方渲染）
+     * @param {number} options.boardSize - 棋盘尺寸
+     * @param {string} [options.placementRule] - 摆放规则
+     * @param {string} [options.firingMode] - 开火规则
+     * @param {string} [options.firstTurn] - 先手方，默认蓝方
+     * @param {number|string} [options.seed] - 随机种子（双方布局与决策都由它派生），省略时随机生成
+     */
+    constructor(options) {
+        this.configs = options.configs;
+        this.service = options.service;
+        this.seed = normalizeSeed(options.seed) ?? randomSeed();
+        this.maxTurns = options.boardSize * options.boardSize * MAX_TURNS_PER_CELL;
+
+        this.session = new GameSession({
+            boardSize: options.boardSize,
+            placementRule: options.placementRule ?? DEFAULT_PLACEMENT_RULE,
+            firingMode: options.firingMode ?? DEFAULT_FIRING_MODE
+        });
+
+        // 布局用主种子，双方的决策各用一个派生种子
+        const rng = new SeededRandom(this.seed);
+        this.aiStates = {};
+        [Side.PLAYER, Side.AI].forEach((side, index) => {
+            const placements = deployShips(options.fleet, options.boardSize, rng, this.session.placementRule);
+            this.session.setFleet(side, placements.map((placement, idx) =>
+                createShip(placement, idx, { r: placement.r, c: placement.c, rotation: placement.rotation })
+            ));
+            resetAIState(deriveSeed(this.seed, index + 1), options.boardSize, this.session.placementRule);
+            this.aiStates[side] = exportAIState();
+        });
+        this.session.start(options.firstTurn ?? Side.PLAYER);
+    }
+
+    /**
+     * 胜者（平局或未结束时为 null）
+     */
+    get winner() {
+        return this.session.winner;
+    }
+
+    /**
+     * 对局是否已结束（一方全灭或达到回合上限）
+     */
+    isFinished() {
+        return !this.session.isPlaying();
+    }
+
+    /**
+     * 行动方决策并结算一步
+     *
+     * 事件的 grid 按观战棋盘注入：蓝方的舰队在 PLAYER 棋盘，红方在 ENEMY 棋盘
+     *
+     * @returns {Object|null} { side, decision, events, shipsSunk }，对局已结束时返回 null
+     */
+    step() {
+        if (this.isFinished()) return null;
+        const { session } = this;
+        const side = session.turn;
+        const defender = session.getOpponent(side);
+
+        importAIState(this.aiStates[side]);
+        const decision = makeAIDecision({
+            viewGrid: session.getViewGrid(defender),
+            myShips: session.getShips(defender),
+            enemyShips: session.getShips(side),
+            difficultyConfig: this.configs[side],
+            playerViewGrid: session.getViewGrid(side),
+            boardSize: session.boardSize,
+            placementRule: session.placementRule,
+            salvoSize: session.firingMode === FiringMode.SALVO ? getSalvoSize(session.getShips(side)) : undefined,
+            weaponStock: session.getWeaponStock(side),
+            opponentStock: session.getWeaponStock(defender),
+            reconReports: session.getReconReports(defender),
+            opponentReconReports: session.getReconReports(side),
+            ownDefenses: session.getDefenses(side)
+        });
+        this.aiStates[side] = exportAIState();
+
+        const context = session.buildWeaponContext(side);
+        const result = Array.isArray(decision)
+            ? this.service.executeSalvo(decision, context)
+            : this.service.executeAIAction(decision, context);
+
+        // WeaponService 按人机对战的视角注入 grid，这里改写为防守方所在的棋盘
+        const grid = defender === Side.PLAYER ? 'PLAYER' : 'ENEMY';
+        const events = result.events.map(event => event.payload
+            ? { ...event, payload: { ...event.payload, grid, markClass: null } }
+            : event
+        );
+
+        if (result.shipsSunk.length > 0) session.checkWinner();
+        session.endTurn();
+        if (session.isPlaying() && session.turnCount >= this.maxTurns) {
+            // 平局：winner 保持 null
+            session.phase = GamePhase.END;
+            session.turn = null;
+        }
+        return { side, decision, events, shipsSunk: result.shipsSunk };
+    }
+
+    /**
+     * 攻击方眼中对手海域的概率热力图（与人机对战的「AI 视角」相同的计算）
+     * @param {string} attacker
+     * @returns {number[][]}
+     */
+    getHeatmap(attacker) {
+        const defender = this.session.getOpponent(attacker);
+        return calculateProbabilityGrid(
+            this.session.getViewGrid(defender),
+            this.session.getShips(defender),
+            this.configs[attacker],
+            this.session.placementRule,
+            this.session.getReconReports(defender)
+        );
+    }
+}
@@ -24,9 +24,14 @@
  * - 综合胜率 = 总胜场 / 总场次
  * - 消除先后手优势，得到公平的参数评估
  * - 单线程串行执行，确保 UI 实时更新
+ * - 每场对战的种子由主种子派生（先后手互换的两场使用同一种子），
+ *   指定相同的 seed 即可完整复现一次搜索
  */
 
 import { runSimulatedGameWithProgress, runSimulationBatch } from './SimulationEngine.js';
+import { deriveSeed, normalizeSeed, randomSeed } from './SeededRandom.js';
+import { BOARD_SIZE, BOARD_SIZE_MIN, BOARD_SIZE_MAX } from '../config/constants.js';
+import { DEFAULT_FIRING_MODE, FIRING_MODE_LABELS, isValidFiringMode } from '../game/core/FiringMode.js';
 
 // ============================================================================
 // 默认配置（已移除并发相关配置）
@@ -47,7 +52,16 @@ const DEFAULT_GRID_CONFIG = {
     testRandomness: 0,
     
     // 是否输出详细进度
-    verbose: true
+    verbose: true,
+    
+    // 主随机种子（null 表示随机生成，实际使用的种子会打印并随结果返回）
+    seed: null,
+    
+    // 模拟对战使用的棋盘尺寸
+    boardSize: BOARD_SIZE,
+    
+    // 模拟对战使用的开火规则（齐射模式需单独调参）
+    firingMode: DEFAULT_FIRING_MODE
 };
 
 /** 快速搜索配置（用于快速测试） */
@@ -178,6 +192,7 @@ export class GridSearchController {
         this.isRunning = true;
         this.shouldStop = false;
         this.matchResults = [];
+        this.seed = normalizeSeed(this.config.seed) ?? randomSeed();
         
         // 生成网格和配对
         this.grid = this._generateGrid();
@@ -206,6 +221,7 @@ export class GridSearchController {
         console.log(`⚔️  对战配对数: ${totalMatches}`);
         console.log(`🎮 每对对战场次: ${gamesPerMatch}`);
         console.log(`📈 总对战场次: ${totalGames}`);
+        console.log(`🎲 随机种子: ${this.seed}`);
         console.log('───────────────────────────────────────────────────────────────────');
         console.log('');
         
@@ -226,7 +242,7 @@ export class GridSearchController {
             };
             
             // 执行这一对配置的所有对战
-            const result = await this._runMatchupWithProgress(matchup);
+            const result = await this._runMatchupWithProgress(matchup, deriveSeed(this.seed, matchIndex));
             this._recordMatchResult(result);
             
             this.progress.current = matchIndex + 1;
@@ -292,8 +308,10 @@ export class GridSearchController {
     
     /**
      * 运行单个配对的所有对战（带进度更新）
+     * @param {Object} matchup - 配对信息
+     * @param {number} matchSeed - 该配对的种子，第 g 场及其换手场使用 deriveSeed(matchSeed, g)
      */
-    async _runMatchupWithProgress(matchup) {
+    async _runMatchupWithProgress(matchup, matchSeed) {
         const { configA, configB, keyA, keyB } = matchup;
         const halfGames = Math.floor(this.config.gamesPerPair / 2);
         
@@ -307,7 +325,7 @@ export class GridSearchController {
             this.progress.currentGame = g + 1;
             this.progress.currentTurn = 0;
             
-            const result = await this._runSingleGameWithProgress(configA, configB);
+            const result = await this._runSingleGameWithProgress(configA, configB, deriveSeed(matchSeed, g));
             
             if (result.winner === 'A') winsA++;
             else if (result.winner === 'B') winsB++;
@@ -328,7 +346,7 @@ export class GridSearchController {
             this.progress.currentGame = halfGames + g + 1;
             this.progress.currentTurn = 0;
             
-            const result = await this._runSingleGameWithProgress(configB, configA);
+            const result = await this._runSingleGameWithProgress(configB, configA, deriveSeed(matchSeed, g));
             
             // 注意：这里 B 是先手，所以结果要反过来
             if (result.winner === 'A') winsB++;  // A 赢了但 A 是后手（原配置B）
@@ -354,10 +372,13 @@ export class GridSearchController {
     /**
      * 运行单场对战（带步数进度回调）
      */
-    async _runSingleGameWithProgress(configA, configB) {
+    async _runSingleGameWithProgress(configA, configB, seed) {
         // 使用带进度回调的模拟函数
         const self = this;
         return await runSimulatedGameWithProgress(configA, configB, {
+            seed,
+            boardSize: this.config.boardSize,
+            firingMode: this.config.firingMode,
             onTurn: (turn) => {
                 self.progress.currentTurn = turn;
             },
@@ -481,7 +502,8 @@ export class GridSearchController {
             percent: this.progress.total > 0 ? this.progress.current / this.progress.total : 0,
             results: sortedResults.slice(0, 10), // 前10名
             isRunning: this.isRunning,
-            gamesPerPair: this.config.gamesPerPair
+            gamesPerPair: this.config.gamesPerPair,
+            seed: this.seed
         };
     }
 }
@@ -516,21 +538,25 @@ export async function runCustomGridSearch(config) {
 
 /**
  * 比较两个特定配置
+ * @param {number|string} [seed] - 随机种子，省略时随机生成
+ * @param {string} [firingMode] - 开火规则，默认标准
  */
-export function compareConfigs(configA, configB, games = 100) {
+export function compareConfigs(configA, configB, games = 100, seed = randomSeed(), firingMode = DEFAULT_FIRING_MODE) {
     console.log('⚔️ 配置对比测试...');
     console.log(`   配置 A: alpha=${configA.alpha}, risk=${configA.riskAwareness || 0}`);
     console.log(`   配置 B: alpha=${configB.alpha}, risk=${configB.riskAwareness || 0}`);
     console.log(`   对战次数: ${games}`);
+    console.log(`   随机种子: ${seed}`);
+    console.log(`   开火规则: ${FIRING_MODE_LABELS[firingMode]}`);
     console.log('');
     
     const fullConfigA = { alpha: 0.5, randomness: 0, riskAwareness: 0, ...configA };
     const fullConfigB = { alpha: 0.5, randomness: 0, riskAwareness: 0, ...configB };
     
     // A 先手
-    const resultA = runSimulationBatch(fullConfigA, fullConfigB, Math.floor(games / 2));
-    // B 先手
-    const resultB = runSimulationBatch(fullConfigB, fullConfigA, Math.floor(games / 2));
+    const resultA = runSimulationBatch(fullConfigA, fullConfigB, Math.floor(games / 2), { seed, firingMode });
+    // B 先手（同一批种子，布局与 A 先手时一致）
+    const resultB = runSimulationBatch(fullConfigB, fullConfigA, Math.floor(games / 2), { seed, firingMode });
     
     const totalWinsA = resultA.winsA + resultB.winsB;
     const totalWinsB = resultA.winsB + resultB.winsA;
@@ -548,7 +574,8 @@ export function compareConfigs(configA, configB, games = 100) {
         winsB: totalWinsB,
         draws: totalDraws,
         winRateA: totalWinsA / totalGames,
-        winRateB: totalWinsB / totalGames
+        winRateB: totalWinsB / totalGames,
+        seed
     };
 }
 
@@ -625,6 +652,22 @@ function createUIHTML() {
                             <label>每对战场次</label>
                             <input type="number" id="gs-games" value="20" min="4" max="200" step="2">
                         </div>
+                        <div class="gs-config-group">
+                            <label>随机种子（留空随机）</label>
+                            <input type="text" id="gs-seed" placeholder="随机" style="width: 100px">
+                        </div>
+                        <div class="gs-config-group">
+                            <label>棋盘尺寸</label>
+                            <input type="number" id="gs-board-size" value="${BOARD_SIZE}" min="${BOARD_SIZE_MIN}" max="${BOARD_SIZE_MAX}" step="1">
+                        </div>
+                        <div class="gs-config-group">
+                            <label>开火规则</label>
+                            <select id="gs-firing-mode">
+                                ${Object.entries(FIRING_MODE_LABELS).map(([mode, label]) =>
+                                    `<option value="${mode}"${mode === DEFAULT_FIRING_MODE ? ' selected' : ''}>${label}</option>`
+                                ).join('')}
+                            </select>
+                        </div>
                     </div>
                     
                     <div class="gs-preset-buttons">
@@ -803,7 +846,8 @@ function createUIStyles() {
         
         .gs-range-inputs span { color: #666; }
         
-        .gs-config-group input {
+        .gs-config-group input,
+        .gs-config-group select {
             background: #0f0f1a;
             border: 1px solid #333;
             border-radius: 6px;
@@ -813,7 +857,10 @@ function createUIStyles() {
             width: 60px;
         }
         
-        .gs-config-group input:focus {
+        .gs-config-group select { width: auto; }
+        
+        .gs-config-group input:focus,
+        .gs-config-group select:focus {
             outline: none;
             border-color: #4cc9f0;
         }
@@ -1086,6 +1133,11 @@ async function startSearch() {
             parseFloat(document.getElementById('gs-risk-step').value)
         ],
         gamesPerPair: parseInt(document.getElementById('gs-games').value),
+        seed: normalizeSeed(document.getElementById('gs-seed').value),
+        boardSize: Math.min(BOARD_SIZE_MAX, Math.max(BOARD_SIZE_MIN,
+            parseInt(document.getElementById('gs-board-size').value) || BOARD_SIZE)),
+        firingMode: isValidFiringMode(document.getElementById('gs-firing-mode').value)
+            ? document.getElementById('gs-firing-mode').value : DEFAULT_FIRING_MODE,
         verbose: false
     };
     
@@ -1177,7 +1229,8 @@ function onSearchComplete(results) {
     document.getElementById('gs-start-btn').disabled = false;
     document.getElementById('gs-stop-btn').disabled = true;
     document.getElementById('gs-progress-text').textContent = '✅ 搜索完成！';
-    document.getElementById('gs-progress-detail').textContent = '';
+    // 显示实际使用的种子，填入种子输入框即可原样复现本次搜索
+    document.getElementById('gs-progress-detail').textContent = `随机种子: ${currentController.seed}`;
     
     renderHeatmap(results);
 }
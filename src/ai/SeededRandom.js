@@ -0,0 +1,125 @@
+/**
+ * 可复现随机数生成器
+ *
+ * 部署、AI 决策与模拟对战中的所有随机性都从这里取数，
+ * 相同种子 + 相同输入即可复现整局游戏（敌方布局、每一步 AI 决策、每一场模拟对战）。
+ *
+ * ============================================================================
+ * 导出接口（公开 API）
+ * ============================================================================
+ *
+ * - SeededRandom 类: 基于 mulberry32 的 32 位 PRNG
+ *   - next(): [0, 1) 浮点数，可直接替换 Math.random()
+ *   - nextInt(n): [0, n) 整数
+ *   - pick(array): 随机取一个元素
+ *   - getState() / setState(state): 导出/恢复内部状态（存档用）
+ * - normalizeSeed(value): 把数字或字符串种子规整为 32 位无符号整数
+ * - deriveSeed(seed, index): 由主种子派生第 index 个子种子（批量模拟用）
+ * - randomSeed(): 生成一个新的随机种子（唯一允许调用 Math.random 的地方）
+ */
+
+/**
+ * 把数字或字符串种子规整为 32 位无符号整数
+ * 纯数字字符串按数字处理，其余字符串做 FNV-1a 哈希
+ *
+ * @param {number|string} value - 原始种子
+ * @returns {number|null} 规整后的种子；无法识别时返回 null
+ */
+export function normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.trunc(value) >>> 0;
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 由主种子派生子种子
+ * 不同 index 得到的序列互不相关，同一 (seed, index) 永远得到同一结果
+ *
+ * @param {number} seed - 主种子
+ * @param {number} index - 子序列编号
+ * @returns {number} 子种子
+ */
+export function deriveSeed(seed, index) {
+    let h = (seed ^ Math.imul(index + 1, 0x9e3779b9)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * 生成新的随机种子
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * 可复现随机数生成器（mulberry32）
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} [seed] - 种子，省略时随机生成
+     */
+    constructor(seed) {
+        this.seed = normalizeSeed(seed) ?? randomSeed();
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} [0, 1) 浮点数
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} n - 上界（不含）
+     * @returns {number} [0, n) 整数
+     */
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * 随机取数组中的一个元素
+     * @param {Array} array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * 导出内部状态
+     * @returns {{ seed: number, state: number }}
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * 恢复内部状态
+     * @param {{ seed: number, state: number }} saved
+     */
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+    }
+}
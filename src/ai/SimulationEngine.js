@@ -10,14 +10,34 @@
  * 
  * - runSimulatedGame(configA, configB, options): 运行一场模拟对战
  * - SimulationEngine 类: 完整的模拟引擎封装
+ * 
+ * 传入 options.seed 可复现整场对战（双方布局与每一步决策），
+ * 结果中的 seed 字段记录本场实际使用的种子。
+ * options.boardSize 指定棋盘尺寸（默认 BOARD_SIZE），采样数随之换算（见 scaleSampleCount）。
+ * options.fleet 指定双方使用的舰队定义（默认 SHIP_TYPES 标准舰队）。
+ * options.placementRule 指定摆放规则（默认允许相邻），禁止相邻时双方部署与置信采样都遵守。
+ * options.firingMode 指定开火规则（默认标准），齐射时每回合由 selectSalvoTargets 联合选出全部目标。
+ * 双方各有一份武器库存（弹药与冷却，见 WeaponStock），与对局中的规则一致。
+ * 侦察回报按攻击方分别记录，作为该方之后采样的硬约束。
  */
 
 import { BOARD_SIZE } from '../config/constants.js';
 import { SHIP_TYPES } from '../data/ships.js';
 import { deployShips } from './aiDeployment.js';
-import { APWeapon } from '../game/weapons/APWeapon.js';
-import { HEWeapon } from '../game/weapons/HEWeapon.js';
-import { SonarWeapon } from '../game/weapons/SonarWeapon.js';
+import { SeededRandom, deriveSeed, normalizeSeed, randomSeed } from './SeededRandom.js';
+import {
+    scaleSampleCount, selectSalvoTargets, getTorpedoHitChances, getSubmarineChances, getLineCountEntropy, buildReconCounts, applyChargeCosts
+} from './aiStrategy.js';
+import { WEAPON_DEFINITIONS } from '../data/weapons.js';
+import {
+    WeaponEffect, WeaponTarget, DEFAULT_WEAPON, getWeaponEffect, isDamagingWeapon, getWeaponCoverage, getEdgeLaunches, getWeaponAims,
+    getAimLine, getLineTargets, isWeaponAvailable, getWeaponCellDamage, getWeaponMaxDamage
+} from '../game/core/WeaponRules.js';
+import { getFleetAbilities, isSubmarine } from '../game/core/Fleet.js';
+import { createWeaponStock, isWeaponReady, spendWeapons } from '../game/core/WeaponStock.js';
+import { getOrientations, getShipCells } from '../game/core/ShipShape.js';
+import { PlacementRule, DEFAULT_PLACEMENT_RULE, getSurroundingCells } from '../game/core/PlacementRule.js';
+import { FiringMode, DEFAULT_FIRING_MODE, getSalvoSize } from '../game/core/FiringMode.js';
 
 // ============================================================================
 // 常量定义
@@ -30,27 +50,38 @@ const CellState = {
     HIT: 2,
     DESTROYED: 3,
     SUSPECT: 4,
-    SUNK: 5
+    SUNK: 5,
+    OCCUPIED: 6
 };
 
 /** 最大回合数限制（防止死循环） */
 const MAX_TURNS = 200;
 
-/** 蒙特卡洛采样数量（模拟时使用较小值以提高速度） */
+/** 蒙特卡洛采样数量（模拟时使用较小值以提高速度；默认尺寸下的基准值） */
 const SAMPLE_COUNT = 200;
 
 /** 最小概率阈值 */
 const MIN_PROB = 1e-10;
 
 // ============================================================================
-// 武器实例（用于获取攻击范围）
+// 武器用法（来自武器定义的 ai 字段，与 aiStrategy.js 一致）
 // ============================================================================
 
-const weaponInstances = {
-    AP: new APWeapon(),
-    HE: new HEWeapon(),
-    SONAR: new SonarWeapon()
-};
+/**
+ * 模拟中扫描只会改变未知格（见 _executeScan），对疑似格扫描会让双方反复空转，
+ * 因此扫描类武器不以疑似格为目标；launch 为从边缘发射的武器（鱼雷）；aims 为可切换的打击样式；
+ * lines 为整行 / 整列样式的武器（侦察）；防御武器没有目标状态，模拟中不会使用
+ */
+const SIM_WEAPONS = WEAPON_DEFINITIONS.map(def => ({
+    id: def.id,
+    targets: def.ai.targets
+        .filter(name => isDamagingWeapon(def.id) || name !== 'SUSPECT')
+        .map(name => CellState[name]),
+    random: def.ai.random ?? 0,
+    launch: def.target === WeaponTarget.EDGE,
+    aims: getWeaponAims(def.id),
+    lines: getWeaponAims(def.id).some(aim => getAimLine(def.id, aim))
+}));
 
 // ============================================================================
 // 核心模拟引擎
@@ -68,21 +99,34 @@ export class SimulationEngine {
      * @param {Object} options - 可选配置
      * @param {boolean} options.verbose - 是否输出详细日志
      * @param {number} options.maxTurns - 最大回合数
+     * @param {number|string} options.seed - 随机种子（省略时随机生成）
+     * @param {number} options.boardSize - 棋盘尺寸（默认 BOARD_SIZE）
+     * @param {Array<Object>} options.fleet - 双方的舰队定义（默认 SHIP_TYPES）
+     * @param {string} options.placementRule - 摆放规则（默认允许相邻），双方部署与置信采样共用
+     * @param {string} options.firingMode - 开火规则（默认标准）
      */
     constructor(configA, configB, options = {}) {
         this.configA = { alpha: 0.5, randomness: 0, riskAwareness: 0, ...configA };
         this.configB = { alpha: 0.5, randomness: 0, riskAwareness: 0, ...configB };
         this.verbose = options.verbose || false;
         this.maxTurns = options.maxTurns || MAX_TURNS;
+        this.seed = normalizeSeed(options.seed) ?? randomSeed();
+        this.boardSize = options.boardSize || BOARD_SIZE;
+        this.fleet = options.fleet || SHIP_TYPES;
+        this.placementRule = options.placementRule || DEFAULT_PLACEMENT_RULE;
+        this.firingMode = options.firingMode || DEFAULT_FIRING_MODE;
+        this.sampleCount = scaleSampleCount(SAMPLE_COUNT, this.boardSize);
         
         // 初始化对战状态
         this.reset();
     }
     
     /**
-     * 重置对战状态
+     * 重置对战状态（按 seed 重新播种，重置后的对战与首次完全一致）
      */
     reset() {
+        this.rng = new SeededRandom(this.seed);
+        
         // 部署双方船只
         this.shipsA = this._deployShips();
         this.shipsB = this._deployShips();
@@ -99,6 +143,14 @@ export class SimulationEngine {
         this.damageGridA = this._createDamageGrid();  // A 对 B 造成的伤害
         this.damageGridB = this._createDamageGrid();  // B 对 A 造成的伤害
         
+        // 武器库存（剩余弹药与冷却）
+        this.stockA = createWeaponStock(this.shipsA);
+        this.stockB = createWeaponStock(this.shipsB);
+        
+        // 侦察回报（A 对 B 棋盘的回报、B 对 A 棋盘的回报）
+        this.reconReportsA = [];
+        this.reconReportsB = [];
+        
         // 对战统计
         this.stats = {
             turns: 0,
@@ -113,7 +165,7 @@ export class SimulationEngine {
     /**
      * 运行一场完整对战
      * 
-     * @returns {Object} 对战结果 { winner: 'A'|'B'|'DRAW', stats: {...} }
+     * @returns {Object} 对战结果 { winner: 'A'|'B'|'DRAW', seed, stats: {...} }
      */
     run() {
         let currentTurn = 'A';
@@ -169,6 +221,7 @@ export class SimulationEngine {
         
         return {
             winner: this.stats.winner,
+            seed: this.seed,
             stats: { ...this.stats }
         };
     }
@@ -181,12 +234,16 @@ export class SimulationEngine {
      * 部署船只（使用现有的 AI 部署模块）
      */
     _deployShips() {
-        const placements = deployShips(SHIP_TYPES, BOARD_SIZE);
+        const placements = deployShips(this.fleet, this.boardSize, this.rng, this.placementRule);
         
         return placements.map((p, idx) => ({
             id: idx,
             name: p.name,
             code: p.code,
+            type: p.type,
+            apDamage: p.apDamage,
+            abilities: p.abilities,
+            shape: p.shape,
             len: p.len,
             maxHp: p.maxHp,
             hp: Array(p.len).fill(p.maxHp),
@@ -194,6 +251,7 @@ export class SimulationEngine {
             c: p.c,
             v: p.v,
             vertical: p.v,
+            rotation: p.rotation,
             sunk: false
         }));
     }
@@ -202,8 +260,8 @@ export class SimulationEngine {
      * 创建网格（标记船只位置）
      */
     _createGrid(ships) {
-        const grid = Array(BOARD_SIZE).fill(null).map(() => 
-            Array(BOARD_SIZE).fill(null).map(() => ({
+        const grid = Array(this.boardSize).fill(null).map(() => 
+            Array(this.boardSize).fill(null).map(() => ({
                 hit: false,
                 shipId: -1,
                 segmentIndex: -1
@@ -211,11 +269,9 @@ export class SimulationEngine {
         );
         
         for (const ship of ships) {
-            for (let i = 0; i < ship.len; i++) {
-                const r = ship.v ? ship.r + i : ship.r;
-                const c = ship.v ? ship.c : ship.c + i;
+            for (const { r, c, idx } of getShipCells(ship)) {
                 grid[r][c].shipId = ship.id;
-                grid[r][c].segmentIndex = i;
+                grid[r][c].segmentIndex = idx;
             }
         }
         
@@ -226,8 +282,8 @@ export class SimulationEngine {
      * 创建视图网格（战争迷雾）
      */
     _createViewGrid() {
-        return Array(BOARD_SIZE).fill(null).map(() => 
-            Array(BOARD_SIZE).fill(CellState.UNKNOWN)
+        return Array(this.boardSize).fill(null).map(() => 
+            Array(this.boardSize).fill(CellState.UNKNOWN)
         );
     }
     
@@ -235,8 +291,8 @@ export class SimulationEngine {
      * 创建伤害记录网格
      */
     _createDamageGrid() {
-        return Array(BOARD_SIZE).fill(null).map(() => 
-            Array(BOARD_SIZE).fill(0)
+        return Array(this.boardSize).fill(null).map(() => 
+            Array(this.boardSize).fill(0)
         );
     }
     
@@ -248,48 +304,59 @@ export class SimulationEngine {
      * 执行一个回合
      */
     _executeTurn(config, myShips, enemyShips, enemyGrid, viewGrid, damageGrid, side) {
-        // 1. 获取可用能力
-        const abilities = this._checkAbilities(myShips);
+        // 1. 获取可用能力（含本方武器库存）
+        const abilities = this._checkAbilities(myShips, side === 'A' ? this.stockA : this.stockB);
         
         // 2. 获取存活目标
         const aliveTargets = enemyShips.filter(s => !s.sunk);
         if (aliveTargets.length === 0) return;
+
+        if (this.firingMode === FiringMode.SALVO) {
+            this._executeSalvoTurn(config, myShips, aliveTargets, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+            return;
+        }
         
         // 3. 随机决策检查
-        if (Math.random() < config.randomness) {
+        if (this.rng.next() < config.randomness) {
             const action = this._makeRandomDecision(viewGrid, abilities);
             this._executeAction(action, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+            spendWeapons(abilities.stock, [action.weapon]);
             return;
         }
         
         // 4. 构建置信状态
-        const beliefState = new SimBeliefState(aliveTargets, viewGrid, SAMPLE_COUNT);
+        const beliefState = new SimBeliefState(
+            aliveTargets, viewGrid, this.sampleCount, this.rng, this.placementRule,
+            side === 'A' ? this.reconReportsA : this.reconReportsB
+        );
         
         // 5. 枚举所有行动
         const actions = this._enumerateActions(viewGrid, abilities);
         if (actions.length === 0) {
             const fallback = this._findFallbackTarget(viewGrid);
             this._executeAction(fallback, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+            spendWeapons(abilities.stock, [fallback.weapon]);
             return;
         }
         
         // 6. 简化版风险计算（不做多步推演，提高速度）
         // 完整版可选择启用，但会显著降低模拟速度
         
-        // 7. 评估所有行动
+        // 7. 评估所有行动（弹药有限的武器扣除机会成本）
         let bestAction = null;
         let bestScore = -Infinity;
         const maxShipHp = Math.max(...aliveTargets.map(s => s.maxHp ?? 1));
+        const scored = actions.map(action => ({
+            action,
+            score: this._evaluateAction(beliefState, action, abilities, config.alpha, damageGrid, maxShipHp)
+        }));
+        applyChargeCosts(scored, abilities.stock);
         
-        for (const action of actions) {
-            const score = this._evaluateAction(
-                beliefState, action, abilities, config.alpha, damageGrid, maxShipHp
-            );
-            
+        for (const { action, score } of scored) {
             if (score > bestScore + 1e-9) {
                 bestScore = score;
                 bestAction = action;
-            } else if (Math.abs(score - bestScore) < 1e-9 && Math.random() < 0.3) {
+            } else if (Math.abs(score - bestScore) < 1e-9 && this.rng.next() < 0.3) {
                 // 相同分数时有概率替换（增加随机性）
                 bestAction = action;
             }
@@ -297,27 +364,58 @@ export class SimulationEngine {
         
         // 8. 执行最优行动
         this._executeAction(bestAction, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+        spendWeapons(abilities.stock, [bestAction.weapon]);
     }
     
     /**
-     * 检查 AI 可用能力
+     * 执行一个齐射回合：联合选出存活舰船数个主炮目标后依次结算
+     * 与 makeAIDecision 一致，随机扰动按发生效
      */
-    _checkAbilities(ships) {
-        const aiCV = ships.some(s => s.code === 'CV' && !s.sunk);
-        const aiCL = ships.some(s => s.code === 'CL' && !s.sunk);
-        const aiBB = ships.some(s => s.code === 'BB' && !s.sunk);
-        const aiSS = ships.some(s => s.code === 'SS' && !s.sunk);
-        const aiDD = ships.some(s => s.code === 'DD' && !s.sunk);
-        
-        let apDamage = 1;
-        if (aiBB) apDamage = 3;
-        else if (aiSS || aiCL) apDamage = 2;
-        
-        return {
-            canUseAir: aiCV,
-            canUseSonar: aiDD || aiSS,
-            apDamage
-        };
+    _executeSalvoTurn(config, myShips, aliveTargets, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side) {
+        const beliefState = new SimBeliefState(aliveTargets, viewGrid, this.sampleCount, this.rng, this.placementRule);
+        const shots = selectSalvoTargets(beliefState, getSalvoSize(myShips), {
+            alpha: config.alpha, apDamage: abilities.apDamage, damageGrid, rng: this.rng
+        });
+
+        if (config.randomness > 0) {
+            const taken = new Set(shots.map(({ r, c }) => `${r},${c}`));
+            for (const shot of shots) {
+                if (this.rng.next() >= config.randomness) continue;
+                const free = [];
+                for (let r = 0; r < this.boardSize; r++) {
+                    for (let c = 0; c < this.boardSize; c++) {
+                        const state = viewGrid[r][c];
+                        if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK) continue;
+                        if (!taken.has(`${r},${c}`)) free.push({ r, c });
+                    }
+                }
+                if (free.length === 0) break;
+                const { r, c } = this.rng.pick(free);
+                taken.delete(`${shot.r},${shot.c}`);
+                taken.add(`${r},${c}`);
+                shot.r = r;
+                shot.c = c;
+            }
+        }
+
+        for (const shot of shots) {
+            this._executeAction(shot, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+        }
+        spendWeapons(abilities.stock, shots.map(shot => shot.weapon));
+    }
+    
+    /**
+     * 检查 AI 可用能力（stock 为本方武器库存）
+     */
+    _checkAbilities(ships, stock = null) {
+        return { ...getFleetAbilities(ships), stock };
+    }
+
+    /**
+     * 本回合能否使用该武器：舰队具备所需能力，且有弹药、不在冷却中
+     */
+    _isWeaponUsable(weaponId, abilities) {
+        return isWeaponAvailable(weaponId, abilities) && isWeaponReady(abilities.stock, weaponId);
     }
     
     /**
@@ -325,42 +423,63 @@ export class SimulationEngine {
      */
     _enumerateActions(viewGrid, abilities) {
         const actions = [];
+        const weapons = SIM_WEAPONS.filter(weapon => this._isWeaponUsable(weapon.id, abilities));
         
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 const state = viewGrid[r][c];
                 
-                if (state === CellState.MISS || state === CellState.SUNK) continue;
-                
-                if (state === CellState.DESTROYED) {
-                    if (abilities.canUseAir) {
-                        actions.push({ weapon: 'HE', r, c });
+                for (const weapon of weapons) {
+                    if (!weapon.launch && !weapon.lines && weapon.targets.includes(state)) {
+                        if (weapon.aims.length === 0) actions.push({ weapon: weapon.id, r, c });
+                        for (const aim of weapon.aims) actions.push({ weapon: weapon.id, r, c, aim });
                     }
-                    continue;
-                }
-                
-                actions.push({ weapon: 'AP', r, c });
-                
-                if (abilities.canUseAir) {
-                    actions.push({ weapon: 'HE', r, c });
-                }
-                
-                if (abilities.canUseSonar && 
-                    (state === CellState.UNKNOWN || state === CellState.SUSPECT)) {
-                    actions.push({ weapon: 'SONAR', r, c });
                 }
             }
         }
         
+        for (const weapon of weapons) {
+            if (!weapon.launch) continue;
+            for (const launch of this._getUsefulLaunches(weapon, viewGrid)) {
+                actions.push({ weapon: weapon.id, ...launch });
+            }
+        }
+        
+        for (const weapon of weapons) {
+            if (!weapon.lines) continue;
+            for (const target of this._getUsefulLines(weapon, viewGrid)) {
+                actions.push({ weapon: weapon.id, ...target });
+            }
+        }
+        
         return actions;
     }
     
+    /**
+     * 航线上有可打击格子的发射位置
+     */
+    _getUsefulLaunches(weapon, viewGrid) {
+        return getEdgeLaunches(this.boardSize).filter(launch =>
+            this._getWeaponCoverage(weapon.id, launch.r, launch.c, launch)
+                .some(cell => weapon.targets.includes(viewGrid[cell.r][cell.c]))
+        );
+    }
+    
+    /**
+     * 有可侦察格子的整行 / 整列
+     */
+    _getUsefulLines(weapon, viewGrid) {
+        return getLineTargets(weapon.id, this.boardSize).filter(target =>
+            this._getWeaponCoverage(weapon.id, target.r, target.c, target)
+                .some(cell => weapon.targets.includes(viewGrid[cell.r][cell.c]))
+        );
+    }
+    
     /**
      * 评估行动效用（简化版）
      */
     _evaluateAction(beliefState, action, abilities, alpha, damageGrid, maxShipHp) {
-        const { weapon, r, c } = action;
-        const probGrid = beliefState.getProbabilityGrid();
+        const { weapon } = action;
         
         // 计算信息增益
         const currentEntropy = beliefState.getEntropy();
@@ -370,13 +489,13 @@ export class SimulationEngine {
         
         // 计算期望伤害
         const expectedDamage = this._calculateExpectedDamage(
-            action, probGrid, abilities, damageGrid, maxShipHp
+            action, beliefState, abilities, damageGrid, maxShipHp
         );
         
-        const maxDamage = weapon === 'HE' ? 5 : (weapon === 'AP' ? abilities.apDamage : 0);
+        const maxDamage = getWeaponMaxDamage(weapon, abilities);
         const normDamage = maxDamage > 0 ? expectedDamage / maxDamage : 0;
         
-        if (weapon === 'SONAR') {
+        if (!isDamagingWeapon(weapon)) {
             return alpha * normInfoGain;
         }
         
@@ -386,37 +505,43 @@ export class SimulationEngine {
     /**
      * 计算期望伤害（考虑伤害溢出）
      */
-    _calculateExpectedDamage(action, probGrid, abilities, damageGrid, maxShipHp) {
-        const { weapon, r, c } = action;
-        
-        if (weapon === 'SONAR') return 0;
+    _calculateExpectedDamage(action, beliefState, abilities, damageGrid, maxShipHp) {
+        const baseDamage = getWeaponCellDamage(action.weapon, abilities);
+        if (baseDamage === 0) return 0;
         
         let expectedDamage = 0;
-        const baseDamage = weapon === 'AP' ? abilities.apDamage : 1;
         
-        const cells = this._getWeaponCoverage(weapon, r, c);
-        
-        for (const cell of cells) {
-            if (cell.r >= 0 && cell.r < BOARD_SIZE && cell.c >= 0 && cell.c < BOARD_SIZE) {
-                const dealtDamage = damageGrid[cell.r][cell.c];
-                const estimatedRemaining = Math.max(0, maxShipHp - dealtDamage);
-                const effectiveDamage = Math.min(baseDamage, estimatedRemaining);
-                expectedDamage += probGrid[cell.r][cell.c] * effectiveDamage;
-            }
+        for (const cell of this._getStrikeChances(action, beliefState)) {
+            const dealtDamage = damageGrid[cell.r][cell.c];
+            const estimatedRemaining = Math.max(0, maxShipHp - dealtDamage);
+            const effectiveDamage = Math.min(baseDamage, estimatedRemaining);
+            expectedDamage += cell.chance * effectiveDamage;
         }
         
         return expectedDamage;
     }
     
     /**
-     * 获取武器覆盖范围
+     * 行动打击各格的概率（定点武器为覆盖格的边缘概率，鱼雷为航线上的命中分布，深水炸弹为有潜艇的概率）
      */
-    _getWeaponCoverage(weapon, r, c) {
-        const instance = weaponInstances[weapon];
-        if (instance) {
-            return instance.previewArea({ r, c }).cells;
+    _getStrikeChances(action, beliefState) {
+        const { weapon, r, c } = action;
+        const cells = this._getWeaponCoverage(weapon, r, c, action);
+        if (getWeaponEffect(weapon) === WeaponEffect.TORPEDO) {
+            return getTorpedoHitChances(beliefState, cells).cells;
+        }
+        if (getWeaponEffect(weapon) === WeaponEffect.DEPTH_CHARGE) {
+            return getSubmarineChances(beliefState, cells);
         }
-        return [{ r, c }];
+        const probGrid = beliefState.getProbabilityGrid();
+        return cells.map(cell => ({ r: cell.r, c: cell.c, chance: probGrid[cell.r][cell.c] }));
+    }
+    
+    /**
+     * 获取武器覆盖范围（鱼雷为航线；orientation 为带 heading / aim 的行动本身）
+     */
+    _getWeaponCoverage(weapon, r, c, orientation) {
+        return getWeaponCoverage(weapon, r, c, this.boardSize, orientation);
     }
     
     /**
@@ -425,44 +550,83 @@ export class SimulationEngine {
     _executeAction(action, abilities, enemyGrid, enemyShips, viewGrid, damageGrid, side) {
         const { weapon, r, c } = action;
         
-        if (weapon === 'SONAR') {
-            // 声纳扫描
-            this._executeSonar(r, c, enemyGrid, viewGrid);
-        } else {
-            // 攻击类武器
-            const cells = this._getWeaponCoverage(weapon, r, c);
-            const damage = weapon === 'AP' ? abilities.apDamage : 1;
-            
-            for (const cell of cells) {
-                if (cell.r >= 0 && cell.r < BOARD_SIZE && cell.c >= 0 && cell.c < BOARD_SIZE) {
-                    const result = this._resolveHit(cell.r, cell.c, damage, enemyGrid, enemyShips);
-                    
-                    // 更新视图
-                    if (result.cellState) {
-                        viewGrid[cell.r][cell.c] = result.cellState;
-                    }
-                    
-                    // 更新伤害记录
-                    damageGrid[cell.r][cell.c] += damage;
-                    
-                    // 更新统计
-                    if (result.hit) {
-                        if (side === 'A') {
-                            this.stats.hitsA++;
-                            this.stats.damageA += result.damage;
-                        } else {
-                            this.stats.hitsB++;
-                            this.stats.damageB += result.damage;
+        const cells = this._getWeaponCoverage(weapon, r, c, action);
+        const damage = getWeaponCellDamage(weapon, abilities);
+        
+        switch (getWeaponEffect(weapon)) {
+            case WeaponEffect.SCAN:
+                // 声纳扫描
+                this._executeScan(r, c, cells, enemyGrid, viewGrid);
+                break;
+            case WeaponEffect.RECON: {
+                // 侦察：回报整行 / 整列未暴露格子中的船体格数，不改变视图
+                const hidden = cells.filter(cell =>
+                    viewGrid[cell.r][cell.c] === CellState.UNKNOWN || viewGrid[cell.r][cell.c] === CellState.SUSPECT);
+                const count = hidden.filter(cell => enemyGrid[cell.r][cell.c].shipId !== -1).length;
+                (side === 'A' ? this.reconReportsA : this.reconReportsB).push({ cells: hidden, count });
+                break;
+            }
+            case WeaponEffect.TORPEDO:
+                // 鱼雷：越过已攻击的格子，击中第一个船体段后停止
+                for (const cell of cells) {
+                    if (enemyGrid[cell.r][cell.c].hit) continue;
+                    const result = this._strikeCell(cell.r, cell.c, damage, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+                    if (result.hit) break;
+                }
+                break;
+            case WeaponEffect.DEPTH_CHARGE:
+                // 深水炸弹：只伤及潜艇，其他舰船所在的格子只确认有船
+                for (const cell of cells) {
+                    const { shipId } = enemyGrid[cell.r][cell.c];
+                    if (shipId !== -1 && !isSubmarine(enemyShips[shipId])) {
+                        const state = viewGrid[cell.r][cell.c];
+                        if (state === CellState.UNKNOWN || state === CellState.SUSPECT) {
+                            viewGrid[cell.r][cell.c] = CellState.OCCUPIED;
                         }
+                        continue;
                     }
-                    
-                    // 标记沉没船只
-                    if (result.sunk) {
-                        this._markSunkShip(result.ship, viewGrid);
-                    }
+                    this._strikeCell(cell.r, cell.c, damage, enemyGrid, enemyShips, viewGrid, damageGrid, side);
                 }
+                break;
+            default:
+                // 攻击类武器
+                for (const cell of cells) {
+                    this._strikeCell(cell.r, cell.c, damage, enemyGrid, enemyShips, viewGrid, damageGrid, side);
+                }
+        }
+    }
+    
+    /**
+     * 打击一格：结算命中并更新视图、伤害记录与统计
+     */
+    _strikeCell(r, c, damage, enemyGrid, enemyShips, viewGrid, damageGrid, side) {
+        const result = this._resolveHit(r, c, damage, enemyGrid, enemyShips);
+        
+        // 更新视图
+        if (result.cellState) {
+            viewGrid[r][c] = result.cellState;
+        }
+        
+        // 更新伤害记录
+        damageGrid[r][c] += damage;
+        
+        // 更新统计
+        if (result.hit) {
+            if (side === 'A') {
+                this.stats.hitsA++;
+                this.stats.damageA += result.damage;
+            } else {
+                this.stats.hitsB++;
+                this.stats.damageB += result.damage;
             }
         }
+        
+        // 标记沉没船只
+        if (result.sunk) {
+            this._markSunkShip(result.ship, viewGrid);
+        }
+        
+        return result;
     }
     
     /**
@@ -504,37 +668,18 @@ export class SimulationEngine {
     /**
      * 执行声纳扫描
      */
-    _executeSonar(r, c, enemyGrid, viewGrid) {
-        let detected = false;
-        
-        for (let dr = -1; dr <= 1; dr++) {
-            for (let dc = -1; dc <= 1; dc++) {
-                const nr = r + dr;
-                const nc = c + dc;
-                
-                if (nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE) {
-                    if (enemyGrid[nr][nc].shipId !== -1 && viewGrid[nr][nc] === CellState.UNKNOWN) {
-                        detected = true;
-                        break;
-                    }
-                }
-            }
-            if (detected) break;
-        }
+    _executeScan(r, c, cells, enemyGrid, viewGrid) {
+        const detected = cells.some(cell =>
+            enemyGrid[cell.r][cell.c].shipId !== -1 && viewGrid[cell.r][cell.c] === CellState.UNKNOWN
+        );
         
         if (detected && viewGrid[r][c] === CellState.UNKNOWN) {
             viewGrid[r][c] = CellState.SUSPECT;
         } else if (!detected) {
-            // 标记周围区域为安全
-            for (let dr = -1; dr <= 1; dr++) {
-                for (let dc = -1; dc <= 1; dc++) {
-                    const nr = r + dr;
-                    const nc = c + dc;
-                    if (nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE) {
-                        if (viewGrid[nr][nc] === CellState.UNKNOWN) {
-                            viewGrid[nr][nc] = CellState.MISS;
-                        }
-                    }
+            // 标记扫描范围为安全
+            for (const cell of cells) {
+                if (viewGrid[cell.r][cell.c] === CellState.UNKNOWN) {
+                    viewGrid[cell.r][cell.c] = CellState.MISS;
                 }
             }
         }
@@ -544,9 +689,7 @@ export class SimulationEngine {
      * 标记沉没船只
      */
     _markSunkShip(ship, viewGrid) {
-        for (let i = 0; i < ship.len; i++) {
-            const r = ship.v ? ship.r + i : ship.r;
-            const c = ship.v ? ship.c : ship.c + i;
+        for (const { r, c } of getShipCells(ship)) {
             viewGrid[r][c] = CellState.SUNK;
         }
     }
@@ -559,34 +702,42 @@ export class SimulationEngine {
         let attempts = 0;
         
         do {
-            r = Math.floor(Math.random() * BOARD_SIZE);
-            c = Math.floor(Math.random() * BOARD_SIZE);
+            r = this.rng.nextInt(this.boardSize);
+            c = this.rng.nextInt(this.boardSize);
             attempts++;
         } while ((viewGrid[r][c] === CellState.MISS || 
                   viewGrid[r][c] === CellState.DESTROYED || 
                   viewGrid[r][c] === CellState.SUNK) && attempts < 200);
         
-        if (abilities.canUseAir && Math.random() < 0.1) {
-            return { r, c, weapon: 'HE' };
-        } else if (abilities.canUseSonar && Math.random() < 0.1) {
-            return { r, c, weapon: 'SONAR' };
+        for (const weapon of SIM_WEAPONS) {
+            if (weapon.random > 0 && this._isWeaponUsable(weapon.id, abilities) && this.rng.next() < weapon.random) {
+                if (weapon.lines) {
+                    const lines = this._getUsefulLines(weapon, viewGrid);
+                    if (lines.length > 0) return { ...this.rng.pick(lines), weapon: weapon.id };
+                    continue;
+                }
+                if (weapon.aims.length > 0) return { r, c, weapon: weapon.id, aim: this.rng.pick(weapon.aims) };
+                if (!weapon.launch) return { r, c, weapon: weapon.id };
+                const launches = this._getUsefulLaunches(weapon, viewGrid);
+                if (launches.length > 0) return { ...this.rng.pick(launches), weapon: weapon.id };
+            }
         }
-        return { r, c, weapon: 'AP' };
+        return { r, c, weapon: DEFAULT_WEAPON };
     }
     
     /**
      * 兜底目标
      */
     _findFallbackTarget(viewGrid) {
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 const state = viewGrid[r][c];
                 if (state !== CellState.MISS && state !== CellState.DESTROYED && state !== CellState.SUNK) {
-                    return { r, c, weapon: 'AP' };
+                    return { r, c, weapon: DEFAULT_WEAPON };
                 }
             }
         }
-        return { r: 0, c: 0, weapon: 'AP' };
+        return { r: 0, c: 0, weapon: DEFAULT_WEAPON };
     }
     
     /**
@@ -607,10 +758,13 @@ export class SimulationEngine {
  * 与 aiStrategy.js 中的 BeliefState 类似，但针对模拟场景优化
  */
 class SimBeliefState {
-    constructor(ships, viewGrid, sampleCount = SAMPLE_COUNT) {
+    constructor(ships, viewGrid, sampleCount, rng, placementRule, reconReports = []) {
         this.ships = ships;
         this.viewGrid = viewGrid;
-        this.boardSize = BOARD_SIZE;
+        this.boardSize = viewGrid.length;
+        this.rng = rng;
+        this.noTouch = placementRule === PlacementRule.NO_TOUCH;
+        this.reconReports = reconReports;
         
         this.constraints = this._buildConstraints();
         this.samples = this._sampleConfigurations(sampleCount);
@@ -623,21 +777,32 @@ class SimBeliefState {
         const mustHit = [];
         const mustAvoid = [];
         const suspect = [];
+        const sunk = [];
         
         for (let r = 0; r < this.boardSize; r++) {
             for (let c = 0; c < this.boardSize; c++) {
                 const state = this.viewGrid[r][c];
-                if (state === CellState.HIT || state === CellState.DESTROYED) {
+                if (state === CellState.HIT || state === CellState.DESTROYED || state === CellState.OCCUPIED) {
                     mustHit.push({ r, c });
                 } else if (state === CellState.MISS || state === CellState.SUNK) {
                     mustAvoid.push({ r, c });
+                    if (state === CellState.SUNK) sunk.push({ r, c });
                 } else if (state === CellState.SUSPECT) {
                     suspect.push({ r, c });
                 }
             }
         }
         
-        return { mustHit, mustAvoid, suspect };
+        // 禁止相邻：沉船周围一圈必然无船
+        const blocked = new Set();
+        if (this.noTouch) {
+            getSurroundingCells(sunk, this.boardSize).forEach(({ r, c }) => blocked.add(`${r},${c}`));
+        }
+        
+        // 侦察回报：报告为 0 的格子必然无船，其余回报约束采样中的船体格数
+        const counts = buildReconCounts(this.reconReports, blocked);
+        
+        return { mustHit, mustAvoid, suspect, blocked, counts };
     }
     
     _sampleConfigurations(n) {
@@ -651,8 +816,13 @@ class SimBeliefState {
             if (config) samples.push(config);
         }
         
+        if (samples.length === 0 && this.constraints.counts.length > 0) {
+            this.constraints.counts = [];
+            return this._sampleConfigurations(n);
+        }
+        
         while (samples.length < n && samples.length > 0) {
-            samples.push(samples[Math.floor(Math.random() * samples.length)]);
+            samples.push(this.rng.pick(samples));
         }
         
         return samples;
@@ -661,28 +831,34 @@ class SimBeliefState {
     _sampleOneConfiguration() {
         const occupied = new Set();
         const config = [];
+        const tallies = this.constraints.counts.map(() => 0);
         
         const sortedShips = [...this.ships].sort((a, b) => b.len - a.len);
         
         for (const ship of sortedShips) {
-            const placement = this._sampleShipPlacement(ship, occupied);
+            const placement = this._sampleShipPlacement(ship, occupied, tallies);
             if (!placement) return null;
             config.push(placement);
+            placement.tally.forEach((n, i) => { tallies[i] += n; });
             placement.cells.forEach(cell => occupied.add(`${cell.r},${cell.c}`));
+            if (this.noTouch) {
+                getSurroundingCells(placement.cells, this.boardSize)
+                    .forEach(cell => occupied.add(`${cell.r},${cell.c}`));
+            }
         }
         
         if (!this._validateMustHit(config)) return null;
+        if (this.constraints.counts.some(({ count }, i) => tallies[i] !== count)) return null;
         
         return config;
     }
     
-    _sampleShipPlacement(ship, occupied) {
+    _sampleShipPlacement(ship, occupied, tallies) {
         const validPlacements = [];
         
-        for (let vertical = 0; vertical <= 1; vertical++) {
-            const isVertical = vertical === 1;
-            const maxR = isVertical ? this.boardSize - ship.len : this.boardSize - 1;
-            const maxC = isVertical ? this.boardSize - 1 : this.boardSize - ship.len;
+        for (const orientation of getOrientations(ship)) {
+            const maxR = this.boardSize - orientation.rows;
+            const maxC = this.boardSize - orientation.cols;
             
             for (let r = 0; r <= maxR; r++) {
                 for (let c = 0; c <= maxC; c++) {
@@ -691,27 +867,38 @@ class SimBeliefState {
                     let hitCount = 0;
                     let suspectCount = 0;
                     
-                    for (let i = 0; i < ship.len; i++) {
-                        const nr = isVertical ? r + i : r;
-                        const nc = isVertical ? c : c + i;
+                    for (const [dr, dc] of orientation.cells) {
+                        const nr = r + dr;
+                        const nc = c + dc;
                         const key = `${nr},${nc}`;
                         
-                        if (occupied.has(key)) { valid = false; break; }
+                        if (occupied.has(key) || this.constraints.blocked.has(key)) { valid = false; break; }
                         
                         const state = this.viewGrid[nr][nc];
-                        if (state === CellState.MISS || state === CellState.SUNK) {
+                        if (state === CellState.MISS || state === CellState.SUNK
+                            || (state === CellState.OCCUPIED && isSubmarine(ship))) {
                             valid = false; break;
                         }
                         
                         cells.push({ r: nr, c: nc });
                         
-                        if (state === CellState.HIT || state === CellState.DESTROYED) hitCount++;
+                        if (state === CellState.HIT || state === CellState.DESTROYED || state === CellState.OCCUPIED) hitCount++;
                         if (state === CellState.SUSPECT) suspectCount++;
                     }
                     
+                    if (!valid) continue;
+                    
+                    const tally = this.constraints.counts.map(({ keys }) =>
+                        cells.filter(cell => keys.has(`${cell.r},${cell.c}`)).length);
+                    let reconCount = 0;
+                    for (let i = 0; i < tally.length; i++) {
+                        if (tally[i] > this.constraints.counts[i].count - tallies[i]) { valid = false; break; }
+                        reconCount += tally[i];
+                    }
+                    
                     if (valid) {
-                        const weight = 1 + hitCount * 10 + suspectCount * 2;
-                        validPlacements.push({ cells, weight, shipId: ship.id });
+                        const weight = 1 + hitCount * 10 + suspectCount * 2 + reconCount * 5;
+                        validPlacements.push({ cells, weight, shipId: ship.id, tally });
                     }
                 }
             }
@@ -720,7 +907,7 @@ class SimBeliefState {
         if (validPlacements.length === 0) return null;
         
         const totalWeight = validPlacements.reduce((sum, p) => sum + p.weight, 0);
-        let rand = Math.random() * totalWeight;
+        let rand = this.rng.next() * totalWeight;
         
         for (const placement of validPlacements) {
             rand -= placement.weight;
@@ -736,7 +923,7 @@ class SimBeliefState {
         for (const placement of config) {
             for (const cell of placement.cells) {
                 const state = this.viewGrid[cell.r][cell.c];
-                if (state === CellState.HIT || state === CellState.DESTROYED) {
+                if (state === CellState.HIT || state === CellState.DESTROYED || state === CellState.OCCUPIED) {
                     coveredHits.add(`${cell.r},${cell.c}`);
                 }
             }
@@ -774,8 +961,9 @@ class SimBeliefState {
         for (let r = 0; r < this.boardSize; r++) {
             for (let c = 0; c < this.boardSize; c++) {
                 const state = this.viewGrid[r][c];
-                if (state === CellState.HIT) grid[r][c] = 1;
-                else if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK) {
+                if (state === CellState.HIT || state === CellState.OCCUPIED) grid[r][c] = 1;
+                else if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK
+                    || this.constraints.blocked.has(`${r},${c}`)) {
                     grid[r][c] = 0;
                 }
             }
@@ -811,23 +999,34 @@ class SimBeliefState {
         const { weapon, r, c } = action;
         const probGrid = this.getProbabilityGrid();
         const currentEntropy = this.getEntropy();
-        
-        if (weapon === 'SONAR') {
+        const effect = getWeaponEffect(weapon);
+        
+        if (effect === WeaponEffect.TORPEDO) {
+            // 揭示到第一个有船的格子为止，按命中分布取期望
+            const path = this._getWeaponCoverage(weapon, r, c, action);
+            const { cells, missChance } = getTorpedoHitChances(this, path);
+            let revealedEntropy = 0;
+            let expectedRevealed = 0;
+            for (const cell of cells) {
+                revealedEntropy += this._cellEntropy(probGrid[cell.r][cell.c]);
+                expectedRevealed += cell.chance * revealedEntropy;
+            }
+            expectedRevealed += missChance * revealedEntropy;
+            return Math.max(0, currentEntropy - expectedRevealed);
+        } else if (effect === WeaponEffect.RECON) {
+            // 得到的信息量即回报数量的熵
+            return Math.max(0, currentEntropy - getLineCountEntropy(this, this._getWeaponCoverage(weapon, r, c, action)));
+        } else if (effect === WeaponEffect.SCAN) {
             const centerProb = (r >= 0 && r < this.boardSize && c >= 0 && c < this.boardSize) 
                 ? probGrid[r][c] : 0;
             
             let areaEntropy = 0;
-            for (let i = -1; i <= 1; i++) {
-                for (let j = -1; j <= 1; j++) {
-                    const nr = r + i, nc = c + j;
-                    if (nr >= 0 && nr < this.boardSize && nc >= 0 && nc < this.boardSize) {
-                        const state = this.viewGrid[nr][nc];
-                        if (state === CellState.UNKNOWN || state === CellState.SUSPECT) {
-                            const p = probGrid[nr][nc];
-                            if (p > MIN_PROB && p < 1 - MIN_PROB) {
-                                areaEntropy += -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
-                            }
-                        }
+            for (const cell of this._getWeaponCoverage(weapon, r, c, action)) {
+                const state = this.viewGrid[cell.r][cell.c];
+                if (state === CellState.UNKNOWN || state === CellState.SUSPECT) {
+                    const p = probGrid[cell.r][cell.c];
+                    if (p > MIN_PROB && p < 1 - MIN_PROB) {
+                        areaEntropy += -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
                     }
                 }
             }
@@ -838,7 +1037,7 @@ class SimBeliefState {
             
             return Math.max(0, currentEntropy - Math.max(0, currentEntropy - expectedEntropy));
         } else {
-            const cells = this._getWeaponCoverage(weapon, r, c);
+            const cells = this._getWeaponCoverage(weapon, r, c, action);
             let coveredEntropy = 0;
             
             for (const cell of cells) {
@@ -860,10 +1059,8 @@ class SimBeliefState {
         return -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
     }
     
-    _getWeaponCoverage(weapon, r, c) {
-        const instance = weaponInstances[weapon];
-        if (instance) return instance.previewArea({ r, c }).cells;
-        return [{ r, c }];
+    _getWeaponCoverage(weapon, r, c, orientation) {
+        return getWeaponCoverage(weapon, r, c, this.boardSize, orientation);
     }
 }
 
@@ -891,14 +1088,16 @@ export function runSimulatedGame(configA, configB, options = {}) {
  * @param {Object} configB - B 方配置
  * @param {number} count - 对战次数
  * @param {Object} options - 可选配置
- * @returns {Object} 统计结果 { winsA, winsB, draws, avgTurns, winRateA }
+ * @param {number|string} options.seed - 批次主种子，第 i 场使用 deriveSeed(seed, i)
+ * @returns {Object} 统计结果 { winsA, winsB, draws, avgTurns, winRateA, seed }
  */
 export function runSimulationBatch(configA, configB, count, options = {}) {
     let winsA = 0, winsB = 0, draws = 0;
     let totalTurns = 0;
+    const batchSeed = normalizeSeed(options.seed) ?? randomSeed();
     
     for (let i = 0; i < count; i++) {
-        const result = runSimulatedGame(configA, configB, options);
+        const result = runSimulatedGame(configA, configB, { ...options, seed: deriveSeed(batchSeed, i) });
         
         if (result.winner === 'A') winsA++;
         else if (result.winner === 'B') winsB++;
@@ -912,7 +1111,8 @@ export function runSimulationBatch(configA, configB, count, options = {}) {
         winsB,
         draws,
         avgTurns: totalTurns / count,
-        winRateA: winsA / count
+        winRateA: winsA / count,
+        seed: batchSeed
     };
 }
 
@@ -1003,6 +1203,7 @@ export async function runSimulatedGameWithProgress(configA, configB, options = {
     
     return {
         winner: engine.stats.winner,
+        seed: engine.seed,
         stats: { ...engine.stats }
     };
 }
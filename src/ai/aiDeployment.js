@@ -7,10 +7,16 @@
  * 导出接口（公开 API）
  * ============================================================================
  * 
- * - deployShips(shipTypes, boardSize): 生成船只配置
- *   - shipTypes: 船只类型数组 [{ name, len, maxHp, code, type }, ...]
+ * - deployShips(shipTypes, boardSize, rng, placementRule): 生成船只配置
+ *   - shipTypes: 船只类型数组 [{ name, len, maxHp, code, type, shape? }, ...]
  *   - boardSize: 棋盘大小
- *   - 返回值: 船只放置结果数组 [{ r, c, v, ...shipType }, ...]
+ *   - rng: [可选] SeededRandom 实例，传入同一种子的实例可复现布局
+ *   - placementRule: [可选] 摆放规则（见 PlacementRule.js），禁止相邻时舰船周围一圈不放其他舰船
+ *   - 返回值: 船只放置结果数组 [{ r, c, rotation, v, ...shipType }, ...]
+ *     （rotation 为外形的旋转，见 ShipShape.js；v 为兼容旧代码的「是否竖直」）
+ * 
+ * - canDeployFleet(shipTypes, boardSize, placementRule): 舰队能否在该棋盘与规则下完整部署
+ *   - 用固定种子试部署，供切换规则/尺寸/舰队前的校验使用，不输出错误日志
  * 
  * ============================================================================
  * 策略说明
@@ -21,44 +27,88 @@
  * 2. 设定最小间距阈值，筛选出所有满足间距要求的合法位置
  * 3. 从满足条件的位置中完全随机选择
  * 4. 如果没有满足间距的位置，逐步降低间距要求
+ * 5. 某艘船无处可放时（禁止相邻规则下的密集舰队）整体重新部署
  */
 
 import { BOARD_SIZE } from '../config/constants.js';
+import { SeededRandom } from './SeededRandom.js';
+import { getOrientations, getShipCells } from '../game/core/ShipShape.js';
+import { PlacementRule, DEFAULT_PLACEMENT_RULE, getSurroundingCells } from '../game/core/PlacementRule.js';
 
-/** 理想最小间距（船只中心点之间） */
+/** 理想最小间距（船只中心点之间，默认尺寸棋盘下的值，按棋盘边长等比缩放） */
 const IDEAL_MIN_DISTANCE = 5.0;
 
 /** 最小可接受间距 */
 const MIN_ACCEPTABLE_DISTANCE = 1.5;
 
+/** 整体部署的最大尝试次数（只有放不下时才会重试） */
+const MAX_DEPLOY_ATTEMPTS = 20;
+
 /**
  * AI 部署船只
  * 
  * @param {Array} shipTypes - 船只类型定义数组
  * @param {number} boardSize - 棋盘大小（默认使用常量）
- * @returns {Array} 船只放置结果，包含位置和方向信息
+ * @param {SeededRandom} rng - 随机数生成器（默认随机种子）
+ * @param {string} placementRule - 摆放规则（默认允许相邻）
+ * @returns {Array} 船只放置结果，包含位置和方向信息；多次尝试仍放不下时缺少放不下的船只
+ */
+export function deployShips(shipTypes, boardSize = BOARD_SIZE, rng = new SeededRandom(), placementRule = DEFAULT_PLACEMENT_RULE) {
+    let placements = [];
+    for (let attempt = 0; attempt < MAX_DEPLOY_ATTEMPTS; attempt++) {
+        placements = tryDeployShips(shipTypes, boardSize, rng, placementRule);
+        if (placements.length === shipTypes.length) return placements;
+    }
+    console.error("AI 部署失败：无法放置全部船只", placementRule);
+    return placements;
+}
+
+/**
+ * 舰队能否在该棋盘与规则下完整部署（固定种子试部署，结果可复现）
+ * 
+ * @param {Array} shipTypes - 船只类型定义数组
+ * @param {number} boardSize - 棋盘大小
+ * @param {string} placementRule - 摆放规则
+ * @returns {boolean}
  */
-export function deployShips(shipTypes, boardSize = BOARD_SIZE) {
+export function canDeployFleet(shipTypes, boardSize = BOARD_SIZE, placementRule = DEFAULT_PLACEMENT_RULE) {
+    const rng = new SeededRandom(0);
+    for (let attempt = 0; attempt < MAX_DEPLOY_ATTEMPTS; attempt++) {
+        if (tryDeployShips(shipTypes, boardSize, rng, placementRule).length === shipTypes.length) return true;
+    }
+    return false;
+}
+
+/**
+ * 尝试一次完整部署
+ * 
+ * @returns {Array} 船只放置结果；某艘船放不下时立即返回已放置的部分
+ */
+function tryDeployShips(shipTypes, boardSize, rng, placementRule) {
     const placements = [];
     const occupiedGrid = createEmptyGrid(boardSize);
     
     // 随机打乱船只顺序，增加不可预测性
-    const shuffledTypes = shuffleArray([...shipTypes]);
+    const shuffledTypes = shuffleArray([...shipTypes], rng);
     
     for (const shipType of shuffledTypes) {
-        const placement = findRandomSparsePlacement(shipType, occupiedGrid, placements, boardSize);
+        const placement = findRandomSparsePlacement(shipType, occupiedGrid, placements, boardSize, rng);
         
         if (placement) {
-            // 标记占用格子
-            markOccupied(occupiedGrid, placement.r, placement.c, shipType.len, placement.v);
+            // 标记占用格子（禁止相邻时连同周围一圈）
+            markOccupied(occupiedGrid, placement.cells);
+            if (placementRule === PlacementRule.NO_TOUCH) {
+                markOccupied(occupiedGrid, getSurroundingCells(placement.cells, boardSize));
+            }
             placements.push({
                 ...shipType,
                 r: placement.r,
                 c: placement.c,
-                v: placement.v
+                rotation: placement.rotation,
+                v: placement.rotation % 2 === 1
             });
         } else {
-            console.error("AI 部署失败：无法放置船只", shipType.name);
+            return placements;
         }
     }
     
@@ -68,9 +118,9 @@ export function deployShips(shipTypes, boardSize = BOARD_SIZE) {
 /**
  * Fisher-Yates 洗牌算法
  */
-function shuffleArray(array) {
+function shuffleArray(array, rng) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = rng.nextInt(i + 1);
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
@@ -86,11 +136,9 @@ function createEmptyGrid(size) {
 /**
  * 标记格子为已占用
  */
-function markOccupied(grid, r, c, len, vertical) {
-    for (let i = 0; i < len; i++) {
-        const nr = vertical ? r + i : r;
-        const nc = vertical ? c : c + i;
-        grid[nr][nc] = 1;
+function markOccupied(grid, cells) {
+    for (const { r, c } of cells) {
+        grid[r][c] = 1;
     }
 }
 
@@ -103,20 +151,20 @@ function markOccupied(grid, r, c, len, vertical) {
  * 3. 从中随机选择一个
  * 4. 如果没有满足间距的位置，逐步降低要求
  */
-function findRandomSparsePlacement(shipType, occupiedGrid, existingPlacements, boardSize) {
+function findRandomSparsePlacement(shipType, occupiedGrid, existingPlacements, boardSize, rng) {
     // 收集所有合法位置及其与已有船只的最小距离
     const allCandidates = [];
     
-    for (let vertical = 0; vertical <= 1; vertical++) {
-        const isVertical = vertical === 1;
-        const maxR = isVertical ? boardSize - shipType.len : boardSize - 1;
-        const maxC = isVertical ? boardSize - 1 : boardSize - shipType.len;
+    for (const orientation of getOrientations(shipType)) {
+        const maxR = boardSize - orientation.rows;
+        const maxC = boardSize - orientation.cols;
         
         for (let r = 0; r <= maxR; r++) {
             for (let c = 0; c <= maxC; c++) {
-                if (isValidPlacement(occupiedGrid, r, c, shipType.len, isVertical, boardSize)) {
-                    const minDist = calculateMinDistance(r, c, shipType.len, isVertical, existingPlacements);
-                    allCandidates.push({ r, c, v: isVertical, minDist });
+                const cells = orientation.cells.map(([dr, dc]) => ({ r: r + dr, c: c + dc }));
+                if (isValidPlacement(occupiedGrid, cells, boardSize)) {
+                    const minDist = calculateMinDistance(cells, existingPlacements);
+                    allCandidates.push({ r, c, rotation: orientation.rotation, cells, minDist });
                 }
             }
         }
@@ -128,15 +176,16 @@ function findRandomSparsePlacement(shipType, occupiedGrid, existingPlacements, b
     
     // 如果是第一艘船，完全随机选择
     if (existingPlacements.length === 0) {
-        return allCandidates[Math.floor(Math.random() * allCandidates.length)];
+        return rng.pick(allCandidates);
     }
     
     // 尝试不同的间距阈值，从理想间距逐步降低
-    for (let threshold = IDEAL_MIN_DISTANCE; threshold >= MIN_ACCEPTABLE_DISTANCE; threshold -= 0.5) {
+    const idealDistance = IDEAL_MIN_DISTANCE * boardSize / BOARD_SIZE;
+    for (let threshold = idealDistance; threshold >= MIN_ACCEPTABLE_DISTANCE; threshold -= 0.5) {
         const sparsePositions = allCandidates.filter(c => c.minDist >= threshold);
         if (sparsePositions.length > 0) {
             // 从满足间距的位置中随机选择
-            return sparsePositions[Math.floor(Math.random() * sparsePositions.length)];
+            return rng.pick(sparsePositions);
         }
     }
     
@@ -145,17 +194,14 @@ function findRandomSparsePlacement(shipType, occupiedGrid, existingPlacements, b
     const topCount = Math.min(5, allCandidates.length);
     const topCandidates = allCandidates.slice(0, topCount);
     
-    return topCandidates[Math.floor(Math.random() * topCandidates.length)];
+    return rng.pick(topCandidates);
 }
 
 /**
  * 检查放置是否合法
  */
-function isValidPlacement(occupiedGrid, r, c, len, vertical, boardSize) {
-    for (let i = 0; i < len; i++) {
-        const nr = vertical ? r + i : r;
-        const nc = vertical ? c : c + i;
-        
+function isValidPlacement(occupiedGrid, cells, boardSize) {
+    for (const { r: nr, c: nc } of cells) {
         // 边界检查
         if (nr >= boardSize || nc >= boardSize) {
             return false;
@@ -175,28 +221,16 @@ function isValidPlacement(occupiedGrid, r, c, len, vertical, boardSize) {
  * 使用船只格子之间的最小距离（而非中心点距离）
  * 这样更准确地反映船只是否"挨在一起"
  */
-function calculateMinDistance(r, c, len, vertical, existingPlacements) {
+function calculateMinDistance(myCells, existingPlacements) {
     if (existingPlacements.length === 0) {
         return Infinity;
     }
     
     let minDist = Infinity;
     
-    // 获取当前船只的所有格子
-    const myCells = [];
-    for (let i = 0; i < len; i++) {
-        myCells.push({
-            r: vertical ? r + i : r,
-            c: vertical ? c : c + i
-        });
-    }
-    
     // 计算与每艘已放置船只的最小格子距离
     for (const ship of existingPlacements) {
-        for (let i = 0; i < ship.len; i++) {
-            const shipR = ship.v ? ship.r + i : ship.r;
-            const shipC = ship.v ? ship.c : ship.c + i;
-            
+        for (const { r: shipR, c: shipC } of getShipCells(ship)) {
             for (const cell of myCells) {
                 const dist = Math.sqrt(
                     Math.pow(cell.r - shipR, 2) + 
@@ -23,42 +23,66 @@
  * ============================================================================
  * 
  * 【生命周期管理】
- * - resetAIState(): 重置 AI 内部状态，每局游戏开始前必须调用
+ * - resetAIState(seed, boardSize, placementRule): 重置 AI 内部状态，每局游戏开始前必须调用
+ *   - seed: [可选] 随机种子，相同种子 + 相同局面得到相同决策；省略时随机生成
+ *   - boardSize: [可选] 本局棋盘尺寸，默认 BOARD_SIZE
+ *   - placementRule: [可选] 本局摆放规则，禁止相邻时采样据此排除贴邻布局
+ * - exportAIState() / importAIState(state): 导出/恢复 AI 内部状态（存档与读档，含随机数状态）
  * 
  * 【决策接口】
  * - makeAIDecision(context): AI 决策主入口，返回攻击指令
- *   - context.viewGrid: AI 视角下的棋盘状态（0=未知，1=未命中，2=命中，3=摧毁，4=疑似，5=已沉没）
+ *   - context.viewGrid: AI 视角下的棋盘状态（0=未知，1=未命中，2=命中，3=摧毁，4=疑似，5=已沉没，6=确认有船）
  *   - context.myShips: 玩家舰船列表（AI 的攻击目标）
  *   - context.enemyShips: 敌方舰船列表（用于判断 AI 自身能力）
  *   - context.difficultyConfig: 难度配置参数（含 alpha, randomness, riskAwareness）
  *   - context.playerViewGrid: [可选] 玩家视角的 AI 棋盘（用于对称推演，提升风险感知）
- *   - 返回值: { weapon: 'AP'|'HE'|'SONAR', r: number, c: number }
+ *   - context.boardSize: [可选] 本局棋盘尺寸，省略时沿用 resetAIState 设定的尺寸
+ *   - context.placementRule: [可选] 本局摆放规则，省略时沿用 resetAIState 设定的规则
+ *   - context.salvoSize: [可选] 齐射模式下本轮的射击次数（存活舰船数）
+ *   - context.weaponStock: [可选] AI 的武器库存（剩余弹药与冷却），省略时不限
+ *   - context.opponentStock: [可选] 玩家的武器库存（对称推演时据此限制玩家的武器）
+ *   - context.reconReports: [可选] AI 在玩家棋盘上得到的侦察回报（采样时作为行 / 列船体格数的硬约束）
+ *   - context.opponentReconReports: [可选] 玩家在 AI 棋盘上得到的侦察回报（对称推演时使用）
+ *   - context.ownDefenses: [可选] AI 已部署的防御（同一种防御仍能生效时不再重复部署）
+ *   - 返回值: { weapon: 武器 id, r: number, c: number }（鱼雷另有 heading，空袭与侦察另有 aim）；齐射时为 salvoSize 个主炮指令的数组
  * 
  * 【调试接口】
- * - calculateProbabilityGrid(viewGrid, targets): 计算概率热力图，供调试显示
+ * - calculateProbabilityGrid(viewGrid, targets, difficultyConfig, placementRule, reconReports): 计算概率热力图，供调试显示
+ * 
+ * 【工具函数】
+ * - scaleSampleCount(baseCount, boardSize): 按棋盘尺寸换算蒙特卡洛采样数（SimulationEngine 共用）
+ * - selectSalvoTargets(beliefState, count, options): 齐射联合选点，按联合熵 + 期望伤害选出一组目标（SimulationEngine 共用）
+ * - applyChargeCosts(scored, stock): 为弹药有限的行动扣除机会成本（SimulationEngine 共用）
+ * - getSubmarineChances(beliefState, cells): 深水炸弹覆盖各格有潜艇的概率（SimulationEngine 共用）
+ * - getLineCountEntropy(beliefState, cells): 侦察回报数量的熵，即侦察的期望信息增益（SimulationEngine 共用）
+ * - buildReconCounts(reports, blocked): 侦察回报转为采样约束（SimulationEngine 共用）
  * 
  * ============================================================================
  * 注意事项
  * ============================================================================
- * - AI 模块维护内部状态（伤害记录），不再是完全无状态
+ * - AI 模块维护内部状态（伤害记录、随机数生成器），不再是完全无状态
+ * - 所有随机性来自 aiRandom（SeededRandom），不直接调用 Math.random()
  * - 每局游戏开始前必须调用 resetAIState() 重置状态
  * - makeAIDecision() 返回的决策假定一定会被执行，AI 会据此更新内部状态
  * - 对称推演需要 playerViewGrid，若未提供则跳过风险计算（优雅降级）
+ * - 防御行动（防空掩护、烟幕）不参与行动枚举，只按对称推演预测的对手行动评分（见 scoreDefenseActions），
+ *   因此只在 riskAwareness > 0 且提供了 playerViewGrid 时才会防御
  */
 
 import { BOARD_SIZE } from '../config/constants.js';
+import { SeededRandom } from './SeededRandom.js';
 
-// 导入武器类用于获取范围（避免重复定义）
-import { APWeapon } from '../game/weapons/APWeapon.js';
-import { HEWeapon } from '../game/weapons/HEWeapon.js';
-import { SonarWeapon } from '../game/weapons/SonarWeapon.js';
-
-// 创建武器实例用于获取范围
-const weaponInstances = {
-    AP: new APWeapon(),
-    HE: new HEWeapon(),
-    SONAR: new SonarWeapon()
-};
+// 武器的范围、伤害与可用条件来自武器定义（与武器栏、模拟器共用）
+import { WEAPON_DEFINITIONS } from '../data/weapons.js';
+import {
+    WeaponEffect, WeaponTarget, DEFAULT_WEAPON, getWeaponEffect, getWeaponCoverage as getDefinedCoverage, getEdgeLaunches, getWeaponAims,
+    getAimLine, getLineTargets, isDamagingWeapon, isWeaponAvailable, getWeaponCellDamage, getWeaponMaxDamage
+} from '../game/core/WeaponRules.js';
+import { getFleetAbilities, isSubmarine } from '../game/core/Fleet.js';
+import { cloneWeaponStock, getWeaponCharges, isWeaponReady, spendWeapons } from '../game/core/WeaponStock.js';
+import { createDefense, getInterceptedCells, isAirStrike } from '../game/core/Defenses.js';
+import { getOrientations, getShipCells } from '../game/core/ShipShape.js';
+import { PlacementRule, DEFAULT_PLACEMENT_RULE, getSurroundingCells } from '../game/core/PlacementRule.js';
 
 // ============================================================================
 // 常量定义
@@ -71,13 +95,29 @@ const CellState = {
     HIT: 2,         // 命中但未摧毁
     DESTROYED: 3,   // 已摧毁
     SUSPECT: 4,     // 疑似（声纳标记）
-    SUNK: 5         // 已沉没船只占位
+    SUNK: 5,        // 已沉没船只占位
+    OCCUPIED: 6     // 深水炸弹确认有船（非潜艇），未受伤害
 };
 
-/** 蒙特卡洛采样数量（默认值） */
+/**
+ * AI 的武器用法：会作为目标的格子状态、随机决策时的选用概率（见武器定义的 ai 字段）
+ * launch 为从边缘发射的武器（鱼雷），按发射位置而不是目标格枚举；
+ * aims 为可切换的打击样式，每种样式作为单独的行动；
+ * lines 为整行 / 整列样式的武器（侦察），按行号 / 列号而不是目标格枚举
+ */
+const AI_WEAPONS = WEAPON_DEFINITIONS.map(def => ({
+    id: def.id,
+    targets: def.ai.targets.map(name => CellState[name]),
+    random: def.ai.random ?? 0,
+    launch: def.target === WeaponTarget.EDGE,
+    aims: getWeaponAims(def.id),
+    lines: getWeaponAims(def.id).some(aim => getAimLine(def.id, aim))
+}));
+
+/** 蒙特卡洛采样数量（默认尺寸棋盘下的基准值，实际按棋盘尺寸换算） */
 const SAMPLE_COUNT = 700;
 
-/** 对称推演采样数量（较小以平衡多步开销） */
+/** 对称推演采样数量（较小以平衡多步开销，同样按棋盘尺寸换算） */
 const OPPONENT_SAMPLE_COUNT = 50;
 
 /** 向前推演步数 */
@@ -86,6 +126,12 @@ const LOOKAHEAD_STEPS = 5;
 /** 最小概率阈值，防止数值问题 */
 const MIN_PROB = 1e-10;
 
+/** 弹药保留系数：用掉最后一发有限弹药的机会成本，按本回合最优不限弹药行动效用的比例计 */
+const CHARGE_RESERVE = 0.5;
+
+/** 防御的预测折扣：对手第 k 步（从 0 起）的预测行动按 DEFENSE_DISCOUNT^k 计入防御的效用 */
+const DEFENSE_DISCOUNT = 0.7;
+
 // ============================================================================
 // AI 内部状态（模块级）
 // ============================================================================
@@ -97,11 +143,43 @@ const MIN_PROB = 1e-10;
  */
 let damageDealtGrid = null;
 
+/**
+ * 本局棋盘尺寸
+ * 由 resetAIState / importAIState 设定，makeAIDecision 传入 context.boardSize 时以其为准
+ */
+let aiBoardSize = BOARD_SIZE;
+
+/**
+ * 本局摆放规则
+ * 由 resetAIState / importAIState 设定，makeAIDecision 传入 context.placementRule 时以其为准
+ */
+let aiPlacementRule = DEFAULT_PLACEMENT_RULE;
+
+/**
+ * AI 随机数生成器
+ * 决策扰动、并列择优与蒙特卡洛采样共用，由 resetAIState(seed) 重新播种
+ */
+let aiRandom = new SeededRandom();
+
+/**
+ * 按棋盘尺寸换算采样数
+ * 棋盘越大可行布局越多，需要更多样本；但每个样本要参与的行动评估也随格子数增长，
+ * 折中按边长等比换算，16×16 棋盘下单次决策耗时约为默认尺寸的 3 倍
+ *
+ * @export
+ * @param {number} baseCount - 默认尺寸（BOARD_SIZE）下的采样数
+ * @param {number} boardSize - 实际棋盘尺寸
+ * @returns {number} 换算后的采样数
+ */
+export function scaleSampleCount(baseCount, boardSize) {
+    return Math.max(1, Math.round(baseCount * boardSize / BOARD_SIZE));
+}
+
 /**
  * 创建空的伤害记录网格
  */
 function createEmptyDamageGrid() {
-    return Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
+    return Array(aiBoardSize).fill(0).map(() => Array(aiBoardSize).fill(0));
 }
 
 /**
@@ -109,44 +187,75 @@ function createEmptyDamageGrid() {
  * 每局游戏开始前必须调用此函数
  * 
  * @export
+ * @param {number} [seed] - 随机种子，省略时随机生成
+ * @param {number} [boardSize=BOARD_SIZE] - 本局棋盘尺寸
+ * @param {string} [placementRule=DEFAULT_PLACEMENT_RULE] - 本局摆放规则
  */
-export function resetAIState() {
+export function resetAIState(seed, boardSize = BOARD_SIZE, placementRule = DEFAULT_PLACEMENT_RULE) {
+    aiBoardSize = boardSize;
+    aiPlacementRule = placementRule;
     damageDealtGrid = createEmptyDamageGrid();
+    aiRandom = new SeededRandom(seed);
+}
+
+/**
+ * 导出 AI 内部状态（用于存档）
+ * 
+ * @export
+ * @returns {{ damageDealtGrid: number[][], random: { seed: number, state: number }, placementRule: string }}
+ */
+export function exportAIState() {
+    const grid = damageDealtGrid || createEmptyDamageGrid();
+    return { damageDealtGrid: grid.map(row => [...row]), random: aiRandom.getState(), placementRule: aiPlacementRule };
+}
+
+/**
+ * 恢复 AI 内部状态（用于读档）
+ * 
+ * @export
+ * @param {{ damageDealtGrid: number[][], random?: Object, placementRule?: string }} state - exportAIState() 的输出
+ */
+export function importAIState(state) {
+    if (state && Array.isArray(state.damageDealtGrid)) {
+        damageDealtGrid = state.damageDealtGrid.map(row => [...row]);
+        aiBoardSize = damageDealtGrid.length;
+    } else {
+        damageDealtGrid = createEmptyDamageGrid();
+    }
+    aiRandom = new SeededRandom();
+    if (state && state.random) aiRandom.setState(state.random);
+    aiPlacementRule = state?.placementRule ?? DEFAULT_PLACEMENT_RULE;
 }
 
 /**
  * 记录 AI 攻击造成的伤害
  * 在 makeAIDecision 返回前调用，假设决策一定会被执行
  * 
- * @param {Object} action - 攻击行动 { weapon, r, c }
+ * 鱼雷击中哪一格要等结算才知道，按置信状态中的命中分布记录期望伤害
+ * 
+ * @param {Object} action - 攻击行动 { weapon, r, c, heading?, aim? }
  * @param {Object} abilities - AI 能力（含 apDamage）
+ * @param {BeliefState} beliefState - 决策时的置信状态
  */
-function recordDamageDealt(action, abilities) {
+function recordDamageDealt(action, abilities, beliefState) {
     if (!damageDealtGrid) {
         damageDealtGrid = createEmptyDamageGrid();
     }
     
     const { weapon, r, c } = action;
+    const damage = getWeaponCellDamage(weapon, abilities);
+    if (damage === 0) return; // 水听不造成伤害
     
-    if (weapon === 'SONAR') {
-        return; // 声纳不造成伤害
-    }
-    
-    if (weapon === 'AP') {
-        // AP 单点攻击
-        if (r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE) {
-            damageDealtGrid[r][c] += abilities.apDamage;
-        }
-    } else if (weapon === 'HE') {
-        // HE X 型攻击，每格 1 点伤害
-        const offsets = [[0, 0], [-1, -1], [-1, 1], [1, -1], [1, 1]];
-        for (const [dr, dc] of offsets) {
-            const nr = r + dr;
-            const nc = c + dc;
-            if (nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE) {
-                damageDealtGrid[nr][nc] += 1;
-            }
+    const effect = getWeaponEffect(weapon);
+    if (effect === WeaponEffect.TORPEDO || effect === WeaponEffect.DEPTH_CHARGE) {
+        for (const cell of getStrikeChances(action, beliefState)) {
+            damageDealtGrid[cell.r][cell.c] += cell.chance * damage;
         }
+        return;
+    }
+
+    for (const cell of getWeaponCoverage(weapon, r, c, action)) {
+        damageDealtGrid[cell.r][cell.c] += damage;
     }
 }
 
@@ -158,19 +267,32 @@ function recordDamageDealt(action, abilities) {
  * AI 决策主入口（增强版：支持多步推演与风险感知）
  * 
  * @param {Object} context - 决策上下文
- * @param {Array<Array<number>>} context.viewGrid - AI 视角棋盘 (BOARD_SIZE x BOARD_SIZE)
+ * @param {Array<Array<number>>} context.viewGrid - AI 视角棋盘 (boardSize x boardSize)
  * @param {Array} context.myShips - 玩家舰船状态（AI 的攻击目标）
  * @param {Array} context.enemyShips - 敌方舰船状态（AI 自身的船）
  * @param {Object} context.difficultyConfig - 难度配置
  * @param {Array<Array<number>>} [context.playerViewGrid] - 玩家视角的 AI 棋盘（用于对称推演）
- * @returns {{ weapon: string, r: number, c: number }} 攻击指令
+ * @param {number} [context.boardSize] - 本局棋盘尺寸
+ * @param {string} [context.placementRule] - 本局摆放规则
+ * @param {number} [context.salvoSize] - 齐射模式下本轮的射击次数，省略时为单发
+ * @param {Object} [context.weaponStock] - AI 的武器库存，省略时弹药与冷却不限
+ * @param {Object} [context.opponentStock] - 玩家的武器库存（对称推演用）
+ * @param {Array<Object>} [context.ownDefenses] - AI 已部署的防御
+ * @returns {{ weapon: string, r: number, c: number, heading?: string, aim?: string }|Array<{ weapon: string, r: number, c: number }>}
+ *   攻击指令（鱼雷另有航向，空袭另有打击样式），齐射时为各发的数组
  */
 export function makeAIDecision(context) {
     const { viewGrid, myShips, enemyShips, difficultyConfig, playerViewGrid } = context;
     const { alpha = 0.5, randomness = 0, riskAwareness = 0 } = difficultyConfig;
+    if (context.boardSize && context.boardSize !== aiBoardSize) {
+        // 尺寸变化说明未按本局尺寸重置，旧的伤害记录已无意义
+        aiBoardSize = context.boardSize;
+        damageDealtGrid = createEmptyDamageGrid();
+    }
+    if (context.placementRule) aiPlacementRule = context.placementRule;
 
     // 1. 检查 AI 可用的武器能力
-    const abilities = checkAIAbilities(enemyShips);
+    const abilities = checkAIAbilities(enemyShips, context.weaponStock);
     
     // 2. 获取存活的目标船只
     const aliveTargets = myShips.filter(s => !s.sunk);
@@ -178,13 +300,20 @@ export function makeAIDecision(context) {
         return findFallbackTarget(viewGrid);
     }
 
+    // 齐射：联合选出本轮的全部目标（只有主炮，不做对称推演）
+    if (context.salvoSize) {
+        return makeSalvoDecision(viewGrid, aliveTargets, abilities, alpha, randomness, context.salvoSize);
+    }
+
     // 3. 难度控制：随机扰动
-    if (Math.random() < randomness) {
+    if (aiRandom.next() < randomness) {
         return makeRandomDecision(viewGrid, abilities);
     }
 
     // 4. 构建置信状态（蒙特卡洛采样）
-    const beliefState = new BeliefState(aliveTargets, viewGrid);
+    const beliefState = new BeliefState(
+        aliveTargets, viewGrid, scaleSampleCount(SAMPLE_COUNT, aiBoardSize), aiRandom, aiPlacementRule, context.reconReports
+    );
     
     // 5. 枚举所有可用行动
     const actions = enumerateAllActions(viewGrid, abilities);
@@ -193,24 +322,23 @@ export function makeAIDecision(context) {
         return findFallbackTarget(viewGrid);
     }
 
-    // 6. 【增强】多步推演：评估各船的累积威胁
+    // 6. 【增强】多步推演：评估各船的累积威胁，并预测玩家接下来的行动
     let shipThreats = null;
+    let predictedActions = [];
     if (riskAwareness > 0 && playerViewGrid) {
-        shipThreats = simulateMultiStepThreats(
+        ({ shipThreats, predictedActions } = simulateMultiStepThreats(
             playerViewGrid, 
             enemyShips, 
             myShips, 
+            context.opponentStock,
+            context.opponentReconReports,
             alpha,
             LOOKAHEAD_STEPS
-        );
+        ));
     }
 
-    // 7. 找到最优行动
-    let bestAction = null;
-    let bestScore = -Infinity;
-    const candidates = [];
-
-    for (const action of actions) {
+    // 7. 评分
+    const scored = actions.map(action => {
         // 基础评分（原有逻辑）
         const baseUtility = evaluateAction(beliefState, action, abilities, alpha);
         
@@ -224,7 +352,23 @@ export function makeAIDecision(context) {
             );
             score = baseUtility * (1 + riskAwareness * normRiskBonus);
         }
-        
+        return { action, score };
+    });
+
+    // 7b. 防御：玩家接下来的空袭 / 水听可以预先化解，与攻击一同比较
+    scored.push(...scoreDefenseActions(
+        predictedActions, enemyShips, playerViewGrid, abilities, context.ownDefenses ?? []
+    ));
+
+    // 8. 弹药有限的武器：现在用掉一发，之后就少一发可用
+    applyChargeCosts(scored, abilities.stock);
+
+    // 9. 找到最优行动
+    let bestAction = null;
+    let bestScore = -Infinity;
+    const candidates = [];
+
+    for (const { action, score } of scored) {
         if (score > bestScore + 1e-9) {
             bestScore = score;
             candidates.length = 0;
@@ -235,14 +379,63 @@ export function makeAIDecision(context) {
     }
 
     // 从并列最优中随机选择（增加不可预测性）
-    bestAction = candidates[Math.floor(Math.random() * candidates.length)];
+    bestAction = aiRandom.pick(candidates);
     
     // 记录即将造成的伤害（假设决策一定会被执行）
-    recordDamageDealt(bestAction, abilities);
+    recordDamageDealt(bestAction, abilities, beliefState);
     
     return bestAction;
 }
 
+/**
+ * 齐射决策
+ * 难度的随机扰动按发生效：每一发都有 randomness 的概率换成随机目标
+ *
+ * @param {number[][]} viewGrid
+ * @param {Array} aliveTargets - 存活的目标船只
+ * @param {Object} abilities - AI 能力
+ * @param {number} alpha - 探索权重
+ * @param {number} randomness - 随机扰动概率
+ * @param {number} count - 本轮射击次数
+ * @returns {Array<{ weapon: string, r: number, c: number }>}
+ */
+function makeSalvoDecision(viewGrid, aliveTargets, abilities, alpha, randomness, count) {
+    if (!damageDealtGrid) {
+        damageDealtGrid = createEmptyDamageGrid();
+    }
+    const beliefState = new BeliefState(aliveTargets, viewGrid, scaleSampleCount(SAMPLE_COUNT, aiBoardSize));
+    const shots = selectSalvoTargets(beliefState, count, {
+        alpha, apDamage: abilities.apDamage, damageGrid: damageDealtGrid, rng: aiRandom
+    });
+    if (shots.length === 0) {
+        return [findFallbackTarget(viewGrid)];
+    }
+
+    if (randomness > 0) {
+        const taken = new Set(shots.map(({ r, c }) => `${r},${c}`));
+        for (const shot of shots) {
+            if (aiRandom.next() >= randomness) continue;
+            const free = [];
+            for (let r = 0; r < aiBoardSize; r++) {
+                for (let c = 0; c < aiBoardSize; c++) {
+                    const state = viewGrid[r][c];
+                    if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK) continue;
+                    if (!taken.has(`${r},${c}`)) free.push({ r, c });
+                }
+            }
+            if (free.length === 0) break;
+            const { r, c } = aiRandom.pick(free);
+            taken.delete(`${shot.r},${shot.c}`);
+            taken.add(`${r},${c}`);
+            shot.r = r;
+            shot.c = c;
+        }
+    }
+
+    shots.forEach(shot => recordDamageDealt(shot, abilities));
+    return shots;
+}
+
 // ============================================================================
 // 置信状态管理（蒙特卡洛采样）
 // ============================================================================
@@ -256,12 +449,18 @@ class BeliefState {
     /**
      * @param {Ship[]} ships - 目标船只
      * @param {number[][]} viewGrid - 视角网格
-     * @param {number} [sampleCount=SAMPLE_COUNT] - 采样数量
+     * @param {number} [sampleCount=SAMPLE_COUNT] - 采样数量（调用方按棋盘尺寸换算后传入）
+     * @param {SeededRandom} [rng=aiRandom] - 采样使用的随机数生成器
+     * @param {string} [placementRule=aiPlacementRule] - 摆放规则
+     * @param {Array<Object>} [reconReports=[]] - 该棋盘上的侦察回报（行 / 列船体格数的硬约束）
      */
-    constructor(ships, viewGrid, sampleCount = SAMPLE_COUNT) {
+    constructor(ships, viewGrid, sampleCount = SAMPLE_COUNT, rng = aiRandom, placementRule = aiPlacementRule, reconReports = []) {
         this.ships = ships;
         this.viewGrid = viewGrid;
-        this.boardSize = BOARD_SIZE;
+        this.boardSize = viewGrid.length;
+        this.rng = rng;
+        this.noTouch = placementRule === PlacementRule.NO_TOUCH;
+        this.reconReports = reconReports;
         
         // 预计算约束信息
         this.constraints = this._buildConstraints();
@@ -278,24 +477,35 @@ class BeliefState {
      * 构建约束条件
      */
     _buildConstraints() {
-        const mustHit = [];      // 必须包含的命中点
+        const mustHit = [];      // 必须包含的命中点（含深水炸弹确认有船的格子）
         const mustAvoid = [];    // 必须避开的点（miss/sunk）
         const suspect = [];      // 疑似点（软约束，增加权重）
+        const sunk = [];         // 已沉没船只占位
         
         for (let r = 0; r < this.boardSize; r++) {
             for (let c = 0; c < this.boardSize; c++) {
                 const state = this.viewGrid[r][c];
-                if (state === CellState.HIT || state === CellState.DESTROYED) {
+                if (state === CellState.HIT || state === CellState.DESTROYED || state === CellState.OCCUPIED) {
                     mustHit.push({ r, c });
                 } else if (state === CellState.MISS || state === CellState.SUNK) {
                     mustAvoid.push({ r, c });
+                    if (state === CellState.SUNK) sunk.push({ r, c });
                 } else if (state === CellState.SUSPECT) {
                     suspect.push({ r, c });
                 }
             }
         }
         
-        return { mustHit, mustAvoid, suspect };
+        // 禁止相邻：沉船周围一圈必然无船，等同于 miss
+        const blocked = new Set();
+        if (this.noTouch) {
+            getSurroundingCells(sunk, this.boardSize).forEach(({ r, c }) => blocked.add(`${r},${c}`));
+        }
+        
+        // 侦察回报：报告为 0 的格子必然无船，其余回报约束采样中的船体格数
+        const counts = buildReconCounts(this.reconReports, blocked);
+        
+        return { mustHit, mustAvoid, suspect, blocked, counts };
     }
 
     /**
@@ -314,9 +524,15 @@ class BeliefState {
             }
         }
         
+        // 侦察回报与其余观测在推演出的假设局面中可能无法同时满足，此时放弃计数约束
+        if (samples.length === 0 && this.constraints.counts.length > 0) {
+            this.constraints.counts = [];
+            return this._sampleConfigurations(n);
+        }
+        
         // 如果采样不足，用已有样本填充
         while (samples.length < n && samples.length > 0) {
-            samples.push(samples[Math.floor(Math.random() * samples.length)]);
+            samples.push(this.rng.pick(samples));
         }
         
         return samples;
@@ -328,21 +544,30 @@ class BeliefState {
     _sampleOneConfiguration() {
         const occupied = new Set();
         const config = [];
+        // 各侦察回报已放入的船体格数
+        const tallies = this.constraints.counts.map(() => 0);
         
         // 按船只长度降序排列，大船先放
         const sortedShips = [...this.ships].sort((a, b) => b.len - a.len);
         
         for (const ship of sortedShips) {
-            const placement = this._sampleShipPlacement(ship, occupied);
+            const placement = this._sampleShipPlacement(ship, occupied, tallies);
             if (!placement) {
                 return null; // 放置失败，整个配置作废
             }
             config.push(placement);
+            placement.tally.forEach((n, i) => { tallies[i] += n; });
             placement.cells.forEach(cell => occupied.add(`${cell.r},${cell.c}`));
+            if (this.noTouch) {
+                // 禁止相邻：后放的船也不能贴着这艘船
+                getSurroundingCells(placement.cells, this.boardSize)
+                    .forEach(cell => occupied.add(`${cell.r},${cell.c}`));
+            }
         }
         
-        // 验证配置是否满足 mustHit 约束
-        if (!this._validateMustHit(config)) {
+        // 验证配置是否满足 mustHit 约束与侦察回报的格数
+        if (!this._validateMustHit(config)
+            || this.constraints.counts.some(({ count }, i) => tallies[i] !== count)) {
             return null;
         }
         
@@ -351,15 +576,15 @@ class BeliefState {
 
     /**
      * 为单艘船采样一个合法放置位置
+     * tallies 为各侦察回报已放入的船体格数：超出回报的放置不合法，能补足回报的放置加权
      */
-    _sampleShipPlacement(ship, occupied) {
+    _sampleShipPlacement(ship, occupied, tallies) {
         const validPlacements = [];
         
-        // 枚举所有可能的放置
-        for (let vertical = 0; vertical <= 1; vertical++) {
-            const isVertical = vertical === 1;
-            const maxR = isVertical ? this.boardSize - ship.len : this.boardSize - 1;
-            const maxC = isVertical ? this.boardSize - 1 : this.boardSize - ship.len;
+        // 枚举所有可能的放置（外形的每个朝向 × 每个左上角位置）
+        for (const orientation of getOrientations(ship)) {
+            const maxR = this.boardSize - orientation.rows;
+            const maxC = this.boardSize - orientation.cols;
             
             for (let r = 0; r <= maxR; r++) {
                 for (let c = 0; c <= maxC; c++) {
@@ -368,28 +593,29 @@ class BeliefState {
                     let hitCount = 0;
                     let suspectCount = 0;
                     
-                    for (let i = 0; i < ship.len; i++) {
-                        const nr = isVertical ? r + i : r;
-                        const nc = isVertical ? c : c + i;
+                    for (const [dr, dc] of orientation.cells) {
+                        const nr = r + dr;
+                        const nc = c + dc;
                         const key = `${nr},${nc}`;
                         
-                        // 检查是否与已放置船只重叠
-                        if (occupied.has(key)) {
+                        // 检查是否与已放置船只重叠（禁止相邻时也不能贴着），或落在沉船周围
+                        if (occupied.has(key) || this.constraints.blocked.has(key)) {
                             valid = false;
                             break;
                         }
                         
                         const state = this.viewGrid[nr][nc];
                         
-                        // 不能穿越 miss 或已沉没的船
-                        if (state === CellState.MISS || state === CellState.SUNK) {
+                        // 不能穿越 miss 或已沉没的船；深水炸弹确认的格子不会是潜艇
+                        if (state === CellState.MISS || state === CellState.SUNK
+                            || (state === CellState.OCCUPIED && isSubmarine(ship))) {
                             valid = false;
                             break;
                         }
                         
                         cells.push({ r: nr, c: nc });
                         
-                        if (state === CellState.HIT || state === CellState.DESTROYED) {
+                        if (state === CellState.HIT || state === CellState.DESTROYED || state === CellState.OCCUPIED) {
                             hitCount++;
                         }
                         if (state === CellState.SUSPECT) {
@@ -397,10 +623,24 @@ class BeliefState {
                         }
                     }
                     
+                    if (!valid) continue;
+                    
+                    const tally = this.constraints.counts.map(({ keys }) =>
+                        cells.filter(cell => keys.has(`${cell.r},${cell.c}`)).length);
+                    let reconCount = 0;
+                    for (let i = 0; i < tally.length; i++) {
+                        const missing = this.constraints.counts[i].count - tallies[i];
+                        if (tally[i] > missing) {
+                            valid = false;
+                            break;
+                        }
+                        reconCount += tally[i];
+                    }
+                    
                     if (valid) {
-                        // 权重：命中点越多权重越高，疑似点也有加成
-                        const weight = 1 + hitCount * 10 + suspectCount * 2;
-                        validPlacements.push({ cells, weight, shipId: ship.id });
+                        // 权重：命中点越多权重越高，疑似点与侦察回报尚缺的船体格也有加成
+                        const weight = 1 + hitCount * 10 + suspectCount * 2 + reconCount * 5;
+                        validPlacements.push({ cells, weight, shipId: ship.id, tally });
                     }
                 }
             }
@@ -412,7 +652,7 @@ class BeliefState {
         
         // 加权随机选择
         const totalWeight = validPlacements.reduce((sum, p) => sum + p.weight, 0);
-        let rand = Math.random() * totalWeight;
+        let rand = this.rng.next() * totalWeight;
         
         for (const placement of validPlacements) {
             rand -= placement.weight;
@@ -433,7 +673,7 @@ class BeliefState {
         for (const placement of config) {
             for (const cell of placement.cells) {
                 const state = this.viewGrid[cell.r][cell.c];
-                if (state === CellState.HIT || state === CellState.DESTROYED) {
+                if (state === CellState.HIT || state === CellState.DESTROYED || state === CellState.OCCUPIED) {
                     coveredHits.add(`${cell.r},${cell.c}`);
                 }
             }
@@ -480,13 +720,14 @@ class BeliefState {
             }
         }
         
-        // 已命中点设为 1，无效点设为 0
+        // 已命中点设为 1，无效点（含禁止相邻时的沉船周围）设为 0
         for (let r = 0; r < this.boardSize; r++) {
             for (let c = 0; c < this.boardSize; c++) {
                 const state = this.viewGrid[r][c];
-                if (state === CellState.HIT) {
+                if (state === CellState.HIT || state === CellState.OCCUPIED) {
                     grid[r][c] = 1;
-                } else if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK) {
+                } else if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK
+                    || this.constraints.blocked.has(`${r},${c}`)) {
                     grid[r][c] = 0;
                 }
             }
@@ -528,44 +769,42 @@ class BeliefState {
      * 计算执行某行动后的条件熵（近似）
      */
     getConditionalEntropy(action) {
-        const { weapon, r, c } = action;
         const probGrid = this.getProbabilityGrid();
         
-        if (weapon === 'SONAR') {
-            return this._getSonarConditionalEntropy(r, c, probGrid);
-        } else {
-            // AP 和 HE 都是攻击类武器
-            return this._getAttackConditionalEntropy(action, probGrid);
+        switch (getWeaponEffect(action.weapon)) {
+            case WeaponEffect.SCAN:
+                return this._getSonarConditionalEntropy(action, probGrid);
+            case WeaponEffect.RECON:
+                return this._getReconConditionalEntropy(action);
+            case WeaponEffect.TORPEDO:
+                return this._getTorpedoConditionalEntropy(action, probGrid);
+            default:
+                return this._getAttackConditionalEntropy(action, probGrid);
         }
     }
 
     /**
      * 声纳的条件熵计算
-     * 声纳揭示 3x3 区域的信息
+     * 声纳揭示扫描范围内的信息
      */
-    _getSonarConditionalEntropy(r, c, probGrid) {
+    _getSonarConditionalEntropy(action, probGrid) {
+        const { weapon, r, c } = action;
         // 声纳结果分两种情况：有船 / 无船
         // 中心点概率
         const centerProb = (r >= 0 && r < this.boardSize && c >= 0 && c < this.boardSize) 
             ? probGrid[r][c] : 0;
         
-        // 计算 3x3 区域的总不确定性
+        // 计算扫描范围的总不确定性
         let areaEntropy = 0;
         let unknownCount = 0;
         
-        for (let i = -1; i <= 1; i++) {
-            for (let j = -1; j <= 1; j++) {
-                const nr = r + i;
-                const nc = c + j;
-                if (nr >= 0 && nr < this.boardSize && nc >= 0 && nc < this.boardSize) {
-                    const state = this.viewGrid[nr][nc];
-                    if (state === CellState.UNKNOWN || state === CellState.SUSPECT) {
-                        const p = probGrid[nr][nc];
-                        if (p > MIN_PROB && p < 1 - MIN_PROB) {
-                            areaEntropy += -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
-                            unknownCount++;
-                        }
-                    }
+        for (const cell of this._getWeaponCoverage(weapon, r, c, action)) {
+            const state = this.viewGrid[cell.r][cell.c];
+            if (state === CellState.UNKNOWN || state === CellState.SUSPECT) {
+                const p = probGrid[cell.r][cell.c];
+                if (p > MIN_PROB && p < 1 - MIN_PROB) {
+                    areaEntropy += -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
+                    unknownCount++;
                 }
             }
         }
@@ -587,6 +826,16 @@ class BeliefState {
         return Math.max(0, currentEntropy - Math.max(0, currentEntropy - expectedEntropy));
     }
 
+    /**
+     * 侦察的条件熵计算
+     * 侦察只回报整行 / 整列未暴露格子中的船体格数，得到的信息量即回报数量的熵
+     */
+    _getReconConditionalEntropy(action) {
+        const { weapon, r, c } = action;
+        const cells = this._getWeaponCoverage(weapon, r, c, action);
+        return Math.max(0, this.getEntropy() - getLineCountEntropy(this, cells));
+    }
+
     /**
      * 攻击类武器的条件熵计算
      */
@@ -595,7 +844,7 @@ class BeliefState {
         const currentEntropy = this.getEntropy();
         
         // 获取攻击覆盖的格子
-        const cells = this._getWeaponCoverage(weapon, r, c);
+        const cells = this._getWeaponCoverage(weapon, r, c, action);
         
         // 计算这些格子的总熵
         let coveredEntropy = 0;
@@ -614,6 +863,28 @@ class BeliefState {
         return Math.max(0, currentEntropy - coveredEntropy);
     }
 
+    /**
+     * 鱼雷的条件熵计算
+     * 鱼雷揭示航线上直到击中格为止的未知格子（途经的是海面，击中的有船），
+     * 揭示的范围取决于第一个有船的格子，按命中分布取期望；未击中时整条航线都被揭示
+     */
+    _getTorpedoConditionalEntropy(action, probGrid) {
+        const { weapon, r, c } = action;
+        const currentEntropy = this.getEntropy();
+        const { cells, missChance } = getTorpedoHitChances(this, this._getWeaponCoverage(weapon, r, c, action));
+        
+        // revealedEntropy：航行到当前格为止揭示的熵
+        let revealedEntropy = 0;
+        let expectedRevealed = 0;
+        for (const cell of cells) {
+            revealedEntropy += this._cellEntropy(probGrid[cell.r][cell.c]);
+            expectedRevealed += cell.chance * revealedEntropy;
+        }
+        expectedRevealed += missChance * revealedEntropy;
+        
+        return Math.max(0, currentEntropy - expectedRevealed);
+    }
+
     /**
      * 单格的二元熵
      */
@@ -623,15 +894,11 @@ class BeliefState {
     }
 
     /**
-     * 获取武器覆盖的格子
-     * 使用武器类的 previewArea 方法，保持一致性
+     * 获取武器覆盖的格子（来自武器定义，与武器栏的预览一致；鱼雷为航线）
+     * orientation 为带 heading / aim 的行动本身
      */
-    _getWeaponCoverage(weapon, r, c) {
-        const instance = weaponInstances[weapon];
-        if (instance) {
-            return instance.previewArea({ r, c }).cells;
-        }
-        return [{ r, c }];
+    _getWeaponCoverage(weapon, r, c, orientation) {
+        return getDefinedCoverage(weapon, r, c, this.boardSize, orientation);
     }
 }
 
@@ -645,8 +912,7 @@ class BeliefState {
  * utility = alpha * 归一化信息增益 + (1 - alpha) * 归一化期望伤害
  */
 function evaluateAction(beliefState, action, abilities, alpha) {
-    const { weapon, r, c } = action;
-    const probGrid = beliefState.getProbabilityGrid();
+    const { weapon } = action;
     
     // 1. 计算信息增益
     const currentEntropy = beliefState.getEntropy();
@@ -659,15 +925,15 @@ function evaluateAction(beliefState, action, abilities, alpha) {
     // 2. 计算期望伤害
     // 动态获取当前存活船只的最大血量，用于估算伤害溢出
     const maxShipHp = Math.max(...beliefState.ships.map(s => s.maxHp ?? 1));
-    const expectedDamage = calculateExpectedDamage(action, probGrid, abilities, maxShipHp);
+    const expectedDamage = calculateExpectedDamage(action, beliefState, abilities, maxShipHp);
     
     // 归一化期望伤害（除以最大可能伤害）
-    const maxDamage = weapon === 'HE' ? 5 : (weapon === 'AP' ? abilities.apDamage : 0);
+    const maxDamage = getWeaponMaxDamage(weapon, abilities);
     const normDamage = maxDamage > 0 ? expectedDamage / maxDamage : 0;
     
     // 3. 综合评分
-    // 声纳不造成伤害，但信息价值高
-    if (weapon === 'SONAR') {
+    // 声纳与侦察不造成伤害，但信息价值高
+    if (!isDamagingWeapon(weapon)) {
         return alpha * normInfoGain;
     }
     
@@ -685,14 +951,14 @@ function evaluateAction(beliefState, action, abilities, alpha) {
  * 只能基于已知的「我打了多少」来估计「还能打多少」
  * 
  * @param {Object} action - 攻击行动
- * @param {Array<Array<number>>} probGrid - 概率网格
+ * @param {BeliefState} beliefState - 置信状态
  * @param {Object} abilities - AI 能力
  * @param {number} maxShipHp - 当前存活船只的最大血量
  */
-function calculateExpectedDamage(action, probGrid, abilities, maxShipHp) {
-    const { weapon, r, c } = action;
+function calculateExpectedDamage(action, beliefState, abilities, maxShipHp) {
+    const baseDamage = getWeaponCellDamage(action.weapon, abilities);
     
-    if (weapon === 'SONAR') {
+    if (baseDamage === 0) {
         return 0; // 声纳不造成伤害
     }
     
@@ -702,28 +968,178 @@ function calculateExpectedDamage(action, probGrid, abilities, maxShipHp) {
     }
     
     let expectedDamage = 0;
-    const baseDamage = weapon === 'AP' ? abilities.apDamage : 1;
+    for (const cell of getStrikeChances(action, beliefState)) {
+        const effectiveDamage = getEffectiveDamage(cell.r, cell.c, baseDamage, maxShipHp);
+        expectedDamage += cell.chance * effectiveDamage;
+    }
+    
+    return expectedDamage;
+}
+
+/**
+ * 行动打击各格的概率
+ * 定点武器覆盖的每一格都会被打击，概率即该格有船的边缘概率；
+ * 鱼雷只打击航线上第一个有船的格子，概率为该格成为第一个有船格子的概率（见 getTorpedoHitChances）；
+ * 深水炸弹只伤及潜艇，概率为该格有潜艇的概率（见 getSubmarineChances）
+ * 
+ * @param {Object} action - 攻击行动 { weapon, r, c, heading?, aim? }
+ * @param {BeliefState} beliefState - 置信状态
+ * @returns {Array<{ r: number, c: number, chance: number }>}
+ */
+function getStrikeChances(action, beliefState) {
+    const { weapon, r, c } = action;
+    const cells = getWeaponCoverage(weapon, r, c, action);
+    if (getWeaponEffect(weapon) === WeaponEffect.TORPEDO) {
+        return getTorpedoHitChances(beliefState, cells).cells;
+    }
+    if (getWeaponEffect(weapon) === WeaponEffect.DEPTH_CHARGE) {
+        return getSubmarineChances(beliefState, cells);
+    }
+    const probGrid = beliefState.getProbabilityGrid();
+    return cells.map(cell => ({ r: cell.r, c: cell.c, chance: probGrid[cell.r][cell.c] }));
+}
+
+/**
+ * 鱼雷沿航线的命中分布
+ * 
+ * 鱼雷越过航线上的海面，击中第一个有船的未揭示格子。同一艘船在航线上占多格时只会被击中一次，
+ * 航线上各格的命中也不相互独立，因此不能用逐格的边缘概率相加，
+ * 而是统计样本中「该格有船、且航线上之前的未揭示格子都没有船」的比例。
+ * 
+ * BeliefState 与 SimulationEngine 的 SimBeliefState 共用此函数。
+ * 
+ * @export
+ * @param {Object} beliefState - 置信状态（需提供 samples / viewGrid / boardSize）
+ * @param {Array<{ r: number, c: number }>} path - 航线（按航行顺序）
+ * @returns {{ cells: Array<{ r: number, c: number, chance: number }>, missChance: number }}
+ *   cells 为航线上未揭示的格子（按航行顺序，含深水炸弹确认有船、尚未受损的格子）及其被击中的概率，
+ *   missChance 为一路未击中的概率
+ */
+export function getTorpedoHitChances(beliefState, path) {
+    const { viewGrid, samples, boardSize } = beliefState;
+    const cells = path
+        .filter(({ r, c }) => [CellState.UNKNOWN, CellState.SUSPECT, CellState.OCCUPIED].includes(viewGrid[r][c]))
+        .map(({ r, c }) => ({ r, c, chance: 0 }));
+    if (samples.length === 0) return { cells, missChance: 1 };
+    
+    // 每个样本中航线上第一个有船的格子
+    const index = new Map(cells.map(({ r, c }, k) => [r * boardSize + c, k]));
+    let misses = 0;
+    for (const config of samples) {
+        let first = cells.length;
+        for (const placement of config) {
+            for (const { r, c } of placement.cells) {
+                const k = index.get(r * boardSize + c);
+                if (k !== undefined && k < first) first = k;
+            }
+        }
+        if (first < cells.length) cells[first].chance++;
+        else misses++;
+    }
+    
+    cells.forEach(cell => { cell.chance /= samples.length; });
+    return { cells, missChance: misses / samples.length };
+}
+
+/**
+ * 深水炸弹覆盖范围内各格有潜艇的概率
+ * 
+ * 深水炸弹只伤及潜艇，其他舰船所在的格子只会被确认有船。统计样本中该格被潜艇占据的比例；
+ * 已揭示为海面、已摧毁或已确认为水面舰船的格子不会再受伤害，不计入。
+ * 
+ * BeliefState 与 SimulationEngine 的 SimBeliefState 共用此函数。
+ * 
+ * @export
+ * @param {Object} beliefState - 置信状态（需提供 samples / viewGrid / ships / boardSize）
+ * @param {Array<{ r: number, c: number }>} cells - 覆盖范围
+ * @returns {Array<{ r: number, c: number, chance: number }>}
+ */
+export function getSubmarineChances(beliefState, cells) {
+    const { viewGrid, samples, ships, boardSize } = beliefState;
+    const result = cells
+        .filter(({ r, c }) => [CellState.UNKNOWN, CellState.SUSPECT, CellState.HIT].includes(viewGrid[r][c]))
+        .map(({ r, c }) => ({ r, c, chance: 0 }));
+    if (samples.length === 0) return result;
+    
+    const subIds = new Set(ships.filter(isSubmarine).map(ship => ship.id));
+    if (subIds.size === 0) return result;
     
-    if (weapon === 'AP') {
-        // 单点攻击
-        if (r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE) {
-            const effectiveDamage = getEffectiveDamage(r, c, baseDamage, maxShipHp);
-            expectedDamage = probGrid[r][c] * effectiveDamage;
+    const index = new Map(result.map(({ r, c }, k) => [r * boardSize + c, k]));
+    for (const config of samples) {
+        for (const placement of config) {
+            if (!subIds.has(placement.shipId)) continue;
+            for (const { r, c } of placement.cells) {
+                const k = index.get(r * boardSize + c);
+                if (k !== undefined) result[k].chance++;
+            }
         }
-    } else if (weapon === 'HE') {
-        // X 型攻击
-        const offsets = [[0, 0], [-1, -1], [-1, 1], [1, -1], [1, 1]];
-        for (const [dr, dc] of offsets) {
-            const nr = r + dr;
-            const nc = c + dc;
-            if (nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE) {
-                const effectiveDamage = getEffectiveDamage(nr, nc, 1, maxShipHp);
-                expectedDamage += probGrid[nr][nc] * effectiveDamage;
+    }
+    
+    result.forEach(cell => { cell.chance /= samples.length; });
+    return result;
+}
+
+/**
+ * 侦察回报数量的熵
+ * 
+ * 侦察回报整行 / 整列未暴露（未知或疑似）格子中的船体格数。统计样本中这一数量的分布，
+ * 其熵即侦察的期望信息增益；各格是否有船的边缘概率无法体现格子之间的相关性，这里直接用样本。
+ * 
+ * BeliefState 与 SimulationEngine 的 SimBeliefState 共用此函数。
+ * 
+ * @export
+ * @param {Object} beliefState - 置信状态（需提供 samples / viewGrid / boardSize）
+ * @param {Array<{ r: number, c: number }>} cells - 侦察的整行 / 整列
+ * @returns {number} 熵（比特）
+ */
+export function getLineCountEntropy(beliefState, cells) {
+    const { viewGrid, samples, boardSize } = beliefState;
+    if (samples.length === 0) return 0;
+    
+    const hidden = new Set(cells
+        .filter(({ r, c }) => viewGrid[r][c] === CellState.UNKNOWN || viewGrid[r][c] === CellState.SUSPECT)
+        .map(({ r, c }) => r * boardSize + c));
+    if (hidden.size === 0) return 0;
+    
+    const frequency = new Map();
+    for (const config of samples) {
+        let count = 0;
+        for (const placement of config) {
+            for (const { r, c } of placement.cells) {
+                if (hidden.has(r * boardSize + c)) count++;
             }
         }
+        frequency.set(count, (frequency.get(count) ?? 0) + 1);
     }
     
-    return expectedDamage;
+    let entropy = 0;
+    for (const n of frequency.values()) {
+        const p = n / samples.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * 侦察回报转为采样约束
+ * 
+ * 回报为 0 的格子必然无船，直接并入 blocked；其余回报要求样本在统计的格子中恰好放入回报的船体格数。
+ * 
+ * BeliefState 与 SimulationEngine 的 SimBeliefState 共用此函数。
+ * 
+ * @export
+ * @param {Array<{ cells: Array<{ r: number, c: number }>, count: number }>} reports - 侦察回报
+ * @param {Set<string>} blocked - 必然无船的格子（"r,c"，原地追加）
+ * @returns {Array<{ keys: Set<string>, count: number }>} 计数约束
+ */
+export function buildReconCounts(reports, blocked) {
+    const counts = [];
+    for (const { cells, count } of reports) {
+        const keys = cells.map(({ r, c }) => `${r},${c}`);
+        if (count === 0) keys.forEach(key => blocked.add(key));
+        else counts.push({ keys: new Set(keys), count });
+    }
+    return counts;
 }
 
 /**
@@ -745,6 +1161,159 @@ function getEffectiveDamage(r, c, weaponDamage, maxShipHp) {
     return Math.min(weaponDamage, estimatedRemainingHP);
 }
 
+// ============================================================================
+// 齐射：联合选点
+// ============================================================================
+
+/** 齐射选点的交换优化最多轮数 */
+const SALVO_SWAP_PASSES = 3;
+
+/**
+ * 齐射选点：从置信状态中联合选出 count 个主炮目标
+ *
+ * 齐射的结果在全部选定后才揭晓，逐发贪心（取概率最高的前 N 格）会把多发打在同一艘
+ * 疑似舰船的相邻格上，结果高度相关、信息重复。这里把整组目标作为一个行动评估：
+ *   J(S) = alpha × H(S) / 当前熵 + (1 - alpha) × E[有效伤害(S)] / (count × 主炮伤害)
+ * 其中 H(S) 是样本中 S 各格「有船 / 无船」组合结果的联合熵，相关的格子不会重复计分；
+ * 期望伤害逐格相加，同样考虑伤害溢出。
+ * 先前向逐格加入使 J 增量最大的格子，再做单格交换的局部优化。
+ *
+ * BeliefState 与 SimulationEngine 的 SimBeliefState 共用此函数。
+ *
+ * @export
+ * @param {Object} beliefState - 置信状态（需提供 samples / viewGrid / ships / getProbabilityGrid / getEntropy）
+ * @param {number} count - 本轮射击次数
+ * @param {Object} options
+ * @param {number} options.alpha - 探索权重
+ * @param {number} options.apDamage - 每发主炮伤害
+ * @param {number[][]} options.damageGrid - 已造成伤害记录
+ * @param {SeededRandom} options.rng - 并列择优使用的随机数生成器
+ * @returns {Array<{ weapon: string, r: number, c: number }>} 目标列表（不超过可攻击格数）
+ */
+export function selectSalvoTargets(beliefState, count, { alpha, apDamage, damageGrid, rng }) {
+    const { viewGrid, samples, boardSize } = beliefState;
+    const probGrid = beliefState.getProbabilityGrid();
+    const maxShipHp = Math.max(...beliefState.ships.map(s => s.maxHp ?? 1));
+
+    // 候选格（打乱顺序，分数相同时由随机数决定取舍）
+    const candidates = [];
+    for (let r = 0; r < boardSize; r++) {
+        for (let c = 0; c < boardSize; c++) {
+            const state = viewGrid[r][c];
+            if (state === CellState.MISS || state === CellState.DESTROYED || state === CellState.SUNK) continue;
+            candidates.push({ r, c });
+        }
+    }
+    for (let i = candidates.length - 1; i > 0; i--) {
+        const j = rng.nextInt(i + 1);
+        [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+    const n = Math.min(count, candidates.length);
+    if (n === 0) return [];
+
+    // occupancy[k][s] = 候选格 k 在第 s 个样本中是否有船
+    const sampleCount = samples.length;
+    const index = new Map(candidates.map(({ r, c }, k) => [r * boardSize + c, k]));
+    const occupancy = candidates.map(() => new Uint8Array(sampleCount));
+    samples.forEach((config, s) => {
+        for (const placement of config) {
+            for (const { r, c } of placement.cells) {
+                const k = index.get(r * boardSize + c);
+                if (k !== undefined) occupancy[k][s] = 1;
+            }
+        }
+    });
+
+    const currentEntropy = beliefState.getEntropy();
+    const infoWeight = currentEntropy > MIN_PROB && sampleCount > 0 ? alpha / currentEntropy : 0;
+    const damageWeight = (1 - alpha) / (n * apDamage);
+    const cellDamage = candidates.map(({ r, c }) => {
+        const remaining = Math.max(0, maxShipHp - damageGrid[r][c]);
+        return probGrid[r][c] * Math.min(apDamage, remaining);
+    });
+
+    // 样本按已选格的结果分组（classes[s] 为组号），加入一格即把每组按该格结果再一分为二
+    const partition = (chosen) => {
+        let classes = new Int32Array(sampleCount);
+        let groups = 1;
+        for (const k of chosen) {
+            ({ classes, groups } = refine(classes, groups, occupancy[k]));
+        }
+        return { classes, groups };
+    };
+    const refine = (classes, groups, bits) => {
+        const relabel = new Int32Array(groups * 2).fill(-1);
+        const next = new Int32Array(sampleCount);
+        let nextGroups = 0;
+        for (let s = 0; s < sampleCount; s++) {
+            const key = classes[s] * 2 + bits[s];
+            if (relabel[key] === -1) relabel[key] = nextGroups++;
+            next[s] = relabel[key];
+        }
+        return { classes: next, groups: nextGroups };
+    };
+    const refinedEntropy = (classes, groups, bits) => {
+        const counts = new Int32Array(groups * 2);
+        for (let s = 0; s < sampleCount; s++) counts[classes[s] * 2 + bits[s]]++;
+        let h = 0;
+        for (const m of counts) {
+            if (m > 0) h -= (m / sampleCount) * Math.log2(m / sampleCount);
+        }
+        return h;
+    };
+    const score = (entropy, damage) => infoWeight * entropy + damageWeight * damage;
+
+    // 1. 前向选择
+    const chosen = [];
+    const used = new Uint8Array(candidates.length);
+    let { classes, groups } = partition(chosen);
+    let damage = 0;
+    let currentScore = -Infinity;
+    while (chosen.length < n) {
+        let best = -1;
+        let bestScore = -Infinity;
+        for (let k = 0; k < candidates.length; k++) {
+            if (used[k]) continue;
+            const s = score(refinedEntropy(classes, groups, occupancy[k]), damage + cellDamage[k]);
+            if (s > bestScore + 1e-9) {
+                bestScore = s;
+                best = k;
+            }
+        }
+        chosen.push(best);
+        used[best] = 1;
+        currentScore = bestScore;
+        damage += cellDamage[best];
+        ({ classes, groups } = refine(classes, groups, occupancy[best]));
+    }
+
+    // 2. 单格交换：依次尝试把每一发换成未选格，有提升即采纳
+    for (let pass = 0; pass < SALVO_SWAP_PASSES; pass++) {
+        let improved = false;
+        for (let i = 0; i < chosen.length; i++) {
+            const rest = chosen.filter((_, j) => j !== i);
+            const base = partition(rest);
+            const restDamage = damage - cellDamage[chosen[i]];
+            for (let k = 0; k < candidates.length; k++) {
+                if (used[k]) continue;
+                const s = score(refinedEntropy(base.classes, base.groups, occupancy[k]), restDamage + cellDamage[k]);
+                if (s > currentScore + 1e-9) {
+                    used[chosen[i]] = 0;
+                    used[k] = 1;
+                    chosen[i] = k;
+                    damage = restDamage + cellDamage[k];
+                    currentScore = s;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+
+    return chosen.map(k => ({ weapon: DEFAULT_WEAPON, r: candidates[k].r, c: candidates[k].c }));
+}
+
 // ============================================================================
 // 行动枚举
 // ============================================================================
@@ -754,66 +1323,108 @@ function getEffectiveDamage(r, c, weaponDamage, maxShipHp) {
  */
 function enumerateAllActions(viewGrid, abilities) {
     const actions = [];
+    const weapons = AI_WEAPONS.filter(weapon => isWeaponUsable(weapon.id, abilities));
     
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
+    for (let r = 0; r < aiBoardSize; r++) {
+        for (let c = 0; c < aiBoardSize; c++) {
             const state = viewGrid[r][c];
             
-            // 跳过已确定的无效点
-            if (state === CellState.MISS || state === CellState.SUNK) {
-                continue;
-            }
-            
-            // 已摧毁的点也跳过（除非是 HE 可能覆盖到）
-            if (state === CellState.DESTROYED) {
-                // 只有 HE 的中心可以是已摧毁点（用于打击周围）
-                if (abilities.canUseAir) {
-                    actions.push({ weapon: 'HE', r, c });
+            // 每种武器只瞄准定义中列出的格子状态（如空袭可以以已摧毁点为中心打击周围，
+            // 声纳只扫描未知或疑似区域）；有多种打击样式的武器每种样式各算一个行动
+            for (const weapon of weapons) {
+                if (!weapon.launch && !weapon.lines && weapon.targets.includes(state)) {
+                    if (weapon.aims.length === 0) actions.push({ weapon: weapon.id, r, c });
+                    for (const aim of weapon.aims) actions.push({ weapon: weapon.id, r, c, aim });
                 }
-                continue;
-            }
-            
-            // 主炮：始终可用
-            actions.push({ weapon: 'AP', r, c });
-            
-            // 空袭：需要 CV 存活
-            if (abilities.canUseAir) {
-                actions.push({ weapon: 'HE', r, c });
-            }
-            
-            // 声纳：需要 DD 存活，且优先扫描未知区域
-            if (abilities.canUseSonar && (state === CellState.UNKNOWN || state === CellState.SUSPECT)) {
-                actions.push({ weapon: 'SONAR', r, c });
             }
         }
     }
     
+    // 鱼雷按发射位置枚举，航线上须有定义中列出状态的格子
+    for (const weapon of weapons) {
+        if (!weapon.launch) continue;
+        for (const launch of getUsefulLaunches(weapon, viewGrid)) {
+            actions.push({ weapon: weapon.id, ...launch });
+        }
+    }
+    
+    // 侦察按行号 / 列号枚举，行 / 列上须有定义中列出状态的格子
+    for (const weapon of weapons) {
+        if (!weapon.lines) continue;
+        for (const target of getUsefulLines(weapon, viewGrid)) {
+            actions.push({ weapon: weapon.id, ...target });
+        }
+    }
+    
     return actions;
 }
 
+/**
+ * 航线上有可打击格子的发射位置
+ * @param {Object} weapon - AI_WEAPONS 中的一条
+ * @param {number[][]} viewGrid
+ * @returns {Array<{ r: number, c: number, heading: string }>}
+ */
+function getUsefulLaunches(weapon, viewGrid) {
+    return getEdgeLaunches(aiBoardSize).filter(launch =>
+        getWeaponCoverage(weapon.id, launch.r, launch.c, launch).some(cell => weapon.targets.includes(viewGrid[cell.r][cell.c]))
+    );
+}
+
+/**
+ * 有可侦察格子的整行 / 整列
+ * @param {Object} weapon - AI_WEAPONS 中的一条
+ * @param {number[][]} viewGrid
+ * @returns {Array<{ r: number, c: number, aim: string }>}
+ */
+function getUsefulLines(weapon, viewGrid) {
+    return getLineTargets(weapon.id, aiBoardSize).filter(target =>
+        getWeaponCoverage(weapon.id, target.r, target.c, target).some(cell => weapon.targets.includes(viewGrid[cell.r][cell.c]))
+    );
+}
+
 // ============================================================================
 // 辅助函数
 // ============================================================================
 
 /**
  * 检查 AI 可用的武器能力
+ * 由舰队定义（abilities / apDamage）推导，自定义舰队同样适用；stock 为该方的武器库存（可为空）
  */
-function checkAIAbilities(enemyShips) {
-    const aiCV = enemyShips.some(s => s.code === 'CV' && !s.sunk);
-    const aiCL = enemyShips.some(s => s.code === 'CL' && !s.sunk);
-    const aiBB = enemyShips.some(s => s.code === 'BB' && !s.sunk);
-    const aiSS = enemyShips.some(s => s.code === 'SS' && !s.sunk);
-    const aiDD = enemyShips.some(s => s.code === 'DD' && !s.sunk);
-    
-    let aiAPDamage = 1;
-    if (aiBB) aiAPDamage = 3;
-    else if (aiSS || aiCL) aiAPDamage = 2;
-
-    return {
-        canUseAir: aiCV,
-        canUseSonar: aiDD || aiSS,
-        apDamage: aiAPDamage
-    };
+function checkAIAbilities(enemyShips, stock = null) {
+    return { ...getFleetAbilities(enemyShips), stock };
+}
+
+/**
+ * 本回合能否使用该武器：舰队具备所需能力，且有弹药、不在冷却中
+ * @param {string} weaponId
+ * @param {Object} abilities - checkAIAbilities 的输出
+ * @returns {boolean}
+ */
+function isWeaponUsable(weaponId, abilities) {
+    return isWeaponAvailable(weaponId, abilities) && isWeaponReady(abilities.stock, weaponId);
+}
+
+/**
+ * 为弹药有限的行动扣除机会成本
+ *
+ * 基准为本回合最优的不限弹药行动（通常是主炮）的得分：剩余 n 发时每用一发扣除
+ * 基准 × CHARGE_RESERVE / n，弹药越少越要留到收益明显高于主炮的时候再用。
+ * 原地修改 scored 中的 score
+ *
+ * @param {Array<{ action: Object, score: number }>} scored - 各行动的得分
+ * @param {Object|null} stock - 行动方的武器库存，为空时不扣除
+ */
+export function applyChargeCosts(scored, stock) {
+    if (!stock) return;
+    let baseline = 0;
+    for (const { action, score } of scored) {
+        if (getWeaponCharges(stock, action.weapon) === null) baseline = Math.max(baseline, score);
+    }
+    for (const entry of scored) {
+        const charges = getWeaponCharges(stock, entry.action.weapon);
+        if (charges) entry.score -= baseline * CHARGE_RESERVE / charges;
+    }
 }
 
 /**
@@ -824,36 +1435,45 @@ function makeRandomDecision(viewGrid, abilities) {
     let attempts = 0;
     
     do {
-        r = Math.floor(Math.random() * BOARD_SIZE);
-        c = Math.floor(Math.random() * BOARD_SIZE);
+        r = aiRandom.nextInt(aiBoardSize);
+        c = aiRandom.nextInt(aiBoardSize);
         attempts++;
     } while ((viewGrid[r][c] === CellState.MISS || 
               viewGrid[r][c] === CellState.DESTROYED || 
               viewGrid[r][c] === CellState.SUNK) && attempts < 200);
     
-    // 随机选择武器
-    if (abilities.canUseAir && Math.random() < 0.1) {
-        return { r, c, weapon: 'HE' };
-    } else if (abilities.canUseSonar && Math.random() < 0.1) {
-        return { r, c, weapon: 'SONAR' };
+    // 随机选择武器（按定义顺序依次判定，都未选中时使用默认武器）
+    // 鱼雷不瞄准 (r, c)，改为随机选一个发射位置；侦察随机选一行 / 一列；有多种打击样式的武器随机选一种
+    for (const weapon of AI_WEAPONS) {
+        if (weapon.random > 0 && isWeaponUsable(weapon.id, abilities) && aiRandom.next() < weapon.random) {
+            if (weapon.lines) {
+                const lines = getUsefulLines(weapon, viewGrid);
+                if (lines.length > 0) return { ...aiRandom.pick(lines), weapon: weapon.id };
+                continue;
+            }
+            if (weapon.aims.length > 0) return { r, c, weapon: weapon.id, aim: aiRandom.pick(weapon.aims) };
+            if (!weapon.launch) return { r, c, weapon: weapon.id };
+            const launches = getUsefulLaunches(weapon, viewGrid);
+            if (launches.length > 0) return { ...aiRandom.pick(launches), weapon: weapon.id };
+        }
     }
-    return { r, c, weapon: 'AP' };
+    return { r, c, weapon: DEFAULT_WEAPON };
 }
 
 /**
  * 兜底：找一个可攻击的点
  */
 function findFallbackTarget(viewGrid) {
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
+    for (let r = 0; r < aiBoardSize; r++) {
+        for (let c = 0; c < aiBoardSize; c++) {
             const state = viewGrid[r][c];
             if (state !== CellState.MISS && state !== CellState.DESTROYED && state !== CellState.SUNK) {
-                return { r, c, weapon: 'AP' };
+                return { r, c, weapon: DEFAULT_WEAPON };
             }
         }
     }
     // 实在找不到就返回 (0,0)
-    return { r: 0, c: 0, weapon: 'AP' };
+    return { r: 0, c: 0, weapon: DEFAULT_WEAPON };
 }
 
 // ============================================================================
@@ -863,35 +1483,14 @@ function findFallbackTarget(viewGrid) {
 /**
  * 获取武器覆盖范围（用于多步推演）
  * 
- * @param {string} weapon - 武器类型 'AP' | 'HE' | 'SONAR'
- * @param {number} r - 中心行
+ * @param {string} weapon - 武器 id
+ * @param {number} r - 中心行（鱼雷为发射格）
  * @param {number} c - 中心列
- * @returns {{ r: number, c: number }[]} 覆盖的格子数组
+ * @param {{ heading?: string, aim?: string }} [orientation] - 鱼雷航向与打击样式（传入行动本身）
+ * @returns {{ r: number, c: number }[]} 覆盖的格子数组（不含超出棋盘的格子）
  */
-function getWeaponCoverage(weapon, r, c) {
-    const instance = weaponInstances[weapon];
-    if (instance) {
-        return instance.previewArea({ r, c }).cells;
-    }
-    return [{ r, c }];
-}
-
-/**
- * 获取船只占用的格子
- * 
- * @param {Object} ship - 船只对象
- * @returns {{ r: number, c: number }[]} 船只占用的格子数组
- */
-function getShipCells(ship) {
-    const cells = [];
-    const isVertical = ship.v ?? ship.vertical ?? false;
-    for (let i = 0; i < ship.len; i++) {
-        cells.push({
-            r: isVertical ? ship.r + i : ship.r,
-            c: isVertical ? ship.c : ship.c + i
-        });
-    }
-    return cells;
+function getWeaponCoverage(weapon, r, c, orientation) {
+    return getDefinedCoverage(weapon, r, c, aiBoardSize, orientation);
 }
 
 /**
@@ -906,14 +1505,18 @@ function getShipCells(ship) {
  * @param {number[][]} playerViewGrid - 玩家视角的 AI 棋盘
  * @param {Ship[]} aiShips - AI 的船只（真实位置）
  * @param {Ship[]} playerShips - 玩家的船只（用于判断玩家能力）
+ * @param {Object|null} playerStock - 玩家的武器库存（推演中在副本上扣除）
+ * @param {Array<Object>|undefined} playerReconReports - 玩家在 AI 棋盘上得到的侦察回报
  * @param {number} alpha - 探索权重
  * @param {number} [steps=LOOKAHEAD_STEPS] - 推演步数
- * @returns {Map<string, { totalExpectedDamage: number, sinkProbability: number, remainingHp: number }>}
+ * @returns {{ shipThreats: Map<string, { totalExpectedDamage: number, sinkProbability: number, remainingHp: number }>,
+ *   predictedActions: Array<{ action: Object, score: number, abilities: Object }> }}
+ *   各船的累积威胁，以及每一步预测的玩家行动（含玩家眼中的效用与玩家的能力），按步骤顺序
  */
-function simulateMultiStepThreats(playerViewGrid, aiShips, playerShips, alpha, steps = LOOKAHEAD_STEPS) {
-    const playerAbilities = checkAIAbilities(playerShips);
+function simulateMultiStepThreats(playerViewGrid, aiShips, playerShips, playerStock, playerReconReports, alpha, steps = LOOKAHEAD_STEPS) {
+    const playerAbilities = checkAIAbilities(playerShips, cloneWeaponStock(playerStock));
     const aliveTargets = aiShips.filter(s => !s.sunk);
-    if (aliveTargets.length === 0) return new Map();
+    if (aliveTargets.length === 0) return { shipThreats: new Map(), predictedActions: [] };
     
     // 初始化每艘船的累积威胁
     const threats = new Map();
@@ -929,10 +1532,13 @@ function simulateMultiStepThreats(playerViewGrid, aiShips, playerShips, alpha, s
     
     // 模拟状态（会随推演更新）
     let simViewGrid = playerViewGrid.map(row => [...row]);
+    const predictedActions = [];
     
     for (let step = 0; step < steps; step++) {
         // 【每步都完整推演】构建玩家置信状态
-        const playerBelief = new BeliefState(aliveTargets, simViewGrid, OPPONENT_SAMPLE_COUNT);
+        const playerBelief = new BeliefState(
+            aliveTargets, simViewGrid, scaleSampleCount(OPPONENT_SAMPLE_COUNT, aiBoardSize), aiRandom, aiPlacementRule, playerReconReports
+        );
         const probGrid = playerBelief.getProbabilityGrid();
         
         // 枚举玩家可用行动
@@ -952,12 +1558,14 @@ function simulateMultiStepThreats(playerViewGrid, aiShips, playerShips, alpha, s
         }
         
         if (!bestAction) break;
+        predictedActions.push({ action: bestAction, score: bestScore, abilities: playerAbilities });
         
         // 累积该攻击对各船的威胁
-        accumulateThreat(bestAction, probGrid, playerAbilities, aiShips, threats);
+        accumulateThreat(bestAction, playerBelief, playerAbilities, aiShips, threats);
         
         // 更新模拟状态
         updateSimulatedState(simViewGrid, bestAction, playerAbilities, probGrid);
+        spendWeapons(playerAbilities.stock, [bestAction.weapon]);
     }
     
     // 计算沉没概率
@@ -971,29 +1579,27 @@ function simulateMultiStepThreats(playerViewGrid, aiShips, playerShips, alpha, s
         }
     }
     
-    return threats;
+    return { shipThreats: threats, predictedActions };
 }
 
 /**
  * 累积攻击对各船的威胁
  * 
- * @param {Object} action - 攻击行动 { weapon, r, c }
- * @param {number[][]} probGrid - 概率网格
+ * @param {Object} action - 攻击行动 { weapon, r, c, heading?, aim? }
+ * @param {BeliefState} playerBelief - 玩家的置信状态
  * @param {Object} abilities - 攻击方能力
  * @param {Ship[]} aiShips - AI 的船只
  * @param {Map} threats - 威胁累积 Map
  */
-function accumulateThreat(action, probGrid, abilities, aiShips, threats) {
-    const { weapon, r, c } = action;
-    
+function accumulateThreat(action, playerBelief, abilities, aiShips, threats) {
     // 声纳不造成伤害
-    if (weapon === 'SONAR') return;
+    const dmg = getWeaponCellDamage(action.weapon, abilities);
+    if (dmg === 0) return;
     
-    const cells = getWeaponCoverage(weapon, r, c);
-    const dmg = weapon === 'AP' ? abilities.apDamage : 1;
+    const cells = getStrikeChances(action, playerBelief);
     
     for (const cell of cells) {
-        if (cell.r < 0 || cell.r >= BOARD_SIZE || cell.c < 0 || cell.c >= BOARD_SIZE) continue;
+        if (cell.r < 0 || cell.r >= aiBoardSize || cell.c < 0 || cell.c >= aiBoardSize) continue;
         
         // 找出该格子属于哪艘船（AI 知道自己船的真实位置）
         for (const ship of aiShips) {
@@ -1005,7 +1611,7 @@ function accumulateThreat(action, probGrid, abilities, aiShips, threats) {
                 const threat = threats.get(ship.id);
                 if (threat) {
                     // 期望伤害 = 玩家攻击该格的概率 × 伤害
-                    threat.totalExpectedDamage += probGrid[cell.r][cell.c] * dmg;
+                    threat.totalExpectedDamage += cell.chance * dmg;
                 }
             }
         }
@@ -1023,16 +1629,26 @@ function accumulateThreat(action, probGrid, abilities, aiShips, threats) {
  */
 function updateSimulatedState(simViewGrid, action, abilities, probGrid) {
     const { weapon, r, c } = action;
-    const cells = getWeaponCoverage(weapon, r, c);
+    // 侦察只回报数量，不改变任何格子
+    if (getWeaponEffect(weapon) === WeaponEffect.RECON) return;
+    const cells = getWeaponCoverage(weapon, r, c, action);
+    const torpedo = getWeaponEffect(weapon) === WeaponEffect.TORPEDO;
+    const depthCharge = getWeaponEffect(weapon) === WeaponEffect.DEPTH_CHARGE;
     
     for (const cell of cells) {
-        if (cell.r >= 0 && cell.r < BOARD_SIZE && cell.c >= 0 && cell.c < BOARD_SIZE) {
+        if (cell.r >= 0 && cell.r < aiBoardSize && cell.c >= 0 && cell.c < aiBoardSize) {
+            // 鱼雷在深水炸弹确认有船的格子上命中
+            if (torpedo && simViewGrid[cell.r][cell.c] === CellState.OCCUPIED) {
+                simViewGrid[cell.r][cell.c] = CellState.HIT;
+                return;
+            }
             // 只更新未知或疑似的格子
             if (simViewGrid[cell.r][cell.c] === CellState.UNKNOWN || 
                 simViewGrid[cell.r][cell.c] === CellState.SUSPECT) {
-                // 根据概率决定模拟结果（简化：高概率格子视为命中）
+                // 根据概率决定模拟结果（简化：高概率格子视为命中，深水炸弹视为确认有水面舰船；鱼雷命中后停止航行）
                 if (probGrid[cell.r][cell.c] > 0.5) {
-                    simViewGrid[cell.r][cell.c] = CellState.HIT;
+                    simViewGrid[cell.r][cell.c] = depthCharge ? CellState.OCCUPIED : CellState.HIT;
+                    if (torpedo) return;
                 } else {
                     simViewGrid[cell.r][cell.c] = CellState.MISS;
                 }
@@ -1041,6 +1657,81 @@ function updateSimulatedState(simViewGrid, action, abilities, probGrid) {
     }
 }
 
+// ============================================================================
+// 防御决策模块
+// ============================================================================
+
+/**
+ * 防御行动的评分
+ *
+ * 按对称推演预测的玩家行动，估算现在部署防御能化解多少：
+ * - 防空掩护：针对预测中玩家的第一次空袭，掩护放在能拦下最多我方船体格的位置，
+ *   效用 = 拦下的伤害 / 这次空袭的最大伤害（整次空袭都落在我方船上并被全部拦下时为 1）
+ * - 烟幕：针对预测中玩家的第一次水听，若扫描范围内未暴露的船体格全属于同一艘舰船，
+ *   掩护它就能让这次扫描一无所获，效用 = 这次水听在玩家眼中的效用
+ * 两者都按预测的步数打折（越往后的预测越不可靠）；同一种防御已部署且仍能生效时不再部署
+ *
+ * @param {Array<{ action: Object, score: number, abilities: Object }>} predictedActions - simulateMultiStepThreats 的预测
+ * @param {Ship[]} aiShips - AI 的船只（真实位置）
+ * @param {number[][]} playerViewGrid - 玩家视角的 AI 棋盘
+ * @param {Object} abilities - AI 能力（含库存）
+ * @param {Array<Object>} ownDefenses - AI 已部署的防御
+ * @returns {Array<{ action: Object, score: number }>}
+ */
+function scoreDefenseActions(predictedActions, aiShips, playerViewGrid, abilities, ownDefenses) {
+    const scored = [];
+    if (predictedActions.length === 0) return scored;
+
+    // AI 存活船只所在的格子 → 船只 id；玩家还看不到的格子（未知或疑似）才会被水听发现
+    const shipAt = new Map();
+    for (const ship of aiShips) {
+        if (ship.sunk) continue;
+        for (const { r, c } of getShipCells(ship)) shipAt.set(`${r},${c}`, ship.id);
+    }
+    const isHidden = ({ r, c }) => playerViewGrid[r][c] === CellState.UNKNOWN || playerViewGrid[r][c] === CellState.SUSPECT;
+    const isDeployed = effect => ownDefenses.some(defense => defense.effect === effect
+        && (effect !== WeaponEffect.SMOKE || getShipCells(aiShips[defense.shipId]).some(isHidden)));
+
+    for (const { id } of AI_WEAPONS) {
+        const effect = getWeaponEffect(id);
+        if (effect === WeaponEffect.AA_COVER && isWeaponUsable(id, abilities) && !isDeployed(effect)) {
+            const step = predictedActions.findIndex(({ action }) => isAirStrike(action.weapon));
+            if (step === -1) continue;
+            const { action, abilities: opponent } = predictedActions[step];
+            const struck = getWeaponCoverage(action.weapon, action.r, action.c, action).filter(({ r, c }) =>
+                ![CellState.MISS, CellState.DESTROYED, CellState.SUNK].includes(playerViewGrid[r][c])
+            );
+            let best = null;
+            for (let r = 0; r < aiBoardSize; r++) {
+                for (let c = 0; c < aiBoardSize; c++) {
+                    const cover = createDefense(id, { r, c }, null, aiBoardSize);
+                    const saved = getInterceptedCells(cover, struck).filter(cell => shipAt.has(`${cell.r},${cell.c}`)).length;
+                    if (saved > (best?.saved ?? 0)) best = { r, c, saved };
+                }
+            }
+            if (!best) continue;
+            const damage = best.saved * getWeaponCellDamage(action.weapon, opponent);
+            scored.push({
+                action: { weapon: id, r: best.r, c: best.c },
+                score: DEFENSE_DISCOUNT ** step * damage / getWeaponMaxDamage(action.weapon, opponent)
+            });
+        }
+        if (effect === WeaponEffect.SMOKE && isWeaponUsable(id, abilities) && !isDeployed(effect)) {
+            const step = predictedActions.findIndex(({ action }) => getWeaponEffect(action.weapon) === WeaponEffect.SCAN);
+            if (step === -1) continue;
+            const { action, score } = predictedActions[step];
+            const found = new Set(getWeaponCoverage(action.weapon, action.r, action.c, action)
+                .filter(cell => isHidden(cell) && shipAt.has(`${cell.r},${cell.c}`))
+                .map(cell => shipAt.get(`${cell.r},${cell.c}`)));
+            if (found.size !== 1) continue;
+            const [shipId] = found;
+            const { r, c } = getShipCells(aiShips[shipId]).find(isHidden);
+            scored.push({ action: { weapon: id, r, c }, score: DEFENSE_DISCOUNT ** step * Math.max(0, score) });
+        }
+    }
+    return scored;
+}
+
 // ============================================================================
 // 风险感知决策模块
 // ============================================================================
@@ -1055,9 +1746,7 @@ function updateSimulatedState(simViewGrid, action, abilities, probGrid) {
  * @returns {boolean} 该行动是否可用
  */
 function isActionAvailable(action, abilities) {
-    if (action.weapon === 'HE') return abilities.canUseAir;
-    if (action.weapon === 'SONAR') return abilities.canUseSonar;
-    return true; // AP 始终可用
+    return isWeaponAvailable(action.weapon, abilities);
 }
 
 /**
@@ -1153,17 +1842,20 @@ function calculateRiskBonusUnified(action, shipThreats, beliefState, abilities,
 /**
  * 计算概率热力图
  * 保持与原接口兼容，供 game.js 调试功能使用
+ * 使用独立的随机数生成器，查看热力图不会影响 AI 的决策序列
  */
-export function calculateProbabilityGrid(viewGrid, targets, difficultyConfig = null) {
+export function calculateProbabilityGrid(viewGrid, targets, difficultyConfig = null, placementRule = aiPlacementRule, reconReports = []) {
+    const size = viewGrid.length;
     if (!targets || targets.length === 0) {
-        return Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
+        return Array(size).fill(0).map(() => Array(size).fill(0));
     }
     
     const aliveTargets = targets.filter(s => !s.sunk);
     if (aliveTargets.length === 0) {
-        return Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
+        return Array(size).fill(0).map(() => Array(size).fill(0));
     }
     
-    const beliefState = new BeliefState(aliveTargets, viewGrid);
+    const sampleCount = scaleSampleCount(SAMPLE_COUNT, size);
+    const beliefState = new BeliefState(aliveTargets, viewGrid, sampleCount, new SeededRandom(), placementRule, reconReports);
     return beliefState.getProbabilityGrid();
 }
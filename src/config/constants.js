@@ -1,4 +1,6 @@
-export const BOARD_SIZE = 11;
+export const BOARD_SIZE = 11; // 默认棋盘尺寸（每局可在部署阶段调整）
+export const BOARD_SIZE_MIN = 8;
+export const BOARD_SIZE_MAX = 16;
 export const CELL_SIZE = 40;
 export const GAME_TITLE = "海权:决战深蓝";
 export const GAME_VERSION = "v3.1α";
@@ -11,13 +13,27 @@ export const INTERACTION_TIMING = {
     MOBILE: {
         VIEW_SWITCH_DELAY: 750,   // 玩家操作后，切换到我方视角的延迟
         AI_ACTION_DELAY: 800,    // 玩家操作后，AI 开始行动的延迟 (应 > VIEW_SWITCH_DELAY)
-        TURN_BACK_DELAY: 1000     // AI 操作后，切换回敌方视角的延迟
+        TURN_BACK_DELAY: 1000,    // AI 操作后，切换回敌方视角的延迟
+        HANDOVER_DELAY: 1500      // 双人同屏：行动结算后停留多久再显示交接遮挡屏
     },
     
     // 桌面端延迟设置 (无需视角切换，节奏更快)
     DESKTOP: {
         VIEW_SWITCH_DELAY: 0,     // 桌面端无视角切换，设为0
         AI_ACTION_DELAY: 0,     // AI 延迟
-        TURN_BACK_DELAY: 0        // 桌面端无视角切换
+        TURN_BACK_DELAY: 0,       // 桌面端无视角切换
+        HANDOVER_DELAY: 1200      // 双人同屏：留出时间查看本次攻击结果
     }
 };
+
+// 回放自动播放时每一步的间隔 (ms)
+export const REPLAY_STEP_INTERVAL = 800;
+
+// 观战模式的播放速度：每一步之间的间隔 (ms)，AI 的决策耗时另计
+export const SPECTATOR_SPEEDS = [
+    { label: '慢速', interval: 1500 },
+    { label: '正常', interval: 700 },
+    { label: '快速', interval: 250 },
+    { label: '极速', interval: 0 }
+];
+export const DEFAULT_SPECTATOR_SPEED = 1; // SPECTATOR_SPEEDS 的下标
@@ -0,0 +1,79 @@
+/**
+ * 战役定义
+ *
+ * 任务按顺序解锁：完成前一个任务后才能进入下一个。首次完成任务获得的奖励会加入我方的战役舰队，
+ * 格式的校验与舰队的构建见 src/game/core/Campaign.js。
+ *
+ * 舰船条目：字符串为 SHIP_TYPES 中的代号；同型舰需要另起代号与名称，写作
+ * { base: "DD", code: "DD2", name: "二号驱逐舰" }（其余字段沿用 base 的定义）
+ *
+ * - CAMPAIGN_START: 战役开始时我方拥有的舰船与武器
+ * - CAMPAIGN_MISSIONS: 任务列表
+ *   - id: 唯一标识（进度按它记录）
+ *   - boardSize: 棋盘尺寸
+ *   - placementRule / firingMode: 可选，本任务的摆放与开火规则，省略时为默认规则
+ *   - difficulty: 敌方 AI 的基础难度（DIFFICULTY_SETTINGS 的键）
+ *   - ai: 可选，覆盖基础难度中的 alpha / randomness / riskAwareness
+ *   - enemy: 敌方舰队
+ *   - rewards: 首次完成的奖励 { ships: [舰船条目], weapons: [武器 id，见 weapons.js] }
+ */
+export const CAMPAIGN_START = {
+  ships: ["BB", "CL", "DD"],
+  weapons: ["AP"]
+};
+
+export const CAMPAIGN_MISSIONS = [
+  {
+    id: "patrol",
+    title: "巡逻遭遇",
+    briefing: "近海巡逻时发现了一支敌方轻型编队。这是你的第一次实战，敌方指挥官同样经验不足。",
+    boardSize: 8,
+    difficulty: "EASY",
+    ai: { randomness: 0.7 },
+    enemy: ["CL", "DD", { base: "DD", code: "DD2", name: "二号驱逐舰" }],
+    rewards: { ships: [], weapons: ["SONAR", "DEPTH"] }
+  },
+  {
+    id: "sub-hunt",
+    title: "猎潜行动",
+    briefing: "两艘敌方潜艇在航道中出没。驱逐舰的水听与深水炸弹已经可用，先找到它们，再集中火力。",
+    boardSize: 9,
+    difficulty: "EASY",
+    ai: { alpha: 0.4, randomness: 0.45 },
+    enemy: ["SS", { base: "SS", code: "SS2", name: "二号潜艇" }, "DD", "CL"],
+    rewards: { ships: ["SS"], weapons: ["TORPEDO", "SMOKE"] }
+  },
+  {
+    id: "carrier-raid",
+    title: "航母来袭",
+    briefing: "敌方航母编队正在逼近，舰船之间保持着间隔，互不相邻。击沉航母，夺下它的舰载机。",
+    boardSize: 10,
+    placementRule: "NO_TOUCH",
+    difficulty: "NORMAL",
+    enemy: ["CV", "CL", "DD", { base: "DD", code: "DD2", name: "二号驱逐舰" }, "SS"],
+    rewards: { ships: ["CV"], weapons: ["RECON"] }
+  },
+  {
+    id: "air-superiority",
+    title: "制空权",
+    briefing: "双方主力舰队在开阔海域相遇，本次交战采用齐射规则：每一轮所有存活舰船同时开火。",
+    boardSize: 10,
+    firingMode: "SALVO",
+    difficulty: "NORMAL",
+    ai: { riskAwareness: 0.3 },
+    enemy: ["CV", "BB", "CL", "DD", "SS"],
+    rewards: { ships: [], weapons: ["HE", "AA"] }
+  },
+  {
+    id: "decisive-battle",
+    title: "决战大洋",
+    briefing: "敌方倾巢而出：两艘战列舰、两艘巡洋舰与航母编队。这是最后的决战，敌方指挥官从不失误。",
+    boardSize: 11,
+    difficulty: "HARD",
+    enemy: [
+      "CV", "BB", { base: "BB", code: "BB2", name: "二号战列舰" },
+      "CL", { base: "CL", code: "CL2", name: "二号轻巡" }, "DD", "SS"
+    ],
+    rewards: { ships: [], weapons: [] }
+  }
+];
@@ -98,3 +98,10 @@ export const DIFFICULTY_SETTINGS = {
 };
 
 export const DEFAULT_DIFFICULTY = "EASY";
+
+/** 难度档位的称呼（观战模式等处显示） */
+export const DIFFICULTY_LABELS = {
+    EASY: '新兵',
+    NORMAL: '舰长',
+    HARD: '提督'
+};
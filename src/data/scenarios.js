@@ -0,0 +1,189 @@
+/**
+ * 残局挑战定义
+ *
+ * 每个残局从固定的局面开始：双方舰队、已揭示的格子、受损的船体段与可用武器都已确定，
+ * 敌方不会还击，玩家在限定的行动次数内达成目标。格式的校验与局面的构建见 src/game/core/Scenario.js。
+ *
+ * - id: 唯一标识（存档与最佳成绩按它记录）
+ * - boardSize: 棋盘尺寸
+ * - weapons: 本关允许使用的武器（仍受我方存活舰船的能力限制），省略时不限
+ * - player / enemy: 双方的局面
+ *   - ships: 舰船 { code, r, c, rotation, hp?, sunk? }，code 对应 SHIP_TYPES；
+ *     hp 为各段剩余耐久（省略为满耐久），受损的段视为已被命中；sunk 为 true 时全部段耐久为 0
+ *   - board: 可选，每行一个字符串：'.' 未知，'o' 未命中（必须是海面），'x' 已揭示的船体（如水听中心点），'?' 水听疑似
+ * - goal: 目标
+ *   - type: 'SINK' 击沉全部目标 / 'FIND' 命中（或水听揭示）每个目标至少一格
+ *   - targets: 目标舰船代号（敌方舰队中的 code）
+ *   - maxActions: 行动次数上限（每次开火或水听计 1 次）
+ *   - par: 标准解法的行动次数，达到即为三星
+ *   - limits: 可选，各武器的使用次数上限，如 { SONAR: 1 }
+ */
+export const SCENARIOS = [
+  {
+    id: "bb-finish",
+    title: "重炮收尾",
+    description: "敌方战列舰已有两段被击毁，正在向东逃离。我方全员在列，主炮一发即可击毁一段战列舰船体。",
+    hint: "相邻的两处击毁说明了船的走向，西侧已经确认是海面。",
+    boardSize: 8,
+    player: {
+      ships: [
+        { code: "CV", r: 0, c: 0, rotation: 0 },
+        { code: "BB", r: 2, c: 0, rotation: 0 },
+        { code: "CL", r: 4, c: 5, rotation: 0 },
+        { code: "SS", r: 6, c: 6, rotation: 0 },
+        { code: "DD", r: 7, c: 0, rotation: 0 }
+      ],
+      board: [
+        "........",
+        ".....o..",
+        "........",
+        ".......o",
+        "........",
+        "..o.....",
+        "........",
+        "........"
+      ]
+    },
+    enemy: {
+      ships: [
+        { code: "CV", r: 6, c: 0, rotation: 0, sunk: true },
+        { code: "BB", r: 3, c: 2, rotation: 0, hp: [0, 0, 3, 3] },
+        { code: "CL", r: 0, c: 6, rotation: 1 },
+        { code: "SS", r: 5, c: 6, rotation: 0 },
+        { code: "DD", r: 1, c: 1, rotation: 0 }
+      ],
+      board: [
+        "..o.....",
+        "........",
+        "....o...",
+        ".oxx....",
+        "...o....",
+        ".o......",
+        "xxxx.o..",
+        "......o."
+      ]
+    },
+    goal: { type: "SINK", targets: ["BB"], maxActions: 3, par: 2 }
+  },
+  {
+    id: "cv-wreck",
+    title: "航母残骸",
+    description: "敌方航母的舰尾已被击毁，另有两段在空袭中受了轻伤。航母每段耐久 2，空袭每格造成 1 点伤害。",
+    hint: "空袭打的是中心和四个斜角，找一个能同时罩住两处轻伤的落点。",
+    boardSize: 8,
+    weapons: ["AP", "HE"],
+    player: {
+      ships: [
+        { code: "CV", r: 0, c: 4, rotation: 0 },
+        { code: "BB", r: 3, c: 1, rotation: 0 },
+        { code: "CL", r: 5, c: 7, rotation: 1 },
+        { code: "SS", r: 7, c: 0, rotation: 0 },
+        { code: "DD", r: 6, c: 2, rotation: 0 }
+      ]
+    },
+    enemy: {
+      ships: [
+        { code: "CV", r: 5, c: 1, rotation: 0, hp: [1, 2, 1, 0] },
+        { code: "BB", r: 1, c: 3, rotation: 0 },
+        { code: "CL", r: 3, c: 7, rotation: 1 },
+        { code: "SS", r: 7, c: 6, rotation: 0 },
+        { code: "DD", r: 0, c: 0, rotation: 1 }
+      ],
+      board: [
+        "....o...",
+        "........",
+        ".o....o.",
+        "...o....",
+        "o.......",
+        "ox.xxo..",
+        "..o.....",
+        "....o..."
+      ]
+    },
+    goal: { type: "SINK", targets: ["CV"], maxActions: 3, par: 2 }
+  },
+  {
+    id: "two-birds",
+    title: "一石二鸟",
+    description: "我方只剩航母与驱逐舰，主炮只有 1 点伤害。敌方受创的潜艇只剩 1 点耐久，驱逐舰也只剩一段完好。",
+    hint: "驱逐舰的残段只可能在一个方向上，而空袭的斜角恰好够得着潜艇。",
+    boardSize: 8,
+    weapons: ["AP", "HE"],
+    player: {
+      ships: [
+        { code: "CV", r: 1, c: 1, rotation: 0 },
+        { code: "BB", r: 3, c: 0, rotation: 1, sunk: true },
+        { code: "CL", r: 7, c: 3, rotation: 0, sunk: true },
+        { code: "SS", r: 5, c: 5, rotation: 0, sunk: true },
+        { code: "DD", r: 3, c: 6, rotation: 1, hp: [1, 1] }
+      ],
+      board: [
+        "......o.",
+        "........",
+        "...o....",
+        "........",
+        "........",
+        "........",
+        "...o....",
+        "........"
+      ]
+    },
+    enemy: {
+      ships: [
+        { code: "CV", r: 0, c: 0, rotation: 0, sunk: true },
+        { code: "BB", r: 7, c: 4, rotation: 0, sunk: true },
+        { code: "CL", r: 1, c: 7, rotation: 1 },
+        { code: "SS", r: 3, c: 3, rotation: 0, hp: [1] },
+        { code: "DD", r: 4, c: 4, rotation: 1, hp: [1, 0] }
+      ],
+      board: [
+        "xxxx.o..",
+        "..o.....",
+        "........",
+        "...x....",
+        ".o......",
+        "...oxo..",
+        "....o.o.",
+        "o...xxxx"
+      ]
+    },
+    goal: { type: "SINK", targets: ["SS", "DD"], maxActions: 2, par: 1 }
+  },
+  {
+    id: "one-ping",
+    title: "一次水听",
+    description: "敌方只剩一艘潜艇，它藏在两片尚未搜索的海域之一。水听只够用一次：中心格会直接揭示，周围有船时标出疑似。",
+    hint: "把水听的中心放在某片海域里，一次就能同时回答「在不在这里」和「是不是这一格」。",
+    boardSize: 8,
+    weapons: ["AP", "SONAR"],
+    player: {
+      ships: [
+        { code: "CV", r: 0, c: 1, rotation: 0 },
+        { code: "BB", r: 2, c: 3, rotation: 0 },
+        { code: "CL", r: 4, c: 0, rotation: 1 },
+        { code: "SS", r: 6, c: 6, rotation: 0 },
+        { code: "DD", r: 5, c: 3, rotation: 0 }
+      ]
+    },
+    enemy: {
+      ships: [
+        { code: "CV", r: 7, c: 0, rotation: 0, sunk: true },
+        { code: "BB", r: 2, c: 4, rotation: 0, sunk: true },
+        { code: "CL", r: 4, c: 4, rotation: 0, sunk: true },
+        { code: "SS", r: 6, c: 5, rotation: 0 },
+        { code: "DD", r: 4, c: 0, rotation: 1, sunk: true }
+      ],
+      board: [
+        "oooooooo",
+        "o..ooooo",
+        "o..oxxxx",
+        "oooooooo",
+        "xoooxxxo",
+        "xoooo..o",
+        "ooooo..o",
+        "xxxxoooo"
+      ]
+    },
+    goal: { type: "FIND", targets: ["SS"], maxActions: 5, par: 3, limits: { SONAR: 1 } }
+  }
+];
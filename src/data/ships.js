@@ -1,7 +1,15 @@
+/**
+ * 标准舰队定义
+ *
+ * - code: 舰船代号（舰队内唯一）
+ * - type: 外观（对应 game.js 中的船体美术）
+ * - apDamage: 该舰存活时主炮可达到的伤害（舰队取存活舰船中的最大值）
+ * - abilities: 该舰存活时解锁的能力（'AIR' 空袭 / 'SONAR' 水听 / 'TORPEDO' 鱼雷 / 'ASW' 反潜 / 'AA' 防空 / 'SMOKE' 烟幕）
+ */
 export const SHIP_TYPES = [
-  { name: "航空母舰", len: 4, maxHp: 2, code: "CV", type: "carrier" },
-  { name: "战列舰", len: 4, maxHp: 3, code: "BB", type: "battleship" },
-  { name: "轻巡洋舰", len: 3, maxHp: 1, code: "CL", type: "cruiser" },
-  { name: "潜艇", len: 1, maxHp: 2, code: "SS", type: "sub" },
-  { name: "驱逐舰", len: 2, maxHp: 1, code: "DD", type: "destroyer" }
+  { name: "航空母舰", len: 4, maxHp: 2, code: "CV", type: "carrier", apDamage: 1, abilities: ["AIR"] },
+  { name: "战列舰", len: 4, maxHp: 3, code: "BB", type: "battleship", apDamage: 3, abilities: [] },
+  { name: "轻巡洋舰", len: 3, maxHp: 1, code: "CL", type: "cruiser", apDamage: 2, abilities: ["AA"] },
+  { name: "潜艇", len: 1, maxHp: 2, code: "SS", type: "sub", apDamage: 2, abilities: ["SONAR", "TORPEDO"] },
+  { name: "驱逐舰", len: 2, maxHp: 1, code: "DD", type: "destroyer", apDamage: 1, abilities: ["SONAR", "TORPEDO", "ASW", "SMOKE"] }
 ];
@@ -0,0 +1,160 @@
+/**
+ * 武器定义
+ *
+ * 武器注册中心、武器栏、AI 的行动枚举与模拟器都由这份定义生成，新增武器只需添加一条。
+ * 字段的解读见 src/game/core/WeaponRules.js。第一条为默认武器：始终可用，也是齐射规则下唯一的武器。
+ *
+ * - id: 武器标识（存档、回放、联机消息与残局 / 战役定义中使用）
+ * - label / icon: 显示名称与图标
+ * - summary: 武器栏按钮上的简介，{damage} 替换为当前每格伤害，{aim} 替换为当前打击样式的名称
+ * - pattern: 覆盖范围，相对目标格的偏移 [dr, dc]；超出棋盘的格子不计入（TORPEDO 武器省略，覆盖范围为航线）
+ * - aims: 可选，可切换的打击样式 [{ id, label, pattern }]，替代 pattern；第一项为默认样式，
+ *   目标另带 aim（样式 id），玩家右键 / R 键 / 双指轻点依次切换，AI 把每种样式作为单独的行动评估；
+ *   样式可用 line: "ROW" / "COLUMN" 代替 pattern，覆盖目标所在的整行 / 整列（AI 每行、每列只评估一次）
+ * - effect: "STRIKE" 对范围内每格造成伤害（跳过已未命中与已摧毁的格子）/ "SCAN" 水听扫描，不造成伤害 /
+ *   "TORPEDO" 鱼雷，自发射格沿航向逐格航行，击中第一个未暴露的船体段（途经的空水域标记为未命中） /
+ *   "DEPTH_CHARGE" 深水炸弹，只对潜艇造成伤害；其他舰船不受伤害，回报为未命中，但该格被确认有船（非潜艇） /
+ *   "RECON" 侦察，不造成伤害，回报覆盖范围内未暴露的船体格数，不透露位置 /
+ *   "AA_COVER" 防空掩护，部署在己方棋盘，对手下一次打到掩护范围内的空袭（requires 为 AIR 的 STRIKE 武器）
+ *   有至多 intercept 格被拦截 / "SMOKE" 烟幕，掩护己方所选格子所在的舰船，对手下一次扫描到它时该舰没有信号
+ *   （防御武器占用本回合的行动，生效一次后撤除；同一种防御同时只保留一个，重新部署会替换旧的）
+ * - damage: 每格伤害，"FLEET_AP" 表示取攻击方存活舰船 apDamage 的最大值（SCAN / RECON 与防御武器省略）
+ * - intercept: AA_COVER 武器每次至多拦截的格数（离掩护中心近的格子优先）
+ * - requires: 使用所需的舰船能力（ships.js 中 abilities 含该能力的舰船存活即可），省略时始终可用
+ * - ammo: 可选，弹药数：舰队中每艘提供 requires 能力的舰船携带的发数（整个舰队共用），省略时不限
+ * - cooldown: 可选，使用后需等待的己方回合数，省略时每回合都可使用
+ * - target: 目标规则，"OPEN" 不能瞄准已未命中或已摧毁的格子 / "BOARD" 棋盘内任意格 /
+ *   "EDGE" 棋盘边缘格，另需指向棋盘内的航向（角落格可选两个航向） /
+ *   "OWN" 己方棋盘内任意格（防御武器；SMOKE 须选中未沉没且还有未暴露格子的舰船）
+ * - log: 攻击日志 { player, enemy }，{at} 为目标坐标、{damage} 为每格伤害、{count} 为实际打击的格数
+ *   （TORPEDO 武器为航行的格数，RECON 武器为回报的船体格数）、{heading} 为航向、{aim} 为打击样式、
+ *   {line} 为整行 / 整列样式的位置（如「第 3 行」）；SCAN 武器的日志由水听结算器给出；
+ *   防御武器的日志不含位置（双人同屏时对手也能看到日志）
+ * - triggerLog: 防御武器生效时的日志 { player: 我方的防御生效, enemy: 敌方的防御生效 }，{count} 为拦截的格数；
+ *   省略时生效不记日志（烟幕下的回波视同海面，不让扫描方得知）
+ * - ai: AI 的使用方式
+ *   - targets: 会作为目标的格子状态（UNKNOWN / SUSPECT / OCCUPIED / HIT / DESTROYED，OCCUPIED 为深水炸弹确认有船的格子）；
+ *     EDGE 武器为航线上、整行 / 整列样式为该行 / 列上须含有的格子状态；防御武器为空（何时防御由 AI 按对手的预测行动决定）
+ *   - random: 随机决策时选用该武器的概率（默认武器省略）
+ */
+export const WEAPON_DEFINITIONS = [
+  {
+    id: "AP",
+    label: "主炮",
+    icon: "💥",
+    summary: "单点 {damage}伤",
+    pattern: [[0, 0]],
+    effect: "STRIKE",
+    damage: "FLEET_AP",
+    target: "OPEN",
+    log: { player: "使用主炮攻击 {at}，伤害: {damage}", enemy: "敌方使用主炮攻击 {at}，伤害: {damage}" },
+    ai: { targets: ["UNKNOWN", "SUSPECT", "OCCUPIED", "HIT"] }
+  },
+  {
+    id: "HE",
+    label: "空袭",
+    icon: "✈️",
+    summary: "{aim} {damage}伤",
+    aims: [
+      { id: "X", label: "X型", pattern: [[0, 0], [-1, -1], [-1, 1], [1, -1], [1, 1]] },
+      { id: "PLUS", label: "十字", pattern: [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]] },
+      { id: "ROW", label: "横排", pattern: [[0, -1], [0, 0], [0, 1]] },
+      { id: "COLUMN", label: "竖排", pattern: [[-1, 0], [0, 0], [1, 0]] }
+    ],
+    effect: "STRIKE",
+    damage: 1,
+    requires: "AIR",
+    ammo: 3,
+    cooldown: 1,
+    target: "BOARD",
+    log: { player: "呼叫空袭（{aim}）覆盖 {at} 周边，打击点数: {count}", enemy: "敌方发动空袭（{aim}）覆盖 {at} 周边，打击点数: {count}" },
+    ai: { targets: ["UNKNOWN", "SUSPECT", "OCCUPIED", "HIT", "DESTROYED"], random: 0.1 }
+  },
+  {
+    id: "SONAR",
+    label: "水听",
+    icon: "📡",
+    summary: "侦查 3x3",
+    pattern: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 0], [0, 1], [1, -1], [1, 0], [1, 1]],
+    effect: "SCAN",
+    requires: "SONAR",
+    cooldown: 1,
+    target: "BOARD",
+    ai: { targets: ["UNKNOWN", "SUSPECT"], random: 0.1 }
+  },
+  {
+    id: "TORPEDO",
+    label: "鱼雷",
+    icon: "🚀",
+    summary: "直线 {damage}伤",
+    effect: "TORPEDO",
+    damage: 2,
+    requires: "TORPEDO",
+    ammo: 2,
+    cooldown: 1,
+    target: "EDGE",
+    log: { player: "鱼雷自 {at} 向{heading}发射，航行 {count} 格", enemy: "敌方鱼雷自 {at} 向{heading}发射，航行 {count} 格" },
+    ai: { targets: ["UNKNOWN", "SUSPECT", "OCCUPIED"], random: 0.05 }
+  },
+  {
+    id: "DEPTH",
+    label: "深弹",
+    icon: "💣",
+    summary: "反潜 3x3 {damage}伤",
+    pattern: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 0], [0, 1], [1, -1], [1, 0], [1, 1]],
+    effect: "DEPTH_CHARGE",
+    damage: 1,
+    requires: "ASW",
+    ammo: 2,
+    cooldown: 1,
+    target: "BOARD",
+    log: { player: "投放深水炸弹覆盖 {at} 周边，投放点数: {count}", enemy: "敌方投放深水炸弹覆盖 {at} 周边，投放点数: {count}" },
+    ai: { targets: ["UNKNOWN", "SUSPECT"], random: 0.05 }
+  },
+  {
+    id: "RECON",
+    label: "侦察",
+    icon: "🛩️",
+    summary: "{aim}计数",
+    aims: [
+      { id: "ROW", label: "整行", line: "ROW" },
+      { id: "COLUMN", label: "整列", line: "COLUMN" }
+    ],
+    effect: "RECON",
+    requires: "AIR",
+    ammo: 2,
+    cooldown: 1,
+    target: "BOARD",
+    log: { player: "侦察机掠过{line}，发现 {count} 格未暴露的船体", enemy: "敌方侦察机掠过{line}，发现 {count} 格未暴露的船体" },
+    ai: { targets: ["UNKNOWN", "SUSPECT"], random: 0.05 }
+  },
+  {
+    id: "AA",
+    label: "防空",
+    icon: "🛡️",
+    summary: "掩护 3x3",
+    pattern: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 0], [0, 1], [1, -1], [1, 0], [1, 1]],
+    effect: "AA_COVER",
+    requires: "AA",
+    ammo: 2,
+    cooldown: 1,
+    intercept: 2,
+    target: "OWN",
+    log: { player: "在我方海域布置了防空掩护", enemy: "敌方布置了防空掩护" },
+    triggerLog: { player: "我方防空火力拦截了 {count} 个空袭点", enemy: "敌方防空火力拦截了 {count} 个空袭点" },
+    ai: { targets: [] }
+  },
+  {
+    id: "SMOKE",
+    label: "烟幕",
+    icon: "🌫️",
+    summary: "掩护 1 艘",
+    pattern: [[0, 0]],
+    effect: "SMOKE",
+    requires: "SMOKE",
+    ammo: 1,
+    target: "OWN",
+    log: { player: "施放烟幕掩护了一艘舰船", enemy: "敌方施放了烟幕" },
+    ai: { targets: [] }
+  }
+];
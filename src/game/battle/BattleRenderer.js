@@ -1,36 +1,130 @@
 // src/game/battle/BattleRenderer.js
 // 战斗渲染器 - 将事件转换为 DOM 操作
 
-import { EventType } from '../weapons/WeaponTypes.js';
+import { EventType, EffectType } from '../weapons/WeaponTypes.js';
+import { LINES } from '../core/WeaponRules.js';
+
+/**
+ * 各特效的时长（ms）：hold 为挡住其后事件的时长，duration 为动画本身的时长，
+ * 动画收尾与其后的事件重叠，连续的命中与水花因此依次铺开；
+ * step 为多格特效中相邻两格的间隔（另计入 hold）
+ */
+const EFFECT_TIMING = {
+    [EffectType.IMPACT]: { hold: 220, duration: 550 },
+    [EffectType.SPLASH]: { hold: 140, duration: 500 },
+    [EffectType.AIR_SWEEP]: { hold: 120, duration: 450, step: 70 },
+    [EffectType.SONAR_RING]: { hold: 450, duration: 900 },
+    [EffectType.SINK]: { hold: 550, duration: 1000 }
+};
 
 /**
  * 战斗渲染器 - 将事件转换为 DOM 操作
+ *
+ * 开启动画时，事件按顺序排队：遇到特效（EFFECT）先播放，等待其 hold 时长后再应用后续事件，
+ * 格子状态因此在爆炸、水花落下之后才更新。未开启动画或系统偏好减少动态效果时，特效直接跳过，
+ * 所有事件同步应用（回放与观战依赖这一点在 render 返回后读取结果）。
+ * 传入 sound（见 BattleSound）时，每个事件应用时交给 sound.onEvent，声音与特效同步。
  */
 export class BattleRenderer {
     /**
      * @param {Object} options
      * @param {Function} options.logFn - 日志输出函数 (msg, className) => void
      * @param {Function} options.onShipSunk - 船只沉没回调 (shipId, grid) => void
+     * @param {boolean} [options.animate=false] - 是否播放特效
+     * @param {Object|null} [options.sound=null] - 音效，{ onEvent(event) }
      */
     constructor(options = {}) {
         this.logFn = options.logFn || ((msg, cls) => console.log(`[${cls}] ${msg}`));
         this.onShipSunk = options.onShipSunk || (() => {});
+        this.animate = options.animate ?? false;
+        this.sound = options.sound ?? null;
+
+        this.queue = [];            // 等待应用的事件
+        this.holdTimer = null;      // 正在播放的特效挡住队列时的计时器
+        this.idleCallbacks = [];    // 队列清空后要执行的回调
     }
     
     /**
-     * 渲染一组事件
+     * 渲染一组事件（排在尚未播放完的事件之后）
      * @param {Array<Event>} events - 事件数组
      */
     render(events) {
         if (!events || !Array.isArray(events)) return;
         
-        for (const event of events) {
-            this._renderOne(event);
+        this.queue.push(...events);
+        if (this.holdTimer === null) this._drain();
+    }
+
+    /**
+     * 是否还有特效在播放或事件在排队
+     * @returns {boolean}
+     */
+    isAnimating() {
+        return this.holdTimer !== null;
+    }
+
+    /**
+     * 在全部事件应用完毕后执行回调（当前空闲时立即执行）
+     * @param {Function} callback
+     */
+    whenIdle(callback) {
+        if (this.holdTimer === null) {
+            callback();
+        } else {
+            this.idleCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * 跳过正在播放的特效，立即应用所有排队的事件，不再播放声音（重建或切换棋盘前调用）
+     */
+    flush() {
+        if (this.holdTimer !== null) {
+            clearTimeout(this.holdTimer);
+            this.holdTimer = null;
         }
+        document.querySelectorAll('.fx').forEach(el => el.remove());
+        this._drain(false, true);
+    }
+
+    /**
+     * 依次应用排队的事件，遇到需要等待的特效时暂停
+     * @param {boolean} [animate] - 是否播放特效
+     * @param {boolean} [silent=false] - 是否不播放声音
+     */
+    _drain(animate = this._shouldAnimate(), silent = false) {
+        while (this.queue.length > 0) {
+            const event = this.queue.shift();
+            if (this.sound && !silent) this.sound.onEvent(event);
+            if (event.type !== EventType.EFFECT) {
+                this._renderOne(event);
+                continue;
+            }
+            const hold = animate ? this._renderEffect(event.payload) : 0;
+            if (hold > 0) {
+                this.holdTimer = setTimeout(() => {
+                    this.holdTimer = null;
+                    this._drain();
+                }, hold);
+                return;
+            }
+        }
+
+        const callbacks = this.idleCallbacks;
+        this.idleCallbacks = [];
+        callbacks.forEach(callback => callback());
+    }
+
+    /**
+     * 开启了动画且系统未要求减少动态效果
+     * @returns {boolean}
+     */
+    _shouldAnimate() {
+        return this.animate && !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
     }
     
     /**
-     * 渲染单个事件
+     * 渲染单个事件（特效见 _drain）
      * @param {Object} event - 事件对象
      */
     _renderOne(event) {
@@ -44,8 +138,8 @@ export class BattleRenderer {
             case EventType.LOG:
                 this._renderLog(event.payload);
                 break;
-            case EventType.EFFECT:
-                this._renderEffect(event.payload);
+            case EventType.LINE_REPORT:
+                this._renderLineReport(event.payload);
                 break;
         }
     }
@@ -62,7 +156,7 @@ export class BattleRenderer {
         if (!cell) return;
         
         // 清除旧状态（保留 detect/ai-detect 之外的状态）
-        cell.classList.remove('hit', 'destroyed', 'miss');
+        cell.classList.remove('hit', 'destroyed', 'miss', 'occupied');
         
         // 应用新状态
         switch (state) {
@@ -78,6 +172,11 @@ export class BattleRenderer {
                 cell.classList.remove('detect', 'ai-detect');
                 cell.classList.add('miss');
                 break;
+            case 'OCCUPIED':
+                // 深水炸弹确认有船（非潜艇），格子尚未受损
+                cell.classList.remove('detect', 'ai-detect');
+                cell.classList.add('occupied');
+                break;
             case 'SUSPECT':
                 // 玩家侧用 detect，AI 侧用 ai-detect
                 // 如果格子已经有 hit/destroyed/miss 状态则不覆盖
@@ -95,6 +194,28 @@ export class BattleRenderer {
         }
     }
     
+    /**
+     * 渲染侦察回报：在该行右端 / 该列下端显示船体格数的徽标，同一行 / 列只保留最新的回报
+     * @param {Object} payload - 事件载荷
+     */
+    _renderLineReport(payload) {
+        const { grid, line, index, count } = payload;
+        const gridEl = document.getElementById(grid === 'PLAYER' ? 'player-grid' : 'enemy-grid');
+        if (!gridEl) return;
+
+        const key = `${line}-${index}`;
+        let badge = gridEl.querySelector(`.recon-badge[data-line="${key}"]`);
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.className = `recon-badge recon-${line.toLowerCase()}`;
+            badge.dataset.line = key;
+            badge.style.setProperty('--line-index', index);
+            gridEl.appendChild(badge);
+        }
+        badge.innerText = count;
+        badge.title = `侦察：第 ${index + 1} ${LINES[line]?.label ?? ''}有 ${count} 格未暴露的船体（回报时）`;
+    }
+
     /**
      * 渲染船只状态更新
      * @param {Object} payload - 事件载荷
@@ -118,11 +239,44 @@ export class BattleRenderer {
     }
     
     /**
-     * 渲染特效（预留）
+     * 播放特效：在棋盘上叠加 .fx 元素，动画结束后移除
+     * 声纳波纹覆盖整个扫描范围，其余特效逐格播放（空袭按 step 依次掠过）
      * @param {Object} payload - 事件载荷
+     * @returns {number} 需要挡住后续事件的时长（ms）
      */
     _renderEffect(payload) {
-        // 预留：用于播放爆炸、扫描等动画效果
-        // 当前版本暂不实现
+        const { grid, effect, cells } = payload;
+        const timing = EFFECT_TIMING[effect];
+        const gridEl = document.getElementById(grid === 'PLAYER' ? 'player-grid' : 'enemy-grid');
+        if (!timing || !gridEl || !cells?.length) return 0;
+
+        const step = timing.step ?? 0;
+        const boxes = effect === EffectType.SONAR_RING ? [getBoundingBox(cells)] : cells.map(({ r, c }) => ({ r, c, rows: 1, cols: 1 }));
+        boxes.forEach((box, i) => {
+            const el = document.createElement('div');
+            el.className = `fx fx-${effect.toLowerCase().replace('_', '-')}`;
+            el.style.setProperty('--fx-r', box.r);
+            el.style.setProperty('--fx-c', box.c);
+            el.style.setProperty('--fx-rows', box.rows);
+            el.style.setProperty('--fx-cols', box.cols);
+            el.style.setProperty('--fx-duration', `${timing.duration}ms`);
+            el.style.setProperty('--fx-delay', `${i * step}ms`);
+            gridEl.appendChild(el);
+            setTimeout(() => el.remove(), timing.duration + i * step);
+        });
+        return timing.hold + (boxes.length - 1) * step;
     }
 }
+
+/**
+ * 一组格子的外接矩形
+ * @param {Array<{r: number, c: number}>} cells
+ * @returns {{ r: number, c: number, rows: number, cols: number }}
+ */
+function getBoundingBox(cells) {
+    const rows = cells.map(({ r }) => r);
+    const cols = cells.map(({ c }) => c);
+    const r = Math.min(...rows);
+    const c = Math.min(...cols);
+    return { r, c, rows: Math.max(...rows) - r + 1, cols: Math.max(...cols) - c + 1 };
+}
@@ -0,0 +1,431 @@
+// src/game/battle/BattleSound.js
+// 战斗音效 - 用 Web Audio 即时合成开炮、空袭、声纳、命中、沉没与胜负的声音以及背景音乐，不需要音频文件
+
+import { EventType, EffectType } from '../weapons/WeaponTypes.js';
+
+const SETTINGS_KEY = 'soundSettings';
+const DEFAULT_SETTINGS = { volume: 0.6, muted: false };
+
+/** 连续落点的间隔小于此值（秒）时视为同一轮射击，只在第一发时开炮 */
+const VOLLEY_GAP = 0.4;
+/** 空袭机群掠过后这段时间（秒）内的落点是炸弹，不再开炮 */
+const SWEEP_WINDOW = 1.5;
+
+/** 背景音乐：每拍时长（秒）、提前排程的时长（秒）与排程间隔（ms） */
+const MUSIC_BEAT = 0.75;
+const MUSIC_LOOKAHEAD = 1.5;
+const MUSIC_TICK = 400;
+/** 背景音乐相对音效的音量 */
+const MUSIC_LEVEL = 0.5;
+/** 和弦进行（D 小调 i - VI - III - VII），每个和弦四拍 */
+const MUSIC_CHORDS = [
+    [146.83, 174.61, 220.0],
+    [116.54, 146.83, 174.61],
+    [174.61, 220.0, 261.63],
+    [130.81, 164.81, 196.0]
+];
+/** 紧张度：命中与沉没时上升，每拍回落；越紧张鼓点与低音越密 */
+const TENSION_HIT = 0.15;
+const TENSION_SINK = 0.4;
+const TENSION_DECAY = 0.02;
+
+/**
+ * 读取音量设置
+ * @returns {{ volume: number, muted: boolean }}
+ */
+function loadSoundSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (!settings || typeof settings !== 'object') return { ...DEFAULT_SETTINGS };
+        const volume = Number(settings.volume);
+        return {
+            volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : DEFAULT_SETTINGS.volume,
+            muted: settings.muted === true
+        };
+    } catch (e) {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * 保存音量设置
+ * @param {{ volume: number, muted: boolean }} settings
+ */
+function saveSoundSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('[音效] 设置写入失败', e);
+    }
+}
+
+/**
+ * 战斗音效
+ *
+ * 作为 BattleRenderer 的 sound 选项接入：渲染器每应用一个事件就交给 onEvent，
+ * 声音因此与特效同步（命中、水花、空袭掠过、声纳波纹、沉没各有一种声音，每轮射击的第一发前开炮）。
+ * 对战期间（startMusic ~ stopMusic）另有循环的背景音乐，命中与沉没会提高它的紧张度，与音效共用音量与静音设置。
+ * 浏览器要求在用户手势中创建音频，每次点击或按键时调用 unlock；不支持 Web Audio 时所有方法静默无效。
+ */
+export class BattleSound {
+    constructor() {
+        this.settings = loadSoundSettings();
+        this.ctx = null;
+        this.master = null;
+        this.noiseBuffer = null;
+        this.lastShellAt = -Infinity;   // 上一次落点的时间（AudioContext 时钟）
+        this.lastSweepAt = -Infinity;   // 上一次空袭掠过的时间
+        this.musicTimer = null;         // 背景音乐的排程计时器，未播放时为 null
+        this.musicBus = null;           // 背景音乐的总音量节点（停止时淡出后丢弃）
+        this.nextBeatAt = null;         // 下一拍的时间（AudioContext 时钟），静音期间为 null
+        this.beat = 0;                  // 已排程的拍数
+        this.tension = 0;               // 紧张度 0 ~ 1
+    }
+
+    /**
+     * @returns {number} 音量 0 ~ 1
+     */
+    getVolume() {
+        return this.settings.volume;
+    }
+
+    /**
+     * @returns {boolean} 是否静音
+     */
+    isMuted() {
+        return this.settings.muted;
+    }
+
+    /**
+     * 设置音量并保存
+     * @param {number} volume - 0 ~ 1
+     */
+    setVolume(volume) {
+        this.settings.volume = Math.min(1, Math.max(0, volume));
+        saveSoundSettings(this.settings);
+        this._applyVolume();
+    }
+
+    /**
+     * 切换静音并保存
+     * @param {boolean} muted
+     */
+    setMuted(muted) {
+        this.settings.muted = muted;
+        saveSoundSettings(this.settings);
+        this._applyVolume();
+    }
+
+    /**
+     * 创建或恢复音频上下文（须在用户手势中调用，可反复调用）
+     * 浏览器可能随时挂起上下文（切到后台、iOS 的来电等），下一次手势时在这里恢复
+     */
+    unlock() {
+        if (!this.ctx) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+            this.ctx = new AudioContextClass();
+            this.master = this.ctx.createGain();
+            this.master.connect(this.ctx.destination);
+            this._applyVolume();
+        }
+        if (this.ctx.state !== 'running') this.ctx.resume().catch(() => {});
+    }
+
+    /**
+     * 渲染器应用一个事件时调用
+     * @param {Object} event - 战斗事件
+     */
+    onEvent(event) {
+        if (event.type !== EventType.EFFECT) return;
+        if (event.payload.effect === EffectType.IMPACT) this.tension = Math.min(1, this.tension + TENSION_HIT);
+        if (event.payload.effect === EffectType.SINK) this.tension = Math.min(1, this.tension + TENSION_SINK);
+        const t = this._now();
+        if (t === null) return;
+
+        switch (event.payload.effect) {
+            case EffectType.IMPACT:
+            case EffectType.SPLASH: {
+                const volley = t - this.lastShellAt < VOLLEY_GAP;
+                const bombing = t - this.lastSweepAt < SWEEP_WINDOW;
+                this.lastShellAt = t;
+                const fire = !volley && !bombing;
+                if (fire) this._gunfire(t);
+                const land = fire ? t + 0.12 : t;
+                if (event.payload.effect === EffectType.IMPACT) {
+                    this._explosion(land);
+                } else {
+                    this._splash(land);
+                }
+                break;
+            }
+            case EffectType.AIR_SWEEP:
+                this.lastSweepAt = t;
+                this._aircraft(t);
+                break;
+            case EffectType.SONAR_RING:
+                this._ping(t);
+                break;
+            case EffectType.SINK:
+                this._sinking(t);
+                break;
+        }
+    }
+
+    /**
+     * 开始播放背景音乐（已在播放时无效）；音频尚未解锁时等解锁后自动开始
+     */
+    startMusic() {
+        if (this.musicTimer !== null) return;
+        this.beat = 0;
+        this.tension = 0;
+        this.nextBeatAt = null;
+        this.musicTimer = setInterval(() => this._scheduleMusic(), MUSIC_TICK);
+        this._scheduleMusic();
+    }
+
+    /**
+     * 停止背景音乐：已排程的音符随总音量淡出
+     */
+    stopMusic() {
+        if (this.musicTimer === null) return;
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+        if (this.musicBus) {
+            const bus = this.musicBus;
+            const t = this.ctx.currentTime;
+            bus.gain.setValueAtTime(bus.gain.value, t);
+            bus.gain.linearRampToValueAtTime(0, t + 1);
+            setTimeout(() => bus.disconnect(), 1500);
+            this.musicBus = null;
+        }
+    }
+
+    /**
+     * 胜利的号角：上行的大三和弦琶音
+     */
+    playVictory() {
+        const t = this._now();
+        if (t === null) return;
+        [523.25, 659.25, 783.99].forEach((freq, i) => {
+            this._tone(t + i * 0.14, 0.2, { type: 'triangle', freq, gain: 0.35 });
+        });
+        [523.25, 659.25, 783.99, 1046.5].forEach(freq => {
+            this._tone(t + 0.42, 0.9, { type: 'triangle', freq, gain: 0.2 });
+        });
+    }
+
+    /**
+     * 失败的哀乐：缓慢下行的小调
+     */
+    playDefeat() {
+        const t = this._now();
+        if (t === null) return;
+        [392.0, 349.23, 311.13, 261.63].forEach((freq, i) => {
+            const last = i === 3;
+            this._tone(t + i * 0.32, last ? 1.1 : 0.3, { type: 'sawtooth', freq, gain: 0.18, filter: 900 });
+        });
+    }
+
+    /**
+     * 试听（调整音量时播放一次声纳声）
+     */
+    preview() {
+        const t = this._now();
+        if (t !== null) this._ping(t);
+    }
+
+    // === 背景音乐 ===
+
+    /**
+     * 排程未来 MUSIC_LOOKAHEAD 秒内的拍子；静音时不排程，恢复后从当前时刻续上
+     */
+    _scheduleMusic() {
+        const now = this._now();
+        if (now === null) {
+            this.nextBeatAt = null;
+            return;
+        }
+        if (!this.musicBus) {
+            this.musicBus = this.ctx.createGain();
+            this.musicBus.gain.value = MUSIC_LEVEL;
+            this.musicBus.connect(this.master);
+        }
+        if (this.nextBeatAt === null || this.nextBeatAt < now) this.nextBeatAt = now + 0.1;
+        while (this.nextBeatAt < now + MUSIC_LOOKAHEAD) {
+            this._musicBeat(this.nextBeatAt, this.beat);
+            this.nextBeatAt += MUSIC_BEAT;
+            this.beat++;
+            this.tension = Math.max(0, this.tension - TENSION_DECAY);
+        }
+    }
+
+    /**
+     * 一拍的音乐：小节首拍铺和弦，低音与鼓点随紧张度加密，平静时偶有一个高音
+     */
+    _musicBeat(t, beat) {
+        const chord = MUSIC_CHORDS[Math.floor(beat / 4) % MUSIC_CHORDS.length];
+        const step = beat % 4;
+        const out = this.musicBus;
+        if (step === 0) {
+            chord.forEach(freq => this._pad(t, MUSIC_BEAT * 4, freq));
+        }
+        if (step % 2 === 0 || this.tension > 0.4) {
+            this._tone(t, MUSIC_BEAT * 0.9, { freq: chord[0] / 2, gain: 0.3, out });
+        }
+        if (step === 0 || (step === 2 && this.tension > 0.3)) {
+            this._drum(t, 0.25 + this.tension * 0.35);
+        }
+        if (this.tension > 0.6) {
+            this._drum(t + MUSIC_BEAT / 2, 0.2);
+        }
+        if (this.tension < 0.3 && step % 2 === 1 && Math.random() < 0.3) {
+            const freq = chord[Math.floor(Math.random() * chord.length)] * 2;
+            this._tone(t, MUSIC_BEAT * 2, { type: 'triangle', freq, gain: 0.05, out });
+        }
+    }
+
+    /** 和弦铺底：缓慢起落的柔和长音 */
+    _pad(start, duration, freq) {
+        const osc = this.ctx.createOscillator();
+        osc.type = 'triangle';
+        osc.frequency.value = freq;
+        const lowpass = this.ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 700;
+        const envelope = this.ctx.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(0.07, start + duration * 0.3);
+        envelope.gain.linearRampToValueAtTime(0, start + duration);
+        osc.connect(lowpass);
+        lowpass.connect(envelope);
+        envelope.connect(this.musicBus);
+        osc.start(start);
+        osc.stop(start + duration + 0.05);
+    }
+
+    /** 定音鼓：低沉的一击 */
+    _drum(t, gain) {
+        this._tone(t, 0.5, { freq: 90, freqEnd: 50, gain, out: this.musicBus });
+        this._noise(t, 0.12, { freq: 400, freqEnd: 120, gain: gain * 0.5, out: this.musicBus });
+    }
+
+    // === 合成 ===
+
+    /**
+     * 当前音频时钟；未解锁、静音或音量为 0 时返回 null（不合成任何声音）
+     * @returns {number|null}
+     */
+    _now() {
+        if (!this.ctx || this.settings.muted || this.settings.volume === 0) return null;
+        return this.ctx.currentTime;
+    }
+
+    _applyVolume() {
+        if (!this.master) return;
+        const volume = this.settings.muted ? 0 : this.settings.volume;
+        this.master.gain.setValueAtTime(volume, this.ctx.currentTime);
+    }
+
+    /**
+     * 快速起音、指数衰减的包络
+     * @returns {GainNode}
+     */
+    _envelope(start, duration, gain, out = this.master) {
+        const node = this.ctx.createGain();
+        node.gain.setValueAtTime(0.0001, start);
+        node.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+        node.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        node.connect(out);
+        return node;
+    }
+
+    /**
+     * 振荡器音：频率从 freq 滑向 freqEnd，可选低通滤波；out 为输出节点（默认总音量）
+     */
+    _tone(start, duration, { type = 'sine', freq, freqEnd = freq, gain, filter = null, out }) {
+        const osc = this.ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+        osc.frequency.exponentialRampToValueAtTime(freqEnd, start + duration);
+
+        const envelope = this._envelope(start, duration, gain, out);
+        if (filter) {
+            const lowpass = this.ctx.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.frequency.value = filter;
+            osc.connect(lowpass);
+            lowpass.connect(envelope);
+        } else {
+            osc.connect(envelope);
+        }
+        osc.start(start);
+        osc.stop(start + duration + 0.05);
+    }
+
+    /**
+     * 滤波白噪声：截止频率从 freq 滑向 freqEnd
+     */
+    _noise(start, duration, { type = 'lowpass', freq, freqEnd = freq, q = 1, gain, out }) {
+        if (!this.noiseBuffer) {
+            const length = this.ctx.sampleRate;
+            this.noiseBuffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = type;
+        filter.Q.value = q;
+        filter.frequency.setValueAtTime(freq, start);
+        filter.frequency.exponentialRampToValueAtTime(freqEnd, start + duration);
+
+        source.connect(filter);
+        filter.connect(this._envelope(start, duration, gain, out));
+        source.start(start);
+        source.stop(start + duration + 0.05);
+    }
+
+    /** 开炮：低沉的炮口爆鸣 */
+    _gunfire(t) {
+        this._noise(t, 0.35, { freq: 900, freqEnd: 150, gain: 0.9 });
+        this._tone(t, 0.3, { freq: 95, freqEnd: 40, gain: 0.8 });
+    }
+
+    /** 命中：较亮的爆炸与余震 */
+    _explosion(t) {
+        this._noise(t, 0.55, { freq: 2400, freqEnd: 250, gain: 0.8 });
+        this._tone(t, 0.45, { type: 'triangle', freq: 150, freqEnd: 45, gain: 0.6 });
+    }
+
+    /** 落水：短促的水花 */
+    _splash(t) {
+        this._noise(t, 0.35, { type: 'bandpass', freq: 1600, freqEnd: 500, q: 0.8, gain: 0.45 });
+    }
+
+    /** 空袭：机群由远及近掠过的轰鸣 */
+    _aircraft(t) {
+        this._tone(t, 1.0, { type: 'sawtooth', freq: 120, freqEnd: 70, gain: 0.12, filter: 600 });
+        this._noise(t, 1.0, { type: 'bandpass', freq: 700, freqEnd: 2200, q: 1.5, gain: 0.3 });
+    }
+
+    /** 声纳：清脆的脉冲与一次回波 */
+    _ping(t) {
+        this._tone(t, 0.9, { freq: 1250, gain: 0.45 });
+        this._tone(t + 0.45, 0.7, { freq: 1250, gain: 0.15 });
+    }
+
+    /** 沉没：下沉的低鸣、翻涌的水声与气泡 */
+    _sinking(t) {
+        this._tone(t, 1.6, { freq: 130, freqEnd: 35, gain: 0.55 });
+        this._noise(t, 1.4, { freq: 500, freqEnd: 90, gain: 0.45 });
+        for (let i = 0; i < 6; i++) {
+            const start = t + 0.3 + i * 0.17;
+            const freq = 300 + Math.random() * 400;
+            this._tone(start, 0.08, { freq, freqEnd: freq * 1.8, gain: 0.12 });
+        }
+    }
+}
@@ -0,0 +1,56 @@
+// src/game/battle/DepthChargeResolver.js
+// 深水炸弹结算器 - 纯数据层，不操作 DOM
+
+import { resolveHit } from './HitResolver.js';
+import { EffectType, createCellUpdateEvent, createEffectEvent } from '../weapons/WeaponTypes.js';
+import { isSubmarine } from '../core/Fleet.js';
+
+/**
+ * 深水炸弹结算 - 纯数据层
+ *
+ * 覆盖范围内逐格判定，已未命中与已摧毁的格子跳过：
+ * - 海面：标记为未命中；
+ * - 潜艇：照常造成伤害；
+ * - 其他舰船：不受伤害，回报与海面一样是未命中，但该格被确认有船（非潜艇），
+ *   标记 occupied 并发出 OCCUPIED 状态，之后仍可作为其他武器的目标。
+ *   已命中或已确认过的水面舰船格不会带来新信息，不计入投放点数。
+ *
+ * @param {Array<{r: number, c: number}>} cells - 覆盖范围
+ * @param {number} damage - 对潜艇每格的伤害
+ * @param {Array<Array<Object>>} grid - 网格数据 (enemyGridMap 格式)
+ * @param {Array<Object>} ships - 舰船数组
+ * @param {boolean} isPlayer - 是否为玩家攻击
+ * @returns {Object} { events: Event[], shipsSunk: number[], struck: number, occupied: number }
+ *   struck 为实际投放的格数，occupied 为新确认有水面舰船的格数
+ */
+export function resolveDepthCharge(cells, damage, grid, ships, isPlayer) {
+    const events = [];
+    const shipsSunk = [];
+    let struck = 0;
+    let occupied = 0;
+
+    for (const { r, c } of cells) {
+        const cell = grid[r][c];
+        if (cell.hit && cell.shipId === -1) continue;
+
+        const ship = cell.shipId === -1 ? null : ships[cell.shipId];
+        if (ship && ship.hp[cell.segmentIndex] <= 0) continue;
+
+        if (ship && !isSubmarine(ship)) {
+            if (cell.hit || cell.occupied) continue;
+            cell.occupied = true;
+            events.push(createEffectEvent(EffectType.SPLASH, [{ r, c }]));
+            events.push(createCellUpdateEvent(r, c, 'OCCUPIED'));
+            struck++;
+            occupied++;
+            continue;
+        }
+
+        const result = resolveHit(r, c, damage, grid, ships, isPlayer);
+        events.push(...result.events);
+        if (result.sunk) shipsSunk.push(result.hitShip.id);
+        struck++;
+    }
+
+    return { events, shipsSunk, struck, occupied };
+}
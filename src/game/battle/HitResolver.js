@@ -1,10 +1,14 @@
 // src/game/battle/HitResolver.js
 // 命中结算器 - 纯数据层，不操作 DOM
 
-import { createCellUpdateEvent, createShipUpdateEvent, createLogEvent, isInBounds } from '../weapons/WeaponTypes.js';
+import {
+    EffectType, createCellUpdateEvent, createShipUpdateEvent, createLogEvent, createEffectEvent, isInBounds
+} from '../weapons/WeaponTypes.js';
+import { getShipCells } from '../core/ShipShape.js';
 
 /**
  * 命中结算器 - 纯数据层
+ * 格子更新前附带命中爆炸或落水水花的特效，沉船时附带整艘舰船的沉没特效
  * 
  * @param {number} r - 行坐标
  * @param {number} c - 列坐标
@@ -18,7 +22,7 @@ export function resolveHit(r, c, damage, grid, ships, isPlayer) {
     const events = [];
     
     // 边界检查
-    if (!isInBounds(r, c)) {
+    if (!isInBounds(r, c, grid.length)) {
         return { events: [], hitShip: null, sunk: false };
     }
     
@@ -49,6 +53,7 @@ export function resolveHit(r, c, damage, grid, ships, isPlayer) {
         
         // 判断格子状态
         const cellState = ship.hp[segIdx] <= 0 ? 'DESTROYED' : 'HIT';
+        events.push(createEffectEvent(EffectType.IMPACT, [{ r, c }]));
         events.push(createCellUpdateEvent(r, c, cellState));
         events.push(createShipUpdateEvent(ship.id, segIdx, ship.hp[segIdx], false));
         
@@ -56,6 +61,7 @@ export function resolveHit(r, c, damage, grid, ships, isPlayer) {
         const isSunk = ship.hp.every(h => h <= 0) && !ship.sunk;
         if (isSunk) {
             ship.sunk = true;
+            events.push(createEffectEvent(EffectType.SINK, getShipCells(ship)));
             events.push(createShipUpdateEvent(ship.id, -1, 0, true));
             
             const logClass = isPlayer ? 'c-warn' : 'c-e';
@@ -68,6 +74,7 @@ export function resolveHit(r, c, damage, grid, ships, isPlayer) {
         return { events, hitShip: ship, sunk: isSunk };
     } else {
         // 未命中
+        events.push(createEffectEvent(EffectType.SPLASH, [{ r, c }]));
         events.push(createCellUpdateEvent(r, c, 'MISS'));
         return { events, hitShip: null, sunk: false };
     }
@@ -0,0 +1,26 @@
+// src/game/battle/ReconResolver.js
+// 侦察结算器 - 纯数据层，不操作 DOM
+
+import { createLineReportEvent } from '../weapons/WeaponTypes.js';
+
+/**
+ * 侦察结算 - 纯数据层
+ *
+ * 统计整行 / 整列上未暴露的格子（未被攻击、也未被深水炸弹确认）中有船的格数，
+ * 只回报数量，不改变任何格子的状态。回报连同统计时的格子一起记入 reports，
+ * 之后这些格子被揭示也不影响回报的含义。
+ *
+ * @param {Array<{r: number, c: number}>} cells - 覆盖的整行 / 整列
+ * @param {string} line - 'ROW' | 'COLUMN'
+ * @param {number} index - 行号 / 列号
+ * @param {Array<Array<Object>>} grid - 网格数据 (enemyGridMap 格式)
+ * @param {Array<Object>} [reports] - 防守方棋盘上的侦察回报（原地追加）
+ * @returns {Object} { events: Event[], report: ReconReport }
+ */
+export function resolveRecon(cells, line, index, grid, reports) {
+    const hidden = cells.filter(({ r, c }) => !grid[r][c].hit && !grid[r][c].occupied);
+    const count = hidden.filter(({ r, c }) => grid[r][c].shipId !== -1).length;
+    const report = { line, index, cells: hidden.map(({ r, c }) => ({ r, c })), count };
+    reports?.push(report);
+    return { events: [createLineReportEvent(report)], report };
+}
@@ -1,49 +1,43 @@
 // src/game/battle/SonarResolver.js
 // 声纳扫描结算器 - 纯数据层
 
-import { createCellUpdateEvent, createLogEvent, isInBounds } from '../weapons/WeaponTypes.js';
-import { BOARD_SIZE } from '../../config/constants.js';
+import { EffectType, createCellUpdateEvent, createLogEvent, createEffectEvent } from '../weapons/WeaponTypes.js';
 
 /**
  * 声纳扫描结算器
  * 
  * @param {number} centerR - 中心行坐标
  * @param {number} centerC - 中心列坐标
+ * @param {Array<{r: number, c: number}>} area - 扫描范围（由武器定义给出，已去掉超出棋盘的格子）
  * @param {Array<Array<Object>>} grid - 网格数据
  * @param {Array<Object>} ships - 舰船数组
  * @param {boolean} isPlayer - 是否为玩家使用
+ * @param {Array<{r: number, c: number}>} [screened] - 被烟幕遮蔽的格子：视同海面，没有信号，也不作任何标记
  * @returns {Object} { events: Event[], hasSignal: boolean }
  */
-export function resolveSonar(centerR, centerC, grid, ships, isPlayer) {
-    const events = [];
+export function resolveSonar(centerR, centerC, area, grid, ships, isPlayer, screened = []) {
+    // 声纳波纹先于扫描结果播放
+    const events = [createEffectEvent(EffectType.SONAR_RING, area)];
     
-    // 统计 3x3 区域内未暴露的船只格数
+    // 统计扫描范围内未暴露的船只格数（深水炸弹已确认有船的格子、被烟幕遮蔽的格子不计入）
     let shipCount = 0;
-    const scanCells = [];
+    const isScreened = (r, c) => screened.some(cell => cell.r === r && cell.c === c);
+    const scanCells = area.map(({ r, c }) => ({ r, c, isCenter: r === centerR && c === centerC && !isScreened(r, c) }));
     
-    for (let i = -1; i <= 1; i++) {
-        for (let j = -1; j <= 1; j++) {
-            const nr = centerR + i;
-            const nc = centerC + j;
-            
-            if (!isInBounds(nr, nc)) continue;
-            
-            scanCells.push({ r: nr, c: nc, isCenter: i === 0 && j === 0 });
-            
-            const cell = grid[nr][nc];
-            if (cell.shipId !== -1 && !cell.hit) {
-                shipCount++;
-            }
+    for (const { r, c } of scanCells) {
+        const cell = grid[r][c];
+        if (cell.shipId !== -1 && !cell.hit && !cell.occupied && !isScreened(r, c)) {
+            shipCount++;
         }
     }
     
     const prefix = isPlayer ? '' : '敌方';
     
     if (shipCount === 0) {
-        // 无信号：全部标记为 miss
+        // 无信号：全部标记为 miss（回波全被烟幕遮蔽时结果与空海域相同，只是烟幕下的格子不标记）
         for (const { r, c } of scanCells) {
             const cell = grid[r][c];
-            if (!cell.hit) {
+            if (!cell.hit && !cell.occupied && !isScreened(r, c)) {
                 cell.hit = true;
                 events.push(createCellUpdateEvent(r, c, 'MISS'));
             }
@@ -56,9 +50,9 @@ export function resolveSonar(centerR, centerC, grid, ships, isPlayer) {
     } else {
         // 有信号：中心点显形，周围标记疑似
         
-        // 中心点处理：造成 0 伤害的"命中"判定，揭示真实状态
+        // 中心点处理：造成 0 伤害的"命中"判定，揭示真实状态（被烟幕遮蔽时与周围格子一样只标记疑似）
         const centerCell = grid[centerR][centerC];
-        if (!centerCell.hit) {
+        if (!centerCell.hit && !isScreened(centerR, centerC)) {
             centerCell.hit = true;
             if (centerCell.shipId !== -1) {
                 events.push(createCellUpdateEvent(centerR, centerC, 'HIT'));
@@ -67,13 +61,14 @@ export function resolveSonar(centerR, centerC, grid, ships, isPlayer) {
             }
         }
         
-        // 周围 8 格标记疑似
+        // 范围内其余格子标记疑似（被烟幕遮蔽的格子不标记）
         for (const { r, c, isCenter } of scanCells) {
-            if (isCenter) continue;
+            if (isCenter || isScreened(r, c)) continue;
             
             const cell = grid[r][c];
             // 只标记未暴露的格子
-            if (!cell.hit) {
+            if (!cell.hit && !cell.occupied) {
+                cell.suspect = true;
                 events.push(createCellUpdateEvent(r, c, 'SUSPECT'));
             }
         }
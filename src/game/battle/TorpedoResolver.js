@@ -0,0 +1,35 @@
+// src/game/battle/TorpedoResolver.js
+// 鱼雷结算器 - 纯数据层，不操作 DOM
+
+import { resolveHit } from './HitResolver.js';
+
+/**
+ * 鱼雷结算 - 纯数据层
+ *
+ * 鱼雷沿航线逐格航行：已暴露的格子（已未命中、已命中、已摧毁）直接越过，
+ * 击中第一个未暴露的船体段后停止；途经的未暴露格子必然是海面，标记为未命中。
+ *
+ * @param {Array<{r: number, c: number}>} path - 航线（按航行顺序）
+ * @param {number} damage - 击中时的伤害
+ * @param {Array<Array<Object>>} grid - 网格数据 (enemyGridMap 格式)
+ * @param {Array<Object>} ships - 舰船数组
+ * @param {boolean} isPlayer - 是否为玩家攻击
+ * @returns {Object} { events: Event[], hitShip: Ship|null, sunk: boolean, travelled: number }
+ *   travelled 为航行的格数（含击中的格子）
+ */
+export function resolveTorpedo(path, damage, grid, ships, isPlayer) {
+    const events = [];
+
+    for (let i = 0; i < path.length; i++) {
+        const { r, c } = path[i];
+        if (grid[r][c].hit) continue;
+
+        const result = resolveHit(r, c, damage, grid, ships, isPlayer);
+        events.push(...result.events);
+        if (result.hitShip) {
+            return { events, hitShip: result.hitShip, sunk: result.sunk, travelled: i + 1 };
+        }
+    }
+
+    return { events, hitShip: null, sunk: false, travelled: path.length };
+}
@@ -0,0 +1,215 @@
+// src/game/core/Campaign.js
+// 战役 - 任务的校验、双方舰队的构建、解锁进度与奖励，纯数据层，不操作 DOM
+
+import { SHIP_TYPES } from '../../data/ships.js';
+import { DIFFICULTY_SETTINGS, DIFFICULTY_LABELS } from '../../data/difficulties.js';
+import { CAMPAIGN_START, CAMPAIGN_MISSIONS } from '../../data/campaign.js';
+import { isValidBoardSize } from './GameSession.js';
+import { normalizeFleet, validateFleet } from './Fleet.js';
+import { DEFAULT_PLACEMENT_RULE, PLACEMENT_RULE_LABELS, isValidPlacementRule } from './PlacementRule.js';
+import { DEFAULT_FIRING_MODE, FIRING_MODE_LABELS, isValidFiringMode } from './FiringMode.js';
+import { canDeployFleet } from '../../ai/aiDeployment.js';
+import { isValidWeapon, getWeaponLabel } from './WeaponRules.js';
+
+/** 任务可覆盖的 AI 参数 */
+const AI_PARAMS = ['alpha', 'randomness', 'riskAwareness'];
+
+/** localStorage 键名：战役进度 */
+const PROGRESS_KEY = 'campaignProgress';
+
+/**
+ * 按 id 查找任务
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getCampaignMission(id) {
+    return CAMPAIGN_MISSIONS.find(mission => mission.id === id) ?? null;
+}
+
+/**
+ * 任务的完整规则（补齐省略的摆放与开火规则）
+ * @param {Object} mission
+ * @returns {{ boardSize: number, placementRule: string, firingMode: string, difficulty: string }}
+ */
+export function getMissionSettings(mission) {
+    return {
+        boardSize: mission.boardSize,
+        placementRule: mission.placementRule ?? DEFAULT_PLACEMENT_RULE,
+        firingMode: mission.firingMode ?? DEFAULT_FIRING_MODE,
+        difficulty: mission.difficulty
+    };
+}
+
+/**
+ * 敌方 AI 的参数：基础难度叠加任务的覆盖值
+ * @param {Object} mission
+ * @returns {Object} { alpha, randomness, riskAwareness }
+ */
+export function getMissionAiConfig(mission) {
+    return { ...DIFFICULTY_SETTINGS[mission.difficulty], ...mission.ai };
+}
+
+/**
+ * 把舰船条目解析为舰队定义
+ * @param {Array<string|Object>} entries - 代号，或 { base, code, name, ... }
+ * @returns {Array<Object>|null} 有无法识别的条目时返回 null
+ */
+export function buildCampaignFleet(entries) {
+    const fleet = [];
+    for (const entry of entries) {
+        const { base, ...overrides } = typeof entry === 'string' ? { base: entry } : entry;
+        const type = SHIP_TYPES.find(def => def.code === base);
+        if (!type) return null;
+        fleet.push({ ...type, ...overrides });
+    }
+    return normalizeFleet(fleet);
+}
+
+/**
+ * 校验任务定义
+ * @param {Object} mission
+ * @param {Array<Object>} playerFleet - 我方出战的舰队定义
+ * @returns {string[]} 问题列表，为空表示可用
+ */
+export function validateMission(mission, playerFleet) {
+    const problems = [];
+    const { boardSize, placementRule, firingMode, difficulty } = getMissionSettings(mission);
+    if (!isValidBoardSize(boardSize)) problems.push('棋盘尺寸超出支持范围');
+    if (!isValidPlacementRule(placementRule)) problems.push('摆放规则无法识别');
+    if (!isValidFiringMode(firingMode)) problems.push('开火规则无法识别');
+    if (!DIFFICULTY_SETTINGS[difficulty]) problems.push('基础难度无法识别');
+    Object.entries(mission.ai ?? {}).forEach(([key, value]) => {
+        if (!AI_PARAMS.includes(key)) problems.push(`AI 参数 ${key} 无法识别`);
+        else if (typeof value !== 'number' || value < 0 || value > 1) problems.push(`AI 参数 ${key} 须在 0~1 之间`);
+    });
+    (mission.rewards?.weapons ?? []).forEach(weapon => {
+        if (!isValidWeapon(weapon)) problems.push(`奖励武器 ${weapon} 无法识别`);
+    });
+    if (mission.rewards?.ships && !buildCampaignFleet(mission.rewards.ships)) problems.push('奖励舰船无法识别');
+    if (problems.length > 0) return problems;
+
+    const sides = [['敌方', buildCampaignFleet(mission.enemy)], ['我方', playerFleet]];
+    sides.forEach(([label, fleet]) => {
+        if (!fleet) {
+            problems.push(`${label}舰队中有无法识别的舰船`);
+            return;
+        }
+        const reason = validateFleet(fleet, boardSize);
+        if (reason) problems.push(`${label}舰队：${reason}`);
+        else if (!canDeployFleet(fleet, boardSize, placementRule)) problems.push(`${label}舰队在本任务的棋盘上放不下`);
+    });
+    return problems;
+}
+
+/**
+ * 读取战役进度
+ * @returns {Object} { missions: { [id]: { wins, bestTurns } } }
+ */
+export function loadCampaignProgress() {
+    try {
+        const progress = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+        if (progress && typeof progress.missions === 'object' && progress.missions !== null) return progress;
+    } catch (e) {
+        // 进度损坏时从头开始
+    }
+    return { missions: {} };
+}
+
+/**
+ * 任务是否已完成
+ * @param {Object} progress
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isMissionCompleted(progress, id) {
+    return (progress.missions[id]?.wins ?? 0) > 0;
+}
+
+/**
+ * 任务是否已解锁（之前的任务全部完成）
+ * @param {Object} progress
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isMissionUnlocked(progress, id) {
+    const index = CAMPAIGN_MISSIONS.findIndex(mission => mission.id === id);
+    return index >= 0 && CAMPAIGN_MISSIONS.slice(0, index).every(mission => isMissionCompleted(progress, mission.id));
+}
+
+/**
+ * 当前拥有的舰船与武器：初始配置加上已完成任务的奖励
+ * @param {Object} progress
+ * @returns {{ ships: Array<string|Object>, weapons: string[] }}
+ */
+export function getCampaignUnlocks(progress) {
+    const ships = [...CAMPAIGN_START.ships];
+    const weapons = [...CAMPAIGN_START.weapons];
+    CAMPAIGN_MISSIONS.forEach(mission => {
+        if (!isMissionCompleted(progress, mission.id)) return;
+        ships.push(...(mission.rewards?.ships ?? []));
+        (mission.rewards?.weapons ?? []).forEach(weapon => {
+            if (!weapons.includes(weapon)) weapons.push(weapon);
+        });
+    });
+    return { ships, weapons };
+}
+
+/**
+ * 记录一次胜利
+ * @param {string} id - 任务 id
+ * @param {number} turns - 我方用掉的回合数
+ * @returns {{ firstClear: boolean, bestTurns: boolean }} 是否首次完成、是否刷新最少回合
+ */
+export function recordMissionWin(id, turns) {
+    const progress = loadCampaignProgress();
+    const record = progress.missions[id] ?? { wins: 0, bestTurns: null };
+    const result = {
+        firstClear: record.wins === 0,
+        bestTurns: record.bestTurns === null || turns < record.bestTurns
+    };
+    progress.missions[id] = {
+        wins: record.wins + 1,
+        bestTurns: result.bestTurns ? turns : record.bestTurns
+    };
+    try {
+        localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+    } catch (e) {
+        console.warn('[战役] 进度写入失败', e);
+    }
+    return result;
+}
+
+/**
+ * 武器列表的文字说明，如「主炮、水听」
+ * @param {string[]} weapons
+ * @returns {string}
+ */
+export function describeCampaignWeapons(weapons) {
+    return weapons.map(getWeaponLabel).join('、');
+}
+
+/**
+ * 奖励的文字说明（没有奖励时为空字符串）
+ * @param {Object} mission
+ * @returns {string}
+ */
+export function describeMissionRewards(mission) {
+    const ships = buildCampaignFleet(mission.rewards?.ships ?? []) ?? [];
+    return [...ships.map(def => def.name), ...(mission.rewards?.weapons ?? []).map(getWeaponLabel)]
+        .join('、');
+}
+
+/**
+ * 任务的规则说明，如「10×10 · 禁止相邻 · 标准开火 · 敌方舰长」
+ * @param {Object} mission
+ * @returns {string}
+ */
+export function describeMissionRules(mission) {
+    const { boardSize, placementRule, firingMode, difficulty } = getMissionSettings(mission);
+    return [
+        `${boardSize}×${boardSize}`,
+        PLACEMENT_RULE_LABELS[placementRule],
+        `${FIRING_MODE_LABELS[firingMode]}开火`,
+        `敌方${DIFFICULTY_LABELS[difficulty]}`
+    ].join(' · ');
+}
@@ -0,0 +1,217 @@
+// src/game/core/DailyChallenge.js
+// 每日挑战 - 按日期生成种子，当天所有人面对相同的敌方布局；结果摘要、分享文本与本地历史，纯数据层，不操作 DOM
+
+import { BOARD_SIZE, GAME_TITLE } from '../../config/constants.js';
+import { Side } from './GameSession.js';
+import { DEFAULT_PLACEMENT_RULE } from './PlacementRule.js';
+import { DEFAULT_FIRING_MODE } from './FiringMode.js';
+import { getDecisionShots } from './Replay.js';
+import { normalizeSeed } from '../../ai/SeededRandom.js';
+import { EventType } from '../weapons/WeaponTypes.js';
+import { WEAPON_IDS, isDamagingWeapon, isDefensiveWeapon, getWeaponLabel } from './WeaponRules.js';
+
+/**
+ * 每日挑战的固定设置
+ * 敌方布局由种子、舰队、棋盘尺寸与摆放规则共同决定，这些都不随玩家的设置变化；
+ * 舰队固定为标准舰队（SHIP_TYPES）
+ */
+export const DAILY_SETTINGS = {
+    boardSize: BOARD_SIZE,
+    placementRule: DEFAULT_PLACEMENT_RULE,
+    firingMode: DEFAULT_FIRING_MODE,
+    difficulty: 'NORMAL',
+    firstTurn: Side.PLAYER
+};
+
+/** 行动图案：每次行动一格，未命中 / 命中 / 击沉 / 水听 / 防御 */
+const PATTERN_MARKS = { MISS: '🟦', HIT: '🟥', SINK: '💥', SCAN: '📡', DEFEND: '🛡️' };
+
+/** 行动图案每行的格数 */
+const PATTERN_WIDTH = 10;
+
+/** localStorage 键名：每日挑战的历史结果 */
+const HISTORY_KEY = 'dailyHistory';
+
+/**
+ * 日期的挑战编号（UTC 日期，YYYY-MM-DD）
+ * 按 UTC 而不是本地日期，各时区的玩家在同一时刻面对的是同一局，分享的结果可以直接比较
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getDailyKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 是否为有效的挑战编号
+ * @param {*} key
+ * @returns {boolean}
+ */
+export function isValidDailyKey(key) {
+    return typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key) && parseDailyKey(key) !== null;
+}
+
+/**
+ * 挑战编号对应的种子（同一天所有人相同）
+ * @param {string} key
+ * @returns {number}
+ */
+export function getDailySeed(key) {
+    return normalizeSeed(`daily:${key}`);
+}
+
+/**
+ * 由本局回放统计玩家的行动
+ *
+ * 命中率按开火次数计算：造成伤害的开火 / 全部开火，水听不计入。
+ * 图案只记录每次行动的结果、不含坐标，分享时不会泄露当天的敌方布局。
+ *
+ * @param {Object} replay - ReplayRecorder.getReplay() 的输出
+ * @returns {{ turns: number, shots: number, hits: number, accuracy: number, weapons: Object, pattern: string }}
+ */
+export function summarizeDaily(replay) {
+    const weapons = {};
+    const marks = [];
+    let shots = 0;
+    let hits = 0;
+    const turns = replay.turns.filter(turn => turn.side === Side.PLAYER);
+
+    turns.forEach(turn => {
+        const fired = getDecisionShots(turn.decision);
+        fired.forEach(shot => { weapons[shot.weapon] = (weapons[shot.weapon] ?? 0) + 1; });
+
+        const updates = turn.events.filter(event => event.type === EventType.SHIP_UPDATE);
+        if (fired.every(shot => isDefensiveWeapon(shot.weapon))) {
+            marks.push(PATTERN_MARKS.DEFEND);
+            return;
+        }
+        if (fired.every(shot => !isDamagingWeapon(shot.weapon))) {
+            marks.push(PATTERN_MARKS.SCAN);
+            return;
+        }
+        shots++;
+        if (updates.length > 0) hits++;
+        if (updates.some(event => event.payload.sunk)) marks.push(PATTERN_MARKS.SINK);
+        else marks.push(updates.length > 0 ? PATTERN_MARKS.HIT : PATTERN_MARKS.MISS);
+    });
+
+    const rows = [];
+    for (let i = 0; i < marks.length; i += PATTERN_WIDTH) rows.push(marks.slice(i, i + PATTERN_WIDTH).join(''));
+    return {
+        turns: turns.length,
+        shots,
+        hits,
+        accuracy: shots > 0 ? Math.round(hits / shots * 100) : 0,
+        weapons,
+        pattern: rows.join('\n')
+    };
+}
+
+/**
+ * 可分享的结果文本
+ * @param {string} key - 挑战编号
+ * @param {boolean} won - 是否获胜
+ * @param {Object} summary - summarizeDaily 的输出
+ * @returns {string}
+ */
+export function formatDailyShare(key, won, summary) {
+    const weapons = WEAPON_IDS
+        .filter(weapon => summary.weapons[weapon])
+        .map(weapon => `${getWeaponLabel(weapon)}×${summary.weapons[weapon]}`)
+        .join(' ');
+    return [
+        `${GAME_TITLE} 每日挑战 ${key} ${won ? '✅' : '❌'}`,
+        `${summary.turns} 回合 · 命中率 ${summary.accuracy}% · ${weapons}`,
+        summary.pattern
+    ].join('\n');
+}
+
+/**
+ * 读取每日挑战的历史结果
+ * @returns {Object} { [key]: { won, turns, accuracy, weapons, pattern } }
+ */
+export function loadDailyHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * 记录当天的结果（每天只记录第一次完成的对局）
+ * @param {string} key - 挑战编号
+ * @param {Object} result - { won, turns, accuracy, weapons, pattern }
+ * @returns {boolean} 是否为当天第一次记录
+ */
+export function saveDailyResult(key, result) {
+    const history = loadDailyHistory();
+    if (history[key]) return false;
+    history[key] = { ...result, weapons: { ...result.weapons } };
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (e) {
+        console.warn('[每日挑战] 结果写入失败', e);
+    }
+    return true;
+}
+
+/**
+ * 连胜统计
+ * 当前连胜从今天（今天尚未完成时从昨天）往前数连续获胜的天数
+ *
+ * @param {Object} history - loadDailyHistory 的输出
+ * @param {string} today - 今天的挑战编号
+ * @returns {{ current: number, best: number, played: number, won: number }}
+ */
+export function getDailyStreak(history, today) {
+    const keys = Object.keys(history).filter(isValidDailyKey).sort();
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    keys.forEach(key => {
+        if (!history[key].won) {
+            run = 0;
+        } else {
+            run = previous !== null && history[previous].won && shiftDailyKey(previous, 1) === key ? run + 1 : 1;
+        }
+        best = Math.max(best, run);
+        previous = key;
+    });
+
+    let current = 0;
+    let day = history[today] ? today : shiftDailyKey(today, -1);
+    while (history[day]?.won) {
+        current++;
+        day = shiftDailyKey(day, -1);
+    }
+    return {
+        current,
+        best,
+        played: keys.length,
+        won: keys.filter(key => history[key].won).length
+    };
+}
+
+/**
+ * 挑战编号前后相隔 days 天的编号（按 UTC 计算，不受夏令时影响）
+ * @param {string} key
+ * @param {number} days
+ * @returns {string}
+ */
+function shiftDailyKey(key, days) {
+    const date = parseDailyKey(key);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} key
+ * @returns {Date|null} 该日的 UTC 零点，日期不存在时为 null
+ */
+function parseDailyKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
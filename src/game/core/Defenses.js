@@ -0,0 +1,130 @@
+// src/game/core/Defenses.js
+// 防御部署 - 防空掩护与烟幕的部署、生效判定与拦截，纯数据层，不操作 DOM
+
+import { Ability } from './Fleet.js';
+import { WeaponEffect, getWeaponDefinition, getWeaponEffect, getWeaponCoverage } from './WeaponRules.js';
+
+/**
+ * 防御（Defense）：一方已部署、尚未生效的防御
+ * - 防空掩护 { weapon, effect: 'AA_COVER', r, c, cells }：(r, c) 为掩护中心，cells 为掩护范围
+ * - 烟幕 { weapon, effect: 'SMOKE', r, c, shipId }：(r, c) 为选中的格子，掩护其所属的整艘舰船
+ *
+ * 每种效果同时只保留一个，重新部署会替换旧的；生效一次后即撤除。
+ */
+
+/**
+ * 按防御武器与所选格子创建防御
+ * @param {string} weaponId - 防御武器
+ * @param {{ r: number, c: number }} target - 己方棋盘上的格子
+ * @param {Array<Array<Object>>} grid - 己方网格
+ * @param {number} boardSize
+ * @returns {Object} Defense
+ */
+export function createDefense(weaponId, { r, c }, grid, boardSize) {
+    const effect = getWeaponEffect(weaponId);
+    if (effect === WeaponEffect.SMOKE) {
+        return { weapon: weaponId, effect, r, c, shipId: grid[r][c].shipId };
+    }
+    return { weapon: weaponId, effect, r, c, cells: getWeaponCoverage(weaponId, r, c, boardSize) };
+}
+
+/**
+ * 部署防御，替换同一效果的旧防御（原地修改 defenses）
+ * @param {Array<Object>} defenses - 该方已部署的防御
+ * @param {Object} defense
+ */
+export function deployDefense(defenses, defense) {
+    const index = defenses.findIndex(item => item.effect === defense.effect);
+    if (index !== -1) defenses.splice(index, 1);
+    defenses.push(defense);
+}
+
+/**
+ * 防御还能否生效：防空掩护始终可以；烟幕要求所掩护的舰船还有未暴露的格子
+ * @param {Object} defense
+ * @param {Array<Array<Object>>} grid - 防御方的网格
+ * @returns {boolean}
+ */
+export function isDefenseActive(defense, grid) {
+    if (defense.effect !== WeaponEffect.SMOKE) return true;
+    return grid.some(row => row.some(cell => cell.shipId === defense.shipId && !cell.hit && !cell.occupied));
+}
+
+/**
+ * 复制防御列表（存档、试算时使用）
+ * @param {Array<Object>} defenses
+ * @returns {Array<Object>}
+ */
+export function cloneDefenses(defenses) {
+    return defenses.map(defense => defense.cells
+        ? { ...defense, cells: defense.cells.map(({ r, c }) => ({ r, c })) }
+        : { ...defense });
+}
+
+/**
+ * 是否为防空掩护能拦截的空袭（需要舰载机的打击武器）
+ * @param {string} weaponId
+ * @returns {boolean}
+ */
+export function isAirStrike(weaponId) {
+    const def = getWeaponDefinition(weaponId);
+    return def?.effect === WeaponEffect.STRIKE && def.requires === Ability.AIR;
+}
+
+/**
+ * 防空掩护拦截的格子：空袭落在掩护范围内的格子中，离掩护中心最近的至多 intercept 格
+ * （距离相同时按空袭覆盖的顺序）
+ * @param {Object} cover - 防空掩护
+ * @param {Array<{r: number, c: number}>} cells - 空袭实际打击的格子
+ * @returns {Array<{r: number, c: number}>}
+ */
+export function getInterceptedCells(cover, cells) {
+    const distance = ({ r, c }) => Math.max(Math.abs(r - cover.r), Math.abs(c - cover.c));
+    return cells
+        .filter(cell => cover.cells.some(({ r, c }) => r === cell.r && c === cell.c))
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, getWeaponDefinition(cover.weapon).intercept);
+}
+
+/**
+ * 防守方修正：攻击结算前检查防守方已部署的防御是否生效，生效的防御随即撤除（原地修改 defenses）
+ * - 空袭打到防空掩护范围内（只计仍会被打击的格子）时，被拦截的格子不再受到打击
+ * - 水听扫描范围内有烟幕掩护的舰船的未暴露格子时，这些格子没有信号
+ *
+ * @param {Array<Object>} defenses - 防守方已部署的防御
+ * @param {string} weaponId - 攻击方使用的武器
+ * @param {Array<{r: number, c: number}>} cells - 武器的覆盖范围
+ * @param {Array<Array<Object>>} grid - 防守方网格
+ * @param {Array<Object>} ships - 防守方舰队
+ * @returns {{ intercepted: Array<{r: number, c: number}>, screened: Array<{r: number, c: number}>, triggered: Array<Object> }}
+ *   triggered 为本次生效（已撤除）的防御
+ */
+export function applyDefenses(defenses, weaponId, cells, grid, ships) {
+    const result = { intercepted: [], screened: [], triggered: [] };
+
+    const cover = isAirStrike(weaponId) ? defenses.find(item => item.effect === WeaponEffect.AA_COVER) : null;
+    if (cover) {
+        // 与 PatternWeapon 一致：已确认未命中与已摧毁的格子本就不会被打击
+        const struck = cells.filter(({ r, c }) => {
+            const cell = grid[r][c];
+            if (!cell.hit) return true;
+            return cell.shipId !== -1 && ships[cell.shipId].hp[cell.segmentIndex] > 0;
+        });
+        result.intercepted = getInterceptedCells(cover, struck);
+        if (result.intercepted.length > 0) result.triggered.push(cover);
+    }
+
+    const smoke = getWeaponEffect(weaponId) === WeaponEffect.SCAN
+        ? defenses.find(item => item.effect === WeaponEffect.SMOKE)
+        : null;
+    if (smoke) {
+        result.screened = cells.filter(({ r, c }) => {
+            const cell = grid[r][c];
+            return cell.shipId === smoke.shipId && !cell.hit && !cell.occupied;
+        });
+        if (result.screened.length > 0) result.triggered.push(smoke);
+    }
+
+    for (const defense of result.triggered) defenses.splice(defenses.indexOf(defense), 1);
+    return result;
+}
@@ -0,0 +1,55 @@
+// src/game/core/FiringMode.js
+// 开火规则 - 每回合的射击次数（标准 / 齐射），纯数据层，不操作 DOM
+
+import { WEAPON_IDS, DEFAULT_WEAPON, getWeaponLabel } from './WeaponRules.js';
+
+/**
+ * 开火规则枚举
+ * 每局开始前在部署阶段选择，对双方同时生效
+ */
+export const FiringMode = {
+    SINGLE: 'SINGLE',   // 标准：每回合一次行动，可使用任意可用武器
+    SALVO: 'SALVO'      // 齐射：每回合每艘存活舰船一发主炮，全部选定后一次结算
+};
+
+/** 默认开火规则 */
+export const DEFAULT_FIRING_MODE = FiringMode.SINGLE;
+
+/** 规则的显示名称 */
+export const FIRING_MODE_LABELS = {
+    [FiringMode.SINGLE]: '标准',
+    [FiringMode.SALVO]: '齐射'
+};
+
+/** 规则说明（日志与帮助中使用），武器名称取自武器定义 */
+const FIRING_MODE_DESCRIPTIONS = {
+    [FiringMode.SINGLE]: `每回合一次行动，可选择${WEAPON_IDS.map(getWeaponLabel).join('、')}`,
+    [FiringMode.SALVO]: `每回合的射击次数等于己方存活舰船数，全部为${getWeaponLabel(DEFAULT_WEAPON)}；先选定所有目标，再一次性揭晓结果（其余武器不可用）`
+};
+
+/**
+ * 是否为有效的开火规则
+ * @param {*} mode
+ * @returns {boolean}
+ */
+export function isValidFiringMode(mode) {
+    return Object.values(FiringMode).includes(mode);
+}
+
+/**
+ * 规则的完整说明
+ * @param {string} mode
+ * @returns {string}
+ */
+export function describeFiringMode(mode) {
+    return `${FIRING_MODE_LABELS[mode]}：${FIRING_MODE_DESCRIPTIONS[mode]}`;
+}
+
+/**
+ * 齐射时本回合的射击次数（每艘存活舰船一发）
+ * @param {Array<Object>} ships - 攻击方舰队
+ * @returns {number}
+ */
+export function getSalvoSize(ships) {
+    return ships.filter(ship => !ship.sunk).length;
+}
@@ -0,0 +1,286 @@
+// src/game/core/Fleet.js
+// 舰队定义 - 舰船能力推导、舰队校验与预设存储，纯数据层，不操作 DOM
+
+import { SHIP_TYPES } from '../../data/ships.js';
+import { validateShape, isStraightShape, getOrientations } from './ShipShape.js';
+
+/**
+ * 舰船可解锁的能力
+ * 舰船存活时其 abilities 中的能力对整个舰队生效
+ */
+export const Ability = {
+    AIR: 'AIR',       // 空袭（含侦察）
+    SONAR: 'SONAR',   // 水听
+    TORPEDO: 'TORPEDO', // 鱼雷
+    ASW: 'ASW',       // 反潜（深水炸弹）
+    AA: 'AA',         // 防空掩护
+    SMOKE: 'SMOKE'    // 烟幕
+};
+
+/** 能力的显示名称 */
+export const ABILITY_LABELS = {
+    [Ability.AIR]: '空袭',
+    [Ability.SONAR]: '水听',
+    [Ability.TORPEDO]: '鱼雷',
+    [Ability.ASW]: '反潜',
+    [Ability.AA]: '防空',
+    [Ability.SMOKE]: '烟幕'
+};
+
+/** 可选的船体外观（键为舰船定义中的 type） */
+export const HULL_TYPES = {
+    carrier: '航母',
+    battleship: '战列舰',
+    cruiser: '巡洋舰',
+    destroyer: '驱逐舰',
+    sub: '潜艇'
+};
+
+/** 舰队编辑的数值范围 */
+export const FLEET_LIMITS = {
+    MIN_SHIPS: 1,
+    MAX_SHIPS: 8,
+    MAX_LEN: 5,
+    MAX_HP: 5,
+    MAX_AP_DAMAGE: 3,
+    MAX_NAME_LENGTH: 8,
+    MAX_COVERAGE: 0.3   // 舰船总格数占棋盘的最大比例，保证双方都能稀疏部署
+};
+
+/** localStorage 键名 */
+const PRESETS_KEY = 'fleetPresets';
+const ACTIVE_KEY = 'activeFleet';
+
+/**
+ * 按代号查找标准舰队中的定义（兼容不带能力字段的旧存档与回放）
+ * @param {string} code
+ * @returns {Object|undefined}
+ */
+function findDefaultType(code) {
+    return SHIP_TYPES.find(type => type.code === code);
+}
+
+/**
+ * 舰船（或舰船定义）解锁的能力
+ * @param {Object} ship
+ * @returns {string[]}
+ */
+export function getShipAbilities(ship) {
+    return ship.abilities ?? findDefaultType(ship.code)?.abilities ?? [];
+}
+
+/**
+ * 舰船（或舰船定义）存活时提供的主炮伤害
+ * @param {Object} ship
+ * @returns {number}
+ */
+export function getShipApDamage(ship) {
+    return ship.apDamage ?? findDefaultType(ship.code)?.apDamage ?? 1;
+}
+
+/**
+ * 舰船（或舰船定义）的船体外观
+ * @param {Object} ship
+ * @returns {string} HULL_TYPES 的键
+ */
+export function getShipHull(ship) {
+    const type = ship.type ?? findDefaultType(ship.code)?.type;
+    return HULL_TYPES[type] ? type : 'cruiser';
+}
+
+/**
+ * 是否为潜艇（深水炸弹只对潜艇造成伤害）
+ * @param {Object} ship - 舰船或舰船定义
+ * @returns {boolean}
+ */
+export function isSubmarine(ship) {
+    return getShipHull(ship) === 'sub';
+}
+
+/**
+ * 根据存活舰船推导舰队当前的作战能力
+ * 武器可用性、主炮伤害、AI 能力评估与状态面板都以此为准
+ *
+ * @param {Array<Object>} ships - 舰队（含已沉没舰船）
+ * @returns {{ abilities: string[], apDamage: number }} abilities 为存活舰船提供的能力（不重复）
+ */
+export function getFleetAbilities(ships) {
+    const abilities = [];
+    let apDamage = 1;
+    for (const ship of ships) {
+        if (ship.sunk) continue;
+        getShipAbilities(ship).forEach(ability => {
+            if (!abilities.includes(ability)) abilities.push(ability);
+        });
+        apDamage = Math.max(apDamage, getShipApDamage(ship));
+    }
+    return { abilities, apDamage };
+}
+
+/**
+ * 规整单个舰船定义（只保留定义字段，缺省值按标准舰队补齐）
+ * @param {Object} def
+ * @returns {Object}
+ */
+function normalizeShipType(def) {
+    const normalized = {
+        name: String(def.name ?? '').trim(),
+        len: Number(def.len),
+        maxHp: Number(def.maxHp),
+        code: String(def.code ?? '').trim().toUpperCase(),
+        type: getShipHull(def),
+        apDamage: Number(getShipApDamage(def)),
+        abilities: getShipAbilities(def).filter(a => ABILITY_LABELS[a])
+    };
+    // 直线外形不记录 shape，保持与标准舰队一致
+    if (Array.isArray(def.shape) && !isStraightShape(def.shape)) {
+        normalized.shape = def.shape.map(cell => (Array.isArray(cell) ? [...cell] : cell));
+    }
+    return normalized;
+}
+
+/**
+ * 校验舰队定义
+ *
+ * @param {Array<Object>} fleet - 舰船定义数组
+ * @param {number} boardSize - 棋盘尺寸
+ * @returns {string|null} 不合法的原因，合法时返回 null
+ */
+export function validateFleet(fleet, boardSize) {
+    if (!Array.isArray(fleet)) return '舰队格式无法识别';
+    if (fleet.length < FLEET_LIMITS.MIN_SHIPS) return `舰队至少需要 ${FLEET_LIMITS.MIN_SHIPS} 艘舰船`;
+    if (fleet.length > FLEET_LIMITS.MAX_SHIPS) return `舰队最多 ${FLEET_LIMITS.MAX_SHIPS} 艘舰船`;
+
+    const codes = new Set();
+    let totalCells = 0;
+    for (const raw of fleet) {
+        const def = normalizeShipType(raw);
+        const label = def.name || def.code || '未命名舰船';
+        if (!/^[A-Z0-9]{1,3}$/.test(def.code)) return `${label}：代号须为 1~3 位字母或数字`;
+        if (codes.has(def.code)) return `代号 ${def.code} 重复`;
+        codes.add(def.code);
+        if (!def.name || def.name.length > FLEET_LIMITS.MAX_NAME_LENGTH) {
+            return `${def.code}：名称须为 1~${FLEET_LIMITS.MAX_NAME_LENGTH} 个字`;
+        }
+        if (!Number.isInteger(def.len) || def.len < 1 || def.len > Math.min(FLEET_LIMITS.MAX_LEN, boardSize)) {
+            return `${label}：长度须在 1~${Math.min(FLEET_LIMITS.MAX_LEN, boardSize)} 之间`;
+        }
+        if (def.shape) {
+            const shapeProblem = validateShape(def.shape);
+            if (shapeProblem) return `${label}：${shapeProblem}`;
+            if (def.shape.length !== def.len) return `${label}：长度须等于外形格数 ${def.shape.length}`;
+            const tooLarge = getOrientations(def).some(o => o.rows > boardSize || o.cols > boardSize);
+            if (tooLarge) return `${label}：外形超出 ${boardSize}×${boardSize} 棋盘`;
+        }
+        if (!Number.isInteger(def.maxHp) || def.maxHp < 1 || def.maxHp > FLEET_LIMITS.MAX_HP) {
+            return `${label}：格位血量须在 1~${FLEET_LIMITS.MAX_HP} 之间`;
+        }
+        if (!Number.isInteger(def.apDamage) || def.apDamage < 1 || def.apDamage > FLEET_LIMITS.MAX_AP_DAMAGE) {
+            return `${label}：主炮伤害须在 1~${FLEET_LIMITS.MAX_AP_DAMAGE} 之间`;
+        }
+        totalCells += def.len;
+    }
+
+    const maxCells = Math.floor(boardSize * boardSize * FLEET_LIMITS.MAX_COVERAGE);
+    if (totalCells > maxCells) {
+        return `舰船总格数 ${totalCells} 超出 ${boardSize}×${boardSize} 棋盘的上限 ${maxCells}`;
+    }
+    return null;
+}
+
+/**
+ * 规整舰队定义（深拷贝，可直接存储或交给 createShip）
+ * @param {Array<Object>} fleet
+ * @returns {Array<Object>}
+ */
+export function normalizeFleet(fleet) {
+    return fleet.map(normalizeShipType);
+}
+
+/**
+ * 从舰船数据（如存档、回放中的舰队）还原舰队定义
+ * @param {Array<Object>} ships
+ * @returns {Array<Object>}
+ */
+export function fleetFromShips(ships) {
+    return normalizeFleet([...ships].sort((a, b) => a.id - b.id));
+}
+
+/**
+ * 两个舰队定义是否完全相同
+ * @param {Array<Object>} a
+ * @param {Array<Object>} b
+ * @returns {boolean}
+ */
+export function isSameFleet(a, b) {
+    return JSON.stringify(normalizeFleet(a)) === JSON.stringify(normalizeFleet(b));
+}
+
+function readStorage(key) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        console.warn('[舰队] 写入失败', e);
+        return false;
+    }
+}
+
+/**
+ * 读取已保存的舰队预设
+ * @returns {Object<string, Array<Object>>} 预设名 → 舰队定义
+ */
+export function loadFleetPresets() {
+    const presets = readStorage(PRESETS_KEY);
+    return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+}
+
+/**
+ * 保存（或覆盖）舰队预设
+ * @param {string} name - 预设名
+ * @param {Array<Object>} fleet - 舰队定义
+ * @returns {boolean} 是否成功
+ */
+export function saveFleetPreset(name, fleet) {
+    const presets = loadFleetPresets();
+    presets[name] = normalizeFleet(fleet);
+    return writeStorage(PRESETS_KEY, presets);
+}
+
+/**
+ * 删除舰队预设
+ * @param {string} name - 预设名
+ */
+export function deleteFleetPreset(name) {
+    const presets = loadFleetPresets();
+    delete presets[name];
+    writeStorage(PRESETS_KEY, presets);
+}
+
+/**
+ * 读取上次使用的舰队
+ * @param {number} boardSize - 当前棋盘尺寸，不合法的舰队视为无效
+ * @returns {Array<Object>|null}
+ */
+export function loadActiveFleet(boardSize) {
+    const fleet = readStorage(ACTIVE_KEY);
+    if (!fleet || validateFleet(fleet, boardSize)) return null;
+    return normalizeFleet(fleet);
+}
+
+/**
+ * 记住当前使用的舰队
+ * @param {Array<Object>} fleet
+ */
+export function saveActiveFleet(fleet) {
+    writeStorage(ACTIVE_KEY, normalizeFleet(fleet));
+}
@@ -0,0 +1,220 @@
+// src/game/core/FleetCommitment.js
+// 舰队承诺 - 开局公布布局的加盐哈希，结束时公开布局与盐值，核对期间的全部回报，纯数据层，不操作 DOM
+
+import { sha256Hex } from './Sha256.js';
+import { createShip } from './GameSession.js';
+import { isSubmarine } from './Fleet.js';
+import { getShipCells, getShipRotation } from './ShipShape.js';
+import { PlacementRule, getSurroundingCells } from './PlacementRule.js';
+
+/** 盐值字节数 */
+const SALT_BYTES = 16;
+
+/** 核对结果中最多列出的问题条数 */
+const MAX_PROBLEMS = 6;
+
+/**
+ * 舰队的规范化布局：按舰船 ID 排列的 { id, code, r, c, rotation }
+ * @param {Array<Object>} ships
+ * @returns {Array<Object>}
+ */
+export function encodePlacements(ships) {
+    return ships.map(ship => ({
+        id: ship.id,
+        code: ship.code,
+        r: ship.r,
+        c: ship.c,
+        rotation: getShipRotation(ship)
+    }));
+}
+
+/**
+ * 布局与盐值的哈希
+ * @param {string} salt
+ * @param {Array<Object>} placements - encodePlacements 的输出
+ * @returns {string} 十六进制 SHA-256
+ */
+export function hashPlacements(salt, placements) {
+    const body = placements.map(({ id, code, r, c, rotation }) => [id, code, r, c, rotation]);
+    return sha256Hex(JSON.stringify([salt, body]));
+}
+
+/**
+ * 开局时为一方的舰队生成承诺
+ * 哈希可以公开；盐值留在本方，结束时与布局一起公开（没有盐值，对手无法靠穷举布局反推哈希）
+ *
+ * @param {Array<Object>} ships - 已部署的舰队
+ * @returns {{ hash: string, salt: string }}
+ */
+export function createCommitment(ships) {
+    const bytes = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const salt = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return { hash: hashPlacements(salt, encodePlacements(ships)), salt };
+}
+
+/**
+ * 结束时公开的内容：盐值与舰队当前的布局
+ * @param {string} salt - 开局承诺的盐值
+ * @param {Array<Object>} ships - 舰队（此刻的真实位置）
+ * @returns {{ salt: string, placements: Array<Object> }}
+ */
+export function createReveal(salt, ships) {
+    return { salt, placements: encodePlacements(ships) };
+}
+
+/**
+ * 缩写哈希，用于日志与结算界面
+ * @param {string} hash
+ * @returns {string}
+ */
+export function shortHash(hash) {
+    return `${hash.slice(0, 12)}…`;
+}
+
+/**
+ * 核对一方公开的布局
+ *
+ * 依次检查：
+ * 1. 布局与盐值的哈希等于开局承诺；
+ * 2. 布局本身合法（舰队与定义一致、不出界、不重叠、符合摆放规则）；
+ * 3. 对手在对局中得到的每一条回报都与该布局吻合：
+ *    报告未命中的格子没有舰船，报告命中的格子有舰船且属于同一艘，
+ *    报告沉没的舰船位置一致且每一格都被报告过命中。
+ * 深水炸弹确认有船的格子须是潜艇以外的舰船；侦察回报的船体格数须与布局一致；
+ * 水听的可疑标记不保证有舰船，不参与核对。
+ *
+ * @param {Object} params
+ * @param {string|null} params.hash - 开局承诺的哈希（未收到时为 null）
+ * @param {Object} params.reveal - { salt, placements }
+ * @param {Array<Object>} params.fleetDefs - 双方共用的舰队定义
+ * @param {number} params.boardSize
+ * @param {string} params.placementRule
+ * @param {Array<Array<Object>>} params.grid - 对手记录的该方网格（hit 为已回报，shipId 为回报的命中归属）
+ * @param {Array<Object>} params.ships - 对手记录的该方舰队（已沉没舰船带有回报的位置）
+ * @param {Array<Object>} [params.reconReports] - 对手收到的对该方棋盘的侦察回报
+ * @returns {{ problems: string[], ships: Array<Object>|null, checked: number }}
+ *          problems 为空表示核对通过；ships 为按公开布局重建的舰队（布局不合法时为 null）；checked 为核对过的回报数（每格一处，每条侦察回报一处）
+ */
+export function verifyReveal({ hash, reveal, fleetDefs, boardSize, placementRule, grid, ships, reconReports = [] }) {
+    const problems = [];
+    if (!hash) {
+        return { problems: ['开局时没有公布舰队承诺'], ships: null, checked: 0 };
+    }
+    if (!reveal || typeof reveal.salt !== 'string' || !isPlacementList(reveal.placements)) {
+        return { problems: ['公开的布局格式无法识别'], ships: null, checked: 0 };
+    }
+    if (hashPlacements(reveal.salt, reveal.placements) !== hash) {
+        problems.push('公开的布局与开局承诺的哈希不符（开局后改动过布局）');
+    }
+
+    const revealed = buildRevealedFleet(reveal.placements, fleetDefs, boardSize, placementRule, problems);
+    if (!revealed) return { problems: limitProblems(problems), ships: null, checked: 0 };
+
+    const occupant = Array.from({ length: boardSize }, () => Array(boardSize).fill(-1));
+    revealed.forEach(ship => getShipCells(ship).forEach(({ r, c }) => { occupant[r][c] = ship.id; }));
+
+    // 逐格核对回报
+    let checked = 0;
+    grid.forEach((row, r) => row.forEach((cell, c) => {
+        const at = `(${r + 1},${c + 1})`;
+        if (!cell.hit) {
+            if (!cell.occupied) return;
+            checked++;
+            const ship = revealed[occupant[r][c]];
+            if (!ship) {
+                problems.push(`${at} 被深水炸弹报告有船，但该处没有舰船`);
+            } else if (isSubmarine(ship)) {
+                problems.push(`${at} 被深水炸弹报告为水面舰船，实际是潜艇${ship.name}`);
+            }
+            return;
+        }
+        checked++;
+        if (cell.shipId < 0 && occupant[r][c] >= 0) {
+            problems.push(`${at} 被报告未命中，但该处是${revealed[occupant[r][c]].name}`);
+        } else if (cell.shipId >= 0 && occupant[r][c] < 0) {
+            problems.push(`${at} 被报告命中，但该处没有舰船`);
+        } else if (cell.shipId >= 0 && cell.shipId !== occupant[r][c]) {
+            problems.push(`${at} 被报告为${revealed[cell.shipId]?.name ?? '未知舰船'}，实际是${revealed[occupant[r][c]].name}`);
+        }
+    }));
+
+    // 核对侦察回报
+    reconReports.forEach(({ line, index, cells, count }) => {
+        checked++;
+        const actual = cells.filter(({ r, c }) => occupant[r]?.[c] >= 0).length;
+        if (actual !== count) {
+            const at = `第 ${index + 1} ${line === 'ROW' ? '行' : '列'}`;
+            problems.push(`${at} 被侦察报告有 ${count} 格船体，实际是 ${actual} 格`);
+        }
+    });
+
+    // 核对沉没回报
+    ships.forEach(ship => {
+        if (!ship.sunk) return;
+        const actual = revealed[ship.id];
+        if (ship.r >= 0 && (ship.r !== actual.r || ship.c !== actual.c || getShipRotation(ship) !== actual.rotation)) {
+            problems.push(`${actual.name} 被报告沉没时的位置与公开的布局不同`);
+        }
+        if (getShipCells(actual).some(({ r, c }) => !grid[r][c].hit)) {
+            problems.push(`${actual.name} 被报告沉没，但有船体格从未被命中`);
+        }
+    });
+
+    return { problems: limitProblems(problems), ships: revealed, checked };
+}
+
+/**
+ * placements 的结构是否完整
+ * @param {*} placements
+ * @returns {boolean}
+ */
+function isPlacementList(placements) {
+    return Array.isArray(placements) && placements.every(p => p !== null && typeof p === 'object'
+        && Number.isInteger(p.id) && typeof p.code === 'string'
+        && Number.isInteger(p.r) && Number.isInteger(p.c)
+        && Number.isInteger(p.rotation) && p.rotation >= 0 && p.rotation < 4);
+}
+
+/**
+ * 按公开的布局重建舰队并校验其合法性
+ * @returns {Array<Object>|null} 不合法时把原因写入 problems 并返回 null
+ */
+function buildRevealedFleet(placements, fleetDefs, boardSize, placementRule, problems) {
+    if (placements.length !== fleetDefs.length
+        || placements.some((p, i) => p.id !== i || p.code !== fleetDefs[i].code)) {
+        problems.push('公开的舰队与本局的舰队定义不一致');
+        return null;
+    }
+    const ships = placements.map(p => createShip(fleetDefs[p.id], p.id, p));
+    const occupied = new Map();
+    for (const ship of ships) {
+        for (const { r, c } of getShipCells(ship)) {
+            if (r < 0 || c < 0 || r >= boardSize || c >= boardSize) {
+                problems.push(`公开的布局中${ship.name}超出了棋盘`);
+                return null;
+            }
+            const key = `${r},${c}`;
+            if (occupied.has(key)) {
+                problems.push(`公开的布局中${ship.name}与${ships[occupied.get(key)].name}重叠`);
+                return null;
+            }
+            occupied.set(key, ship.id);
+        }
+    }
+    if (placementRule === PlacementRule.NO_TOUCH) {
+        for (const ship of ships) {
+            const touching = getSurroundingCells(getShipCells(ship), boardSize)
+                .find(({ r, c }) => occupied.has(`${r},${c}`));
+            if (touching) {
+                problems.push(`公开的布局中${ship.name}与其他舰船相邻，违反摆放规则`);
+                return null;
+            }
+        }
+    }
+    return ships;
+}
+
+function limitProblems(problems) {
+    if (problems.length <= MAX_PROBLEMS) return problems;
+    return [...problems.slice(0, MAX_PROBLEMS), `……另有 ${problems.length - MAX_PROBLEMS} 处不一致`];
+}
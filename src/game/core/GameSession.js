@@ -0,0 +1,418 @@
+// src/game/core/GameSession.js
+// 对局会话 - 纯数据层，不操作 DOM
+
+import { BOARD_SIZE, BOARD_SIZE_MIN, BOARD_SIZE_MAX } from '../../config/constants.js';
+import { ShipState } from '../weapons/WeaponTypes.js';
+import { getShipCells, getShipRotation } from './ShipShape.js';
+import { DEFAULT_PLACEMENT_RULE } from './PlacementRule.js';
+import { DEFAULT_FIRING_MODE } from './FiringMode.js';
+import { DEFAULT_MATCH_MODE } from './MatchMode.js';
+import { createWeaponStock, cloneWeaponStock } from './WeaponStock.js';
+import { cloneDefenses } from './Defenses.js';
+
+export { getShipCells };
+
+/**
+ * 对局阶段枚举
+ */
+export const GamePhase = {
+    SETUP: 'SETUP',
+    PLAYING: 'PLAYING',
+    END: 'END'
+};
+
+/**
+ * 对局双方标识
+ * 与 firstTurn 的取值保持一致
+ */
+export const Side = {
+    PLAYER: 'PLAYER',
+    AI: 'AI'
+};
+
+/**
+ * 视角网格编码（与 aiStrategy.js 的 CellState 保持一致）
+ * 0=未知, 1=miss, 2=hit, 3=destroyed, 4=suspect, 5=sunk, 6=occupied
+ */
+export const ViewCell = {
+    UNKNOWN: 0,
+    MISS: 1,
+    HIT: 2,
+    DESTROYED: 3,
+    SUSPECT: 4,
+    SUNK: 5,
+    OCCUPIED: 6     // 深水炸弹确认有船（非潜艇），未受伤害
+};
+
+/**
+ * 根据船型与放置信息创建船只数据对象
+ *
+ * @param {Object} type - 船型定义 { name, len, maxHp, code, type, apDamage, abilities, shape? }
+ * @param {number} id - 船只 ID（即在舰队数组中的下标）
+ * @param {Object} placement - { r, c, rotation }（也接受旧的 { vertical }）
+ * @returns {Object} 船只数据对象
+ */
+export function createShip(type, id, { r = -1, c = -1, rotation, vertical = false } = {}) {
+    const rot = rotation ?? (vertical ? 1 : 0);
+    return {
+        id,
+        name: type.name,
+        len: type.len,
+        maxHp: type.maxHp,
+        code: type.code,
+        type: type.type,
+        apDamage: type.apDamage,
+        abilities: [...(type.abilities || [])],
+        shape: type.shape ? type.shape.map(cell => [...cell]) : undefined,
+        hp: Array(type.len).fill(type.maxHp),
+        sunk: false,
+        r, c,
+        rotation: rot,
+        vertical: rot % 2 === 1
+    };
+}
+
+/** 船只需要持久化的数据字段 */
+const SHIP_DATA_FIELDS = ['id', 'name', 'len', 'maxHp', 'code', 'type', 'apDamage', 'abilities', 'shape', 'hp', 'sunk', 'r', 'c', 'rotation', 'vertical'];
+
+/**
+ * 提取船只的纯数据部分（去掉 el 等视图字段）
+ * @param {Object} ship
+ * @returns {Object}
+ */
+export function serializeShip(ship) {
+    const data = {};
+    for (const key of SHIP_DATA_FIELDS) {
+        data[key] = Array.isArray(ship[key]) ? JSON.parse(JSON.stringify(ship[key])) : ship[key];
+    }
+    data.rotation = getShipRotation(ship);
+    data.vertical = data.rotation % 2 === 1;
+    if (!data.shape) delete data.shape;
+    return data;
+}
+
+/**
+ * 棋盘尺寸是否在允许范围内（存档、回放等外部数据读入时校验）
+ * @param {*} size
+ * @returns {boolean}
+ */
+export function isValidBoardSize(size) {
+    return Number.isInteger(size) && size >= BOARD_SIZE_MIN && size <= BOARD_SIZE_MAX;
+}
+
+/**
+ * 复制侦察回报（格子列表一并复制）
+ * @param {Array<Object>} reports
+ * @returns {Array<Object>}
+ */
+export function cloneReconReports(reports) {
+    return reports.map(report => ({ ...report, cells: report.cells.map(({ r, c }) => ({ r, c })) }));
+}
+
+/**
+ * 创建空的战斗网格
+ * GridCell: { hit, shipId, segmentIndex, suspect, occupied }
+ */
+export function createBattleGrid(size = BOARD_SIZE) {
+    return Array(size).fill(null).map(() =>
+        Array(size).fill(null).map(() => ({ hit: false, shipId: -1, segmentIndex: -1, suspect: false, occupied: false }))
+    );
+}
+
+/**
+ * 根据舰队构建战斗网格
+ *
+ * @param {Array<Object>} ships - 舰船数组（ship.id 必须等于其下标）
+ * @param {number} size - 棋盘尺寸
+ * @returns {Array<Array<Object>>} 网格
+ */
+export function buildBattleGrid(ships, size = BOARD_SIZE) {
+    const grid = createBattleGrid(size);
+    for (const ship of ships) {
+        if (ship.r < 0) continue; // 位置未知（联机对战中对手尚未沉没的舰船）
+        for (const { r, c, idx } of getShipCells(ship)) {
+            if (r < 0 || r >= size || c < 0 || c >= size) continue;
+            grid[r][c].shipId = ship.id;
+            grid[r][c].segmentIndex = idx;
+        }
+    }
+    return grid;
+}
+
+/**
+ * 对局会话
+ *
+ * 持有一局游戏的全部状态：双方网格、双方舰队、武器库存、侦察回报、已部署的防御、当前行动方、阶段与胜者。
+ * game.js 负责驱动会话并把结算事件交给 BattleRenderer，
+ * 会话本身不依赖 DOM，可直接在 Node 中运行规则、存档或测试。
+ *
+ * 注意：舰船对象只读写数据字段（id/code/len/maxHp/hp/sunk/r/c/rotation 等），
+ * 调用方附加的其他字段（如玩家船只的 el）会被原样保留。
+ */
+export class GameSession {
+    /**
+     * @param {Object} options
+     * @param {number} options.boardSize - 棋盘尺寸
+     * @param {string} [options.placementRule] - 摆放规则（PlacementRule）
+     * @param {string} [options.firingMode] - 开火规则（FiringMode）
+     * @param {string} [options.matchMode] - 对战模式（MatchMode）
+     */
+    constructor(options = {}) {
+        this.boardSize = options.boardSize ?? BOARD_SIZE;
+        this.placementRule = options.placementRule ?? DEFAULT_PLACEMENT_RULE;
+        this.firingMode = options.firingMode ?? DEFAULT_FIRING_MODE;
+        this.matchMode = options.matchMode ?? DEFAULT_MATCH_MODE;
+        this.reset();
+    }
+
+    /**
+     * 重置为部署阶段（本局规则保持不变）
+     * @param {number} [boardSize] - 新的棋盘尺寸，省略时沿用当前尺寸
+     */
+    reset(boardSize = this.boardSize) {
+        this.boardSize = boardSize;
+        this.phase = GamePhase.SETUP;
+        this.turn = null;
+        this.winner = null;
+        this.turnCount = 0;
+        this.fleets = {
+            [Side.PLAYER]: [],
+            [Side.AI]: []
+        };
+        this.grids = {
+            [Side.PLAYER]: createBattleGrid(this.boardSize),
+            [Side.AI]: createBattleGrid(this.boardSize)
+        };
+        this.stocks = {
+            [Side.PLAYER]: null,
+            [Side.AI]: null
+        };
+        this.reconReports = {
+            [Side.PLAYER]: [],
+            [Side.AI]: []
+        };
+        this.defenses = {
+            [Side.PLAYER]: [],
+            [Side.AI]: []
+        };
+    }
+
+    /**
+     * 设置本局规则（部署阶段调用），省略的规则保持不变
+     * @param {Object} rules
+     * @param {string} [rules.placementRule] - 摆放规则
+     * @param {string} [rules.firingMode] - 开火规则
+     * @param {string} [rules.matchMode] - 对战模式
+     */
+    configure({ placementRule = this.placementRule, firingMode = this.firingMode, matchMode = this.matchMode } = {}) {
+        this.placementRule = placementRule;
+        this.firingMode = firingMode;
+        this.matchMode = matchMode;
+    }
+
+    /**
+     * 设置一方舰队并据此重建其网格
+     * @param {string} side - Side.PLAYER | Side.AI
+     * @param {Array<Object>} ships - 舰船数组
+     */
+    setFleet(side, ships) {
+        this.fleets[side] = ships;
+        this.grids[side] = buildBattleGrid(ships, this.boardSize);
+        this.reconReports[side] = [];
+        this.defenses[side] = [];
+    }
+
+    /**
+     * 进入战斗阶段
+     * @param {string} firstTurn - 先手方
+     */
+    start(firstTurn = Side.PLAYER) {
+        this.phase = GamePhase.PLAYING;
+        this.turn = firstTurn;
+        this.winner = null;
+        this.turnCount = 0;
+        this.stocks = {
+            [Side.PLAYER]: createWeaponStock(this.fleets[Side.PLAYER]),
+            [Side.AI]: createWeaponStock(this.fleets[Side.AI])
+        };
+    }
+
+    /**
+     * @param {string} side
+     * @returns {Array<Object>} 该方舰队
+     */
+    getShips(side) {
+        return this.fleets[side];
+    }
+
+    /**
+     * @param {string} side
+     * @returns {Array<Array<Object>>} 该方网格（其舰船所在海域）
+     */
+    getGrid(side) {
+        return this.grids[side];
+    }
+
+    /**
+     * @param {string} side
+     * @returns {Object|null} 该方的武器库存（剩余弹药与冷却，见 WeaponStock.js），开战前为 null
+     */
+    getWeaponStock(side) {
+        return this.stocks[side];
+    }
+
+    /**
+     * @param {string} side
+     * @returns {Array<Object>} 对该方棋盘的侦察回报（ReconReport，见 WeaponTypes.js），按时间顺序
+     */
+    getReconReports(side) {
+        return this.reconReports[side];
+    }
+
+    /**
+     * @param {string} side
+     * @returns {Array<Object>} 该方已部署、尚未生效的防御（Defense，见 Defenses.js）
+     */
+    getDefenses(side) {
+        return this.defenses[side];
+    }
+
+    /**
+     * @param {string} side
+     * @returns {string} 对手方
+     */
+    getOpponent(side) {
+        return side === Side.PLAYER ? Side.AI : Side.PLAYER;
+    }
+
+    /**
+     * 是否处于战斗阶段
+     */
+    isPlaying() {
+        return this.phase === GamePhase.PLAYING;
+    }
+
+    /**
+     * 构建武器上下文（BattleContext）
+     * @param {string} attacker - 攻击方
+     * @returns {BattleContext}
+     */
+    buildWeaponContext(attacker) {
+        const defender = this.getOpponent(attacker);
+        return {
+            attackerShips: this.fleets[attacker].map(s => new ShipState(s)),
+            defenderGrid: this.grids[defender],
+            defenderShips: this.fleets[defender],
+            weaponStock: this.stocks[attacker],
+            reconReports: this.reconReports[defender],
+            defenses: this.defenses[defender],
+            ownGrid: this.grids[attacker],
+            ownShips: this.fleets[attacker],
+            ownDefenses: this.defenses[attacker],
+            isPlayer: attacker === Side.PLAYER,
+            boardSize: this.boardSize
+        };
+    }
+
+    /**
+     * 获取攻击方眼中的防守方棋盘（战争迷雾）
+     *
+     * @param {string} defender - 被观察的一方
+     * @returns {number[][]} 0=未知, 1=miss, 2=hit, 3=destroyed, 4=suspect, 5=sunk, 6=occupied
+     */
+    getViewGrid(defender) {
+        const grid = this.grids[defender];
+        const ships = this.fleets[defender];
+        return grid.map(row => row.map(cell => {
+            if (cell.shipId !== -1 && ships[cell.shipId]?.sunk) return ViewCell.SUNK;
+            if (cell.hit) {
+                if (cell.shipId === -1) return ViewCell.MISS;
+                return ships[cell.shipId].hp[cell.segmentIndex] <= 0
+                    ? ViewCell.DESTROYED
+                    : ViewCell.HIT;
+            }
+            if (cell.occupied) return ViewCell.OCCUPIED;
+            return cell.suspect ? ViewCell.SUSPECT : ViewCell.UNKNOWN;
+        }));
+    }
+
+    /**
+     * 结束当前回合，行动权交给对手
+     */
+    endTurn() {
+        if (this.phase !== GamePhase.PLAYING) return;
+        this.turnCount++;
+        this.turn = this.getOpponent(this.turn);
+    }
+
+    /**
+     * 导出会话的纯数据快照（可直接 JSON 化）
+     * @returns {Object}
+     */
+    serialize() {
+        const sides = [Side.PLAYER, Side.AI];
+        return {
+            boardSize: this.boardSize,
+            placementRule: this.placementRule,
+            firingMode: this.firingMode,
+            matchMode: this.matchMode,
+            phase: this.phase,
+            turn: this.turn,
+            winner: this.winner,
+            turnCount: this.turnCount,
+            fleets: Object.fromEntries(sides.map(side => [side, this.fleets[side].map(serializeShip)])),
+            grids: Object.fromEntries(sides.map(side => [side, this.grids[side].map(row => row.map(cell => ({ ...cell })))])),
+            stocks: Object.fromEntries(sides.map(side => [side, cloneWeaponStock(this.stocks[side])])),
+            reconReports: Object.fromEntries(sides.map(side => [side, cloneReconReports(this.reconReports[side])])),
+            defenses: Object.fromEntries(sides.map(side => [side, cloneDefenses(this.defenses[side])]))
+        };
+    }
+
+    /**
+     * 从快照恢复会话
+     *
+     * @param {Object} data - serialize() 的输出（旧版本存档先经 SaveGame 的 MIGRATIONS 升级为当前格式）
+     * @param {Object} [fleetTargets] - 可选，按方指定要承接数据的现有船只对象（按 id 匹配）
+     *   例如 { PLAYER: myShips }，用于保留玩家船只上的 el 等视图字段
+     */
+    restore(data, fleetTargets = {}) {
+        this.boardSize = data.boardSize;
+        this.placementRule = data.placementRule;
+        this.firingMode = data.firingMode;
+        this.matchMode = data.matchMode;
+        this.phase = data.phase;
+        this.turn = data.turn;
+        this.winner = data.winner;
+        this.turnCount = data.turnCount;
+
+        for (const side of [Side.PLAYER, Side.AI]) {
+            const saved = data.fleets[side].map(ship => ({ ...ship, hp: [...ship.hp] }));
+            const targets = fleetTargets[side];
+            this.fleets[side] = targets
+                ? saved.map(ship => Object.assign(targets.find(t => t.id === ship.id), ship))
+                : saved;
+            this.grids[side] = data.grids[side].map(row => row.map(cell => ({ ...cell })));
+            this.stocks[side] = cloneWeaponStock(data.stocks[side]);
+            this.reconReports[side] = cloneReconReports(data.reconReports[side]);
+            this.defenses[side] = cloneDefenses(data.defenses[side]);
+        }
+    }
+
+    /**
+     * 判定胜负（纯函数版 checkWin）
+     * 若某方全灭则进入 END 阶段并记录胜者
+     *
+     * @returns {string|null} 胜者，未分胜负时返回 null
+     */
+    checkWinner() {
+        if (this.winner) return this.winner;
+        const playerDead = this.fleets[Side.PLAYER].every(s => s.sunk);
+        const aiDead = this.fleets[Side.AI].every(s => s.sunk);
+        if (!(playerDead || aiDead)) return null;
+
+        this.winner = aiDead ? Side.PLAYER : Side.AI;
+        this.phase = GamePhase.END;
+        this.turn = null;
+        return this.winner;
+    }
+}
@@ -0,0 +1,79 @@
+// src/game/core/MatchMode.js
+// 对战模式 - 对手是电脑（含每日挑战与战役）、同一设备上的另一位玩家、联机的另一台设备，还是不还击的残局，纯数据层，不操作 DOM
+
+/**
+ * 对战模式枚举
+ * 每局开始前在部署阶段选择
+ */
+export const MatchMode = {
+    VS_AI: 'VS_AI',         // 人机对战（默认）：Side.AI 由 AI 策略驱动
+    HOT_SEAT: 'HOT_SEAT',   // 双人同屏：Side.AI 作为玩家2，两人轮流使用同一设备
+    ONLINE: 'ONLINE',       // 联机对战：Side.AI 为另一台设备上的对手，经中继服务器交换行动与结算结果
+    SCENARIO: 'SCENARIO',   // 残局挑战：从预设局面开始，Side.AI 不还击，玩家在限定行动次数内达成目标
+    DAILY: 'DAILY',         // 每日挑战：人机对战，舰队与规则固定，敌方布局由当天日期决定
+    CAMPAIGN: 'CAMPAIGN'    // 战役：人机对战，双方舰队、AI 参数与规则由任务决定
+};
+
+/** 默认对战模式 */
+export const DEFAULT_MATCH_MODE = MatchMode.VS_AI;
+
+/** 模式的显示名称 */
+export const MATCH_MODE_LABELS = {
+    [MatchMode.VS_AI]: '人机对战',
+    [MatchMode.HOT_SEAT]: '双人同屏',
+    [MatchMode.ONLINE]: '联机对战',
+    [MatchMode.SCENARIO]: '残局挑战',
+    [MatchMode.DAILY]: '每日挑战',
+    [MatchMode.CAMPAIGN]: '战役'
+};
+
+/** 模式说明（日志与帮助中使用） */
+const MATCH_MODE_DESCRIPTIONS = {
+    [MatchMode.VS_AI]: '与电脑对战',
+    [MatchMode.HOT_SEAT]: '两位玩家轮流使用同一设备，各自秘密部署；每次交接都会先遮住棋盘，确认换人后才显示下一位玩家的视角',
+    [MatchMode.ONLINE]: '两台设备通过中继服务器对战，本局设置由房主决定；每一方只用自己的舰队结算对手的攻击，对局中舰队布局不会发给对方',
+    [MatchMode.SCENARIO]: '从预设的局面开始，敌方不会还击，在限定的行动次数内达成目标',
+    [MatchMode.DAILY]: '与电脑对战，使用标准舰队与规则；同一天所有人面对相同的敌方布局，每天只记录第一次的结果',
+    [MatchMode.CAMPAIGN]: '按顺序完成任务，每个任务有各自的敌方舰队、AI 与规则；首次完成任务可解锁新的舰船或武器'
+};
+
+/**
+ * 双方在各模式下的称呼
+ * 键为 Side 的取值（GameSession 依赖本模块，这里不反向导入 Side）
+ */
+const SIDE_LABELS = {
+    [MatchMode.VS_AI]: { PLAYER: '玩家', AI: '电脑' },
+    [MatchMode.HOT_SEAT]: { PLAYER: '玩家1', AI: '玩家2' },
+    [MatchMode.ONLINE]: { PLAYER: '我方', AI: '对手' },
+    [MatchMode.SCENARIO]: { PLAYER: '我方', AI: '敌方' },
+    [MatchMode.DAILY]: { PLAYER: '玩家', AI: '电脑' },
+    [MatchMode.CAMPAIGN]: { PLAYER: '我方', AI: '敌方' }
+};
+
+/**
+ * 是否为有效的对战模式
+ * @param {*} mode
+ * @returns {boolean}
+ */
+export function isValidMatchMode(mode) {
+    return Object.values(MatchMode).includes(mode);
+}
+
+/**
+ * 模式的完整说明
+ * @param {string} mode
+ * @returns {string}
+ */
+export function describeMatchMode(mode) {
+    return `${MATCH_MODE_LABELS[mode]}：${MATCH_MODE_DESCRIPTIONS[mode]}`;
+}
+
+/**
+ * 一方在该模式下的称呼
+ * @param {string} side - Side.PLAYER | Side.AI
+ * @param {string} [mode] - 对战模式，省略时按人机对战
+ * @returns {string}
+ */
+export function getSideLabel(side, mode = DEFAULT_MATCH_MODE) {
+    return SIDE_LABELS[mode][side];
+}
@@ -0,0 +1,72 @@
+// src/game/core/PlacementRule.js
+// 摆放规则 - 舰船之间能否相邻，部署校验、AI 部署与 AI 置信采样共用，纯数据层，不操作 DOM
+
+/**
+ * 摆放规则枚举
+ * 每局开始前在部署阶段选择，对双方舰队同时生效
+ */
+export const PlacementRule = {
+    TOUCH: 'TOUCH',         // 允许相邻（默认）
+    NO_TOUCH: 'NO_TOUCH'    // 禁止相邻，斜角接触也不允许（经典规则）
+};
+
+/** 默认摆放规则 */
+export const DEFAULT_PLACEMENT_RULE = PlacementRule.TOUCH;
+
+/** 规则的显示名称 */
+export const PLACEMENT_RULE_LABELS = {
+    [PlacementRule.TOUCH]: '允许相邻',
+    [PlacementRule.NO_TOUCH]: '禁止相邻'
+};
+
+/** 规则说明（日志与帮助中使用） */
+const PLACEMENT_RULE_DESCRIPTIONS = {
+    [PlacementRule.TOUCH]: '舰船之间可以紧挨着摆放，只要不重叠',
+    [PlacementRule.NO_TOUCH]: '舰船之间不得接触，斜角相邻也不允许；因此已沉没舰船周围一圈必然是空海域'
+};
+
+/**
+ * 是否为有效的摆放规则
+ * @param {*} rule
+ * @returns {boolean}
+ */
+export function isValidPlacementRule(rule) {
+    return Object.values(PlacementRule).includes(rule);
+}
+
+/**
+ * 规则的完整说明
+ * @param {string} rule
+ * @returns {string}
+ */
+export function describePlacementRule(rule) {
+    return `${PLACEMENT_RULE_LABELS[rule]}：${PLACEMENT_RULE_DESCRIPTIONS[rule]}`;
+}
+
+/**
+ * 一组格子周围一圈的格子（八邻域，不含这组格子本身，已裁剪到棋盘内）
+ * 禁止相邻规则下，舰船占格的这一圈不能有其他舰船
+ *
+ * @param {Array<{r: number, c: number}>} cells
+ * @param {number} boardSize
+ * @returns {Array<{r: number, c: number}>}
+ */
+export function getSurroundingCells(cells, boardSize) {
+    const own = new Set(cells.map(({ r, c }) => `${r},${c}`));
+    const seen = new Set();
+    const result = [];
+    for (const { r, c } of cells) {
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const nr = r + dr;
+                const nc = c + dc;
+                const key = `${nr},${nc}`;
+                if (nr < 0 || nc < 0 || nr >= boardSize || nc >= boardSize) continue;
+                if (own.has(key) || seen.has(key)) continue;
+                seen.add(key);
+                result.push({ r: nr, c: nc });
+            }
+        }
+    }
+    return result;
+}
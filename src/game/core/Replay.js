@@ -0,0 +1,224 @@
+// src/game/core/Replay.js
+// 战斗回放 - 录制每回合的决策与结算事件，纯数据层，不操作 DOM
+
+import { Side, serializeShip, isValidBoardSize } from './GameSession.js';
+import { isValidPlacementRule } from './PlacementRule.js';
+import { isValidFiringMode } from './FiringMode.js';
+import { isValidMatchMode } from './MatchMode.js';
+
+/**
+ * 回放格式版本
+ * 事件结构或字段变更时递增，旧版本回放直接拒绝
+ */
+export const REPLAY_VERSION = 1;
+
+/** localStorage 键名（只保留最近一局） */
+const STORAGE_KEY = 'lastReplay';
+
+/**
+ * 深拷贝事件数组，避免后续结算修改已录制的数据
+ * @param {Array<Object>} events
+ * @returns {Array<Object>}
+ */
+function cloneEvents(events) {
+    return JSON.parse(JSON.stringify(events || []));
+}
+
+/**
+ * 回放录制器
+ *
+ * 回放数据结构：
+ * {
+ *   version, recordedAt, boardSize, placementRule, firingMode, matchMode, difficulty, firstTurn, seed,
+ *   fleets: { PLAYER: Ship[], AI: Ship[] },   // 开局时双方的舰队布局（联机对战中对手未沉没的舰船 r = c = -1）
+ *   turns: [{ side, decision: { weapon, r, c, heading?, aim? } | { shots: [{ weapon, r, c }] }, events: Event[] }],
+ *   winner                                      // 未分胜负时为 null
+ * }
+ *
+ * 齐射回合的 decision 为 { shots }，见 getDecisionShots。
+ * events 即 WeaponService.executePlayerAction / executeAIAction / executeSalvo 返回的事件，
+ * 已注入 grid 字段，可原样交给 BattleRenderer 重放。
+ * 回放始终以 Side.PLAYER 的视角呈现：双人同屏时玩家2 的事件由调用方改写为 PLAYER 网格后再录制。
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+    }
+
+    /**
+     * 开始录制（须在双方舰队就位、session.start() 之后调用）
+     *
+     * @param {Object} params
+     * @param {GameSession} params.session - 对局会话
+     * @param {string} params.difficulty - 难度档位
+     * @param {string} params.firstTurn - 先手方
+     * @param {number|null} [params.seed] - 本局随机种子
+     */
+    start({ session, difficulty, firstTurn, seed = null }) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            boardSize: session.boardSize,
+            placementRule: session.placementRule,
+            firingMode: session.firingMode,
+            matchMode: session.matchMode,
+            difficulty,
+            firstTurn,
+            seed,
+            fleets: {
+                [Side.PLAYER]: session.getShips(Side.PLAYER).map(serializeShip),
+                [Side.AI]: session.getShips(Side.AI).map(serializeShip)
+            },
+            turns: [],
+            winner: null
+        };
+    }
+
+    /**
+     * 续录：从存档中恢复录制进度
+     * @param {Object|null} replay - getReplay() 的输出
+     */
+    resume(replay) {
+        this.replay = replay ? JSON.parse(JSON.stringify(replay)) : null;
+    }
+
+    /**
+     * 是否正在录制
+     */
+    isRecording() {
+        return this.replay !== null && this.replay.winner === null;
+    }
+
+    /**
+     * 记录一次行动
+     *
+     * @param {string} side - 行动方
+     * @param {Object|Array<Object>} decision - { weapon, r, c }，齐射时为各发的数组
+     * @param {Array<Object>} events - 该次行动的结算事件
+     */
+    record(side, decision, events) {
+        if (!this.isRecording()) return;
+        const pick = ({ weapon, r, c, heading, aim }) => ({
+            weapon, r, c, ...(heading ? { heading } : {}), ...(aim ? { aim } : {})
+        });
+        this.replay.turns.push({
+            side,
+            decision: Array.isArray(decision) ? { shots: decision.map(pick) } : pick(decision),
+            events: cloneEvents(events)
+        });
+    }
+
+    /**
+     * 更新一方的舰队布局
+     * 联机对战中对手舰队开局时位置未知（r = c = -1），结束时写入已得知的部分，对手公开布局后再写入完整布局
+     *
+     * @param {string} side - Side.PLAYER | Side.AI
+     * @param {Array<Object>} ships - 该方舰队
+     */
+    updateFleet(side, ships) {
+        if (!this.replay) return;
+        this.replay.fleets[side] = ships.map(serializeShip);
+    }
+
+    /**
+     * 结束录制
+     * @param {string} winner - 胜者
+     */
+    finish(winner) {
+        if (!this.replay) return;
+        this.replay.winner = winner;
+    }
+
+    /**
+     * @returns {Object|null} 当前回放数据
+     */
+    getReplay() {
+        return this.replay;
+    }
+
+    /**
+     * 停止并丢弃当前录制
+     */
+    clear() {
+        this.replay = null;
+    }
+}
+
+/**
+ * 校验回放数据
+ *
+ * 回放自带棋盘尺寸，查看时按回放的尺寸重建棋盘，与当前设置无关
+ *
+ * @param {Object} data - 原始回放
+ * @returns {{ replay: Object|null, reason: string|null }}
+ */
+export function parseReplay(data) {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        return { replay: null, reason: '回放格式无法识别' };
+    }
+    if (data.version !== REPLAY_VERSION) {
+        return { replay: null, reason: `回放版本 v${data.version} 与当前支持的 v${REPLAY_VERSION} 不符` };
+    }
+    if (!data.fleets || !Array.isArray(data.fleets[Side.PLAYER]) || !Array.isArray(data.fleets[Side.AI])
+        || !Array.isArray(data.turns)) {
+        return { replay: null, reason: '回放数据不完整' };
+    }
+    if (!isValidBoardSize(data.boardSize)) {
+        return { replay: null, reason: '回放的棋盘尺寸超出支持范围' };
+    }
+    if (data.placementRule !== undefined && !isValidPlacementRule(data.placementRule)) {
+        return { replay: null, reason: '回放的摆放规则无法识别' };
+    }
+    if (data.firingMode !== undefined && !isValidFiringMode(data.firingMode)) {
+        return { replay: null, reason: '回放的开火规则无法识别' };
+    }
+    if (data.matchMode !== undefined && !isValidMatchMode(data.matchMode)) {
+        return { replay: null, reason: '回放的对战模式无法识别' };
+    }
+    return { replay: data, reason: null };
+}
+
+/**
+ * 一步回放中的各发攻击（单发行动返回只含一项的数组）
+ * @param {Object} decision - 回放中的 decision
+ * @returns {Array<{ weapon: string, r: number, c: number }>}
+ */
+export function getDecisionShots(decision) {
+    return decision.shots ?? [decision];
+}
+
+/**
+ * 保存最近一局的回放
+ * @param {Object} replay
+ * @returns {boolean} 是否成功
+ */
+export function saveLastReplay(replay) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(replay));
+        return true;
+    } catch (e) {
+        console.warn('[回放] 写入失败', e);
+        return false;
+    }
+}
+
+/**
+ * 读取最近一局的回放
+ *
+ * @returns {{ replay: Object|null, reason: string|null }}
+ */
+export function loadLastReplay() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        return { replay: null, reason: null };
+    }
+    if (!raw) return { replay: null, reason: null };
+
+    try {
+        return parseReplay(JSON.parse(raw));
+    } catch (e) {
+        return { replay: null, reason: '回放数据已损坏' };
+    }
+}
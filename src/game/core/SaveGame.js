@@ -0,0 +1,296 @@
+// src/game/core/SaveGame.js
+// 战斗存档 - 快照的生成、版本校验与本地存储
+
+import { SHIP_TYPES } from '../../data/ships.js';
+import { Side, GamePhase, isValidBoardSize } from './GameSession.js';
+import { DEFAULT_PLACEMENT_RULE, isValidPlacementRule } from './PlacementRule.js';
+import { DEFAULT_FIRING_MODE, isValidFiringMode } from './FiringMode.js';
+import { DEFAULT_MATCH_MODE, MatchMode, isValidMatchMode } from './MatchMode.js';
+import { createWeaponStock, isValidWeaponStock } from './WeaponStock.js';
+import { isValidRoomCode } from '../net/NetProtocol.js';
+import { isValidDailyKey } from './DailyChallenge.js';
+
+/**
+ * 存档格式版本
+ * 规则或数据结构变更时递增，并在 MIGRATIONS 中提供旧版本的迁移函数
+ */
+export const SAVE_VERSION = 17;
+
+/** localStorage 键名 */
+const STORAGE_KEY = 'savedBattle';
+
+/**
+ * 版本迁移表：MIGRATIONS[n] 把 n 版快照升级为 n+1 版
+ * 缺少对应迁移函数的旧存档会被拒绝；每一步只补上该版本新增的字段，读档代码只处理当前格式
+ */
+const MIGRATIONS = {
+    // v2：加入回放，旧存档没有录制数据
+    1: snapshot => ({ ...snapshot, version: 2, replay: null }),
+    // v3：加入随机种子，旧存档的对局无法复现（AI 的随机数状态由 importAIState 重新生成）
+    2: snapshot => ({ ...snapshot, version: 3, seed: null }),
+    // v4：舰船自带船型、主炮伤害与能力（自定义舰队）；旧存档都是标准舰队，按代号补上
+    3: snapshot => mapFleets({ ...snapshot, version: 4 }, ship => {
+        const type = SHIP_TYPES.find(def => def.code === ship.code);
+        return { ...ship, type: type?.type, apDamage: type?.apDamage ?? 1, abilities: [...(type?.abilities ?? [])] };
+    }),
+    // v5：舰船朝向改为 rotation（0 ~ 3），旧存档只有横竖
+    4: snapshot => mapFleets({ ...snapshot, version: 5 }, ship => ({ ...ship, rotation: ship.vertical ? 1 : 0 })),
+    // v6：加入摆放规则（会话与 AI 状态各记一份），旧存档都是允许相邻的默认规则
+    5: snapshot => ({
+        ...snapshot,
+        version: 6,
+        session: { ...snapshot.session, placementRule: DEFAULT_PLACEMENT_RULE },
+        aiState: { ...snapshot.aiState, placementRule: DEFAULT_PLACEMENT_RULE }
+    }),
+    // v7：加入开火规则，旧存档都是标准规则
+    6: snapshot => ({ ...snapshot, version: 7, session: { ...snapshot.session, firingMode: DEFAULT_FIRING_MODE } }),
+    // v8：加入对战模式，旧存档都是人机对战
+    7: snapshot => ({ ...snapshot, version: 8, session: { ...snapshot.session, matchMode: DEFAULT_MATCH_MODE } }),
+    // v9：加入联机连接信息，旧存档都不是联机对局
+    8: snapshot => ({ ...snapshot, version: 9, online: null }),
+    // v10：加入开局的舰队承诺，旧存档没有承诺，结束时不做核对
+    9: snapshot => ({ ...snapshot, version: 10, commitments: {} }),
+    // v11：加入残局挑战进度，旧存档都不是残局
+    10: snapshot => ({ ...snapshot, version: 11, scenario: null }),
+    // v12：加入每日挑战编号，旧存档都不是每日挑战
+    11: snapshot => ({ ...snapshot, version: 12, daily: null }),
+    // v13：加入战役任务，旧存档都不是战役
+    12: snapshot => ({ ...snapshot, version: 13, campaign: null }),
+    // v14：加入武器库存，旧存档按满弹药、无冷却补上
+    13: snapshot => ({
+        ...snapshot,
+        version: 14,
+        session: {
+            ...snapshot.session,
+            stocks: Object.fromEntries(Object.entries(snapshot.session.fleets).map(([side, ships]) => [side, createWeaponStock(ships)]))
+        }
+    }),
+    // v15：格子加入 occupied（深水炸弹确认有船），旧存档中没有这种格子
+    14: snapshot => ({
+        ...snapshot,
+        version: 15,
+        session: {
+            ...snapshot.session,
+            grids: Object.fromEntries(Object.entries(snapshot.session.grids).map(([side, grid]) =>
+                [side, grid.map(row => row.map(cell => ({ ...cell, occupied: false })))]
+            ))
+        }
+    }),
+    // v16：加入侦察回报，旧存档中没有
+    15: snapshot => ({
+        ...snapshot,
+        version: 16,
+        session: { ...snapshot.session, reconReports: { [Side.PLAYER]: [], [Side.AI]: [] } }
+    }),
+    // v17：加入已部署的防御，旧存档中没有
+    16: snapshot => ({
+        ...snapshot,
+        version: 17,
+        session: { ...snapshot.session, defenses: { [Side.PLAYER]: [], [Side.AI]: [] } }
+    })
+};
+
+/**
+ * 迁移辅助：逐艘改写快照中双方的舰船
+ * @param {Object} snapshot
+ * @param {Function} mapShip - (ship) => 新的舰船数据
+ * @returns {Object}
+ */
+function mapFleets(snapshot, mapShip) {
+    const fleets = Object.fromEntries(Object.entries(snapshot.session.fleets).map(([side, ships]) => [side, ships.map(mapShip)]));
+    return { ...snapshot, session: { ...snapshot.session, fleets } };
+}
+
+/**
+ * 生成存档快照
+ *
+ * @param {Object} params
+ * @param {GameSession} params.session - 对局会话
+ * @param {string} params.difficulty - 难度档位
+ * @param {string} params.firstTurn - 先手方
+ * @param {Object} params.aiState - exportAIState() 的输出
+ * @param {Array<Object>} params.log - 战况记录 [{ time, msg, cls }]
+ * @param {Object|null} [params.replay] - 本局已录制的回放（ReplayRecorder.getReplay()）
+ * @param {number|null} [params.seed] - 本局随机种子
+ * @param {Object|null} [params.online] - 联机对战的连接与同步状态 { url, room, clientId, seat, pendingAction, lastReply }
+ * @param {Object} [params.commitments] - 开局公布的舰队承诺 { [side]: { hash, salt } }（盐值结束时才公开，只存在本地存档中）
+ * @param {Object|null} [params.scenario] - 残局挑战的进度 { id, usage: { actions, weapons } }
+ * @param {string|null} [params.daily] - 每日挑战的编号（YYYY-MM-DD）
+ * @param {string|null} [params.campaign] - 战役任务的 id
+ * @returns {Object} 快照
+ */
+export function createSnapshot({ session, difficulty, firstTurn, aiState, log, replay = null, seed = null, online = null, commitments = {}, scenario = null, daily = null, campaign = null }) {
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        session: session.serialize(),
+        difficulty,
+        firstTurn,
+        aiState,
+        log: log.map(entry => ({ ...entry })),
+        replay,
+        seed,
+        online,
+        commitments: JSON.parse(JSON.stringify(commitments)),
+        scenario: scenario ? JSON.parse(JSON.stringify(scenario)) : null,
+        daily,
+        campaign
+    };
+}
+
+/**
+ * 校验并迁移快照
+ *
+ * @param {Object} data - 原始快照
+ * @returns {{ snapshot: Object|null, reason: string|null }}
+ */
+export function parseSnapshot(data) {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        return { snapshot: null, reason: '存档格式无法识别' };
+    }
+    if (data.version > SAVE_VERSION) {
+        return { snapshot: null, reason: `存档版本 v${data.version} 高于当前支持的 v${SAVE_VERSION}` };
+    }
+
+    let snapshot = data;
+    while (snapshot.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[snapshot.version];
+        if (!migrate) {
+            return { snapshot: null, reason: `存档版本 v${snapshot.version} 已不再兼容` };
+        }
+        snapshot = migrate(snapshot);
+    }
+
+    if (!snapshot.session || snapshot.session.phase !== GamePhase.PLAYING) {
+        return { snapshot: null, reason: '存档中没有进行中的战斗' };
+    }
+    if (!isValidBoardSize(snapshot.session.boardSize)) {
+        return { snapshot: null, reason: '存档的棋盘尺寸超出支持范围' };
+    }
+    if (!isValidSessionData(snapshot.session) || !Array.isArray(snapshot.log)) {
+        return { snapshot: null, reason: '存档数据已损坏' };
+    }
+    const { placementRule, firingMode, matchMode } = snapshot.session;
+    if (!isValidPlacementRule(placementRule)) {
+        return { snapshot: null, reason: '存档的摆放规则无法识别' };
+    }
+    if (!isValidFiringMode(firingMode)) {
+        return { snapshot: null, reason: '存档的开火规则无法识别' };
+    }
+    if (!isValidMatchMode(matchMode)) {
+        return { snapshot: null, reason: '存档的对战模式无法识别' };
+    }
+    if (![Side.PLAYER, Side.AI].every(side => isValidWeaponStock(snapshot.session.stocks?.[side]))) {
+        return { snapshot: null, reason: '存档的武器库存无法识别' };
+    }
+    const { reconReports, defenses } = snapshot.session;
+    if (![Side.PLAYER, Side.AI].every(side => Array.isArray(reconReports?.[side]) && Array.isArray(defenses?.[side]))) {
+        return { snapshot: null, reason: '存档的侦察回报或防御部署无法识别' };
+    }
+    if (matchMode === MatchMode.ONLINE && !isValidOnlineState(snapshot.online)) {
+        return { snapshot: null, reason: '联机存档缺少连接信息' };
+    }
+    if (matchMode === MatchMode.SCENARIO && !isValidScenarioState(snapshot.scenario)) {
+        return { snapshot: null, reason: '残局存档缺少挑战进度' };
+    }
+    if (matchMode === MatchMode.DAILY && !isValidDailyKey(snapshot.daily)) {
+        return { snapshot: null, reason: '每日挑战存档缺少挑战日期' };
+    }
+    if (matchMode === MatchMode.CAMPAIGN && typeof snapshot.campaign !== 'string') {
+        return { snapshot: null, reason: '战役存档缺少任务信息' };
+    }
+    return { snapshot, reason: null };
+}
+
+/**
+ * 会话中双方的舰队与网格是否结构完整：舰船编号等于下标、各段血量齐全，网格为 boardSize × boardSize
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function isValidSessionData(session) {
+    const size = session.boardSize;
+    const isShip = (ship, id) => ship !== null && typeof ship === 'object' && ship.id === id
+        && Number.isInteger(ship.len) && Array.isArray(ship.hp) && ship.hp.length === ship.len
+        && ship.hp.every(hp => typeof hp === 'number')
+        && Number.isInteger(ship.r) && Number.isInteger(ship.c);
+    const isGrid = (grid) => Array.isArray(grid) && grid.length === size
+        && grid.every(row => Array.isArray(row) && row.length === size
+            && row.every(cell => cell !== null && typeof cell === 'object'));
+    return [Side.PLAYER, Side.AI].every(side => {
+        const ships = session.fleets?.[side];
+        return Array.isArray(ships) && ships.length > 0 && ships.every(isShip) && isGrid(session.grids?.[side]);
+    });
+}
+
+/**
+ * 联机存档的连接信息是否完整（重连时凭 clientId 取回原来的座位）
+ * @param {*} online
+ * @returns {boolean}
+ */
+function isValidOnlineState(online) {
+    return !!online
+        && typeof online.url === 'string'
+        && isValidRoomCode(online.room)
+        && typeof online.clientId === 'string';
+}
+
+/**
+ * 残局存档的挑战进度是否完整（残局本身按 id 从 src/data/scenarios.js 重新读取）
+ * @param {*} scenario
+ * @returns {boolean}
+ */
+function isValidScenarioState(scenario) {
+    return !!scenario
+        && typeof scenario.id === 'string'
+        && !!scenario.usage
+        && Number.isInteger(scenario.usage.actions)
+        && typeof scenario.usage.weapons === 'object' && scenario.usage.weapons !== null;
+}
+
+/**
+ * 写入本地存档
+ * @param {Object} snapshot
+ * @returns {boolean} 是否成功
+ */
+export function saveBattle(snapshot) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+        return true;
+    } catch (e) {
+        console.warn('[存档] 写入失败', e);
+        return false;
+    }
+}
+
+/**
+ * 读取本地存档
+ * 无存档、解析失败或版本不兼容时返回 snapshot = null，并附带原因
+ *
+ * @returns {{ snapshot: Object|null, reason: string|null }}
+ */
+export function loadBattle() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        return { snapshot: null, reason: null };
+    }
+    if (!raw) return { snapshot: null, reason: null };
+
+    try {
+        return parseSnapshot(JSON.parse(raw));
+    } catch (e) {
+        return { snapshot: null, reason: '存档数据已损坏' };
+    }
+}
+
+/**
+ * 清除本地存档
+ */
+export function clearBattle() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        // 忽略：存储不可用时无需处理
+    }
+}
@@ -0,0 +1,362 @@
+// src/game/core/Scenario.js
+// 残局挑战 - 预设局面的校验与构建、目标判定与评分，纯数据层，不操作 DOM
+
+import { SHIP_TYPES } from '../../data/ships.js';
+import { SCENARIOS } from '../../data/scenarios.js';
+import {
+    GamePhase, Side, createShip, serializeShip, buildBattleGrid, isValidBoardSize
+} from './GameSession.js';
+import { getShipCells } from './ShipShape.js';
+import { getFleetAbilities } from './Fleet.js';
+import { WEAPON_IDS, isValidWeapon, isWeaponAvailable, isDefensiveWeapon, getWeaponLabel } from './WeaponRules.js';
+import { DEFAULT_PLACEMENT_RULE } from './PlacementRule.js';
+import { FiringMode } from './FiringMode.js';
+import { MatchMode } from './MatchMode.js';
+import { createWeaponStock } from './WeaponStock.js';
+
+/**
+ * 目标类型
+ */
+export const ScenarioGoal = {
+    SINK: 'SINK',   // 击沉全部目标舰船
+    FIND: 'FIND'    // 每艘目标舰船至少有一格被命中或被水听揭示
+};
+
+/**
+ * 挑战进度
+ */
+export const ScenarioStatus = {
+    ONGOING: 'ONGOING',
+    SUCCESS: 'SUCCESS',
+    FAILED: 'FAILED'
+};
+
+/** 局面字符：未知 / 未命中 / 已揭示的船体 / 水听疑似 */
+const BoardMark = { UNKNOWN: '.', MISS: 'o', HIT: 'x', SUSPECT: '?' };
+
+/** 评分：完成得基础分，每节省一次行动再加分 */
+const SCORE_BASE = 100;
+const SCORE_PER_SPARE_ACTION = 50;
+
+/** localStorage 键名：各残局的最佳成绩 */
+const RECORDS_KEY = 'scenarioRecords';
+
+/**
+ * 按 id 查找残局
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getScenario(id) {
+    return SCENARIOS.find(scenario => scenario.id === id) ?? null;
+}
+
+/**
+ * 校验残局定义
+ * @param {Object} scenario
+ * @returns {string[]} 问题列表，为空表示可用
+ */
+export function validateScenario(scenario) {
+    const problems = [];
+    if (!scenario || typeof scenario.id !== 'string' || typeof scenario.title !== 'string') {
+        return ['残局缺少 id 或标题'];
+    }
+    if (!isValidBoardSize(scenario.boardSize)) {
+        return ['残局的棋盘尺寸超出支持范围'];
+    }
+    if (scenario.weapons !== undefined
+        && (!Array.isArray(scenario.weapons) || scenario.weapons.some(id => !isValidWeapon(id)))) {
+        problems.push('可用武器中有无法识别的武器');
+    }
+
+    const fleets = {};
+    [[Side.PLAYER, scenario.player, '我方'], [Side.AI, scenario.enemy, '敌方']].forEach(([side, spec, label]) => {
+        const ships = validateSide(spec, scenario.boardSize, label, problems);
+        if (ships) fleets[side] = ships;
+    });
+    if (fleets[Side.PLAYER]?.every(ship => ship.sunk)) {
+        problems.push('我方舰船已全部沉没');
+    }
+
+    const { goal } = scenario;
+    if (!goal || !Object.values(ScenarioGoal).includes(goal.type)) {
+        problems.push('目标类型无法识别');
+        return problems;
+    }
+    if (!Array.isArray(goal.targets) || goal.targets.length === 0) {
+        problems.push('目标没有指定舰船');
+    } else if (fleets[Side.AI]) {
+        goal.targets.forEach(code => {
+            const ship = fleets[Side.AI].find(s => s.code === code);
+            if (!ship) problems.push(`目标 ${code} 不在敌方舰队中`);
+            else if (ship.sunk) problems.push(`目标${ship.name}开局时已经沉没`);
+        });
+    }
+    if (!Number.isInteger(goal.maxActions) || goal.maxActions < 1) {
+        problems.push('行动次数上限必须是正整数');
+    } else if (!Number.isInteger(goal.par) || goal.par < 1 || goal.par > goal.maxActions) {
+        problems.push('标准行动次数必须在 1 到行动次数上限之间');
+    }
+    if (goal.limits !== undefined && (typeof goal.limits !== 'object' || Object.entries(goal.limits)
+        .some(([id, limit]) => !isValidWeapon(id) || !Number.isInteger(limit) || limit < 0))) {
+        problems.push('武器次数限制无法识别');
+    }
+    return problems;
+}
+
+/**
+ * 校验一方的局面，并按定义建出舰队
+ * @returns {Array<Object>|null} 舰船定义有误时把原因写入 problems 并返回 null
+ */
+function validateSide(spec, boardSize, label, problems) {
+    if (!spec || !Array.isArray(spec.ships) || spec.ships.length === 0) {
+        problems.push(`${label}没有舰船`);
+        return null;
+    }
+    const codes = spec.ships.map(ship => ship.code);
+    if (new Set(codes).size !== codes.length) {
+        problems.push(`${label}舰队中有重复的舰船代号`);
+        return null;
+    }
+    const unknown = codes.find(code => !SHIP_TYPES.some(type => type.code === code));
+    if (unknown !== undefined) {
+        problems.push(`${label}舰队中的 ${unknown} 不是已知的舰船`);
+        return null;
+    }
+    const badHp = spec.ships.find(ship => ship.hp !== undefined && !isValidHp(ship.hp, getShipType(ship.code)));
+    if (badHp) {
+        problems.push(`${label}${getShipType(badHp.code).name}的耐久与船体段数不符`);
+        return null;
+    }
+
+    const ships = buildScenarioFleet(spec.ships);
+    const occupied = new Map();
+    for (const ship of ships) {
+        for (const { r, c } of getShipCells(ship)) {
+            if (r < 0 || c < 0 || r >= boardSize || c >= boardSize) {
+                problems.push(`${label}${ship.name}超出了棋盘`);
+                return null;
+            }
+            const key = `${r},${c}`;
+            if (occupied.has(key)) {
+                problems.push(`${label}${ship.name}与${ships[occupied.get(key)].name}重叠`);
+                return null;
+            }
+            occupied.set(key, ship.id);
+        }
+    }
+
+    if (spec.board !== undefined) {
+        if (!Array.isArray(spec.board) || spec.board.length !== boardSize
+            || spec.board.some(row => typeof row !== 'string' || row.length !== boardSize)) {
+            problems.push(`${label}局面的行列数与棋盘尺寸不符`);
+            return ships;
+        }
+        const marks = Object.values(BoardMark);
+        spec.board.forEach((row, r) => [...row].forEach((mark, c) => {
+            const at = `(${r + 1},${c + 1})`;
+            if (!marks.includes(mark)) {
+                problems.push(`${label}局面 ${at} 的字符「${mark}」无法识别`);
+            } else if (mark === BoardMark.MISS && occupied.has(`${r},${c}`)) {
+                problems.push(`${label}局面 ${at} 标为未命中，但该处有舰船`);
+            } else if (mark === BoardMark.HIT && !occupied.has(`${r},${c}`)) {
+                problems.push(`${label}局面 ${at} 标为船体，但该处没有舰船`);
+            }
+        }));
+    }
+    return ships;
+}
+
+function isValidHp(hp, type) {
+    return Array.isArray(hp) && hp.length === type.len
+        && hp.every(value => Number.isInteger(value) && value >= 0 && value <= type.maxHp);
+}
+
+function getShipType(code) {
+    return SHIP_TYPES.find(type => type.code === code);
+}
+
+/**
+ * 按残局定义建出舰队（舰船 ID 即下标）
+ * @param {Array<Object>} specs - [{ code, r, c, rotation, hp?, sunk? }]
+ * @returns {Array<Object>}
+ */
+function buildScenarioFleet(specs) {
+    return specs.map((spec, id) => {
+        const ship = createShip(getShipType(spec.code), id, { r: spec.r, c: spec.c, rotation: spec.rotation ?? 0 });
+        if (spec.sunk) ship.hp = ship.hp.map(() => 0);
+        else if (spec.hp) ship.hp = [...spec.hp];
+        ship.sunk = ship.hp.every(value => value <= 0);
+        return ship;
+    });
+}
+
+/**
+ * 按残局定义生成会话数据（GameSession.serialize() 的格式，可直接交给 restore）
+ *
+ * 受损的船体段视为已被命中；局面中的 'o' / 'x' 标为已命中，'?' 标为水听疑似。
+ * 残局总是由我方先手、标准开火规则，双方满弹药，没有侦察回报与防御。
+ *
+ * @param {Object} scenario - 已通过 validateScenario 的残局
+ * @returns {Object}
+ */
+export function buildScenarioSession(scenario) {
+    const { boardSize } = scenario;
+    const fleets = {};
+    const grids = {};
+    const stocks = {};
+    [[Side.PLAYER, scenario.player], [Side.AI, scenario.enemy]].forEach(([side, spec]) => {
+        const ships = buildScenarioFleet(spec.ships);
+        const grid = buildBattleGrid(ships, boardSize);
+        ships.forEach(ship => getShipCells(ship).forEach(({ r, c, idx }) => {
+            if (ship.hp[idx] < ship.maxHp) grid[r][c].hit = true;
+        }));
+        (spec.board ?? []).forEach((row, r) => [...row].forEach((mark, c) => {
+            if (mark === BoardMark.MISS || mark === BoardMark.HIT) grid[r][c].hit = true;
+            else if (mark === BoardMark.SUSPECT && !grid[r][c].hit) grid[r][c].suspect = true;
+        }));
+        fleets[side] = ships.map(serializeShip);
+        grids[side] = grid;
+        stocks[side] = createWeaponStock(ships);
+    });
+    return {
+        boardSize,
+        placementRule: DEFAULT_PLACEMENT_RULE,
+        firingMode: FiringMode.SINGLE,
+        matchMode: MatchMode.SCENARIO,
+        phase: GamePhase.PLAYING,
+        turn: Side.PLAYER,
+        winner: null,
+        turnCount: 0,
+        fleets,
+        grids,
+        stocks,
+        reconReports: { [Side.PLAYER]: [], [Side.AI]: [] },
+        defenses: { [Side.PLAYER]: [], [Side.AI]: [] }
+    };
+}
+
+/**
+ * 新的挑战进度
+ * @returns {{ actions: number, weapons: Object<string, number> }} weapons 为各武器已使用的次数
+ */
+export function createScenarioUsage() {
+    return { actions: 0, weapons: {} };
+}
+
+/**
+ * 记录一次行动
+ * @param {Object} usage - createScenarioUsage 的输出（原地修改）
+ * @param {string} weapon
+ */
+export function recordScenarioAction(usage, weapon) {
+    usage.actions++;
+    usage.weapons[weapon] = (usage.weapons[weapon] ?? 0) + 1;
+}
+
+/**
+ * 残局规则是否还允许使用该武器（本关可用且未用完次数，不考虑舰队能力）
+ * @param {Object} scenario
+ * @param {Object} usage
+ * @param {string} weapon
+ * @returns {boolean}
+ */
+export function isScenarioWeaponAllowed(scenario, usage, weapon) {
+    if (isDefensiveWeapon(weapon)) return false; // 残局中对手不会还击，防御没有意义
+    if (scenario.weapons && !scenario.weapons.includes(weapon)) return false;
+    const limit = scenario.goal.limits?.[weapon];
+    return limit === undefined || (usage.weapons[weapon] ?? 0) < limit;
+}
+
+/**
+ * 判定挑战进度
+ * @param {Object} scenario
+ * @param {GameSession} session
+ * @param {Object} usage
+ * @returns {{ status: string, reason: string }}
+ */
+export function evaluateScenario(scenario, session, usage) {
+    const { goal } = scenario;
+    const enemyShips = session.getShips(Side.AI);
+    const enemyGrid = session.getGrid(Side.AI);
+    const targets = goal.targets.map(code => enemyShips.find(ship => ship.code === code));
+    const done = goal.type === ScenarioGoal.SINK
+        ? targets.every(ship => ship.sunk)
+        : targets.every(ship => getShipCells(ship).some(({ r, c }) => enemyGrid[r][c].hit));
+    if (done) {
+        return { status: ScenarioStatus.SUCCESS, reason: `用 ${usage.actions} 次行动达成目标` };
+    }
+    if (usage.actions >= goal.maxActions) {
+        return { status: ScenarioStatus.FAILED, reason: `${goal.maxActions} 次行动已用完，目标未达成` };
+    }
+    const abilities = getFleetAbilities(session.getShips(Side.PLAYER));
+    if (!WEAPON_IDS.some(weapon => isWeaponAvailable(weapon, abilities) && isScenarioWeaponAllowed(scenario, usage, weapon))) {
+        return { status: ScenarioStatus.FAILED, reason: '已经没有可以使用的武器' };
+    }
+    return { status: ScenarioStatus.ONGOING, reason: '' };
+}
+
+/**
+ * 完成挑战后的评分：基础分加节省行动的奖励；不超过标准次数为三星，多一次为二星，其余一星
+ * @param {Object} scenario
+ * @param {Object} usage
+ * @returns {{ score: number, stars: number }}
+ */
+export function scoreScenario(scenario, usage) {
+    const { maxActions, par } = scenario.goal;
+    const score = SCORE_BASE + (maxActions - usage.actions) * SCORE_PER_SPARE_ACTION;
+    const stars = usage.actions <= par ? 3 : (usage.actions === par + 1 ? 2 : 1);
+    return { score, stars };
+}
+
+/**
+ * 目标说明
+ * @param {Object} scenario
+ * @returns {string} 例如「3 次行动内击沉战列舰」
+ */
+export function describeScenarioGoal(scenario) {
+    const { type, targets, maxActions, limits = {} } = scenario.goal;
+    const names = targets.map(code => getShipType(code)?.name ?? code).join('、');
+    const verb = type === ScenarioGoal.SINK ? '击沉' : '找到';
+    const limitText = Object.entries(limits).map(([id, limit]) => `${getWeaponLabel(id)}至多 ${limit} 次`);
+    return `${maxActions} 次行动内${verb}${names}` + (limitText.length ? `（${limitText.join('，')}）` : '');
+}
+
+/**
+ * 本关可用武器的说明
+ * @param {Object} scenario
+ * @returns {string}
+ */
+export function describeScenarioWeapons(scenario) {
+    return (scenario.weapons ?? WEAPON_IDS.filter(id => !isDefensiveWeapon(id))).map(getWeaponLabel).join('、');
+}
+
+/**
+ * 读取各残局的最佳成绩
+ * @returns {Object<string, { score: number, stars: number, actions: number }>}
+ */
+export function loadScenarioRecords() {
+    try {
+        const records = JSON.parse(localStorage.getItem(RECORDS_KEY));
+        return records && typeof records === 'object' && !Array.isArray(records) ? records : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * 记录一次完成的成绩（只保留最高分）
+ * @param {string} id - 残局 id
+ * @param {{ score: number, stars: number, actions: number }} result
+ * @returns {boolean} 是否刷新了最佳成绩
+ */
+export function saveScenarioRecord(id, result) {
+    const records = loadScenarioRecords();
+    if (records[id] && records[id].score >= result.score) return false;
+    records[id] = { ...result };
+    try {
+        localStorage.setItem(RECORDS_KEY, JSON.stringify(records));
+    } catch (e) {
+        console.warn('[残局] 成绩写入失败', e);
+    }
+    return true;
+}
@@ -0,0 +1,215 @@
+// src/game/core/ShipShape.js
+// 舰船外形 - 占格轮廓（footprint）与四向旋转，纯数据层，不操作 DOM
+
+/**
+ * 外形预设（旋转 0 时的占格偏移 [dr, dc]，下标即船体段序号）
+ * 未声明 shape 的舰船为长度 len 的直线
+ */
+export const SHAPE_PRESETS = {
+    L: { label: 'L 形', cells: [[0, 0], [1, 0], [2, 0], [2, 1]] },
+    T: { label: 'T 形', cells: [[0, 0], [0, 1], [0, 2], [1, 1]] },
+    SQUARE: { label: '2×2', cells: [[0, 0], [0, 1], [1, 0], [1, 1]] }
+};
+
+/** 直线外形的显示名称 */
+export const STRAIGHT_LABEL = '直线';
+
+/** 各外形的朝向缓存（键为 shape 的 JSON） */
+const orientationCache = new Map();
+
+/**
+ * 生成长度为 len 的水平直线外形
+ * @param {number} len
+ * @returns {Array<number[]>}
+ */
+export function straightShape(len) {
+    return Array.from({ length: len }, (_, i) => [0, i]);
+}
+
+/**
+ * 舰船（或舰船定义）旋转 0 时的外形
+ * @param {Object} ship - { len, shape? }
+ * @returns {Array<number[]>}
+ */
+export function getShipShape(ship) {
+    return ship.shape ?? straightShape(ship.len);
+}
+
+/**
+ * 外形是否为水平直线（直线舰船沿用船体美术，按 vertical 旋转显示）
+ * @param {Array<number[]>} shape
+ * @returns {boolean}
+ */
+export function isStraightShape(shape) {
+    return shape.every(([dr, dc], i) => dr === 0 && dc === i);
+}
+
+/**
+ * 舰船是否为直线外形
+ * @param {Object} ship
+ * @returns {boolean}
+ */
+export function isStraightShip(ship) {
+    return !ship.shape || isStraightShape(ship.shape);
+}
+
+/**
+ * 顺时针旋转 rotation × 90°，并平移到左上角从 (0, 0) 开始
+ * 段序号保持不变（第 i 个偏移仍对应 hp[i]）
+ *
+ * @param {Array<number[]>} shape
+ * @param {number} rotation - 0~3
+ * @returns {Array<number[]>}
+ */
+export function rotateShape(shape, rotation) {
+    let cells = shape.map(([dr, dc]) => [dr, dc]);
+    for (let i = 0; i < ((rotation % 4) + 4) % 4; i++) {
+        cells = cells.map(([dr, dc]) => [dc, -dr]);
+    }
+    const minR = Math.min(...cells.map(([dr]) => dr));
+    const minC = Math.min(...cells.map(([, dc]) => dc));
+    return cells.map(([dr, dc]) => [dr - minR, dc - minC]);
+}
+
+/**
+ * 外形互不相同的朝向（直线只有 0/1 两向，2×2 只有 0 一向）
+ *
+ * @param {Object} ship - { len, shape? }
+ * @returns {Array<{ rotation: number, cells: Array<number[]>, rows: number, cols: number }>}
+ */
+export function getOrientations(ship) {
+    const shape = getShipShape(ship);
+    const key = JSON.stringify(shape);
+    let orientations = orientationCache.get(key);
+    if (orientations) return orientations;
+
+    orientations = [];
+    const seen = new Set();
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const cells = rotateShape(shape, rotation);
+        const footprint = cells.map(([dr, dc]) => `${dr},${dc}`).sort().join(';');
+        if (seen.has(footprint)) continue;
+        seen.add(footprint);
+        orientations.push({
+            rotation,
+            cells,
+            rows: Math.max(...cells.map(([dr]) => dr)) + 1,
+            cols: Math.max(...cells.map(([, dc]) => dc)) + 1
+        });
+    }
+    orientationCache.set(key, orientations);
+    return orientations;
+}
+
+/**
+ * 取舰船在指定旋转下的朝向（与已有朝向外形相同的旋转归并到第一个）
+ *
+ * @param {Object} ship
+ * @param {number} rotation
+ * @returns {{ rotation: number, cells: Array<number[]>, rows: number, cols: number }}
+ */
+export function getOrientation(ship, rotation) {
+    const orientations = getOrientations(ship);
+    const exact = orientations.find(o => o.rotation === rotation);
+    if (exact) return exact;
+
+    const cells = rotateShape(getShipShape(ship), rotation);
+    const footprint = cells.map(([dr, dc]) => `${dr},${dc}`).sort().join(';');
+    return orientations.find(o =>
+        o.cells.map(([dr, dc]) => `${dr},${dc}`).sort().join(';') === footprint
+    ) ?? orientations[0];
+}
+
+/**
+ * 舰船当前的旋转（兼容只有 vertical / v 的旧数据）
+ * @param {Object} ship
+ * @returns {number} 0~3
+ */
+export function getShipRotation(ship) {
+    if (typeof ship.rotation === 'number') return ship.rotation;
+    return (ship.vertical ?? ship.v ?? false) ? 1 : 0;
+}
+
+/**
+ * 下一个可用朝向（点击旋转时依次切换）
+ * @param {Object} ship
+ * @returns {number} rotation
+ */
+export function getNextRotation(ship) {
+    const orientations = getOrientations(ship);
+    const current = orientations.findIndex(o => o.rotation === getShipRotation(ship));
+    return orientations[(current + 1) % orientations.length].rotation;
+}
+
+/**
+ * 以 (r, c) 为左上角放置时占用的格子（按船体段顺序）
+ *
+ * @param {Object} ship - { len, shape? }
+ * @param {number} r
+ * @param {number} c
+ * @param {number} rotation
+ * @returns {Array<{r: number, c: number, idx: number}>}
+ */
+export function getFootprintCells(ship, r, c, rotation) {
+    return getOrientation(ship, rotation).cells.map(([dr, dc], idx) => ({ r: r + dr, c: c + dc, idx }));
+}
+
+/**
+ * 获取船只占用的格子（按船体段顺序）
+ * 兼容 rotation 与旧字段 vertical / v
+ *
+ * @param {Object} ship - 船只对象 { r, c, len, shape?, rotation|vertical|v }
+ * @returns {Array<{r: number, c: number, idx: number}>}
+ */
+export function getShipCells(ship) {
+    return getFootprintCells(ship, ship.r, ship.c, getShipRotation(ship));
+}
+
+/**
+ * 校验外形定义
+ * 要求：格子互不重复、四连通、偏移从 (0, 0) 起为非负整数
+ *
+ * @param {*} shape
+ * @returns {string|null} 不合法的原因，合法时返回 null
+ */
+export function validateShape(shape) {
+    if (!Array.isArray(shape) || shape.length === 0) return '外形为空';
+    const keys = new Set();
+    for (const cell of shape) {
+        if (!Array.isArray(cell) || cell.length !== 2 || !cell.every(n => Number.isInteger(n) && n >= 0)) {
+            return '外形坐标须为非负整数';
+        }
+        keys.add(`${cell[0]},${cell[1]}`);
+    }
+    if (keys.size !== shape.length) return '外形格子重复';
+    if (Math.min(...shape.map(([dr]) => dr)) !== 0 || Math.min(...shape.map(([, dc]) => dc)) !== 0) {
+        return '外形须从 (0, 0) 开始';
+    }
+
+    // 四连通检查
+    const visited = new Set([`${shape[0][0]},${shape[0][1]}`]);
+    const stack = [shape[0]];
+    while (stack.length > 0) {
+        const [r, c] = stack.pop();
+        for (const [nr, nc] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+            const key = `${nr},${nc}`;
+            if (keys.has(key) && !visited.has(key)) {
+                visited.add(key);
+                stack.push([nr, nc]);
+            }
+        }
+    }
+    if (visited.size !== keys.size) return '外形必须相互连通';
+    return null;
+}
+
+/**
+ * 外形预设的键（直线或未知外形返回 null）
+ * @param {Object} ship
+ * @returns {string|null}
+ */
+export function getShapePresetKey(ship) {
+    if (isStraightShip(ship)) return null;
+    const key = JSON.stringify(ship.shape);
+    return Object.keys(SHAPE_PRESETS).find(name => JSON.stringify(SHAPE_PRESETS[name].cells) === key) ?? null;
+}
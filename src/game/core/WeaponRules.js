@@ -0,0 +1,359 @@
+// src/game/core/WeaponRules.js
+// 武器规则 - 解读 data/weapons.js 中的武器定义（覆盖范围、打击样式、鱼雷航线、整行 / 整列、每格伤害、可用条件、目标规则与日志），纯数据层，不操作 DOM
+
+import { BOARD_SIZE } from '../../config/constants.js';
+import { WEAPON_DEFINITIONS } from '../../data/weapons.js';
+import { isInBounds } from '../weapons/WeaponTypes.js';
+
+/** 武器效果 */
+export const WeaponEffect = {
+    STRIKE: 'STRIKE',   // 对覆盖范围内每格造成伤害
+    SCAN: 'SCAN',       // 水听扫描，不造成伤害
+    TORPEDO: 'TORPEDO', // 沿航线击中第一个未暴露的船体段
+    DEPTH_CHARGE: 'DEPTH_CHARGE', // 只对潜艇造成伤害，确认其他舰船所在的格子有船
+    RECON: 'RECON',     // 回报覆盖范围内未暴露的船体格数，不造成伤害
+    AA_COVER: 'AA_COVER', // 防空掩护：拦截对手下一次打到掩护范围内的空袭
+    SMOKE: 'SMOKE'      // 烟幕：对手下一次扫描到所掩护的舰船时没有信号
+};
+
+/** 整行 / 整列样式的方向与显示名称 */
+export const LINES = {
+    ROW: { label: '行' },
+    COLUMN: { label: '列' }
+};
+
+/** 目标规则 */
+export const WeaponTarget = {
+    OPEN: 'OPEN',       // 不能瞄准已未命中或已摧毁的格子
+    BOARD: 'BOARD',     // 棋盘内任意格
+    EDGE: 'EDGE',       // 棋盘边缘格，另需指向棋盘内的航向
+    OWN: 'OWN'          // 己方棋盘内的格子（防御武器）
+};
+
+/** 鱼雷航向：每步的行列偏移与显示名称 */
+export const HEADINGS = {
+    N: { dr: -1, dc: 0, label: '北' },
+    S: { dr: 1, dc: 0, label: '南' },
+    W: { dr: 0, dc: -1, label: '西' },
+    E: { dr: 0, dc: 1, label: '东' }
+};
+
+/** 每格伤害取攻击方舰队的主炮伤害 */
+export const FLEET_AP_DAMAGE = 'FLEET_AP';
+
+/** 默认武器：始终可用，齐射规则下唯一的武器 */
+export const DEFAULT_WEAPON = WEAPON_DEFINITIONS[0].id;
+
+/** 全部武器的 id（按武器栏顺序） */
+export const WEAPON_IDS = WEAPON_DEFINITIONS.map(def => def.id);
+
+/**
+ * 按 id 查找武器定义
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getWeaponDefinition(id) {
+    return WEAPON_DEFINITIONS.find(def => def.id === id) ?? null;
+}
+
+/**
+ * 是否为已定义的武器
+ * @param {*} id
+ * @returns {boolean}
+ */
+export function isValidWeapon(id) {
+    return getWeaponDefinition(id) !== null;
+}
+
+/**
+ * 武器的显示名称
+ * @param {string} id
+ * @returns {string}
+ */
+export function getWeaponLabel(id) {
+    return getWeaponDefinition(id)?.label ?? id;
+}
+
+/**
+ * 武器效果（WeaponEffect），未定义的武器返回 null
+ * @param {string} id
+ * @returns {string|null}
+ */
+export function getWeaponEffect(id) {
+    return getWeaponDefinition(id)?.effect ?? null;
+}
+
+/**
+ * 是否为造成伤害的武器（水听、侦察等只获取信息的武器与防御武器返回 false）
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isDamagingWeapon(id) {
+    const effect = getWeaponEffect(id);
+    return effect !== null && effect !== WeaponEffect.SCAN && effect !== WeaponEffect.RECON && !isDefensiveWeapon(id);
+}
+
+/**
+ * 是否为防御武器（部署在己方棋盘，占用本回合的行动）
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isDefensiveWeapon(id) {
+    return getWeaponDefinition(id)?.target === WeaponTarget.OWN;
+}
+
+/**
+ * 武器可切换的打击样式（定义中 aims 的 id，第一项为默认），没有 aims 的武器为空
+ * @param {string} id
+ * @returns {string[]}
+ */
+export function getWeaponAims(id) {
+    return getWeaponDefinition(id)?.aims?.map(aim => aim.id) ?? [];
+}
+
+/**
+ * 打击样式是否有效（省略时取默认样式，始终有效）
+ * @param {string} id
+ * @param {*} aim
+ * @returns {boolean}
+ */
+export function isValidAim(id, aim) {
+    return aim === undefined || getWeaponAims(id).includes(aim);
+}
+
+/**
+ * 打击样式的显示名称，没有 aims 的武器为空字符串
+ * @param {string} id
+ * @param {string} [aim] - 省略时为默认样式
+ * @returns {string}
+ */
+export function getAimLabel(id, aim) {
+    return findAim(getWeaponDefinition(id), aim)?.label ?? '';
+}
+
+/**
+ * 整行 / 整列样式的方向（LINES 的键），其他样式与没有 aims 的武器为 null
+ * @param {string} id
+ * @param {string} [aim] - 省略时为默认样式
+ * @returns {string|null}
+ */
+export function getAimLine(id, aim) {
+    return findAim(getWeaponDefinition(id), aim)?.line ?? null;
+}
+
+/**
+ * 定义中的打击样式（aim 无效或省略时为第一项）
+ */
+function findAim(def, aim) {
+    if (!def?.aims) return null;
+    return def.aims.find(item => item.id === aim) ?? def.aims[0];
+}
+
+/**
+ * 覆盖范围的偏移：有 aims 的武器取所选样式的 pattern，否则为定义中的 pattern
+ */
+function getPattern(def, aim) {
+    return findAim(def, aim)?.pattern ?? def.pattern;
+}
+
+/**
+ * 以 (r, c) 为目标时覆盖的格子
+ * 定点武器按定义中的 pattern（有 aims 的武器按所选样式；超出棋盘的不计入，顺序与 pattern 一致）；
+ * 整行 / 整列样式为 (r, c) 所在的整行 / 整列（自左向右 / 自上而下）；
+ * 鱼雷为自 (r, c) 沿航向直到棋盘边缘的航线（按航行顺序，航向无效时为空）
+ * @param {string} id
+ * @param {number} r
+ * @param {number} c
+ * @param {number} [boardSize]
+ * @param {{ heading?: string, aim?: string }} [orientation] - 鱼雷航向（HEADINGS 的键）与打击样式，
+ *   直接传入目标 / 行动对象即可
+ * @returns {{ r: number, c: number }[]}
+ */
+export function getWeaponCoverage(id, r, c, boardSize, { heading, aim } = {}) {
+    const def = getWeaponDefinition(id);
+    if (!def) return [];
+    if (def.effect === WeaponEffect.TORPEDO) return getTorpedoPath(r, c, heading, boardSize);
+    const line = findAim(def, aim)?.line;
+    if (line) return getLineCells(r, c, line, boardSize);
+    return getPattern(def, aim)
+        .map(([dr, dc]) => ({ r: r + dr, c: c + dc }))
+        .filter(cell => isInBounds(cell.r, cell.c, boardSize));
+}
+
+/**
+ * 鱼雷航线：自 (r, c) 起沿航向逐格前进，直到棋盘边缘
+ * @param {number} r
+ * @param {number} c
+ * @param {string} heading - HEADINGS 的键
+ * @param {number} [boardSize]
+ * @returns {{ r: number, c: number }[]}
+ */
+export function getTorpedoPath(r, c, heading, boardSize) {
+    const step = HEADINGS[heading];
+    const path = [];
+    if (!step) return path;
+    for (let pr = r, pc = c; isInBounds(pr, pc, boardSize); pr += step.dr, pc += step.dc) {
+        path.push({ r: pr, c: pc });
+    }
+    return path;
+}
+
+/**
+ * (r, c) 所在的整行或整列
+ * @param {number} r
+ * @param {number} c
+ * @param {string} line - LINES 的键
+ * @param {number} [boardSize]
+ * @returns {{ r: number, c: number }[]}
+ */
+export function getLineCells(r, c, line, boardSize) {
+    if (!isInBounds(r, c, boardSize) || !LINES[line]) return [];
+    const size = boardSize ?? BOARD_SIZE;
+    return Array.from({ length: size }, (_, i) => (line === 'ROW' ? { r, c: i } : { r: i, c }));
+}
+
+/**
+ * 整行 / 整列样式在棋盘上的全部目标：每行、每列各一个（行取第一列的格子，列取第一行的格子）
+ * @param {string} id
+ * @param {number} boardSize
+ * @returns {Array<{ r: number, c: number, aim: string }>}
+ */
+export function getLineTargets(id, boardSize) {
+    const targets = [];
+    for (const aim of getWeaponAims(id)) {
+        const line = getAimLine(id, aim);
+        for (let i = 0; line && i < boardSize; i++) {
+            targets.push(line === 'ROW' ? { r: i, c: 0, aim } : { r: 0, c: i, aim });
+        }
+    }
+    return targets;
+}
+
+/**
+ * 整行 / 整列的位置描述，如「第 3 行」；不是整行 / 整列样式时为空字符串
+ * @param {string} id
+ * @param {{ r: number, c: number, aim?: string }} target
+ * @returns {string}
+ */
+export function formatLinePosition(id, { r, c, aim }) {
+    const line = getAimLine(id, aim);
+    if (!line) return '';
+    return `第 ${(line === 'ROW' ? r : c) + 1} ${LINES[line].label}`;
+}
+
+/**
+ * 边缘格可用的发射航向（指向棋盘内；角落格有两个，先横向后纵向），非边缘格为空
+ * @param {number} r
+ * @param {number} c
+ * @param {number} boardSize
+ * @returns {string[]}
+ */
+export function getLaunchHeadings(r, c, boardSize) {
+    if (!isInBounds(r, c, boardSize)) return [];
+    const last = boardSize - 1;
+    const headings = [];
+    if (c === 0) headings.push('E');
+    if (c === last) headings.push('W');
+    if (r === 0) headings.push('S');
+    if (r === last) headings.push('N');
+    return headings;
+}
+
+/**
+ * 棋盘上全部的鱼雷发射位置：每行自两侧、每列自两端各一条航线
+ * @param {number} boardSize
+ * @returns {Array<{ r: number, c: number, heading: string }>}
+ */
+export function getEdgeLaunches(boardSize) {
+    const launches = [];
+    for (let i = 0; i < boardSize; i++) {
+        launches.push({ r: i, c: 0, heading: 'E' }, { r: i, c: boardSize - 1, heading: 'W' });
+        launches.push({ r: 0, c: i, heading: 'S' }, { r: boardSize - 1, c: i, heading: 'N' });
+    }
+    return launches;
+}
+
+/**
+ * 舰队当前能否使用该武器
+ * @param {string} id
+ * @param {Object} fleetAbilities - getFleetAbilities 的输出
+ * @returns {boolean}
+ */
+export function isWeaponAvailable(id, fleetAbilities) {
+    const def = getWeaponDefinition(id);
+    if (!def) return false;
+    return !def.requires || fleetAbilities.abilities.includes(def.requires);
+}
+
+/**
+ * 每格伤害（水听、侦察等不造成伤害的武器为 0；鱼雷为击中那一格的伤害）
+ * @param {string} id
+ * @param {Object} fleetAbilities - getFleetAbilities 的输出
+ * @returns {number}
+ */
+export function getWeaponCellDamage(id, fleetAbilities) {
+    const def = getWeaponDefinition(id);
+    if (!def || !isDamagingWeapon(id)) return 0;
+    return def.damage === FLEET_AP_DAMAGE ? fleetAbilities.apDamage : def.damage;
+}
+
+/**
+ * 覆盖范围全部命中时的最大伤害（AI 据此归一化期望伤害；鱼雷只击中一格；
+ * 有 aims 的武器取格数最多的样式，各样式按同一标准比较）
+ * @param {string} id
+ * @param {Object} fleetAbilities - getFleetAbilities 的输出
+ * @returns {number}
+ */
+export function getWeaponMaxDamage(id, fleetAbilities) {
+    const def = getWeaponDefinition(id);
+    if (!def || !isDamagingWeapon(id)) return 0;
+    const patterns = def.aims ? def.aims.map(aim => aim.pattern) : [def.pattern];
+    const cells = def.effect === WeaponEffect.TORPEDO ? 1 : Math.max(...patterns.map(pattern => pattern.length));
+    return cells * getWeaponCellDamage(id, fleetAbilities);
+}
+
+/**
+ * 武器栏按钮上的简介，如「单点 3伤」「X型 1伤」
+ * @param {string} id
+ * @param {Object} fleetAbilities - getFleetAbilities 的输出
+ * @param {string} [aim] - 当前选择的打击样式
+ * @returns {string}
+ */
+export function formatWeaponSummary(id, fleetAbilities, aim) {
+    const def = getWeaponDefinition(id);
+    if (!def) return '';
+    return def.summary
+        .replace('{damage}', getWeaponCellDamage(id, fleetAbilities))
+        .replace('{aim}', getAimLabel(id, aim));
+}
+
+/**
+ * 攻击日志（定义中没有日志模板时返回 null）
+ * @param {string} id
+ * @param {boolean} isPlayer - 是否为玩家发起
+ * @param {{ r: number, c: number, damage: number, count: number, heading?: string, aim?: string }} values
+ * @returns {string|null}
+ */
+export function formatWeaponLog(id, isPlayer, { r, c, damage, count, heading, aim }) {
+    const template = getWeaponDefinition(id)?.log?.[isPlayer ? 'player' : 'enemy'];
+    if (!template) return null;
+    return template
+        .replace('{at}', `(${r + 1},${c + 1})`)
+        .replace('{damage}', damage)
+        .replace('{count}', count)
+        .replace('{heading}', HEADINGS[heading]?.label ?? '')
+        .replace('{aim}', getAimLabel(id, aim))
+        .replace('{line}', formatLinePosition(id, { r, c, aim }));
+}
+
+/**
+ * 防御武器生效时的日志（定义中没有 triggerLog 时返回 null）
+ * @param {string} id - 防御武器
+ * @param {boolean} isPlayer - 防御是否属于玩家
+ * @param {number} count - 拦截的格数
+ * @returns {string|null}
+ */
+export function formatTriggerLog(id, isPlayer, count) {
+    const template = getWeaponDefinition(id)?.triggerLog?.[isPlayer ? 'player' : 'enemy'];
+    return template ? template.replace('{count}', count) : null;
+}
@@ -0,0 +1,112 @@
+// src/game/core/WeaponStock.js
+// 武器库存 - 各武器的剩余弹药与冷却回合，纯数据层，不操作 DOM
+
+import { WEAPON_DEFINITIONS } from '../../data/weapons.js';
+import { getWeaponDefinition } from './WeaponRules.js';
+import { getShipAbilities } from './Fleet.js';
+
+/**
+ * 开局时一方的武器库存
+ *
+ * 定义了 ammo 的武器弹药有限：舰队中每艘提供所需能力的舰船携带 ammo 发，由整个舰队共用
+ * （不需要能力的武器共 ammo 发）；定义了 cooldown 的武器使用后需等待若干回合。
+ *
+ * @param {Array<Object>} ships - 该方舰队（含已沉没的舰船）
+ * @returns {{ charges: Object<string, number>, cooldowns: Object<string, number> }}
+ *   charges 只包含弹药有限的武器，cooldowns 只包含有冷却的武器（0 表示已就绪）
+ */
+export function createWeaponStock(ships) {
+    const stock = { charges: {}, cooldowns: {} };
+    for (const def of WEAPON_DEFINITIONS) {
+        if (def.ammo) {
+            const carriers = def.requires
+                ? ships.filter(ship => getShipAbilities(ship).includes(def.requires)).length
+                : 1;
+            stock.charges[def.id] = def.ammo * carriers;
+        }
+        if (def.cooldown) stock.cooldowns[def.id] = 0;
+    }
+    return stock;
+}
+
+/**
+ * 复制库存（试算时使用，不影响原库存）
+ * @param {Object|null} stock
+ * @returns {Object|null}
+ */
+export function cloneWeaponStock(stock) {
+    return stock ? { charges: { ...stock.charges }, cooldowns: { ...stock.cooldowns } } : null;
+}
+
+/**
+ * 存档等外部数据中的库存是否结构完整
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isValidWeaponStock(data) {
+    const isCounts = (value) => value !== null && typeof value === 'object'
+        && Object.entries(value).every(([id, n]) => getWeaponDefinition(id) && Number.isInteger(n) && n >= 0);
+    return data !== null && typeof data === 'object' && isCounts(data.charges) && isCounts(data.cooldowns);
+}
+
+/**
+ * 剩余弹药
+ * @param {Object|null} stock - 为 null 时不限
+ * @param {string} id
+ * @returns {number|null} 弹药不限时返回 null
+ */
+export function getWeaponCharges(stock, id) {
+    return stock?.charges[id] ?? null;
+}
+
+/**
+ * 还需等待的回合数
+ * @param {Object|null} stock
+ * @param {string} id
+ * @returns {number}
+ */
+export function getWeaponCooldown(stock, id) {
+    return stock?.cooldowns[id] ?? 0;
+}
+
+/**
+ * 武器本回合能否使用（有弹药且不在冷却中；舰船能力另由 isWeaponAvailable 判断）
+ * @param {Object|null} stock
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isWeaponReady(stock, id) {
+    return getWeaponCharges(stock, id) !== 0 && getWeaponCooldown(stock, id) === 0;
+}
+
+/**
+ * 记录一回合的行动：先推进其余武器的冷却，再扣除所用武器的弹药并开始冷却
+ * 原地修改 stock
+ *
+ * @param {Object|null} stock
+ * @param {string[]} weaponIds - 本回合使用的武器（齐射时每发一项）；回合作废时为空，只推进冷却
+ */
+export function spendWeapons(stock, weaponIds) {
+    if (!stock) return;
+    for (const id of Object.keys(stock.cooldowns)) {
+        if (stock.cooldowns[id] > 0) stock.cooldowns[id]--;
+    }
+    for (const id of weaponIds) {
+        if (stock.charges[id] > 0) stock.charges[id]--;
+        const cooldown = getWeaponDefinition(id)?.cooldown;
+        if (cooldown) stock.cooldowns[id] = cooldown;
+    }
+}
+
+/**
+ * 武器栏上的库存提示，如「剩 2 发」「冷却 1 回合」，不限且就绪时为空
+ * @param {Object|null} stock
+ * @param {string} id
+ * @returns {string}
+ */
+export function formatWeaponStock(stock, id) {
+    const cooldown = getWeaponCooldown(stock, id);
+    if (cooldown > 0) return `冷却 ${cooldown} 回合`;
+    const charges = getWeaponCharges(stock, id);
+    return charges === null ? '' : `剩 ${charges} 发`;
+}
@@ -1,17 +1,63 @@
-import { BOARD_SIZE, CELL_SIZE as DEFAULT_CELL_SIZE, INTERACTION_TIMING } from "../config/constants";
+import { BOARD_SIZE, BOARD_SIZE_MIN, BOARD_SIZE_MAX, CELL_SIZE as DEFAULT_CELL_SIZE, INTERACTION_TIMING } from "../config/constants";
 import { SHIP_TYPES } from "../data/ships";
-import { DIFFICULTY_SETTINGS, DEFAULT_DIFFICULTY } from "../data/difficulties";
-import { makeAIDecision, calculateProbabilityGrid, resetAIState } from '../ai/aiStrategy.js';
-import { deployShips as aiDeployShips } from '../ai/aiDeployment.js';
+import { DIFFICULTY_SETTINGS, DEFAULT_DIFFICULTY, DIFFICULTY_LABELS } from "../data/difficulties";
+import { makeAIDecision, calculateProbabilityGrid, resetAIState, exportAIState, importAIState } from '../ai/aiStrategy.js';
+import { deployShips as aiDeployShips, canDeployFleet } from '../ai/aiDeployment.js';
+import { SeededRandom, deriveSeed, normalizeSeed, randomSeed } from '../ai/SeededRandom.js';
 
 // 武器系统导入
-import { WeaponRegistry } from './weapons/WeaponRegistry.js';
+import { createWeaponRegistry } from './weapons/WeaponRegistry.js';
 import { WeaponService } from './weapons/WeaponService.js';
 import { BattleRenderer } from './battle/BattleRenderer.js';
-import { APWeapon } from './weapons/APWeapon.js';
-import { HEWeapon } from './weapons/HEWeapon.js';
-import { SonarWeapon } from './weapons/SonarWeapon.js';
-import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
+import { BattleSound } from './battle/BattleSound.js';
+import {
+    DEFAULT_WEAPON, WEAPON_IDS, WeaponEffect, WeaponTarget, getWeaponDefinition, getWeaponLabel, isDamagingWeapon,
+    isDefensiveWeapon, isWeaponAvailable, formatWeaponSummary, getLaunchHeadings, getWeaponAims
+} from './core/WeaponRules.js';
+import { isDefenseActive } from './core/Defenses.js';
+import { isWeaponReady, spendWeapons, formatWeaponStock } from './core/WeaponStock.js';
+import { EventType, isInBounds, createCellUpdateEvent, createLineReportEvent } from './weapons/WeaponTypes.js';
+import { GameSession, GamePhase, Side, createShip, isValidBoardSize } from './core/GameSession.js';
+import { createSnapshot, saveBattle, loadBattle, clearBattle } from './core/SaveGame.js';
+import { ReplayRecorder, parseReplay, saveLastReplay, loadLastReplay } from './core/Replay.js';
+import { ReplayViewer } from './ui/ReplayViewer.js';
+import { SpectatorView } from './ui/SpectatorView.js';
+import { SCENARIOS } from '../data/scenarios.js';
+import {
+    ScenarioStatus, getScenario, validateScenario, buildScenarioSession, createScenarioUsage, recordScenarioAction,
+    isScenarioWeaponAllowed, evaluateScenario, scoreScenario, describeScenarioGoal, describeScenarioWeapons,
+    loadScenarioRecords, saveScenarioRecord
+} from './core/Scenario.js';
+import {
+    DAILY_SETTINGS, getDailyKey, getDailySeed, summarizeDaily, formatDailyShare,
+    loadDailyHistory, saveDailyResult, getDailyStreak
+} from './core/DailyChallenge.js';
+import { CAMPAIGN_MISSIONS } from '../data/campaign.js';
+import {
+    getCampaignMission, getMissionSettings, getMissionAiConfig, buildCampaignFleet, validateMission,
+    loadCampaignProgress, isMissionCompleted, isMissionUnlocked, getCampaignUnlocks, recordMissionWin,
+    describeCampaignWeapons, describeMissionRewards, describeMissionRules
+} from './core/Campaign.js';
+import { FleetEditor } from './ui/FleetEditor.js';
+import { renderHeatmap, clearHeatmap } from './ui/HeatmapOverlay.js';
+import {
+    ABILITY_LABELS, getShipAbilities, getShipApDamage, getShipHull, getFleetAbilities,
+    normalizeFleet, validateFleet, fleetFromShips, isSameFleet, loadActiveFleet, saveActiveFleet
+} from './core/Fleet.js';
+import {
+    getShipCells, getFootprintCells, getShipRotation, getOrientation, getOrientations, isStraightShip
+} from './core/ShipShape.js';
+import {
+    PlacementRule, PLACEMENT_RULE_LABELS, describePlacementRule, getSurroundingCells, isValidPlacementRule
+} from './core/PlacementRule.js';
+import { FiringMode, FIRING_MODE_LABELS, describeFiringMode, getSalvoSize, isValidFiringMode } from './core/FiringMode.js';
+import { MatchMode, DEFAULT_MATCH_MODE, MATCH_MODE_LABELS, describeMatchMode, getSideLabel } from './core/MatchMode.js';
+import { createCommitment, createReveal, verifyReveal, shortHash } from './core/FleetCommitment.js';
+
+// 联机对战
+import { NetClient, NetStatus, getDefaultRelayUrl } from './net/NetClient.js';
+import { GameMessage, Seat, isValidRoomCode, isActionDecision, isActionResult } from './net/NetProtocol.js';
+import { createHiddenFleet, createActionReply, applyActionReply, describeActionReply } from './net/RemoteBoard.js';
 
     // === 动态尺寸获取 ===
     function getCellSize() {
@@ -41,12 +87,15 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
     // === 配置 ===
 
     // 移除 SVG_SHIPS，改用 DOM 生成
-    function getShipDom(code) {
+    /**
+     * @param {string} hull - 船体外观（HULL_TYPES 的键，见 getShipHull）
+     */
+    function getShipDom(hull) {
         let html = '';
         // 原始美术资源宽度定义 (px)
-        // BB: 240, CV: 240, CL: 170, DD: 120, SS: 60
+        // battleship: 240, carrier: 240, cruiser: 170, destroyer: 120, sub: 60
         
-        if (code === 'BB') {
+        if (hull === 'battleship') {
             html = `
                 <div class="hull-scale-wrapper" data-original-width="240">
                     <div class="hull-bb">
@@ -64,7 +113,7 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
                         </div>
                     </div>
                 </div>`;
-        } else if (code === 'CV') {
+        } else if (hull === 'carrier') {
             html = `
                 <div class="hull-scale-wrapper" data-original-width="240">
                     <div class="hull-cv">
@@ -74,7 +123,7 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
                         <div class="cv-sponson"></div>
                     </div>
                 </div>`;
-        } else if (code === 'CL') {
+        } else if (hull === 'cruiser') {
             html = `
                 <div class="hull-scale-wrapper" data-original-width="170">
                     <div class="hull-cl">
@@ -89,7 +138,7 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
                         <div class="turret-base facing-right" style="right: 15px;"><div class="turret-cl"></div></div>
                     </div>
                 </div>`;
-        } else if (code === 'DD') {
+        } else if (hull === 'destroyer') {
             html = `
                 <div class="hull-scale-wrapper" data-original-width="120">
                     <div class="hull-dd">
@@ -104,7 +153,7 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
                         <div class="turret-base facing-right" style="right: 10px;"><div class="turret-dd"></div></div>
                     </div>
                 </div>`;
-        } else if (code === 'SS') {
+        } else if (hull === 'sub') {
             html = `
                 <div class="hull-scale-wrapper" data-original-width="60">
                     <div class="hull-ss">
@@ -120,23 +169,47 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
     // 根据表二：船只属性定义表（外部配置）
 
     // === 状态 ===
-    let gameState = 'SETUP';
-    let myShips = [];
-    let enemyShips = [];
-    let myGridMap = createEmptyGrid(); 
-    let enemyGridMap = [];
+    // 对局数据（双方网格/舰队/阶段/行动方/胜者）统一由 session 持有，DOM 只负责呈现
+    let boardSize = BOARD_SIZE; // 本局棋盘尺寸（部署阶段选择，开战后锁定）
+    let renderedBoardSize = BOARD_SIZE; // 棋盘 DOM 当前的格子数（回放其他尺寸的对局时与 boardSize 不同）
+    const session = new GameSession({ boardSize });
+    let fleetDefs = loadActiveFleet(boardSize) ?? normalizeFleet(SHIP_TYPES); // 双方使用的舰队定义（部署阶段可编辑）
+    let myShips = []; // 部署阶段的玩家船只（附带 el），开战后即 session 中视角方的舰队
+    let viewerSide = Side.PLAYER; // 棋盘呈现的一方（人机对战恒为玩家，双人同屏随回合交接切换）
+    let deployedFleet = null; // 双人同屏：玩家1 已完成部署的舰队（玩家2 部署期间暂存）
+    let lastAttackCells = []; // 双人同屏：上一次攻击涉及的格子，交接后在被攻击方的棋盘上标出
+    let handoverCallback = null; // 双人同屏：确认交接后执行的操作
+    let handoverTimeout = null;
+    let online = null; // 联机对战状态（见 connectOnline），未联机时为 null
+    let myGridMap = createEmptyGrid(); // 部署阶段的占位网格
     let currentDeployMode = 'horizontal'; 
     let aiStack = []; 
-    let currentWeapon = 'AP'; // AP, HE, SONAR 
+    let currentWeapon = DEFAULT_WEAPON; // 当前武器 id（见 data/weapons.js）
+    let salvoTargets = []; // 齐射模式下玩家本轮已选定的目标 [{ r, c }]
+    let aimTurns = {}; // 各武器的瞄准切换次数：空袭的打击样式、鱼雷在角落格的航向（右键 / R 键 / 双指轻点切换）
+    let hoverCell = null; // 敌方棋盘上正在预览的格子 { r, c }
     let firstTurn = 'PLAYER';
     let showAiDebug = false;
-    let currentWinner = null;
     let aiTurnTimeout = null;
+    let aiTurnGeneration = 0; // 每次取消 AI 回合时递增，等待动画期间被取消的回合据此作废
+    let battleLog = []; // 战况记录数据（用于存档），[{ time, msg, cls }]
+    let matchSeed = null; // 本局随机种子（敌方布局与 AI 决策均由它派生）
+    let fleetCommitments = {}; // 开局时公布的舰队承诺 { [side]: { hash, salt, late? } }，联机时对手一方只有 hash（late：开火后才收到）
+    let fleetVerification = {}; // 结束时的核对结果 { [side]: verifyReveal 的输出 }，联机时对手公开布局前没有对手一方
+    const replayRecorder = new ReplayRecorder(); // 录制当前对局的回放
+    let replayViewer = null;
+    let spectatorView = null; // AI 观战
+    let scenario = null; // 残局挑战状态（见 loadScenarioBoard），未进入残局时为 null
+    let daily = null; // 每日挑战状态（见 enterDaily），未进入时为 null
+    let campaign = null; // 战役状态（见 enterCampaign），未进入战役时为 null
+    let fleetEditor = null;
 
     // 武器系统实例（模块级变量）
     let weaponRegistry = null;
     let battleRenderer = null;
+    let battleSound = null;
     let weaponService = null;
+    let replyService = null; // 不带渲染器的武器服务：联机对战中为对手的行动生成回报
 
     export function initGame() {
         initGrids();
@@ -145,10 +218,22 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
         switchMobileView('player');
 
         initShips();
+        initBoardSizeSelect();
+        initPlacementRuleSelect();
+        initFiringModeSelect();
+        initMatchModeSelect();
+        initOnlinePanel();
+        initScenarioPanel();
+        updateDailyPanel();
+        initCampaignPanel();
         bindUiEvents();
         
         // 初始化武器系统
         initWeaponSystem();
+        initSoundControls();
+        initReplayViewer();
+        initSpectatorView();
+        initFleetEditor();
         
         // Mouse Events
         document.addEventListener('mouseup', onGlobalMouseUp);
@@ -158,6 +243,10 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
         document.addEventListener('touchend', onGlobalTouchEnd, { passive: false });
         document.addEventListener('touchmove', onGlobalTouchMove, { passive: false });
 
+        // 切换瞄准：R 键，移动端在敌方棋盘上双指轻点
+        document.addEventListener('keydown', onAimKeyDown);
+        document.getElementById('enemy-grid').addEventListener('touchstart', onEnemyGridTouchStart, { passive: false });
+
         // 监听窗口大小变化，实时调整棋盘和舰船尺寸
         window.addEventListener('resize', () => {
             updateGridSize();
@@ -165,115 +254,53 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
             // 同时也需要更新已显示的敌舰
             document.querySelectorAll('.revealed-enemy-ship').forEach(el => {
                 const shipId = parseInt(el.dataset.id);
-                const ship = enemyShips.find(s => s.id === shipId);
+                const ship = session.getShips(session.getOpponent(viewerSide)).find(s => s.id === shipId);
                 if (ship) updateRevealedShipVisuals(el, ship);
             });
+            if (replayViewer.isOpen()) replayViewer.refresh();
+            if (spectatorView.isOpen()) spectatorView.refresh();
         });
 
         initHelpShips();
+        initSeedInput();
         setDifficulty(currentDifficulty, { silent: true });
         
         // 初始化默认视图
         switchMobileView('player');
+
+        // 检查是否有未完成的战斗
+        checkSavedBattle();
     }
 
     /**
      * 初始化武器系统
      */
     function initWeaponSystem() {
-        // 创建渲染器
+        // 创建渲染器（音效随事件播放）
+        battleSound = new BattleSound();
         battleRenderer = new BattleRenderer({
+            animate: true,
+            sound: battleSound,
             logFn: log,
             onShipSunk: (shipId, grid) => {
                 if (grid === 'ENEMY') {
-                    const ship = enemyShips.find(s => s.id === shipId);
+                    const ship = session.getShips(session.getOpponent(viewerSide)).find(s => s.id === shipId);
                     if (ship) revealSingleEnemyShip(ship);
                 }
                 // 玩家船只沉没时，ship.el 上会添加 sunk 类，这部分在 resolve 时处理
             }
         });
         
-        // 创建注册中心并注册武器
-        weaponRegistry = new WeaponRegistry();
-        weaponRegistry.register(new APWeapon());
-        weaponRegistry.register(new HEWeapon());
-        weaponRegistry.register(new SonarWeapon());
+        // 按武器定义创建注册中心
+        weaponRegistry = createWeaponRegistry();
         
         // 创建服务
         weaponService = new WeaponService(weaponRegistry, battleRenderer);
-    }
-
-    /**
-     * 构建玩家武器上下文
-     */
-    function buildPlayerWeaponContext() {
-        return {
-            attackerShips: myShips.map(s => new ShipState(s)),
-            defenderGrid: enemyGridMap,
-            defenderShips: enemyShips,
-            isPlayer: true
-        };
-    }
-
-    /**
-     * 构建 AI 武器上下文
-     */
-    function buildAIWeaponContext() {
-        return {
-            attackerShips: enemyShips.map(s => new ShipState(s)),
-            defenderGrid: buildPlayerGridForAI(),
-            defenderShips: myShips,
-            isPlayer: false
-        };
-    }
-
-    /**
-     * 创建 AI 视角的玩家网格
-     * AI 攻击玩家时需要一个与 enemyGridMap 结构相同的网格
-     */
-    function buildPlayerGridForAI() {
-        const grid = [];
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            grid[r] = [];
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                let shipId = -1;
-                let segmentIndex = -1;
-                
-                // 遍历玩家船只查找位置
-                for (const ship of myShips) {
-                    const cells = [];
-                    for (let i = 0; i < ship.len; i++) {
-                        cells.push(ship.vertical 
-                            ? { r: ship.r + i, c: ship.c, idx: i }
-                            : { r: ship.r, c: ship.c + i, idx: i }
-                        );
-                    }
-                    const match = cells.find(cell => cell.r === r && cell.c === c);
-                    if (match) {
-                        shipId = ship.id;
-                        segmentIndex = match.idx;
-                        break;
-                    }
-                }
-                
-                // 从 DOM 推断 hit 状态
-                const cell = document.querySelector(
-                    `#player-grid .cell[data-r="${r}"][data-c="${c}"]`
-                );
-                const hit = cell && (
-                    cell.classList.contains('hit') || 
-                    cell.classList.contains('destroyed') || 
-                    cell.classList.contains('miss')
-                );
-                
-                grid[r][c] = { hit, shipId, segmentIndex };
-            }
-        }
-        return grid;
+        replyService = new WeaponService(weaponRegistry, null);
     }
 
     function createEmptyGrid() {
-        return Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
+        return Array(boardSize).fill(0).map(() => Array(boardSize).fill(0));
     }
 
     /**
@@ -289,26 +316,38 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
         const maxGridWidth =( mobileBreakpoint - gridBorder) * 0.5; // 留出一些余量
         
         // 计算每个格子的最大尺寸（向下取整以确保均匀）
-        const maxCellSize = Math.floor(maxGridWidth / BOARD_SIZE); // 留出一些余量
+        const maxCellSize = Math.floor(maxGridWidth / renderedBoardSize); // 留出一些余量
         
         // 使用默认尺寸和最大尺寸中的较小值
         const cellSize = Math.min(DEFAULT_CELL_SIZE, maxCellSize);
         
         // 设置 CSS 变量
-        root.style.setProperty('--board-size', BOARD_SIZE);
+        root.style.setProperty('--board-size', renderedBoardSize);
         root.style.setProperty('--cell-size', `${cellSize}px`);
     }
 
     function initGrids() {
-        // 初始化时设置棋盘尺寸
+        battleRenderer?.flush();
+        document.getElementById('player-grid').innerHTML = '';
+        document.getElementById('enemy-grid').innerHTML = '';
+        buildGridCells(boardSize);
+    }
+
+    /**
+     * 按指定尺寸重建双方棋盘的格子（保留棋盘上的舰船元素）
+     * @param {number} size - 棋盘尺寸
+     */
+    function buildGridCells(size) {
+        renderedBoardSize = size;
         updateGridSize();
-        
+
         const pGrid = document.getElementById('player-grid');
         const eGrid = document.getElementById('enemy-grid');
-        pGrid.innerHTML = ''; eGrid.innerHTML = '';
+        pGrid.querySelectorAll('.cell').forEach(el => el.remove());
+        eGrid.querySelectorAll('.cell').forEach(el => el.remove());
         
-        for(let r=0; r<BOARD_SIZE; r++) {
-            for(let c=0; c<BOARD_SIZE; c++) {
+        for(let r=0; r<size; r++) {
+            for(let c=0; c<size; c++) {
                 let div = document.createElement('div');
                 div.className = 'cell';
                 div.dataset.r = r; div.dataset.c = c;
@@ -320,1294 +359,3746 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
                 div2.onclick = () => clickEnemy(r, c);
                 // 新增：鼠标悬停事件用于显示攻击范围
                 div2.onmouseenter = () => handleEnemyGridHover(r, c);
-                div2.onmouseleave = () => clearAttackHighlights();
+                div2.onmouseleave = () => { hoverCell = null; clearAttackHighlights(); };
+                div2.oncontextmenu = (e) => { if (rotateAim()) e.preventDefault(); };
                 eGrid.appendChild(div2);
             }
         }
     }
 
-    function bindUiEvents() {
-        const helpBtn = document.getElementById('help-btn');
-        if (helpBtn) {
-            // 检查是否点击过帮助，如果没有则添加高亮动画
-            if (!localStorage.getItem('hasClickedHelp')) {
-                helpBtn.classList.add('pulse-highlight');
+    // === 棋盘尺寸 ===
+
+    function initBoardSizeSelect() {
+        document.querySelectorAll('[data-setting="board-size"]').forEach(select => {
+            select.innerHTML = '';
+            for (let size = BOARD_SIZE_MIN; size <= BOARD_SIZE_MAX; size++) {
+                const option = document.createElement('option');
+                option.value = size;
+                option.innerText = size === BOARD_SIZE ? `${size} × ${size}（标准）` : `${size} × ${size}`;
+                select.appendChild(option);
             }
+            select.value = boardSize;
+        });
+    }
 
-            helpBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                // 点击后移除高亮并记录
-                helpBtn.classList.remove('pulse-highlight');
-                localStorage.setItem('hasClickedHelp', 'true');
-                toggleHelp();
-            });
+    /**
+     * 切换棋盘尺寸（仅部署阶段），已部署的舰船全部回港
+     * @param {number} size - 新的棋盘尺寸
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - 是否不输出日志
+     */
+    function setBoardSize(size, options = {}) {
+        const { silent = false } = options;
+        if (session.phase !== GamePhase.SETUP || size === boardSize) {
+            document.querySelectorAll('[data-setting="board-size"]').forEach(select => select.value = boardSize);
+            return;
+        }
+        const fleetProblem = getDeployProblem(fleetDefs, size, session.placementRule);
+        if (fleetProblem) {
+            document.querySelectorAll('[data-setting="board-size"]').forEach(select => select.value = boardSize);
+            if (!silent) log(`无法切换到 ${size}×${size}：${fleetProblem}`, "c-warn");
+            return;
         }
+        if (replayViewer.isOpen()) replayViewer.close();
+        if (spectatorView.isOpen()) spectatorView.close();
 
-        // 菜单按钮 (Header)
-        const menuBtn = document.getElementById('btn-menu-toggle');
-        const settingsModal = document.getElementById('settings-modal');
-        if (menuBtn && settingsModal) {
-            menuBtn.addEventListener('click', () => {
-                settingsModal.style.display = 'block';
-            });
+        boardSize = size;
+        session.reset(size);
+        document.querySelectorAll('[data-setting="board-size"]').forEach(select => select.value = size);
+
+        initGrids();
+        document.getElementById('enemy-grid').style.pointerEvents = 'none';
+        resetToDock();
+        if (showAiDebug) updateAiHeatmapVisuals();
+
+        if (!silent) {
+            log(`棋盘尺寸已调整为 ${size}×${size}，舰船已全部回港。`, "c-sys");
         }
+        notifyMatchSettingsChanged();
+    }
 
-        const helpModal = document.getElementById('help-modal');
-        if (helpModal) {
-            helpModal.addEventListener('click', (event) => {
-                if (event.target === helpModal) {
-                    event.stopPropagation();
-                    toggleHelp();
-                }
-            });
-            const closeBtn = helpModal.querySelector('.close-btn');
-            if (closeBtn) closeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                toggleHelp();
+    // === 摆放规则 ===
+
+    function initPlacementRuleSelect() {
+        document.querySelectorAll('[data-setting="placement-rule"]').forEach(select => {
+            select.innerHTML = '';
+            Object.values(PlacementRule).forEach(rule => {
+                const option = document.createElement('option');
+                option.value = rule;
+                option.innerText = PLACEMENT_RULE_LABELS[rule];
+                select.appendChild(option);
             });
+        });
+        updatePlacementRuleUi();
+    }
+
+    /**
+     * 同步摆放规则下拉框与帮助中的规则说明
+     */
+    function updatePlacementRuleUi() {
+        document.querySelectorAll('[data-setting="placement-rule"]').forEach(select => select.value = session.placementRule);
+        const el = document.getElementById('rules-placement-rule');
+        if (el) el.innerText = describePlacementRule(session.placementRule);
+    }
+
+    /**
+     * 舰队能否在指定棋盘与摆放规则下部署
+     * 禁止相邻需要额外的空间，除 validateFleet 外还要试部署确认放得下
+     *
+     * @returns {string|null} 不能部署的原因
+     */
+    function getDeployProblem(fleet, size, rule) {
+        const reason = validateFleet(fleet, size);
+        if (reason) return reason;
+        if (!canDeployFleet(fleet, size, rule)) {
+            return `${size}×${size} 棋盘在「${PLACEMENT_RULE_LABELS[rule]}」规则下放不下该舰队`;
         }
+        return null;
+    }
 
-        document.querySelectorAll('[data-weapon]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                selectWeapon(btn.dataset.weapon);
-                // 移动端选择武器后自动收起武器栏
-                if (window.innerWidth <= 768) {
-                    document.getElementById('weapon-bar').classList.remove('show');
-                }
-            });
+    /**
+     * 切换摆放规则（仅部署阶段），已部署的舰船不符合新规则时全部回港
+     * @param {string} rule - PlacementRule
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - 是否不输出日志
+     */
+    function setPlacementRule(rule, options = {}) {
+        const { silent = false } = options;
+        if (session.phase !== GamePhase.SETUP || rule === session.placementRule) {
+            updatePlacementRuleUi();
+            return;
+        }
+        const problem = getDeployProblem(fleetDefs, boardSize, rule);
+        if (problem) {
+            updatePlacementRuleUi();
+            if (!silent) log(`无法切换摆放规则：${problem}`, "c-warn");
+            return;
+        }
+
+        session.configure({ placementRule: rule });
+        updatePlacementRuleUi();
+
+        const placed = myShips.filter(s => !s.inDock);
+        const violated = placed.some(ship => {
+            clearGrid(ship);
+            const valid = isValidPos(ship, ship.r, ship.c, ship.rotation);
+            markGrid(ship, 1);
+            return !valid;
         });
+        if (violated) resetToDock();
+        if (showAiDebug) updateAiHeatmapVisuals();
 
-        document.querySelectorAll('[data-difficulty]').forEach(btn => {
-            btn.addEventListener('click', () => setDifficulty(btn.dataset.difficulty));
+        if (!silent) {
+            log(`摆放规则：${describePlacementRule(rule)}` + (violated ? '。已部署的舰船不符合新规则，已全部回港。' : ''), "c-sys");
+        }
+        notifyMatchSettingsChanged();
+    }
+
+    // === 开火规则 ===
+
+    function initFiringModeSelect() {
+        document.querySelectorAll('[data-setting="firing-mode"]').forEach(select => {
+            select.innerHTML = '';
+            Object.values(FiringMode).forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.innerText = FIRING_MODE_LABELS[mode];
+                select.appendChild(option);
+            });
         });
+        updateFiringModeUi();
+    }
 
-        const rotateBtn = document.getElementById('rotate-toggle');
-        if (rotateBtn) rotateBtn.addEventListener('click', toggleDeployMode);
+    /**
+     * 同步开火规则下拉框与帮助中的规则说明
+     */
+    function updateFiringModeUi() {
+        document.querySelectorAll('[data-setting="firing-mode"]').forEach(select => select.value = session.firingMode);
+        const el = document.getElementById('rules-firing-mode');
+        if (el) el.innerText = describeFiringMode(session.firingMode);
+    }
 
-        const firstTurnBtn = document.getElementById('first-turn-toggle');
-        if (firstTurnBtn) firstTurnBtn.addEventListener('click', toggleFirstTurn);
+    /**
+     * 切换开火规则（仅部署阶段）
+     * @param {string} mode - FiringMode
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - 是否不输出日志
+     */
+    function setFiringMode(mode, options = {}) {
+        const { silent = false } = options;
+        if (session.phase !== GamePhase.SETUP || mode === session.firingMode) {
+            updateFiringModeUi();
+            return;
+        }
+        session.configure({ firingMode: mode });
+        updateFiringModeUi();
+        if (!silent) log(`开火规则：${describeFiringMode(mode)}`, "c-sys");
+        notifyMatchSettingsChanged();
+    }
 
-        document.querySelectorAll('[data-panel-toggle]').forEach(btn => {
-            btn.addEventListener('click', () => togglePanel(btn.dataset.panelToggle));
+    function isSalvoMode() {
+        return session.firingMode === FiringMode.SALVO;
+    }
+
+    // === 对战模式 ===
+
+    /** 本局规则相关的设置控件：开战后锁定，双人同屏时玩家1 部署完毕也锁定 */
+    const MATCH_SETTING_CONTROLS = [
+        'board-size-select', 'mobile-board-size',
+        'placement-rule-select', 'mobile-placement-rule',
+        'firing-mode-select', 'mobile-firing-mode',
+        'match-mode-select', 'mobile-match-mode',
+        'btn-fleet', 'mobile-menu-fleet'
+    ];
+
+    function initMatchModeSelect() {
+        document.querySelectorAll('[data-setting="match-mode"]').forEach(select => {
+            select.innerHTML = '';
+            Object.values(MatchMode).forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.innerText = MATCH_MODE_LABELS[mode];
+                // 联机对战、残局挑战、每日挑战与战役分别通过菜单中的对应入口进入
+                option.disabled = mode !== MatchMode.VS_AI && mode !== MatchMode.HOT_SEAT;
+                select.appendChild(option);
+            });
         });
+        updateMatchModeUi();
+    }
 
-        const debugBtn = document.getElementById('btn-debug');
-        if (debugBtn) debugBtn.addEventListener('click', toggleAiDebug);
+    /**
+     * 同步对战模式相关的界面：下拉框、规则说明、先手按钮、部署按钮与棋盘标题
+     * 双人同屏与联机对战没有 AI 参与，难度与 AI 视角不可用；每日挑战与战役的难度固定
+     */
+    function updateMatchModeUi() {
+        const hotSeat = isHotSeat();
+        const noAi = session.matchMode !== MatchMode.VS_AI && !hasFixedSetup();
+        if (noAi && showAiDebug) toggleAiDebug();
+        document.querySelectorAll('[data-setting="match-mode"]').forEach(select => select.value = session.matchMode);
+        const el = document.getElementById('rules-match-mode');
+        if (el) el.innerText = describeMatchMode(session.matchMode);
+
+        ['btn-debug', 'mobile-debug'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = noAi;
+        });
+        document.querySelectorAll('.diff-btn').forEach(btn => btn.disabled = noAi || hasFixedSetup());
 
-        const resetBtn = document.getElementById('btn-reset');
-        if (resetBtn) resetBtn.addEventListener('click', resetToDock);
+        if (session.phase === GamePhase.SETUP) {
+            const firstDeploy = hotSeat && !deployedFleet;
+            document.getElementById('start-btn').innerText = firstDeploy ? "✅ 玩家1 部署完成" : "🚀 开始战斗";
+            const mbLabel = document.querySelector('#mb-btn-start span');
+            if (mbLabel) mbLabel.innerText = firstDeploy ? "✅ 部署完成" : "🚀 开始";
+        }
+        updateFirstTurnUi();
+        updateBoardTitles(session.phase === GamePhase.SETUP ? getDeployingSide() : viewerSide);
+        updateOnlineUi();
+        updateFixedSetupUi();
+    }
 
-        const randomBtn = document.getElementById('btn-random');
-        if (randomBtn) randomBtn.addEventListener('click', autoDeploy);
+    /**
+     * 切换对战模式（仅部署阶段，双人同屏时玩家1 部署完毕后不可再改）
+     * @param {string} mode - MatchMode
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - 是否不输出日志
+     */
+    function setMatchMode(mode, options = {}) {
+        const { silent = false } = options;
+        if (session.phase !== GamePhase.SETUP || deployedFleet || mode === session.matchMode) {
+            updateMatchModeUi();
+            return;
+        }
+        session.configure({ matchMode: mode });
+        updateMatchModeUi();
+        if (!silent) log(`对战模式：${describeMatchMode(mode)}`, "c-sys");
+    }
 
-        const startBtn = document.getElementById('start-btn');
-        if (startBtn) startBtn.addEventListener('click', handleStartOrRestart);
+    function isHotSeat() {
+        return session.matchMode === MatchMode.HOT_SEAT;
+    }
 
-        const viewBattleBtn = document.querySelector('[data-action="view-battlefield"]');
-        if (viewBattleBtn) viewBattleBtn.addEventListener('click', closeGameOverModal);
+    function isOnline() {
+        return session.matchMode === MatchMode.ONLINE;
+    }
 
-        const restartBtn = document.querySelector('[data-action="restart-game"]');
-        if (restartBtn) restartBtn.addEventListener('click', closeGameOverAndReset);
+    function isScenario() {
+        return session.matchMode === MatchMode.SCENARIO;
+    }
 
-        // Settings Modal (Menu)
-        const settingsBtn = document.getElementById('btn-settings');
-        if (settingsBtn && settingsModal) {
-            settingsBtn.addEventListener('click', () => {
-                settingsModal.style.display = 'block';
-            });
-            
-            settingsModal.addEventListener('click', (e) => {
-                if (e.target === settingsModal) settingsModal.style.display = 'none';
-            });
+    function isDaily() {
+        return session.matchMode === MatchMode.DAILY;
+    }
 
-            const closeSettings = settingsModal.querySelector('.close-btn');
-            if (closeSettings) {
-                closeSettings.addEventListener('click', () => settingsModal.style.display = 'none');
-            }
+    function isCampaign() {
+        return session.matchMode === MatchMode.CAMPAIGN;
+    }
 
-            // Mobile specific bindings
-            const mFirstTurn = document.getElementById('mobile-first-turn');
-            if (mFirstTurn) mFirstTurn.addEventListener('click', toggleFirstTurn);
+    /**
+     * 本局设置是否由模式决定（每日挑战、战役），部署期间不可更改
+     */
+    function hasFixedSetup() {
+        return isDaily() || isCampaign();
+    }
 
-            const mDebug = document.getElementById('mobile-debug');
-            if (mDebug) mDebug.addEventListener('click', toggleAiDebug);
+    /**
+     * 部署阶段正在部署的一方（双人同屏时玩家1 部署完毕后轮到玩家2）
+     */
+    function getDeployingSide() {
+        return deployedFleet ? Side.AI : Side.PLAYER;
+    }
 
-            const mReset = document.getElementById('mobile-reset'); // 旧 ID 兼容
-            if (mReset) mReset.addEventListener('click', () => {
-                resetToDock();
-                settingsModal.style.display = 'none';
-            });
+    function getSideName(side) {
+        return getSideLabel(side, session.matchMode);
+    }
 
-            // 新菜单按钮绑定
-            const mmRestart = document.getElementById('mobile-menu-restart');
-            if (mmRestart) mmRestart.addEventListener('click', () => {
-                if (gameState === 'PLAYING' || gameState === 'END') {
-                    if(confirm("确定要重新开始吗？")) {
-                        resetGameFull();
-                        settingsModal.style.display = 'none';
-                    }
-                } else {
-                    resetGameFull();
-                    settingsModal.style.display = 'none';
-                }
-            });
+    /**
+     * 棋盘与舰队状态的标题：双人同屏时标出当前视角属于哪位玩家
+     * @param {string} side - 视角方
+     */
+    function updateBoardTitles(side) {
+        const hotSeat = isHotSeat();
+        const owner = getSideName(side);
+        document.getElementById('player-board-title').innerText = hotSeat ? `${owner} 海域 (防守)` : "我方海域 (防守)";
+        document.getElementById('enemy-board-title').innerText = hotSeat
+            ? `${getSideName(session.getOpponent(side))} 海域 (进攻)`
+            : "敌方海域 (进攻)";
+        document.getElementById('status-panel-title').innerText = hotSeat ? `${owner} 舰队状态` : "舰队状态";
+    }
 
-            const mmRandom = document.getElementById('mobile-menu-random');
-            if (mmRandom) mmRandom.addEventListener('click', () => {
-                autoDeploy();
-                settingsModal.style.display = 'none';
-            });
+    /**
+     * 遮住棋盘，等待设备交给下一位玩家（双人同屏）
+     * @param {string} side - 接手的一方
+     * @param {string} note - 附加说明（可为空）
+     * @param {Function} [onConfirm] - 接手的玩家确认后执行
+     */
+    function showHandover(side, note, onConfirm = null) {
+        const name = getSideName(side);
+        document.getElementById('handover-title').innerText = `请将设备交给 ${name}`;
+        document.getElementById('handover-msg').innerText = `${note}确认只有${name}在看屏幕后再继续。`;
+        document.getElementById('handover-confirm').innerText = `我是${name}，继续`;
+        handoverCallback = onConfirm;
+        document.getElementById('handover-modal').style.display = 'block';
+    }
 
-            const mmReset = document.getElementById('mobile-menu-reset');
-            if (mmReset) mmReset.addEventListener('click', () => {
-                resetToDock();
-                settingsModal.style.display = 'none';
-            });
+    function confirmHandover() {
+        document.getElementById('handover-modal').style.display = 'none';
+        const callback = handoverCallback;
+        handoverCallback = null;
+        if (callback) callback();
+    }
 
-            const mmHelp = document.getElementById('mobile-menu-help');
-            if (mmHelp) mmHelp.addEventListener('click', () => {
-                settingsModal.style.display = 'none';
-                toggleHelp();
-            });
+    function clearHandover() {
+        if (handoverTimeout !== null) {
+            clearTimeout(handoverTimeout);
+            handoverTimeout = null;
         }
+        handoverCallback = null;
+        document.getElementById('handover-modal').style.display = 'none';
+    }
 
-        // Mobile View Switch (Old & New)
-        const tabPlayer = document.getElementById('tab-view-player');
-        const tabEnemy = document.getElementById('tab-view-enemy');
-        if (tabPlayer) tabPlayer.addEventListener('click', () => switchMobileView('player'));
-        if (tabEnemy) tabEnemy.addEventListener('click', () => switchMobileView('enemy'));
+    /**
+     * 双人同屏：玩家1 部署完毕，收起其舰船并为玩家2 重建港口
+     */
+    function finishFirstDeployment() {
+        deployedFleet = myShips;
+        deployedFleet.forEach(ship => ship.el.remove());
+        myGridMap = createEmptyGrid();
+        initShips();
+        MATCH_SETTING_CONTROLS.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = true;
+        });
+        updateMatchModeUi();
+        checkReady();
+        switchMobileView('player');
+        log("玩家1 部署完毕，请玩家2 部署舰队。", "c-sys");
+        showHandover(Side.AI, "玩家1 已完成部署。");
+    }
 
-        // New Mobile Bottom Bar Bindings
-        const mbTabPlayer = document.getElementById('mb-tab-player');
-        const mbTabEnemy = document.getElementById('mb-tab-enemy');
-        if (mbTabPlayer) mbTabPlayer.addEventListener('click', () => switchMobileView('player'));
-        if (mbTabEnemy) mbTabEnemy.addEventListener('click', () => switchMobileView('enemy'));
+    // === 联机对战 ===
+    // 双方各自持有自己的舰队，对手的舰队只有定义（见 createHiddenFleet）。
+    // 攻击方发出行动 → 防守方用自己的舰队结算并回报结果 → 攻击方据此更新对手棋盘的本地影子。
+    // 断线重连后双方交换状态快照（SYNC），补发对方错过的行动或回报。
 
-        // const mbRotate = document.getElementById('mb-btn-rotate');
-        // if (mbRotate) mbRotate.addEventListener('click', toggleDeployMode);
+    /** 声明就绪后锁定的部署控件 */
+    const ONLINE_DEPLOY_CONTROLS = [
+        'rotate-toggle', 'btn-reset', 'btn-random',
+        'mobile-reset', 'mobile-menu-random', 'mobile-menu-reset'
+    ];
 
-        const mbStart = document.getElementById('mb-btn-start');
-        if (mbStart) mbStart.addEventListener('click', handleStartOrRestart);
+    /** 先手设置由房主决定 */
+    const FIRST_TURN_CONTROLS = ['first-turn-toggle', 'mobile-first-turn'];
 
-        const mbWeapon = document.getElementById('mb-btn-weapon');
-        if (mbWeapon) mbWeapon.addEventListener('click', () => {
-            const bar = document.getElementById('weapon-bar');
-            bar.classList.toggle('show');
-        });
+    function initOnlinePanel() {
+        const urlInput = document.getElementById('online-url');
+        if (urlInput) urlInput.value = getDefaultRelayUrl();
+        updateOnlineUi();
     }
 
-    // === 移动端视图切换逻辑 ===
-    function switchMobileView(viewName) {
-        // 仅在移动端生效 (通过检测按钮是否可见，或者直接操作类名，PC端CSS会忽略这些类名)
-        const pBox = document.getElementById('player-board-box');
-        const eBox = document.getElementById('enemy-board-box');
-        
-        // Old tabs
-        const tabP = document.getElementById('tab-view-player');
-        const tabE = document.getElementById('tab-view-enemy');
-        
-        // New tabs
-        const mbTabP = document.getElementById('mb-tab-player');
-        const mbTabE = document.getElementById('mb-tab-enemy');
-
-        // 移除所有激活状态
-        pBox.classList.remove('active-view');
-        eBox.classList.remove('active-view');
-        if(tabP) tabP.classList.remove('active');
-        if(tabE) tabE.classList.remove('active');
-        if(mbTabP) mbTabP.classList.remove('active');
-        if(mbTabE) mbTabE.classList.remove('active');
-
-        if (viewName === 'player') {
-            pBox.classList.add('active-view');
-            if(tabP) tabP.classList.add('active');
-            if(mbTabP) mbTabP.classList.add('active');
-        } else {
-            eBox.classList.add('active-view');
-            if(tabE) tabE.classList.add('active');
-            if(mbTabE) mbTabE.classList.add('active');
+    /**
+     * 菜单中的连接 / 断开按钮
+     */
+    function toggleOnline() {
+        if (online) {
+            leaveOnline();
+            return;
+        }
+        const url = document.getElementById('online-url').value.trim() || getDefaultRelayUrl();
+        const room = document.getElementById('online-room').value.trim();
+        if (!isValidRoomCode(room)) {
+            log("房间号只能包含字母、数字、下划线与短横线（最多 24 位）", "c-warn");
+            return;
         }
+        if (session.phase !== GamePhase.SETUP) {
+            log("请在部署阶段加入联机对战。", "c-warn");
+            return;
+        }
+        if (deployedFleet) {
+            log("双人同屏部署进行中，请先重新开始再加入联机对战。", "c-warn");
+            return;
+        }
+        session.configure({ matchMode: MatchMode.ONLINE });
+        connectOnline({ url, room });
+        updateMatchModeUi();
+        log(`对战模式：${describeMatchMode(MatchMode.ONLINE)}`, "c-sys");
     }
 
-    // === 攻击范围高亮逻辑 ===
-    function handleEnemyGridHover(r, c) {
-        if (gameState !== 'PLAYING') return;
-        if (document.getElementById('enemy-grid').style.pointerEvents === 'none') return;
+    /**
+     * 连接中继服务器并加入房间
+     * @param {Object} params
+     * @param {string} params.url - 中继服务器地址
+     * @param {string} params.room - 房间号
+     * @param {string} [params.clientId] - 恢复存档时沿用原标识，以取回原来的座位
+     * @param {number} [params.seat] - 存档中的座位
+     * @param {Object|null} [params.pendingAction] - 已发出、尚未收到回报的行动 { seq, decision }
+     * @param {Object|null} [params.lastReply] - 最近一次发给对手的回报 { seq, ... }
+     */
+    function connectOnline({ url, room, clientId, seat = null, pendingAction = null, lastReply = null }) {
+        if (spectatorView.isOpen()) spectatorView.close();
+        online = {
+            client: null,
+            url,
+            room,
+            status: NetStatus.IDLE,
+            seat,
+            setupId: null,          // 本局设置的版本：房主每次修改设置时递增
+            ready: session.isPlaying(),
+            peerReady: false,
+            pendingAction,
+            lastReply,
+            reveal: null            // 结束时公开的本方布局（对手重连后随 SYNC 补发）
+        };
+        online.client = new NetClient({
+            url,
+            room,
+            clientId,
+            onMessage: handleOnlineMessage,
+            onStatus: handleOnlineStatus
+        });
+        online.client.connect();
+        updateOnlineUi();
+    }
 
-        clearAttackHighlights();
+    /**
+     * 断开联机（不改变对局阶段）
+     */
+    function disconnectOnline() {
+        const client = online.client;
+        online = null;
+        client.close();
+        updateOnlineUi();
+    }
 
-        // 使用武器系统获取预览范围
-        if (weaponService) {
-            weaponService.setCurrentWeapon(currentWeapon);
-            const preview = weaponService.getPreviewArea({ r, c });
-            
-            const eGrid = document.getElementById('enemy-grid');
-            preview.cells.forEach(pos => {
-                if (pos.r >= 0 && pos.r < BOARD_SIZE && pos.c >= 0 && pos.c < BOARD_SIZE) {
-                    const cell = eGrid.querySelector(`.cell[data-r="${pos.r}"][data-c="${pos.c}"]`);
-                    if (cell) cell.classList.add('attack-range-highlight');
-                }
-            });
+    /**
+     * 主动离开联机对战：战斗进行中需确认，对手随之回到部署阶段
+     */
+    function leaveOnline() {
+        if (session.isPlaying()) {
+            if (!confirm("离开联机对战将结束当前战斗，确定吗？")) return;
+            online.client.send({ type: GameMessage.ABORT });
         }
+        disconnectOnline();
+        if (session.phase !== GamePhase.SETUP) resetGameFull();
+        session.configure({ matchMode: DEFAULT_MATCH_MODE });
+        updateMatchModeUi();
+        log("已离开联机对战。", "c-sys");
     }
 
-    function clearAttackHighlights() {
-        const eGrid = document.getElementById('enemy-grid');
-        eGrid.querySelectorAll('.attack-range-highlight').forEach(el => {
-            el.classList.remove('attack-range-highlight');
-        });
+    /**
+     * 存档中保存的联机状态（恢复后据此重连并补齐进度）
+     */
+    function exportOnlineState() {
+        return {
+            url: online.url,
+            room: online.room,
+            clientId: online.client.clientId,
+            seat: online.seat,
+            pendingAction: online.pendingAction,
+            lastReply: online.lastReply
+        };
     }
 
-    function initShips() {
-        const dock = document.getElementById('dock');
-        myShips = [];
-        dock.innerHTML = '';
+    /**
+     * 连接状态变化
+     * @param {string} status - NetStatus
+     * @param {Object} info - { seat, reason }
+     */
+    function handleOnlineStatus(status, { seat, reason }) {
+        if (!online) return;
+        const previous = online.status;
+        online.status = status;
+        if (seat !== null && seat !== undefined) online.seat = seat;
+        if (online.seat === Seat.HOST && online.setupId === null) online.setupId = 1;
+
+        switch (status) {
+            case NetStatus.WAITING:
+                // 对手重连后会重新发送状态快照
+                online.peerReady = false;
+                log(previous === NetStatus.CONNECTED
+                    ? "对手已断开，等待其重新连接…"
+                    : `已进入房间 ${online.room}，等待对手加入…`, "c-sys");
+                break;
+            case NetStatus.CONNECTED:
+                log(online.seat === Seat.HOST
+                    ? "对手已连接。我方为房主，本局设置以我方为准。"
+                    : "已连接到对手。本局设置由房主决定。", "c-sys");
+                announceOnlineState();
+                break;
+            case NetStatus.RECONNECTING:
+                if (previous !== NetStatus.RECONNECTING) log("与中继服务器的连接中断，正在重连…", "c-warn");
+                break;
+            case NetStatus.IDLE:
+                if (!reason) break;
+                log(`联机失败：${reason}`, "c-warn");
+                // 部署阶段直接退回人机对战；战斗中保留对局，可重新开始
+                if (session.phase === GamePhase.SETUP) {
+                    online = null;
+                    session.configure({ matchMode: DEFAULT_MATCH_MODE });
+                    updateMatchModeUi();
+                }
+                break;
+        }
+        updateOnlineUi();
+    }
 
-        SHIP_TYPES.forEach((type, i) => {
-            const shipEl = document.createElement('div');
-            shipEl.className = 'ship ship-visuals-root'; // 添加 visuals root 类
-            shipEl.title = `${type.name} (长度:${type.len})`;
-            shipEl.style.position = 'relative'; 
-            
-            const inner = document.createElement('div');
-            inner.className = 'ship-inner';
-            inner.innerHTML = getShipDom(type.code); // 使用新 DOM
-            shipEl.appendChild(inner);
+    function describeOnlineStatus() {
+        if (!online) return '未连接';
+        switch (online.status) {
+            case NetStatus.CONNECTING: return '正在连接中继服务器…';
+            case NetStatus.WAITING: return `房间 ${online.room}：等待对手加入`;
+            case NetStatus.CONNECTED: return `房间 ${online.room}：对手已连接（我方为${online.seat === Seat.HOST ? '房主' : '客方'}）`;
+            case NetStatus.RECONNECTING: return '连接中断，正在重连…';
+            default: return '未连接';
+        }
+    }
 
-            const shipObj = {
-                id: i,
-                name: type.name,
-                len: type.len,
-                maxHp: type.maxHp,
-                code: type.code,
-                hp: Array(type.len).fill(type.maxHp),
-                el: shipEl,
-                inDock: true,
-                vertical: false,
-                r: -1, c: -1,
-                sunk: false
-            };
+    /**
+     * 同步联机面板，以及部署阶段受联机状态影响的控件：
+     * 客方不能修改本局设置与先手，声明就绪后双方都不能再调整部署
+     */
+    function updateOnlineUi() {
+        const statusEl = document.getElementById('online-status');
+        if (statusEl) statusEl.innerText = describeOnlineStatus();
+        const btn = document.getElementById('btn-online');
+        if (btn) btn.innerText = online ? "🔌 断开" : "🌐 连接";
+        ['online-url', 'online-room'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = !!online;
+        });
 
-            updateShipVisuals(shipObj);
+        if (session.phase !== GamePhase.SETUP || deployedFleet) return;
+        const guest = online?.seat === Seat.GUEST;
+        const ready = !!online?.ready;
+        const setDisabled = (id, disabled) => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = disabled;
+        };
+        MATCH_SETTING_CONTROLS.forEach(id => setDisabled(id, !!online && (guest || ready || id.includes('match-mode'))));
+        FIRST_TURN_CONTROLS.forEach(id => setDisabled(id, guest || ready));
+        ONLINE_DEPLOY_CONTROLS.forEach(id => setDisabled(id, ready));
+        document.getElementById('dock').style.pointerEvents = ready ? 'none' : 'auto';
+
+        if (online) {
+            document.getElementById('start-btn').innerText = ready ? "⏳ 等待对手就绪" : "✅ 部署完成，准备就绪";
+            const mbLabel = document.querySelector('#mb-btn-start span');
+            if (mbLabel) mbLabel.innerText = ready ? "⏳ 等待" : "✅ 就绪";
+        }
+        checkReady();
+    }
 
-            shipEl.onclick = (e) => {
-                if (isDragging) return;
-                if (gameState === 'SETUP' && !shipObj.inDock) {
-                   rotateShipOnBoard(shipObj);
+    /**
+     * 收到对手的对局消息
+     * @param {Object} message - { type: GameMessage, ... }
+     */
+    function handleOnlineMessage(message) {
+        if (!online) return;
+        switch (message.type) {
+            case GameMessage.SETUP:
+                applyOnlineSetup(message);
+                break;
+            case GameMessage.READY:
+                // 房主修改设置后，基于旧设置的就绪不算数
+                if (online.seat === Seat.HOST && message.setupId !== online.setupId) break;
+                online.peerReady = true;
+                log("对手已部署完毕。", "c-sys");
+                tryStartOnlineMatch();
+                break;
+            case GameMessage.ACTION:
+                handleOnlineAction(message);
+                break;
+            case GameMessage.RESULT:
+                handleOnlineResult(message);
+                break;
+            case GameMessage.COMMIT:
+                receivePeerCommitment(message.hash);
+                break;
+            case GameMessage.REVEAL:
+                receivePeerReveal(message);
+                break;
+            case GameMessage.SYNC:
+                handleOnlineSync(message);
+                break;
+            case GameMessage.ABORT:
+                online.peerReady = false;
+                if (session.isPlaying()) {
+                    log("对手放弃了本局，已返回部署阶段。", "c-warn");
+                    resetGameFull();
                 }
-            };
-
-            shipEl.onmousedown = (e) => onShipMouseDown(e, shipObj);
-            shipEl.ontouchstart = (e) => onShipTouchStart(e, shipObj);
+                break;
+        }
+    }
 
-            dock.appendChild(shipEl);
-            myShips.push(shipObj);
+    /**
+     * 告知对手本方的当前状态：房主在部署阶段附带本局设置
+     */
+    function announceOnlineState() {
+        if (session.phase === GamePhase.SETUP && online.seat === Seat.HOST) sendOnlineSetup();
+        online.client.send({
+            type: GameMessage.SYNC,
+            phase: session.phase,
+            turnCount: session.turnCount,
+            ready: online.ready,
+            setupId: online.setupId,
+            pending: online.pendingAction,
+            lastReply: online.lastReply,
+            commitment: session.phase === GamePhase.SETUP ? null : fleetCommitments[Side.PLAYER]?.hash ?? null,
+            reveal: online.reveal
         });
     }
 
-    function updateShipScale(shipEl, len, cellSize) {
-        const wrapper = shipEl.querySelector('.hull-scale-wrapper');
-        if (!wrapper) return;
-        
-        const originalWidth = parseFloat(wrapper.dataset.originalWidth);
-        if (!originalWidth) return;
+    /**
+     * 房主修改了本局设置：设置版本递增，对手需按新设置重新就绪
+     */
+    function notifyMatchSettingsChanged() {
+        if (!online || online.seat !== Seat.HOST || session.phase !== GamePhase.SETUP) return;
+        online.setupId++;
+        online.peerReady = false;
+        sendOnlineSetup();
+    }
 
-        const targetWidth = len * cellSize;
-        // 稍微缩小一点点 (0.95) 以留出间隙，避免视觉上过于拥挤
-        const scale = (targetWidth / originalWidth) * 0.95;
-        
-        wrapper.style.transform = `scale(${scale})`;
+    function sendOnlineSetup() {
+        online.client.send({
+            type: GameMessage.SETUP,
+            setupId: online.setupId,
+            boardSize,
+            placementRule: session.placementRule,
+            firingMode: session.firingMode,
+            fleet: fleetDefs,
+            firstTurn
+        });
     }
 
-    function updateShipVisuals(ship, isDragging = false) {
-        const cellSize = getCellSize();
-        const widthPx = (ship.len * cellSize) + 'px';
-        const heightPx = cellSize + 'px';
+    /**
+     * 客方：采用房主下发的本局设置
+     * 棋盘、规则或舰队有变化时舰船全部回港并取消就绪；只是先手变化时保留部署
+     * @param {Object} setup - GameMessage.SETUP
+     */
+    function applyOnlineSetup(setup) {
+        if (online.seat !== Seat.GUEST || session.phase !== GamePhase.SETUP) return;
+        const problem = !isValidBoardSize(setup.boardSize) || !isValidPlacementRule(setup.placementRule)
+            || !isValidFiringMode(setup.firingMode) || !Array.isArray(setup.fleet)
+            ? '设置无法识别'
+            : getDeployProblem(setup.fleet, setup.boardSize, setup.placementRule);
+        if (problem) {
+            log(`房主的本局设置无效：${problem}`, "c-warn");
+            return;
+        }
 
-        ship.el.style.setProperty('--w', widthPx);
-        ship.el.style.setProperty('--h', heightPx);
+        const changed = setup.boardSize !== boardSize
+            || setup.placementRule !== session.placementRule
+            || setup.firingMode !== session.firingMode
+            || !isSameFleet(setup.fleet, fleetDefs);
+        online.setupId = setup.setupId;
+        if (changed) {
+            online.ready = false;
+            myShips.forEach(ship => ship.el.remove());
+            boardSize = setup.boardSize;
+            session.reset(boardSize);
+            session.configure({ placementRule: setup.placementRule, firingMode: setup.firingMode });
+            fleetDefs = normalizeFleet(setup.fleet); // 只用于本局，不覆盖本机保存的舰队
+            initGrids();
+            document.getElementById('enemy-grid').style.pointerEvents = 'none';
+            myGridMap = createEmptyGrid();
+            initShips();
+            initHelpShips();
+            document.querySelectorAll('[data-setting="board-size"]').forEach(select => select.value = boardSize);
+            updatePlacementRuleUi();
+            updateFiringModeUi();
+            log(`已采用房主的设置：棋盘 ${boardSize}×${boardSize}，${PLACEMENT_RULE_LABELS[session.placementRule]}，${FIRING_MODE_LABELS[session.firingMode]}，${fleetDefs.length} 艘舰船。请部署舰队。`, "c-sys");
+        } else if (online.ready) {
+            // 设置版本变了但内容相同（如只改了先手），按新版本重新声明就绪
+            online.client.send({ type: GameMessage.READY, setupId: online.setupId });
+        }
 
-        // 动态计算缩放
-        updateShipScale(ship.el, ship.len, cellSize);
+        // 先手以房主视角下发，换算为本方视角
+        firstTurn = setup.firstTurn === Side.PLAYER ? Side.AI : Side.PLAYER;
+        updateFirstTurnUi();
+        updateOnlineUi();
+    }
 
-        const showVertical = ship.vertical && (!ship.inDock || isDragging);
+    /**
+     * 能否声明就绪：已加入房间，客方还需已收到房主的设置
+     */
+    function canDeclareOnlineReady() {
+        return !online.ready && online.seat !== null && online.setupId !== null;
+    }
 
-        if(showVertical) {
-            ship.el.classList.add('vertical');
-            ship.el.style.width = cellSize + 'px';
-            ship.el.style.height = widthPx;
-        } else {
-            ship.el.classList.remove('vertical');
-            ship.el.style.width = widthPx;
-            ship.el.style.height = cellSize + 'px';
-        }
-        
-        // 如果已经在棋盘上，需要更新位置
-        if (!ship.inDock && !isDragging) {
-            ship.el.style.left = (ship.c * cellSize) + 'px';
-            ship.el.style.top = (ship.r * cellSize) + 'px';
-        }
+    function declareOnlineReady() {
+        if (!myShips.every(s => !s.inDock) || !canDeclareOnlineReady()) return;
+        online.ready = true;
+        online.client.send({ type: GameMessage.READY, setupId: online.setupId });
+        if (!online.peerReady) log("部署完毕，等待对手就绪…", "c-sys");
+        updateOnlineUi();
+        tryStartOnlineMatch();
     }
 
-    function toggleDeployMode() {
-        currentDeployMode = currentDeployMode === 'horizontal' ? 'vertical' : 'horizontal';
-        const btn = document.getElementById('rotate-toggle');
-        btn.innerText = currentDeployMode === 'horizontal' ? "部署方向:水平⮕" : "部署方向:垂直⬇";
-        
-        myShips.forEach(ship => {
-            if(ship.inDock) {
-                ship.vertical = (currentDeployMode === 'vertical');
-            }
-        });
+    function tryStartOnlineMatch() {
+        if (session.phase === GamePhase.SETUP && online.ready && online.peerReady) startGame();
     }
 
-    function toggleFirstTurn() {
-        firstTurn = firstTurn === 'PLAYER' ? 'AI' : 'PLAYER';
-        const text = firstTurn === 'PLAYER' ? "先手：玩家 👤" : "先手：电脑 🤖";
-        
-        const btn = document.getElementById('first-turn-toggle');
-        if (btn) btn.innerText = text;
-        
-        const mBtn = document.getElementById('mobile-first-turn');
-        if (mBtn) mBtn.innerText = text;
+    /**
+     * 重新开始时清空联机对局状态，战斗进行中则通知对手本局作废
+     */
+    function resetOnlineMatch() {
+        if (session.isPlaying()) online.client.send({ type: GameMessage.ABORT });
+        online.ready = false;
+        online.peerReady = false;
+        online.pendingAction = null;
+        online.lastReply = null;
+        online.reveal = null;
     }
 
-    function toggleAiDebug() {
-        showAiDebug = !showAiDebug;
-        const text = showAiDebug ? "🧠 AI 视角: 开启" : "🧠 AI 视角: 关闭";
-        const bg = showAiDebug ? "#ed8936" : "";
+    /**
+     * 对手发来的状态快照（连接或重连后）
+     * @param {Object} sync - GameMessage.SYNC
+     */
+    function handleOnlineSync(sync) {
+        if (session.phase === GamePhase.SETUP) {
+            if (sync.phase === GamePhase.PLAYING) {
+                log("对手仍在上一局战斗中，待对方重新开始后即可准备新的一局。", "c-warn");
+                return;
+            }
+            // 对手错过了最新的设置（如当时还停留在上一局的结算画面），补发一次
+            if (online.seat === Seat.HOST && sync.setupId !== online.setupId) sendOnlineSetup();
+            online.peerReady = sync.phase === GamePhase.SETUP && !!sync.ready
+                && (online.seat !== Seat.HOST || sync.setupId === online.setupId);
+            tryStartOnlineMatch();
+            return;
+        }
+        if (sync.phase === GamePhase.SETUP) {
+            log(session.isPlaying()
+                ? "对手已不在本局中（可能已重新开始），本局无法继续。"
+                : "对手已在准备下一局，重新开始即可进入部署。", "c-warn");
+            return;
+        }
 
-        const btn = document.getElementById('btn-debug');
-        if (btn) {
-            btn.innerText = text;
-            btn.style.background = bg;
+        // 补齐断线期间错过的消息：对手已回报的行动直接采用，否则重发；对手未得到回报的行动在此结算
+        const pending = online.pendingAction;
+        if (pending && sync.lastReply?.seq === pending.seq) {
+            handleOnlineResult(sync.lastReply);
+        } else if (pending) {
+            online.client.send({ type: GameMessage.ACTION, ...pending });
         }
+        if (sync.pending) handleOnlineAction(sync.pending);
+        if (sync.commitment) receivePeerCommitment(sync.commitment);
+        if (sync.reveal) receivePeerReveal(sync.reveal);
+    }
 
-        const mBtn = document.getElementById('mobile-debug');
-        if (mBtn) {
-            mBtn.innerText = text;
-            mBtn.style.background = bg;
+    /**
+     * 攻击方：校验后把行动发给对手，等待回报
+     * @param {Object|Array<Object>} decision - { weapon, r, c, heading? }，齐射时为各发的数组
+     */
+    function sendOnlineAction(decision) {
+        if (online.pendingAction) return;
+        const reason = weaponService.validateActions(Array.isArray(decision) ? decision : [decision], buildViewerContext());
+        if (reason) {
+            if (Array.isArray(decision)) log(`齐射失败：${reason}`, "c-warn");
+            return;
         }
-        
-        if (showAiDebug) {
-            updateAiHeatmapVisuals();
-        } else {
-            clearAiHeatmapVisuals();
+        online.pendingAction = { seq: session.turnCount, decision };
+        document.getElementById('enemy-grid').style.pointerEvents = 'none';
+        if (!online.client.send({ type: GameMessage.ACTION, ...online.pendingAction })) {
+            log("对手暂时不在线，重新连接后会自动发出本次攻击。", "c-warn");
         }
+        autosave();
     }
 
-    function updateAiHeatmapVisuals(precomputedMap = null) {
-        if (!showAiDebug) return;
-        // 概率图即使在准备阶段也可查看，便于调试
-        const viewGrid = getAiViewGrid();
-        const targets = myShips.filter(s => !s.sunk);
-        const probabilityMap = precomputedMap || (targets.length > 0 ? calculateProbabilityGrid(viewGrid, targets, AI_PROB_CONFIG) : Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0)));
+    /**
+     * 防守方：用本方舰队结算对手的行动，先回报结果再在本地呈现
+     * 重复收到已回报过的行动时只重发回报
+     * @param {Object} action - { seq, decision }
+     */
+    function handleOnlineAction({ seq, decision }) {
+        if (online.lastReply && online.lastReply.seq === seq) {
+            online.client.send({ type: GameMessage.RESULT, ...online.lastReply });
+            return;
+        }
+        if (!session.isPlaying() || session.turn !== Side.AI || seq !== session.turnCount) return;
 
-        const pGrid = document.getElementById('player-grid');
-        for(let r=0; r<BOARD_SIZE; r++) {
-            for(let c=0; c<BOARD_SIZE; c++) {
-                const cell = pGrid.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
-                const val = probabilityMap[r][c] || 0;
-                cell.classList.remove('debug-heat');
-                cell.removeAttribute('data-heat');
-                cell.style.removeProperty('--heat-bg');
-
-                const ratio = Math.min(1, Math.max(0, val));
-                if (ratio > 0) {
-                    cell.setAttribute('data-heat', `${(ratio * 100).toFixed(1)}%`);
-                    cell.classList.add('debug-heat');
-                    const alpha = 0.1 + (ratio * 0.6);
-                    const rVal = Math.floor(255 * ratio);
-                    const bVal = Math.floor(255 * (1 - ratio));
-                    cell.style.setProperty('--heat-bg', `rgba(${rVal}, 0, ${bVal}, ${alpha})`);
-                }
-            }
+        let reply;
+        if (!isActionDecision(decision)) {
+            reply = { reason: '行动格式无法识别' };
+        } else if (Array.isArray(decision) !== isSalvoMode()) {
+            reply = { reason: '与本局开火规则不符' };
+        } else {
+            reply = createActionReply(replyService, decision, session.buildWeaponContext(Side.AI));
         }
-    }
+        online.lastReply = { seq, ...reply };
+        online.client.send({ type: GameMessage.RESULT, ...online.lastReply });
 
-    function clearAiHeatmapVisuals() {
-        const pGrid = document.getElementById('player-grid');
-        pGrid.querySelectorAll('.debug-heat').forEach(el => {
-            el.classList.remove('debug-heat');
-            el.removeAttribute('data-heat');
-            el.style.removeProperty('--heat-bg');
-        });
+        if (reply.reason) {
+            log(`对手的行动无效（${reply.reason}），已退回。`, "c-warn");
+            autosave();
+            return;
+        }
+        resolveOpponentAction(decision);
     }
 
-    // === 拖拽逻辑 ===
-    let dragTarget = null;
-    let dragOffset = {x:0, y:0};
-    let isDragging = false;
-    let currentPreview = null;
+    /**
+     * 攻击方：收到对手的回报，更新对手棋盘的本地影子并呈现结果
+     * @param {Object} result - { seq, events, cells, sunkShips } 或 { seq, reason }
+     */
+    function handleOnlineResult(result) {
+        const pending = online.pendingAction;
+        if (!pending || result.seq !== pending.seq || !session.isPlaying() || session.turn !== Side.PLAYER) return;
+        if (!isActionResult(result, session.boardSize, session.getShips(Side.AI).length)) {
+            log("收到的回报格式不正确，已忽略。", "c-warn");
+            return;
+        }
+        online.pendingAction = null;
+        clearSalvoTargets();
 
-    // 统一处理坐标提取
-    function getEventPos(e) {
-        if (e.touches && e.touches.length > 0) {
-            return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-        } else if (e.changedTouches && e.changedTouches.length > 0) {
-            return { x: e.changedTouches[0].clientX, y: e.changedTouches[0].clientY };
+        if (result.reason) {
+            log(`对手拒绝了本次攻击：${result.reason}`, "c-warn");
+            document.getElementById('enemy-grid').style.pointerEvents = 'auto';
+            updateSalvoUi();
+            autosave();
+            return;
         }
-        return { x: e.clientX, y: e.clientY };
+
+        applyActionReply(session.getGrid(Side.AI), session.getShips(Side.AI), result, session.getReconReports(Side.AI));
+        spendWeapons(session.getWeaponStock(Side.PLAYER), [].concat(pending.decision).map(action => action.weapon));
+        // 日志按本方的行动与回报的格子重新生成，不显示对手发来的文字
+        const { before, after } = describeActionReply(pending.decision, result, session.getShips(Side.AI));
+        const events = [
+            ...before,
+            ...result.events.filter(event => event.type !== EventType.LOG),
+            ...after
+        ].map(event => event.type === EventType.LOG ? event : { ...event, payload: { ...event.payload, grid: 'ENEMY' } });
+        battleRenderer.render(events);
+        replayRecorder.record(Side.PLAYER, pending.decision, events);
+        if (result.sunkShips.length > 0) checkWin();
+        session.endTurn();
+        autosave();
+        finishPlayerTurn();
     }
 
-    function onShipTouchStart(e, ship) {
-        if (e.touches.length > 1) return;
-        // 阻止默认行为以防止滚动，但要注意这可能会影响页面其他交互
-        // 在 ship 上阻止默认行为通常是安全的
-        if (e.cancelable) e.preventDefault();
-        
-        // 复用 MouseDown 逻辑，构造一个伪事件对象
-        const pos = getEventPos(e);
-        const fakeEvent = {
-            button: 0,
-            preventDefault: () => {},
-            clientX: pos.x,
-            clientY: pos.y,
-            target: e.target
-        };
-        onShipMouseDown(fakeEvent, ship);
+    /**
+     * 收到对手开局时公布的舰队承诺（只采用第一次收到的）
+     * 对手在开局时发出承诺，按消息顺序总在其第一次回报之前送达；第一轮攻击结算后才收到的承诺
+     * 可能是看过战况后重新生成的，记为迟到，结束时核对不予通过
+     * @param {string} hash
+     */
+    function receivePeerCommitment(hash) {
+        if (typeof hash !== 'string' || session.phase === GamePhase.SETUP) return;
+        const known = fleetCommitments[Side.AI];
+        if (known) {
+            if (known.hash !== hash) log("对手再次发来的舰队承诺与开局时不同，以开局时的为准。", "c-warn");
+            return;
+        }
+        if (session.turnCount > 0) {
+            fleetCommitments[Side.AI] = { hash, salt: null, late: true };
+            log(`对手的舰队承诺 ${shortHash(hash)} 在开火后才送达，本局结束时无法证明其布局未被改动。`, "c-warn");
+        } else {
+            fleetCommitments[Side.AI] = { hash, salt: null };
+            log(`对手的舰队承诺：${shortHash(hash)}`, "c-sys");
+        }
+        autosave();
     }
 
-    function onShipMouseDown(e, ship) {
-        if (gameState !== 'SETUP') return;
-        if (e.button !== 0) return; 
-        e.preventDefault();
+    /**
+     * 收到对手结束时公开的布局：核对后把尚未沉没的舰船补到对手棋盘与回放中
+     * @param {Object} reveal - { salt, placements }
+     */
+    function receivePeerReveal(reveal) {
+        if (session.phase !== GamePhase.END || fleetVerification[Side.AI]) return;
+        const result = verifyFleet(Side.AI, reveal);
+        if (result.ships) {
+            session.getShips(Side.AI).forEach(ship => {
+                if (ship.r >= 0) return;
+                const { r, c, rotation, vertical } = result.ships[ship.id];
+                Object.assign(ship, { r, c, rotation, vertical });
+            });
+            revealEnemyShips();
+            replayRecorder.updateFleet(Side.AI, session.getShips(Side.AI));
+            if (replayRecorder.getReplay()) saveLastReplay(replayRecorder.getReplay());
+        }
+        renderFleetVerification();
+    }
 
-        dragTarget = ship;
-        isDragging = false; 
-        currentPreview = null;
+    function bindUiEvents() {
+        const helpBtn = document.getElementById('help-btn');
+        if (helpBtn) {
+            // 检查是否点击过帮助，如果没有则添加高亮动画
+            if (!localStorage.getItem('hasClickedHelp')) {
+                helpBtn.classList.add('pulse-highlight');
+            }
+
+            helpBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                // 点击后移除高亮并记录
+                helpBtn.classList.remove('pulse-highlight');
+                localStorage.setItem('hasClickedHelp', 'true');
+                toggleHelp();
+            });
+        }
+
+        // 菜单按钮 (Header)
+        const menuBtn = document.getElementById('btn-menu-toggle');
+        const settingsModal = document.getElementById('settings-modal');
+        if (menuBtn && settingsModal) {
+            menuBtn.addEventListener('click', () => {
+                settingsModal.style.display = 'block';
+            });
+        }
+
+        const helpModal = document.getElementById('help-modal');
+        if (helpModal) {
+            helpModal.addEventListener('click', (event) => {
+                if (event.target === helpModal) {
+                    event.stopPropagation();
+                    toggleHelp();
+                }
+            });
+            const closeBtn = helpModal.querySelector('.close-btn');
+            if (closeBtn) closeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleHelp();
+            });
+        }
+
+        renderWeaponBar();
+        document.querySelectorAll('[data-weapon]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                selectWeapon(btn.dataset.weapon);
+                // 移动端选择武器后自动收起武器栏
+                if (window.innerWidth <= 768) {
+                    document.getElementById('weapon-bar').classList.remove('show');
+                }
+            });
+        });
+
+        document.querySelectorAll('[data-difficulty]').forEach(btn => {
+            btn.addEventListener('click', () => setDifficulty(btn.dataset.difficulty));
+        });
+
+        document.querySelectorAll('[data-setting="board-size"]').forEach(select => {
+            select.addEventListener('change', () => setBoardSize(parseInt(select.value, 10)));
+        });
+
+        document.querySelectorAll('[data-setting="placement-rule"]').forEach(select => {
+            select.addEventListener('change', () => setPlacementRule(select.value));
+        });
+
+        document.querySelectorAll('[data-setting="firing-mode"]').forEach(select => {
+            select.addEventListener('change', () => setFiringMode(select.value));
+        });
+
+        document.querySelectorAll('[data-setting="match-mode"]').forEach(select => {
+            select.addEventListener('change', () => setMatchMode(select.value));
+        });
+
+        const handoverBtn = document.getElementById('handover-confirm');
+        if (handoverBtn) handoverBtn.addEventListener('click', confirmHandover);
+        document.getElementById('player-grid').addEventListener('click', onPlayerGridClick);
+
+        const onlineBtn = document.getElementById('btn-online');
+        if (onlineBtn) onlineBtn.addEventListener('click', toggleOnline);
+
+        ['btn-salvo-fire', 'mb-btn-salvo'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', fireSalvo);
+        });
+
+        const fleetBtn = document.getElementById('btn-fleet');
+        if (fleetBtn) fleetBtn.addEventListener('click', openFleetEditor);
+
+        const rotateBtn = document.getElementById('rotate-toggle');
+        if (rotateBtn) rotateBtn.addEventListener('click', toggleDeployMode);
+
+        const firstTurnBtn = document.getElementById('first-turn-toggle');
+        if (firstTurnBtn) firstTurnBtn.addEventListener('click', toggleFirstTurn);
+
+        document.querySelectorAll('[data-panel-toggle]').forEach(btn => {
+            btn.addEventListener('click', () => togglePanel(btn.dataset.panelToggle));
+        });
+
+        const debugBtn = document.getElementById('btn-debug');
+        if (debugBtn) debugBtn.addEventListener('click', toggleAiDebug);
+
+        const resetBtn = document.getElementById('btn-reset');
+        if (resetBtn) resetBtn.addEventListener('click', resetToDock);
+
+        const randomBtn = document.getElementById('btn-random');
+        if (randomBtn) randomBtn.addEventListener('click', autoDeploy);
+
+        const startBtn = document.getElementById('start-btn');
+        if (startBtn) startBtn.addEventListener('click', handleStartOrRestart);
+
+        const continueBtn = document.getElementById('btn-continue');
+        if (continueBtn) continueBtn.addEventListener('click', continueSavedBattle);
+
+        const viewBattleBtn = document.querySelector('[data-action="view-battlefield"]');
+        if (viewBattleBtn) viewBattleBtn.addEventListener('click', closeGameOverModal);
+
+        const replayBtn = document.querySelector('[data-action="watch-replay"]');
+        if (replayBtn) replayBtn.addEventListener('click', () => {
+            closeGameOverModal();
+            openReplay(replayRecorder.getReplay());
+        });
+
+        const shareBtn = document.querySelector('[data-action="copy-daily-result"]');
+        if (shareBtn) shareBtn.addEventListener('click', copyDailyResult);
+
+        const restartBtn = document.querySelector('[data-action="restart-game"]');
+        if (restartBtn) restartBtn.addEventListener('click', closeGameOverAndReset);
+
+        // Settings Modal (Menu)
+        const settingsBtn = document.getElementById('btn-settings');
+        if (settingsBtn && settingsModal) {
+            settingsBtn.addEventListener('click', () => {
+                settingsModal.style.display = 'block';
+            });
+            
+            settingsModal.addEventListener('click', (e) => {
+                if (e.target === settingsModal) settingsModal.style.display = 'none';
+            });
+
+            const closeSettings = settingsModal.querySelector('.close-btn');
+            if (closeSettings) {
+                closeSettings.addEventListener('click', () => settingsModal.style.display = 'none');
+            }
+
+            // Mobile specific bindings
+            const mFirstTurn = document.getElementById('mobile-first-turn');
+            if (mFirstTurn) mFirstTurn.addEventListener('click', toggleFirstTurn);
+
+            const mDebug = document.getElementById('mobile-debug');
+            if (mDebug) mDebug.addEventListener('click', toggleAiDebug);
+
+            const mReset = document.getElementById('mobile-reset'); // 旧 ID 兼容
+            if (mReset) mReset.addEventListener('click', () => {
+                resetToDock();
+                settingsModal.style.display = 'none';
+            });
+
+            // 新菜单按钮绑定
+            const mmRestart = document.getElementById('mobile-menu-restart');
+            if (mmRestart) mmRestart.addEventListener('click', () => {
+                if (session.phase !== GamePhase.SETUP) {
+                    if(confirm("确定要重新开始吗？")) {
+                        resetGameFull();
+                        settingsModal.style.display = 'none';
+                    }
+                } else {
+                    resetGameFull();
+                    settingsModal.style.display = 'none';
+                }
+            });
+
+            const mmRandom = document.getElementById('mobile-menu-random');
+            if (mmRandom) mmRandom.addEventListener('click', () => {
+                autoDeploy();
+                settingsModal.style.display = 'none';
+            });
+
+            const mmContinue = document.getElementById('mobile-menu-continue');
+            if (mmContinue) mmContinue.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                continueSavedBattle();
+            });
+
+            const mmFleet = document.getElementById('mobile-menu-fleet');
+            if (mmFleet) mmFleet.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                openFleetEditor();
+            });
+
+            const mmReplay = document.getElementById('mobile-menu-replay');
+            if (mmReplay) mmReplay.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                openLastReplay();
+            });
+
+            const spectateBtn = document.getElementById('btn-spectate');
+            if (spectateBtn) spectateBtn.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                openSpectator();
+            });
+
+            const scenarioBtn = document.getElementById('btn-scenario');
+            if (scenarioBtn) scenarioBtn.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                startScenario(document.getElementById('scenario-select').value);
+            });
+
+            const dailyBtn = document.getElementById('btn-daily');
+            if (dailyBtn) dailyBtn.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                startDaily();
+            });
+
+            const campaignBtn = document.getElementById('btn-campaign');
+            if (campaignBtn) campaignBtn.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                startCampaignMission(document.getElementById('campaign-select').value);
+            });
+
+            const replayInput = document.getElementById('replay-file-input');
+            const mmImport = document.getElementById('mobile-menu-import-replay');
+            if (mmImport && replayInput) {
+                mmImport.addEventListener('click', () => replayInput.click());
+                replayInput.addEventListener('change', () => {
+                    const file = replayInput.files[0];
+                    replayInput.value = '';
+                    if (!file) return;
+                    settingsModal.style.display = 'none';
+                    importReplayFile(file);
+                });
+            }
+
+            const mmReset = document.getElementById('mobile-menu-reset');
+            if (mmReset) mmReset.addEventListener('click', () => {
+                resetToDock();
+                settingsModal.style.display = 'none';
+            });
+
+            const mmHelp = document.getElementById('mobile-menu-help');
+            if (mmHelp) mmHelp.addEventListener('click', () => {
+                settingsModal.style.display = 'none';
+                toggleHelp();
+            });
+        }
+
+        // Mobile View Switch (Old & New)
+        const tabPlayer = document.getElementById('tab-view-player');
+        const tabEnemy = document.getElementById('tab-view-enemy');
+        if (tabPlayer) tabPlayer.addEventListener('click', () => switchMobileView('player'));
+        if (tabEnemy) tabEnemy.addEventListener('click', () => switchMobileView('enemy'));
+
+        // New Mobile Bottom Bar Bindings
+        const mbTabPlayer = document.getElementById('mb-tab-player');
+        const mbTabEnemy = document.getElementById('mb-tab-enemy');
+        if (mbTabPlayer) mbTabPlayer.addEventListener('click', () => switchMobileView('player'));
+        if (mbTabEnemy) mbTabEnemy.addEventListener('click', () => switchMobileView('enemy'));
+
+        // const mbRotate = document.getElementById('mb-btn-rotate');
+        // if (mbRotate) mbRotate.addEventListener('click', toggleDeployMode);
+
+        const mbStart = document.getElementById('mb-btn-start');
+        if (mbStart) mbStart.addEventListener('click', handleStartOrRestart);
+
+        const mbWeapon = document.getElementById('mb-btn-weapon');
+        if (mbWeapon) mbWeapon.addEventListener('click', () => {
+            const bar = document.getElementById('weapon-bar');
+            bar.classList.toggle('show');
+        });
+    }
+
+    // === 移动端视图切换逻辑 ===
+    function switchMobileView(viewName) {
+        // 仅在移动端生效 (通过检测按钮是否可见，或者直接操作类名，PC端CSS会忽略这些类名)
+        const pBox = document.getElementById('player-board-box');
+        const eBox = document.getElementById('enemy-board-box');
+        
+        // Old tabs
+        const tabP = document.getElementById('tab-view-player');
+        const tabE = document.getElementById('tab-view-enemy');
+        
+        // New tabs
+        const mbTabP = document.getElementById('mb-tab-player');
+        const mbTabE = document.getElementById('mb-tab-enemy');
+
+        // 移除所有激活状态
+        pBox.classList.remove('active-view');
+        eBox.classList.remove('active-view');
+        if(tabP) tabP.classList.remove('active');
+        if(tabE) tabE.classList.remove('active');
+        if(mbTabP) mbTabP.classList.remove('active');
+        if(mbTabE) mbTabE.classList.remove('active');
+
+        if (viewName === 'player') {
+            pBox.classList.add('active-view');
+            if(tabP) tabP.classList.add('active');
+            if(mbTabP) mbTabP.classList.add('active');
+        } else {
+            eBox.classList.add('active-view');
+            if(tabE) tabE.classList.add('active');
+            if(mbTabE) mbTabE.classList.add('active');
+        }
+    }
+
+    // === 攻击范围高亮逻辑 ===
+    function handleEnemyGridHover(r, c) {
+        if (!session.isPlaying()) return;
+        if (document.getElementById('enemy-grid').style.pointerEvents === 'none') return;
+
+        clearAttackHighlights();
+        hoverCell = { r, c };
+        if (isDefensiveWeapon(currentWeapon)) return; // 防御部署在我方棋盘
+
+        // 使用武器系统获取预览范围
+        if (weaponService) {
+            weaponService.setCurrentWeapon(currentWeapon);
+            const preview = weaponService.getPreviewArea(getAimTarget(r, c), session.boardSize);
+            
+            const eGrid = document.getElementById('enemy-grid');
+            preview.cells.forEach(pos => {
+                if (isInBounds(pos.r, pos.c, session.boardSize)) {
+                    const cell = eGrid.querySelector(`.cell[data-r="${pos.r}"][data-c="${pos.c}"]`);
+                    if (cell) cell.classList.add('attack-range-highlight');
+                }
+            });
+        }
+    }
+
+    /**
+     * 以当前武器瞄准 (r, c) 时的目标
+     * 有多种打击样式的武器按切换次数轮流选用各样式；
+     * 鱼雷从边缘格向棋盘内发射，角落格按切换次数在横向与纵向航向中选择，非边缘格没有航向（目标无效）
+     * @returns {{ r: number, c: number, heading?: string, aim?: string }}
+     */
+    function getAimTarget(r, c) {
+        const aim = getSelectedAim(currentWeapon);
+        if (aim) return { r, c, aim };
+        if (getWeaponDefinition(currentWeapon).target !== WeaponTarget.EDGE) return { r, c };
+        const headings = getLaunchHeadings(r, c, session.boardSize);
+        if (headings.length === 0) return { r, c };
+        return { r, c, heading: headings[(aimTurns[currentWeapon] ?? 0) % headings.length] };
+    }
+
+    /**
+     * 武器当前选用的打击样式，没有多种样式的武器为 undefined
+     * @param {string} id
+     * @returns {string|undefined}
+     */
+    function getSelectedAim(id) {
+        const aims = getWeaponAims(id);
+        return aims.length > 0 ? aims[(aimTurns[id] ?? 0) % aims.length] : undefined;
+    }
+
+    /**
+     * 切换当前武器的瞄准（空袭的打击样式、鱼雷在角落格的航向），并刷新预览与武器栏
+     * @returns {boolean} 当前武器是否可以切换
+     */
+    function rotateAim() {
+        const rotatable = getWeaponAims(currentWeapon).length > 0
+            || getWeaponDefinition(currentWeapon).target === WeaponTarget.EDGE;
+        if (!rotatable || isSalvoMode()) return false;
+        aimTurns[currentWeapon] = (aimTurns[currentWeapon] ?? 0) + 1;
+        if (hoverCell) handleEnemyGridHover(hoverCell.r, hoverCell.c);
+        updateWeaponStates();
+        return true;
+    }
+
+    function onAimKeyDown(e) {
+        if (e.key !== 'r' && e.key !== 'R') return;
+        if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select')) return;
+        if (session.isPlaying()) rotateAim();
+    }
+
+    function onEnemyGridTouchStart(e) {
+        if (e.touches.length !== 2 || !session.isPlaying()) return;
+        if (rotateAim()) e.preventDefault();
+    }
+
+    function clearAttackHighlights() {
+        const eGrid = document.getElementById('enemy-grid');
+        eGrid.querySelectorAll('.attack-range-highlight').forEach(el => {
+            el.classList.remove('attack-range-highlight');
+        });
+    }
+
+    function initShips() {
+        const dock = document.getElementById('dock');
+        myShips = [];
+        dock.innerHTML = '';
+
+        fleetDefs.forEach((type, i) => {
+            const shipEl = document.createElement('div');
+            shipEl.className = 'ship ship-visuals-root'; // 添加 visuals root 类
+            shipEl.title = `${type.name} (长度:${type.len})`;
+            shipEl.style.position = 'relative'; 
+            
+            const inner = document.createElement('div');
+            inner.className = 'ship-inner';
+            inner.innerHTML = getShipDom(getShipHull(type)); // 使用新 DOM
+            shipEl.appendChild(inner);
+
+            const shipObj = {
+                ...createShip(type, i),
+                el: shipEl,
+                inDock: true
+            };
+
+            updateShipVisuals(shipObj);
+
+            shipEl.onclick = (e) => {
+                if (isDragging) return;
+                if (canEditDeployment() && !shipObj.inDock) {
+                   rotateShipOnBoard(shipObj);
+                }
+            };
+
+            shipEl.onmousedown = (e) => onShipMouseDown(e, shipObj);
+            shipEl.ontouchstart = (e) => onShipTouchStart(e, shipObj);
+
+            dock.appendChild(shipEl);
+            myShips.push(shipObj);
+        });
+    }
+
+    function updateShipScale(shipEl, len, cellSize) {
+        const wrapper = shipEl.querySelector('.hull-scale-wrapper');
+        if (!wrapper) return;
+        
+        const originalWidth = parseFloat(wrapper.dataset.originalWidth);
+        if (!originalWidth) return;
+
+        const targetWidth = len * cellSize;
+        // 稍微缩小一点点 (0.95) 以留出间隙，避免视觉上过于拥挤
+        const scale = (targetWidth / originalWidth) * 0.95;
+        
+        wrapper.style.transform = `scale(${scale})`;
+    }
+
+    /**
+     * 按外形与朝向布置舰船元素的尺寸与船体
+     * 直线舰船沿用船体美术（竖直时整体旋转），其他外形按占格逐格绘制
+     *
+     * @param {HTMLElement} shipEl - 舰船元素（含 .ship-inner）
+     * @param {Object} ship - 船只或船型数据 { len, shape?, type, code }
+     * @param {number} rotation - 显示的朝向
+     * @param {number} cellSize - 格子尺寸（px）
+     */
+    function layoutShipElement(shipEl, ship, rotation, cellSize) {
+        if (isStraightShip(ship)) {
+            const widthPx = (ship.len * cellSize) + 'px';
+            const showVertical = rotation % 2 === 1;
+            shipEl.style.setProperty('--w', widthPx);
+            shipEl.style.setProperty('--h', cellSize + 'px');
+
+            // 动态计算缩放
+            updateShipScale(shipEl, ship.len, cellSize);
+
+            shipEl.classList.toggle('vertical', showVertical);
+            shipEl.style.width = showVertical ? cellSize + 'px' : widthPx;
+            shipEl.style.height = showVertical ? widthPx : cellSize + 'px';
+            return;
+        }
+
+        const { cells, rows, cols } = getOrientation(ship, rotation);
+        shipEl.classList.add('shaped');
+        shipEl.style.width = (cols * cellSize) + 'px';
+        shipEl.style.height = (rows * cellSize) + 'px';
+
+        const inner = shipEl.querySelector('.ship-inner');
+        inner.innerHTML = '';
+        cells.forEach(([dr, dc]) => {
+            const block = document.createElement('div');
+            block.className = `hull-block hull-block-${getShipHull(ship)}`;
+            block.style.left = (dc * cellSize) + 'px';
+            block.style.top = (dr * cellSize) + 'px';
+            block.style.width = cellSize + 'px';
+            block.style.height = cellSize + 'px';
+            inner.appendChild(block);
+        });
+    }
+
+    function updateShipVisuals(ship, isDragging = false) {
+        const cellSize = getCellSize();
+
+        // 港口中统一按初始朝向展示，上盘或拖拽时按实际朝向
+        const showRotation = (!ship.inDock || isDragging) ? getShipRotation(ship) : 0;
+        layoutShipElement(ship.el, ship, showRotation, cellSize);
+        
+        // 如果已经在棋盘上，需要更新位置
+        if (!ship.inDock && !isDragging) {
+            ship.el.style.left = (ship.c * cellSize) + 'px';
+            ship.el.style.top = (ship.r * cellSize) + 'px';
+        }
+    }
+
+    function toggleDeployMode() {
+        currentDeployMode = currentDeployMode === 'horizontal' ? 'vertical' : 'horizontal';
+        const btn = document.getElementById('rotate-toggle');
+        btn.innerText = currentDeployMode === 'horizontal' ? "部署方向:水平⮕" : "部署方向:垂直⬇";
+        
+        myShips.forEach(ship => {
+            if(ship.inDock) setShipRotation(ship, getDeployRotation());
+        });
+    }
+
+    function toggleFirstTurn() {
+        firstTurn = firstTurn === 'PLAYER' ? 'AI' : 'PLAYER';
+        updateFirstTurnUi();
+        notifyMatchSettingsChanged();
+    }
+
+    function updateFirstTurnUi() {
+        const icon = firstTurn === 'AI' && session.matchMode === MatchMode.VS_AI ? '🤖' : '👤';
+        const text = `先手：${getSideName(firstTurn)} ${icon}`;
+
+        const btn = document.getElementById('first-turn-toggle');
+        if (btn) btn.innerText = text;
+        
+        const mBtn = document.getElementById('mobile-first-turn');
+        if (mBtn) mBtn.innerText = text;
+    }
+
+    function toggleAiDebug() {
+        showAiDebug = !showAiDebug;
+        const text = showAiDebug ? "🧠 AI 视角: 开启" : "🧠 AI 视角: 关闭";
+        const bg = showAiDebug ? "#ed8936" : "";
+
+        const btn = document.getElementById('btn-debug');
+        if (btn) {
+            btn.innerText = text;
+            btn.style.background = bg;
+        }
+
+        const mBtn = document.getElementById('mobile-debug');
+        if (mBtn) {
+            mBtn.innerText = text;
+            mBtn.style.background = bg;
+        }
+        
+        if (showAiDebug) {
+            updateAiHeatmapVisuals();
+        } else {
+            clearAiHeatmapVisuals();
+        }
+    }
+
+    function updateAiHeatmapVisuals(precomputedMap = null) {
+        if (!showAiDebug) return;
+        // 概率图即使在准备阶段也可查看，便于调试
+        const viewGrid = getAiViewGrid();
+        const targets = myShips.filter(s => !s.sunk);
+        const probabilityMap = precomputedMap || (targets.length > 0 ? calculateProbabilityGrid(viewGrid, targets, AI_PROB_CONFIG, session.placementRule, session.getReconReports(Side.PLAYER)) : createEmptyGrid());
+
+        renderHeatmap(document.getElementById('player-grid'), probabilityMap);
+    }
+
+    function clearAiHeatmapVisuals() {
+        clearHeatmap(document.getElementById('player-grid'));
+    }
+
+    // === 拖拽逻辑 ===
+    let dragTarget = null;
+    let dragOffset = {x:0, y:0};
+    let isDragging = false;
+    let currentPreview = null;
+
+    // 统一处理坐标提取
+    function getEventPos(e) {
+        if (e.touches && e.touches.length > 0) {
+            return { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        } else if (e.changedTouches && e.changedTouches.length > 0) {
+            return { x: e.changedTouches[0].clientX, y: e.changedTouches[0].clientY };
+        }
+        return { x: e.clientX, y: e.clientY };
+    }
+
+    function onShipTouchStart(e, ship) {
+        if (e.touches.length > 1) return;
+        // 阻止默认行为以防止滚动，但要注意这可能会影响页面其他交互
+        // 在 ship 上阻止默认行为通常是安全的
+        if (e.cancelable) e.preventDefault();
+        
+        // 复用 MouseDown 逻辑，构造一个伪事件对象
+        const pos = getEventPos(e);
+        const fakeEvent = {
+            button: 0,
+            preventDefault: () => {},
+            clientX: pos.x,
+            clientY: pos.y,
+            target: e.target
+        };
+        onShipMouseDown(fakeEvent, ship);
+    }
+
+    function onShipMouseDown(e, ship) {
+        if (!canEditDeployment()) return;
+        if (e.button !== 0) return; 
+        e.preventDefault();
+
+        dragTarget = ship;
+        isDragging = false; 
+        currentPreview = null;
+
+        const rect = ship.el.getBoundingClientRect();
+        let clickOffsetX = e.clientX - rect.left;
+        let clickOffsetY = e.clientY - rect.top;
+
+        ship.el.classList.add('dragging');
+        
+        const isPortExit = ship.inDock && currentDeployMode === 'vertical';
+
+        if (ship.inDock) setShipRotation(ship, getDeployRotation());
+        updateShipVisuals(ship, true);
+
+        if (isPortExit) {
+            dragOffset.x = clickOffsetY;
+            dragOffset.y = clickOffsetX;
+        } else {
+            dragOffset.x = clickOffsetX;
+            dragOffset.y = clickOffsetY;
+        }
+
+        ship.el.style.left = (e.clientX - dragOffset.x) + 'px';
+        ship.el.style.top = (e.clientY - dragOffset.y) + 'px';
+        
+        document.body.appendChild(ship.el);
+        if (!ship.inDock) clearGrid(ship);
+    }
+
+    function onGlobalTouchMove(e) {
+        if (!dragTarget) return;
+        if (e.cancelable) e.preventDefault(); // 防止拖拽时滚动页面
+        const pos = getEventPos(e);
+        const fakeEvent = {
+            clientX: pos.x,
+            clientY: pos.y
+        };
+        onGlobalMouseMove(fakeEvent);
+    }
+
+    function onGlobalMouseMove(e) {
+        if (!dragTarget) return;
+        isDragging = true;
+        const ship = dragTarget;
+        ship.el.style.left = (e.clientX - dragOffset.x) + 'px';
+        ship.el.style.top = (e.clientY - dragOffset.y) + 'px';
+
+        clearHighlights();
+        
+        // 移动端兼容：elementFromPoint
+        const elemBelow = document.elementFromPoint(e.clientX, e.clientY);
+        if (!elemBelow) { currentPreview = null; return; }
+
+        const cell = elemBelow.closest('.cell');
+        const pGrid = document.getElementById('player-grid');
+        const cellSize = getCellSize(); // 动态获取
+
+        if (cell && pGrid.contains(cell)) {
+            const gridRect = pGrid.getBoundingClientRect();
+            const shipLeft = e.clientX - dragOffset.x;
+            const shipTop = e.clientY - dragOffset.y;
+            
+            const relX = shipLeft - gridRect.left + (cellSize/2);
+            const relY = shipTop - gridRect.top + (cellSize/2);
+            
+            const c = Math.floor(relX / cellSize);
+            const r = Math.floor(relY / cellSize);
+            
+            previewPlacement(ship, r, c);
+        } else {
+            currentPreview = null;
+        }
+    }
+
+    function onGlobalTouchEnd(e) {
+        if (!dragTarget) return;
+        const pos = getEventPos(e);
+        const fakeEvent = {
+            clientX: pos.x,
+            clientY: pos.y
+        };
+        onGlobalMouseUp(fakeEvent);
+    }
+
+    function onGlobalMouseUp(e) {
+        if (!dragTarget) return;
+        const ship = dragTarget;
+        ship.el.classList.remove('dragging');
+        const pGrid = document.getElementById('player-grid');
+        const gridRect = pGrid.getBoundingClientRect();
+        const cellSize = getCellSize(); // 动态获取
+
+        const isOverGrid = (
+            e.clientX >= gridRect.left && e.clientX <= gridRect.right &&
+            e.clientY >= gridRect.top && e.clientY <= gridRect.bottom
+        );
+
+        const previewPlacementInfo = (currentPreview && currentPreview.shipId === ship.id) ? currentPreview : null;
+
+        clearHighlights();
+        currentPreview = null;
+
+        let placed = false;
+
+        if (previewPlacementInfo && isValidPos(ship, previewPlacementInfo.r, previewPlacementInfo.c, previewPlacementInfo.rotation)) {
+            placeShip(ship, previewPlacementInfo.r, previewPlacementInfo.c, previewPlacementInfo.rotation);
+            placed = true;
+        } else if (isOverGrid) {
+            const shipLeft = e.clientX - dragOffset.x;
+            const shipTop = e.clientY - dragOffset.y;
+            const relX = shipLeft - gridRect.left + (cellSize/2);
+            const relY = shipTop - gridRect.top + (cellSize/2);
+            const c = Math.floor(relX / cellSize);
+            const r = Math.floor(relY / cellSize);
+            if (isValidPos(ship, r, c, ship.rotation)) {
+                placeShip(ship, r, c, ship.rotation);
+                placed = true;
+            }
+        }
+
+        if (!placed) {
+            returnToDock(ship);
+            if(isOverGrid) {
+                log(session.placementRule === PlacementRule.NO_TOUCH ? "无效位置：重叠、越界或与其他舰船相邻" : "无效位置：重叠或越界", "c-warn");
+            }
+        }
+
+        dragTarget = null;
+        setTimeout(() => isDragging = false, 50);
+        checkReady();
+    }
+
+    function previewPlacement(ship, r, c) {
+        const rotation = ship.rotation;
+        const isValid = isValidPos(ship, r, c, rotation);
+        const className = isValid ? 'highlight-valid' : 'highlight-invalid';
+        let covered = false;
+        for (const { r: nr, c: nc } of getFootprintCells(ship, r, c, rotation)) {
+            const cell = document.querySelector(`#player-grid .cell[data-r="${nr}"][data-c="${nc}"]`);
+            if(cell) {
+                cell.classList.add(className);
+                covered = true;
+            }
+        }
+
+        if (isValid && covered) {
+            currentPreview = { shipId: ship.id, r, c, rotation };
+        } else {
+            currentPreview = null;
+        }
+    }
+
+    function clearHighlights() {
+        document.querySelectorAll('.highlight-valid, .highlight-invalid').forEach(el => {
+            el.classList.remove('highlight-valid');
+            el.classList.remove('highlight-invalid');
+        });
+    }
+
+    function placeShip(ship, r, c, rotation) {
+        const pGrid = document.getElementById('player-grid');
+        const cellSize = getCellSize(); // 动态获取
+        ship.inDock = false;
+        ship.r = r; ship.c = c;
+        setShipRotation(ship, rotation);
+
+        // 1. 暂时禁用 transition，防止从 body -> grid 的坐标系变换产生飞入动画
+        ship.el.style.transition = 'none';
+
+        ship.el.style.position = 'absolute';
+        ship.el.style.margin = '0';
+        pGrid.appendChild(ship.el);
+
+        updateShipVisuals(ship);
+
+        ship.el.style.left = (c * cellSize) + 'px';
+        ship.el.style.top = (r * cellSize) + 'px';
+        
+        // 2. 强制浏览器重绘，确保新位置立即生效且无动画
+        void ship.el.offsetWidth;
+
+        // 3. 恢复 transition (清除内联样式，回退到 CSS 类定义的 transition)
+        ship.el.style.transition = ''; 
+
+        markGrid(ship, 1);
+    }
+
+    function returnToDock(ship) {
+        const dock = document.getElementById('dock');
+        
+        // 同样防止回港时的飞入动画
+        ship.el.style.transition = 'none';
+
+        ship.inDock = true;
+        ship.r = -1; ship.c = -1;
+        
+        // Fix 1: 重置时强制清除沉没状态
+        ship.sunk = false;
+        ship.hp = Array(ship.len).fill(ship.maxHp);
+        ship.el.classList.remove('sunk');
+        
+        setShipRotation(ship, getDeployRotation());
+        
+        ship.el.style.position = 'relative';
+        ship.el.style.left = 'auto';
+        ship.el.style.top = 'auto';
+        ship.el.style.margin = '0';
+        
+        updateShipVisuals(ship);
+        dock.appendChild(ship.el);
+
+        // 强制重绘并恢复
+        void ship.el.offsetWidth;
+        ship.el.style.transition = '';
+    }
+
+    /**
+     * 原地旋转：依次尝试后续朝向，取第一个放得下的
+     */
+    function rotateShipOnBoard(ship) {
+        const orientations = getOrientations(ship);
+        if (orientations.length === 1) {
+            shake(ship.el); // 2×2 等外形旋转后不变
+            return;
+        }
+        clearGrid(ship);
+        const current = orientations.findIndex(o => o.rotation === ship.rotation);
+        for (let i = 1; i < orientations.length; i++) {
+            const { rotation } = orientations[(current + i) % orientations.length];
+            if (isValidPos(ship, ship.r, ship.c, rotation)) {
+                placeShip(ship, ship.r, ship.c, rotation);
+                return;
+            }
+        }
+        markGrid(ship, 1);
+        shake(ship.el);
+        log("旋转空间不足", "c-warn");
+    }
+
+    /**
+     * 港口出发的舰船使用的朝向（由部署方向按钮决定）
+     */
+    function getDeployRotation() {
+        return currentDeployMode === 'vertical' ? 1 : 0;
+    }
+
+    /**
+     * 设置舰船朝向（外形相同的旋转归并为同一朝向），同步直线舰船的 vertical
+     */
+    function setShipRotation(ship, rotation) {
+        ship.rotation = getOrientation(ship, rotation).rotation;
+        ship.vertical = ship.rotation % 2 === 1;
+    }
+
+    function shake(el) {
+        el.classList.remove('shake');
+        void el.offsetWidth;
+        el.classList.add('shake');
+    }
+
+    function isValidPos(ship, r, c, rotation) {
+        const cells = getFootprintCells(ship, r, c, rotation);
+        const inside = cells.every(({ r: nr, c: nc }) =>
+            nr >= 0 && nc >= 0 && nr < boardSize && nc < boardSize && myGridMap[nr][nc] !== 1
+        );
+        if (!inside) return false;
+        // 禁止相邻：周围一圈（含斜角）不能有其他舰船
+        return session.placementRule !== PlacementRule.NO_TOUCH
+            || getSurroundingCells(cells, boardSize).every(({ r: nr, c: nc }) => myGridMap[nr][nc] !== 1);
+    }
+
+    function markGrid(ship, val) {
+        for (const { r: nr, c: nc } of getShipCells(ship)) {
+            if (nr >= 0 && nc >= 0 && nr < boardSize && nc < boardSize) myGridMap[nr][nc] = val;
+        }
+    }
+    function clearGrid(ship) { markGrid(ship, 0); }
+
+    // === 按钮功能 ===
+    /**
+     * 部署阶段能否调整舰船（联机对战中声明就绪后锁定）
+     */
+    function canEditDeployment() {
+        return session.phase === GamePhase.SETUP && !online?.ready;
+    }
+
+    function resetToDock() {
+        if (session.phase === GamePhase.SETUP && !canEditDeployment()) return;
+        myGridMap = createEmptyGrid();
+        myShips.forEach(s => returnToDock(s));
+        checkReady();
+    }
+
+    function autoDeploy() {
+        if (!canEditDeployment()) return;
+        resetToDock();
+        setTimeout(() => {
+            // 使用 AI 部署模块生成稀疏分布的船只配置
+            const placements = aiDeployShips(fleetDefs, boardSize, new SeededRandom(), session.placementRule);
+            
+            // 根据生成的配置放置玩家船只
+            placements.forEach(placement => {
+                // 通过 code 匹配对应的玩家船只对象
+                const ship = myShips.find(s => s.code === placement.code);
+                if (ship) {
+                    placeShip(ship, placement.r, placement.c, placement.rotation);
+                }
+            });
+            
+            checkReady();
+        }, 50);
+    }
+
+    function checkReady() {
+        const allReady = myShips.every(s => !s.inDock) && (!online || canDeclareOnlineReady());
+        const btn = document.getElementById('start-btn');
+        const mbBtn = document.getElementById('mb-btn-start');
+        
+        if (session.phase === GamePhase.SETUP) {
+            btn.disabled = !allReady;
+            if(mbBtn) mbBtn.disabled = !allReady;
+            
+            if(allReady) {
+                btn.className = "btn-orange";
+            } else {
+                btn.disabled = true;
+            }
+        }
+    }
+
+    function handleStartOrRestart() {
+        const btn = document.getElementById('start-btn');
+        if (session.phase !== GamePhase.SETUP) {
+            if(confirm("确定要结束当前战斗并重新开始吗？")) {
+                resetGameFull();
+            }
+        } else if (isHotSeat() && !deployedFleet) {
+            finishFirstDeployment();
+        } else if (isOnline()) {
+            declareOnlineReady();
+        } else {
+            startGame();
+        }
+    }
+
+    function resetGameFull() {
+        if (replayViewer.isOpen()) replayViewer.close();
+        if (spectatorView.isOpen()) spectatorView.close();
+        document.body.classList.remove('game-playing'); // 移除战斗状态类
+        battleSound.stopMusic();
+        clearAiTurnTimeout();
+        clearHandover();
+        if (online) resetOnlineMatch();
+        if (scenario) leaveScenario();
+        if (daily) leaveDaily();
+        if (campaign) leaveCampaign();
+        session.reset();
+        replayRecorder.clear();
+        salvoTargets = [];
+        viewerSide = Side.PLAYER;
+        deployedFleet = null;
+        lastAttackCells = [];
+        document.getElementById('dock').style.display = 'flex';
+        document.getElementById('battle-panel').style.display = 'none';
+        
+        // 切换移动端底部栏
+        const mbDeploy = document.getElementById('mb-deploy-group');
+        const mbCombat = document.getElementById('mb-combat-group');
+        if(mbDeploy) mbDeploy.style.display = 'flex';
+        if(mbCombat) mbCombat.style.display = 'none';
+        
+        document.getElementById('dock').style.pointerEvents = 'auto';
+        document.getElementById('dock').style.opacity = 1;
+        
+        // Enable controls
+        const controls = [
+            'rotate-toggle', 'first-turn-toggle', 'btn-debug', 'btn-reset', 'btn-random',
+            'mobile-first-turn', 'mobile-debug', 'mobile-reset',
+            'mobile-menu-random', 'mobile-menu-reset',
+            ...MATCH_SETTING_CONTROLS
+        ];
+        controls.forEach(id => {
+            const el = document.getElementById(id);
+            if(el) el.disabled = false;
+        });
+
+        const btn = document.getElementById('start-btn');
+        btn.className = "btn-orange";
+        btn.disabled = true;
+        
+        const mbBtn = document.getElementById('mb-btn-start');
+        if(mbBtn) mbBtn.disabled = true;
+        updateMatchModeUi(); // 开始按钮文字、棋盘标题，以及双人同屏下禁用的 AI 相关控件
+
+        initGrids();
+        document.getElementById('enemy-grid').style.pointerEvents = 'none';
+        myGridMap = createEmptyGrid();
+        resetToDock();
+        battleLog = [];
+        matchSeed = null;
+        fleetCommitments = {};
+        fleetVerification = {};
+        showCurrentSeed();
+        clearBattle();
+        setContinueVisible(false);
+        document.getElementById('log').innerHTML = '<div class="log-line c-sys">游戏已重置。</div>';
+        if (online) announceOnlineState();
+        
+        // 重置时切回我方视角以便部署
+        switchMobileView('player');
+    }
+
+    function startGame() {
+        if (spectatorView.isOpen()) spectatorView.close(); // 观战占用了 AI 的决策状态，开局前先退出
+        clearAiTurnTimeout();
+        enterBattleUI();
+
+        // 同一种子 + 同样的玩家操作可复现整局：敌方布局用主种子，AI 决策用派生种子
+        matchSeed = isDaily() ? getDailySeed(daily.key) : readSeedInput() ?? randomSeed();
+        resetAIState(deriveSeed(matchSeed, 1), session.boardSize, session.placementRule); // 重置 AI 内部状态（伤害记录、随机数、规则）
+        if (isHotSeat()) {
+            // 双人同屏：双方舰队都由玩家部署，myShips 此时是玩家2 的舰队
+            session.setFleet(Side.PLAYER, deployedFleet);
+            session.setFleet(Side.AI, myShips);
+            deployedFleet = null;
+        } else if (isOnline()) {
+            // 联机：对手的布局留在对方设备上，这里只有舰队定义，位置随攻击回报逐步得知
+            session.setFleet(Side.PLAYER, myShips);
+            session.setFleet(Side.AI, createHiddenFleet(fleetDefs));
+        } else {
+            session.setFleet(Side.PLAYER, myShips);
+            initEnemy(new SeededRandom(matchSeed));
+        }
+        session.start(firstTurn);
+        replayRecorder.start({ session, difficulty: currentDifficulty, firstTurn, seed: matchSeed });
+        showCurrentSeed();
+        clearSalvoTargets();
+        updateStatus();
+        selectWeapon(DEFAULT_WEAPON);
+        aiStack = []; 
+
+        if (isHotSeat()) {
+            log(`双人同屏对战开始！${getSideName(session.turn)}先手。`, "c-warn");
+        } else if (isOnline()) {
+            log(session.turn === Side.PLAYER ? "联机对战开始！我方先手，点击敌方海域开火。" : "联机对战开始！对手先手，等待对手开火。", "c-warn");
+        } else if (isCampaign()) {
+            log(`任务「${campaign.mission.title}」开始！点击敌方海域开火。`, "c-warn");
+        } else if (isDaily()) {
+            log(`每日挑战 ${daily.key} 开始！今天所有人面对相同的敌方布局，点击敌方海域开火。`, "c-warn");
+        } else if (session.turn === Side.PLAYER) {
+            log("战斗开始！玩家先手，点击敌方海域开火。", "c-warn");
+        } else {
+            log("战斗开始！电脑先手。", "c-warn");
+        }
+        log(`棋盘 ${session.boardSize}×${session.boardSize}，本局种子：${matchSeed}`, "c-sys");
+        log(`摆放规则：${describePlacementRule(session.placementRule)}`, "c-sys");
+        log(`开火规则：${describeFiringMode(session.firingMode)}`, "c-sys");
+        if (isCampaign()) {
+            log(`敌方舰队：${session.getShips(Side.AI).map(ship => ship.name).join('、')}`, "c-sys");
+        } else if (!isSameFleet(fleetDefs, SHIP_TYPES)) {
+            log(`双方使用自定义舰队：${fleetDefs.map(def => def.name).join('、')}`, "c-sys");
+        }
+        publishFleetCommitments();
+        autosave();
+        resumeTurn();
+    }
+
+    /**
+     * 切换到战斗阶段的界面（隐藏部署区、锁定部署控件）
+     */
+    function enterBattleUI() {
+        document.body.classList.add('game-playing'); // 添加战斗状态类，用于 CSS 控制武器栏显示
+        battleSound.startMusic();
+        document.getElementById('dock').style.display = 'none';
+        document.getElementById('battle-panel').style.display = 'flex';
+        setContinueVisible(false);
+        
+        // 切换移动端底部栏
+        const mbDeploy = document.getElementById('mb-deploy-group');
+        const mbCombat = document.getElementById('mb-combat-group');
+        if(mbDeploy) mbDeploy.style.display = 'none';
+        if(mbCombat) mbCombat.style.display = 'flex';
+        
+        // Disable setup controls
+        const disableList = [
+            'rotate-toggle', 'first-turn-toggle', 'btn-reset', 'btn-random',
+            'mobile-first-turn', 'mobile-reset',
+            'mobile-menu-random', 'mobile-menu-reset',
+            ...MATCH_SETTING_CONTROLS
+        ];
+        disableList.forEach(id => {
+            const el = document.getElementById(id);
+            if(el) el.disabled = true;
+        });
+        
+        // Debug remains active
+        
+        myShips.forEach(s => s.el.style.cursor = 'default');
+        
+        const btn = document.getElementById('start-btn');
+        btn.innerText = "🔄 重新开始";
+        btn.className = "btn-restart";
+    }
 
-        const rect = ship.el.getBoundingClientRect();
-        let clickOffsetX = e.clientX - rect.left;
-        let clickOffsetY = e.clientY - rect.top;
+    /**
+     * 根据 session 的行动方交出操作权
+     */
+    function resumeTurn() {
+        if (isHotSeat()) {
+            // 双人同屏：先遮住棋盘，行动方确认接手后再切换视角
+            document.getElementById('enemy-grid').style.pointerEvents = 'none';
+            showHandover(session.turn, `轮到${getSideName(session.turn)}行动。`, beginHotSeatTurn);
+            return;
+        }
+        if (session.turn === Side.PLAYER) {
+            // 联机时已发出的行动仍在等待回报，不能再次开火
+            document.getElementById('enemy-grid').style.pointerEvents = online?.pendingAction ? 'none' : 'auto';
+            switchMobileView('enemy'); // 自动切到敌方视角
+        } else {
+            document.getElementById('enemy-grid').style.pointerEvents = 'none';
+            switchMobileView('player'); // 自动切到我方视角
+            // 联机时等待对手的行动消息
+            if (isOnline()) return;
+            // AI 先手时的初始延迟，使用 AI_ACTION_DELAY 即可
+            scheduleAiTurn(getTiming().AI_ACTION_DELAY); 
+        }
+    }
 
-        ship.el.classList.add('dragging');
-        
-        const isPortExit = ship.inDock && currentDeployMode === 'vertical';
+    /**
+     * 双人同屏：切换到行动方的视角并交出操作权
+     */
+    function beginHotSeatTurn() {
+        if (!session.isPlaying()) return;
+        showSidePerspective(session.turn);
+        clearSalvoTargets();
+        updateStatus();
+        log(`—— ${getSideName(viewerSide)} 的回合 ——`, "c-sys");
+        document.getElementById('enemy-grid').style.pointerEvents = 'auto';
+        switchMobileView('enemy');
+    }
 
-        if (ship.inDock) ship.vertical = (currentDeployMode === 'vertical');
-        updateShipVisuals(ship, true);
+    /**
+     * 按指定一方的视角重绘双方棋盘：
+     * 我方棋盘显示该方的舰船与所受攻击，敌方棋盘显示其对手在战争迷雾下的状态
+     * @param {string} side - 视角方
+     */
+    function showSidePerspective(side) {
+        battleRenderer.flush(); // 上一视角尚未播完的事件先落定，再清空棋盘
+        viewerSide = side;
+        const pGrid = document.getElementById('player-grid');
+        const eGrid = document.getElementById('enemy-grid');
+        pGrid.querySelectorAll('.ship').forEach(el => el.remove());
+        eGrid.querySelectorAll('.revealed-enemy-ship').forEach(el => el.remove());
+        [pGrid, eGrid].forEach(grid => grid.querySelectorAll('.cell').forEach(cell => cell.className = 'cell'));
+        [pGrid, eGrid].forEach(grid => grid.querySelectorAll('.recon-badge').forEach(el => el.remove()));
 
-        if (isPortExit) {
-            dragOffset.x = clickOffsetY;
-            dragOffset.y = clickOffsetX;
+        myShips = session.getShips(side);
+        myShips.forEach(ship => {
+            placeShip(ship, ship.r, ship.c, getShipRotation(ship));
+            ship.el.classList.toggle('sunk', ship.sunk);
+            ship.el.style.cursor = 'default';
+        });
+        renderSessionBoards();
+        session.getShips(session.getOpponent(side)).forEach(ship => {
+            if (ship.sunk) revealSingleEnemyShip(ship);
+        });
+        lastAttackCells.forEach(({ r, c }) => {
+            const cell = pGrid.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+            if (cell) cell.classList.add('last-enemy-attack');
+        });
+        updateBoardTitles(side);
+    }
+
+    // === 存档与读档 ===
+
+    /**
+     * 自动存档：每次结算后调用，对局结束时清除存档
+     */
+    function autosave() {
+        if (session.phase === GamePhase.END) {
+            clearBattle();
+            return;
+        }
+        if (!session.isPlaying()) return;
+        saveBattle(createSnapshot({
+            session,
+            difficulty: currentDifficulty,
+            firstTurn,
+            aiState: exportAIState(),
+            log: battleLog,
+            replay: replayRecorder.getReplay(),
+            seed: matchSeed,
+            online: online ? exportOnlineState() : null,
+            commitments: fleetCommitments,
+            scenario: scenario ? { id: scenario.def.id, usage: scenario.usage } : null,
+            daily: daily ? daily.key : null,
+            campaign: campaign ? campaign.mission.id : null
+        }));
+    }
+
+    function setContinueVisible(visible) {
+        ['btn-continue', 'mobile-menu-continue'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? '' : 'none';
+        });
+    }
+
+    /**
+     * 启动时检查本地存档，有可恢复的战斗则显示「继续战斗」入口
+     */
+    function checkSavedBattle() {
+        const { snapshot, reason } = loadBattle();
+        if (snapshot) {
+            setContinueVisible(true);
+            log("检测到未完成的战斗，点击「继续战斗」即可恢复。", "c-warn");
         } else {
-            dragOffset.x = clickOffsetX;
-            dragOffset.y = clickOffsetY;
+            setContinueVisible(false);
+            if (reason) {
+                log(`旧存档已丢弃：${reason}`, "c-sys");
+                clearBattle();
+            }
         }
+    }
 
-        ship.el.style.left = (e.clientX - dragOffset.x) + 'px';
-        ship.el.style.top = (e.clientY - dragOffset.y) + 'px';
-        
-        document.body.appendChild(ship.el);
-        if (!ship.inDock) clearGrid(ship);
+    /**
+     * 恢复本地存档中的战斗
+     */
+    function continueSavedBattle() {
+        const { snapshot, reason } = loadBattle();
+        if (!snapshot) {
+            log(`无法恢复存档：${reason || '存档不存在'}`, "c-warn");
+            clearBattle();
+            setContinueVisible(false);
+            return;
+        }
+
+        if (online) disconnectOnline();
+        resetGameFull();
+        if (snapshot.session.matchMode === MatchMode.SCENARIO) {
+            continueScenario(snapshot);
+            return;
+        }
+        if (snapshot.session.matchMode === MatchMode.DAILY) {
+            enterDaily(snapshot.daily); // 每日挑战的舰队与规则固定，不改动玩家自己的设置
+        } else if (snapshot.session.matchMode === MatchMode.CAMPAIGN) {
+            const mission = getCampaignMission(snapshot.campaign);
+            if (!mission) {
+                log("无法恢复存档：存档中的战役任务已不存在", "c-warn");
+                clearBattle();
+                setContinueVisible(false);
+                return;
+            }
+            enterCampaign(mission, fleetFromShips(snapshot.session.fleets[Side.PLAYER]));
+        } else {
+            // 存档自带舰队，按存档的舰队重建港口舰船（可能与当前编辑的舰队不同）
+            applyFleet(fleetFromShips(snapshot.session.fleets[Side.PLAYER]), { silent: true });
+            setBoardSize(snapshot.session.boardSize, { silent: true });
+        }
+        setDifficulty(snapshot.difficulty, { silent: true });
+        if (snapshot.firstTurn !== firstTurn) toggleFirstTurn();
+
+        const fleetTargets = { [Side.PLAYER]: myShips };
+        if (snapshot.session.matchMode === MatchMode.HOT_SEAT) {
+            // 双人同屏时玩家2 的舰船同样需要舰船元素（交接后显示在我方棋盘）
+            const playerShips = myShips;
+            initShips();
+            fleetTargets[Side.AI] = myShips;
+            myShips = playerShips;
+        }
+        session.restore(snapshot.session, fleetTargets); // 摆放、开火规则与对战模式随存档恢复
+        updatePlacementRuleUi();
+        updateFiringModeUi();
+        updateMatchModeUi();
+        importAIState(snapshot.aiState);
+        matchSeed = snapshot.seed; // 迁移自旧存档时为 null
+        fleetCommitments = snapshot.commitments; // 迁移自旧存档时没有舰队承诺，结束时不做核对
+        showCurrentSeed();
+        replayRecorder.resume(snapshot.replay); // 迁移自旧存档时为 null，本局不再录制
+
+        // 玩家船只回到棋盘（placeShip 不改动 hp/sunk）
+        myShips.forEach(ship => {
+            placeShip(ship, ship.r, ship.c, getShipRotation(ship));
+            if (ship.sunk) ship.el.classList.add('sunk');
+        });
+
+        // 按 session 数据重绘双方棋盘（双人同屏时交接后再切换到行动方视角）
+        renderSessionBoards();
+        session.getShips(session.getOpponent(viewerSide)).forEach(ship => {
+            if (ship.sunk) revealSingleEnemyShip(ship);
+        });
+
+        // 恢复战况记录
+        battleLog = [];
+        document.getElementById('log').innerHTML = '';
+        snapshot.log.forEach(entry => appendLogEntry(entry));
+
+        enterBattleUI();
+        updateStatus();
+        selectWeapon(DEFAULT_WEAPON);
+        if (showAiDebug) updateAiHeatmapVisuals();
+
+        log(`已恢复上次的战斗（第 ${session.turnCount + 1} 回合）。`, "c-warn");
+        if (isOnline()) {
+            // 重新加入原来的房间，连上后与对手交换状态补齐断线期间的进度
+            connectOnline(snapshot.online);
+        }
+        autosave();
+        resumeTurn();
     }
 
-    function onGlobalTouchMove(e) {
-        if (!dragTarget) return;
-        if (e.cancelable) e.preventDefault(); // 防止拖拽时滚动页面
-        const pos = getEventPos(e);
-        const fakeEvent = {
-            clientX: pos.x,
-            clientY: pos.y
+    /**
+     * 将 session 中双方网格的状态与侦察回报整体渲染到棋盘（我方棋盘为视角方）
+     * 复用 BattleRenderer 的格子渲染逻辑
+     */
+    function renderSessionBoards() {
+        const stateNames = { 1: 'MISS', 2: 'HIT', 3: 'DESTROYED', 4: 'SUSPECT', 5: 'DESTROYED', 6: 'OCCUPIED' };
+        const events = [];
+        [[viewerSide, 'PLAYER'], [session.getOpponent(viewerSide), 'ENEMY']].forEach(([side, grid]) => {
+            session.getViewGrid(side).forEach((row, r) => row.forEach((state, c) => {
+                if (!stateNames[state]) return;
+                const event = createCellUpdateEvent(r, c, stateNames[state]);
+                event.payload.grid = grid;
+                events.push(event);
+            }));
+            session.getReconReports(side).forEach(report => {
+                const event = createLineReportEvent(report);
+                event.payload.grid = grid;
+                events.push(event);
+            });
+        });
+        battleRenderer.render(events);
+        renderDefenseMarkers();
+    }
+
+    // === 对局种子 ===
+
+    /**
+     * 读取玩家指定的种子，留空返回 null（随机）
+     * @returns {number|null}
+     */
+    function readSeedInput() {
+        const input = document.getElementById('seed-input');
+        return input ? normalizeSeed(input.value) : null;
+    }
+
+    function showCurrentSeed() {
+        const el = document.getElementById('current-seed');
+        if (el) el.innerText = matchSeed === null ? '' : `本局种子：${matchSeed}`;
+    }
+
+    /**
+     * 菜单中的音量与静音（设置保存在本地）；每次点击或按键都尝试解锁音频，浏览器中途挂起的音频上下文也随之恢复
+     */
+    function initSoundControls() {
+        document.addEventListener('pointerdown', () => battleSound.unlock());
+        document.addEventListener('keydown', () => battleSound.unlock());
+
+        const slider = document.getElementById('sound-volume');
+        const muteBtn = document.getElementById('sound-mute');
+        const update = () => {
+            slider.value = Math.round(battleSound.getVolume() * 100);
+            muteBtn.innerText = battleSound.isMuted() ? '🔇 静音' : '🔊 开启';
         };
-        onGlobalMouseMove(fakeEvent);
+        slider.addEventListener('input', () => battleSound.setVolume(Number(slider.value) / 100));
+        slider.addEventListener('change', () => battleSound.preview());
+        muteBtn.addEventListener('click', () => {
+            battleSound.setMuted(!battleSound.isMuted());
+            update();
+            battleSound.preview();
+        });
+        update();
     }
 
-    function onGlobalMouseMove(e) {
-        if (!dragTarget) return;
-        isDragging = true;
-        const ship = dragTarget;
-        ship.el.style.left = (e.clientX - dragOffset.x) + 'px';
-        ship.el.style.top = (e.clientY - dragOffset.y) + 'px';
+    /**
+     * 支持通过 ?seed=xxx 预填种子，便于直接打开问题报告中的对局
+     */
+    function initSeedInput() {
+        const input = document.getElementById('seed-input');
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (input && seed) input.value = seed;
+    }
 
-        clearHighlights();
+    // === 敌方与AI ===
+
+    /**
+     * @param {SeededRandom} rng - 敌方布局使用的随机数生成器
+     */
+    function initEnemy(rng) {
+        // 1. 清理敌方网格 UI (修复重叠问题)
+        const eGrid = document.getElementById('enemy-grid');
+        eGrid.querySelectorAll('.wreck').forEach(el => el.remove());
+        eGrid.querySelectorAll('.revealed-enemy-ship').forEach(el => el.remove()); // 清理显示的敌舰
+        eGrid.querySelectorAll('.recon-badge').forEach(el => el.remove());
+        eGrid.querySelectorAll('.cell').forEach(cell => {
+            cell.className = 'cell';
+            // 移除可能存在的内部标记
+            while(cell.firstChild) cell.removeChild(cell.firstChild);
+        });
+
+        // 2. 使用 AI 部署模块生成船只配置（稀疏分布策略）
+        const enemyFleet = campaign ? buildCampaignFleet(campaign.mission.enemy) : fleetDefs; // 战役的敌方舰队由任务决定
+        const placements = aiDeployShips(enemyFleet, session.boardSize, rng, session.placementRule);
         
-        // 移动端兼容：elementFromPoint
-        const elemBelow = document.elementFromPoint(e.clientX, e.clientY);
-        if (!elemBelow) { currentPreview = null; return; }
+        // 3. 初始化数据（网格由 session 根据舰队生成）
+        const ships = placements.map((placement, idx) =>
+            createShip(placement, idx, { r: placement.r, c: placement.c, rotation: placement.rotation })
+        );
+        session.setFleet(Side.AI, ships);
+    }
 
-        const cell = elemBelow.closest('.cell');
-        const pGrid = document.getElementById('player-grid');
-        const cellSize = getCellSize(); // 动态获取
+    /**
+     * 武器栏：按武器定义生成按钮（齐射按钮保持在最后）
+     */
+    function renderWeaponBar() {
+        const salvoBtn = document.getElementById('btn-salvo-fire');
+        WEAPON_IDS.forEach(id => {
+            const { label, icon } = getWeaponDefinition(id);
+            const btn = document.createElement('button');
+            btn.className = 'weapon-btn';
+            btn.id = `btn-${id.toLowerCase()}`;
+            btn.dataset.weapon = id;
+            btn.classList.toggle('active', id === currentWeapon);
 
-        if (cell && pGrid.contains(cell)) {
-            const gridRect = pGrid.getBoundingClientRect();
-            const shipLeft = e.clientX - dragOffset.x;
-            const shipTop = e.clientY - dragOffset.y;
-            
-            const relX = shipLeft - gridRect.left + (cellSize/2);
-            const relY = shipTop - gridRect.top + (cellSize/2);
-            
-            const c = Math.floor(relX / cellSize);
-            const r = Math.floor(relY / cellSize);
-            
-            previewPlacement(ship, r, c);
-        } else {
-            currentPreview = null;
+            const name = document.createElement('span');
+            name.innerText = `${icon} ${label}`;
+            const desc = document.createElement('span');
+            desc.className = 'weapon-desc';
+            desc.style.cssText = 'font-size:10px; opacity:0.8';
+            btn.append(name, desc);
+            salvoBtn.before(btn);
+        });
+    }
+
+    function getWeaponButton(id) {
+        return document.querySelector(`.weapon-btn[data-weapon="${id}"]`);
+    }
+
+    function selectWeapon(type) {
+        currentWeapon = type;
+        document.querySelectorAll('.weapon-btn').forEach(btn => btn.classList.remove('active'));
+        getWeaponButton(type).classList.add('active');
+
+        // 防御武器的目标在我方棋盘
+        const defensive = isDefensiveWeapon(type);
+        document.getElementById('player-grid').classList.toggle('defense-targeting', defensive);
+        if (defensive && session.isPlaying()) switchMobileView('player');
+
+        // 更新移动端武器按钮显示
+        const mbName = document.getElementById('mb-weapon-name');
+        const mbIcon = document.getElementById('mb-weapon-icon');
+        if (mbName && mbIcon) {
+            const { label, icon } = getWeaponDefinition(type);
+            mbName.innerText = label;
+            mbIcon.innerText = icon;
         }
     }
 
-    function onGlobalTouchEnd(e) {
-        if (!dragTarget) return;
-        const pos = getEventPos(e);
-        const fakeEvent = {
-            clientX: pos.x,
-            clientY: pos.y
+    function updateWeaponStates() {
+        const salvo = isSalvoMode();
+        const abilities = getFleetAbilities(myShips);
+        const stock = session.getWeaponStock(viewerSide);
+        // 残局挑战中还受本关可用武器与次数限制，战役中只能使用已解锁的武器
+        const allowed = weapon => {
+            if (scenario) return isScenarioWeaponAllowed(scenario.def, scenario.usage, weapon);
+            if (campaign) return campaign.weapons.includes(weapon);
+            return true;
         };
-        onGlobalMouseUp(fakeEvent);
+        // 齐射只有默认武器（主炮）；联机对战中没有防御行动；弹药耗尽或冷却中的武器暂不可选
+        const enabled = {};
+        WEAPON_IDS.forEach(id => {
+            const salvoWeapon = id === DEFAULT_WEAPON;
+            enabled[id] = isWeaponAvailable(id, abilities) && (!salvo || salvoWeapon) && allowed(id)
+                && !(isOnline() && isDefensiveWeapon(id)) && isWeaponReady(stock, id);
+            const btn = getWeaponButton(id);
+            btn.disabled = !enabled[id];
+            btn.style.display = salvo && !salvoWeapon ? 'none' : '';
+            const stockText = formatWeaponStock(stock, id);
+            btn.querySelector('.weapon-desc').innerText = salvo && salvoWeapon
+                ? `${getSalvoSize(myShips)} 发 × ${abilities.apDamage}伤`
+                : formatWeaponSummary(id, abilities, getSelectedAim(id)) + (stockText ? ` · ${stockText}` : '');
+        });
+        ['btn-salvo-fire', 'mb-btn-salvo'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.style.display = salvo ? '' : 'none';
+        });
+        const mbWeapon = document.getElementById('mb-btn-weapon');
+        if (mbWeapon) mbWeapon.style.display = salvo ? 'none' : '';
+        
+        if (!enabled[currentWeapon]) {
+            const fallback = WEAPON_IDS.find(weapon => enabled[weapon]);
+            if (fallback) selectWeapon(fallback);
+        }
+        updateSalvoUi();
     }
 
-    function onGlobalMouseUp(e) {
-        if (!dragTarget) return;
-        const ship = dragTarget;
-        ship.el.classList.remove('dragging');
-        const pGrid = document.getElementById('player-grid');
-        const gridRect = pGrid.getBoundingClientRect();
-        const cellSize = getCellSize(); // 动态获取
+    // === 齐射 ===
 
-        const isOverGrid = (
-            e.clientX >= gridRect.left && e.clientX <= gridRect.right &&
-            e.clientY >= gridRect.top && e.clientY <= gridRect.bottom
-        );
+    /**
+     * 本轮需要选定的目标数：存活舰船数，但不超过仍可攻击的格子数
+     */
+    function getRequiredSalvoCount() {
+        const context = buildViewerContext();
+        const weapon = weaponRegistry.get(DEFAULT_WEAPON);
+        let available = 0;
+        for (let r = 0; r < session.boardSize; r++) {
+            for (let c = 0; c < session.boardSize; c++) {
+                if (weapon.isValidTarget({ r, c }, context)) available++;
+            }
+        }
+        return Math.min(getSalvoSize(myShips), available);
+    }
+
+    function updateSalvoUi() {
+        if (!isSalvoMode() || !session.isPlaying()) return;
+        const required = getRequiredSalvoCount();
+        const ready = session.turn === viewerSide && salvoTargets.length === required;
+        ['btn-salvo-fire', 'mb-btn-salvo'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (!btn) return;
+            btn.disabled = !ready;
+            btn.querySelector('.salvo-count').innerText = `${salvoTargets.length}/${required}`;
+        });
+    }
+
+    function clearSalvoTargets() {
+        salvoTargets = [];
+        document.querySelectorAll('#enemy-grid .salvo-target').forEach(el => el.classList.remove('salvo-target'));
+    }
+
+    /**
+     * 选定或取消一个齐射目标（结果在开火后才揭晓）
+     */
+    function toggleSalvoTarget(r, c) {
+        const cell = document.querySelector(`#enemy-grid .cell[data-r="${r}"][data-c="${c}"]`);
+        const index = salvoTargets.findIndex(t => t.r === r && t.c === c);
+        if (index !== -1) {
+            salvoTargets.splice(index, 1);
+            if (cell) cell.classList.remove('salvo-target');
+        } else {
+            const context = buildViewerContext();
+            if (!weaponRegistry.get(DEFAULT_WEAPON).isValidTarget({ r, c }, context)) return;
+            const required = getRequiredSalvoCount();
+            if (salvoTargets.length >= required) {
+                log(`本轮最多选定 ${required} 个目标，再次点击已选目标可取消`, "c-warn");
+                return;
+            }
+            salvoTargets.push({ r, c });
+            if (cell) cell.classList.add('salvo-target');
+        }
+        updateSalvoUi();
+    }
+
+    function fireSalvo() {
+        if (!session.isPlaying() || session.turn !== viewerSide || !isSalvoMode()) return;
+        if (document.getElementById('enemy-grid').style.pointerEvents === 'none') return;
+        const required = getRequiredSalvoCount();
+        if (salvoTargets.length !== required) {
+            log(`请先选定 ${required} 个目标`, "c-warn");
+            return;
+        }
+
+        const shots = salvoTargets.map(({ r, c }) => ({ weapon: DEFAULT_WEAPON, r, c }));
+        if (isOnline()) {
+            sendOnlineAction(shots);
+            return;
+        }
+        const result = weaponService.executeSalvo(shots, buildViewerContext());
+        if (!result.success) {
+            log(`齐射失败：${result.reason}`, "c-warn");
+            return;
+        }
+        clearSalvoTargets();
+        recordViewerAction(shots, result.events);
+        if (result.shipsSunk.length > 0) checkWin();
+        session.endTurn();
+        autosave();
+        finishPlayerTurn();
+    }
+
+    function updateStatus() {
+        const list = document.getElementById('ship-status-list');
+        list.innerHTML = '';
+        myShips.forEach(ship => {
+            const row = document.createElement('div');
+            row.className = 'ship-status-row';
+            
+            const name = document.createElement('span');
+            name.innerText = ship.name;
+            if (ship.sunk) {
+                name.style.textDecoration = 'line-through';
+                name.style.color = '#fc8181';
+            }
+            // 能力标签（沉没后变暗，表示舰队失去该能力）
+            getShipAbilities(ship).forEach(ability => {
+                const tag = document.createElement('span');
+                tag.className = ship.sunk ? 'ship-ability-tag lost' : 'ship-ability-tag';
+                tag.innerText = ABILITY_LABELS[ability];
+                name.appendChild(tag);
+            });
+            
+            const hpContainer = document.createElement('div');
+            hpContainer.className = 'hp-blocks';
+            
+            ship.hp.forEach(hp => {
+                const block = document.createElement('div');
+                block.className = 'hp-block';
+                if (hp <= 0) block.classList.add('lost');
+                else if (hp < ship.maxHp) block.classList.add('dmg');
+                hpContainer.appendChild(block);
+            });
+            
+            row.appendChild(name);
+            row.appendChild(hpContainer);
+            list.appendChild(row);
+        });
+        
+        updateScenarioUi();
+        updateWeaponStates();
+    }
+
+    function clickEnemy(r, c) {
+        if (!session.isPlaying() || session.turn !== viewerSide) return;
+        if (document.getElementById('enemy-grid').style.pointerEvents === 'none') return;
+
+        // 齐射模式下点击只是选定目标，由「齐射」按钮统一开火
+        if (isSalvoMode()) {
+            toggleSalvoTarget(r, c);
+            return;
+        }
 
-        const previewPlacementInfo = (currentPreview && currentPreview.shipId === ship.id) ? currentPreview : null;
+        if (isDefensiveWeapon(currentWeapon)) {
+            log(`${getWeaponLabel(currentWeapon)}部署在我方海域，请点击我方棋盘`, "c-sys");
+            return;
+        }
 
-        clearHighlights();
-        currentPreview = null;
+        const target = getAimTarget(r, c);
+        if (getWeaponDefinition(currentWeapon).target === WeaponTarget.EDGE && !target.heading) {
+            log("鱼雷只能从棋盘边缘向内发射（角落格右键切换横向 / 纵向）", "c-sys");
+            return;
+        }
 
-        let placed = false;
+        // 联机：由对手按其舰队结算，收到回报后再渲染
+        if (isOnline()) {
+            sendOnlineAction({ weapon: currentWeapon, ...target });
+            return;
+        }
 
-        if (previewPlacementInfo && isValidPos(previewPlacementInfo.r, previewPlacementInfo.c, ship.len, previewPlacementInfo.vertical, null)) {
-            placeShip(ship, previewPlacementInfo.r, previewPlacementInfo.c, previewPlacementInfo.vertical);
-            placed = true;
-        } else if (isOverGrid) {
-            const shipLeft = e.clientX - dragOffset.x;
-            const shipTop = e.clientY - dragOffset.y;
-            const relX = shipLeft - gridRect.left + (cellSize/2);
-            const relY = shipTop - gridRect.top + (cellSize/2);
-            const c = Math.floor(relX / cellSize);
-            const r = Math.floor(relY / cellSize);
-            if (isValidPos(r, c, ship.len, ship.vertical, null)) {
-                placeShip(ship, r, c, ship.vertical);
-                placed = true;
+        // === 新路径：完全使用武器系统 ===
+        if (weaponService) {
+            weaponService.setCurrentWeapon(currentWeapon);
+            const context = buildViewerContext();
+            const result = weaponService.executePlayerAction(target, context);
+            
+            if (!result.success) return;
+            if (isScenario()) {
+                finishScenarioAction(currentWeapon);
+                return;
+            }
+            recordViewerAction({ weapon: currentWeapon, ...target }, result.events);
+            
+            // 检查胜负（仅对攻击类武器，声纳不会击沉船只）
+            if (isDamagingWeapon(currentWeapon) && result.shipsSunk && result.shipsSunk.length > 0) {
+                checkWin();
             }
+            session.endTurn();
+            autosave();
         }
 
-        if (!placed) {
-            returnToDock(ship);
-            if(isOverGrid) log("无效位置：重叠或越界", "c-warn");
-        }
+        finishPlayerTurn();
+    }
 
-        dragTarget = null;
-        setTimeout(() => isDragging = false, 50);
-        checkReady();
+    /**
+     * 点击我方棋盘：选中防御武器时在点击的格子部署防御（舰船元素盖在格子上，按坐标换算格子）
+     * @param {MouseEvent} e
+     */
+    function onPlayerGridClick(e) {
+        if (!session.isPlaying() || !isDefensiveWeapon(currentWeapon)) return;
+        const pGrid = document.getElementById('player-grid');
+        const rect = pGrid.getBoundingClientRect();
+        const cellSize = getCellSize();
+        const r = Math.floor((e.clientY - rect.top - pGrid.clientTop) / cellSize);
+        const c = Math.floor((e.clientX - rect.left - pGrid.clientLeft) / cellSize);
+        if (isInBounds(r, c, session.boardSize)) deployViewerDefense(r, c);
     }
 
-    function previewPlacement(ship, r, c) {
-        const len = ship.len;
-        const vertical = ship.vertical;
-        const isValid = isValidPos(r, c, len, vertical, null);
-        const className = isValid ? 'highlight-valid' : 'highlight-invalid';
-        let covered = false;
-        for(let i=0; i<len; i++) {
-            const nr = vertical ? r + i : r;
-            const nc = vertical ? c : c + i;
-            const cell = document.querySelector(`#player-grid .cell[data-r="${nr}"][data-c="${nc}"]`);
-            if(cell) {
-                cell.classList.add(className);
-                covered = true;
-            }
-        }
+    /**
+     * 视角方部署防御：占用本回合的行动
+     */
+    function deployViewerDefense(r, c) {
+        if (session.turn !== viewerSide) return;
+        if (document.getElementById('enemy-grid').style.pointerEvents === 'none') return;
 
-        if (isValid && covered) {
-            currentPreview = { shipId: ship.id, r, c, vertical };
-        } else {
-            currentPreview = null;
+        weaponService.setCurrentWeapon(currentWeapon);
+        const result = weaponService.executePlayerAction({ r, c }, buildViewerContext());
+        if (!result.success) {
+            const hint = getWeaponDefinition(currentWeapon).effect === WeaponEffect.SMOKE ? '（请选择尚未暴露的舰船）' : '';
+            log(`无法部署${getWeaponLabel(currentWeapon)}：${result.reason}${hint}`, "c-warn");
+            return;
         }
+        recordViewerAction({ weapon: currentWeapon, r, c }, result.events);
+        renderDefenseMarkers();
+        session.endTurn();
+        autosave();
+        finishPlayerTurn();
     }
 
-    function clearHighlights() {
-        document.querySelectorAll('.highlight-valid, .highlight-invalid').forEach(el => {
-            el.classList.remove('highlight-valid');
-            el.classList.remove('highlight-invalid');
+    /**
+     * 在我方棋盘标出视角方已部署、仍能生效的防御（对手的防御始终不显示）
+     */
+    function renderDefenseMarkers() {
+        const pGrid = document.getElementById('player-grid');
+        pGrid.querySelectorAll('.aa-cover, .smoked').forEach(cell => cell.classList.remove('aa-cover', 'smoked'));
+        if (session.phase === GamePhase.SETUP) return;
+        const grid = session.getGrid(viewerSide);
+        session.getDefenses(viewerSide).filter(defense => isDefenseActive(defense, grid)).forEach(defense => {
+            const cells = defense.effect === WeaponEffect.SMOKE
+                ? getShipCells(session.getShips(viewerSide)[defense.shipId])
+                : defense.cells;
+            const className = defense.effect === WeaponEffect.SMOKE ? 'smoked' : 'aa-cover';
+            cells.forEach(({ r, c }) => {
+                const cell = pGrid.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+                if (cell) cell.classList.add(className);
+            });
         });
     }
 
-    function placeShip(ship, r, c, isVertical) {
-        const pGrid = document.getElementById('player-grid');
-        const cellSize = getCellSize(); // 动态获取
-        ship.inDock = false;
-        ship.r = r; ship.c = c;
-        ship.vertical = isVertical;
+    /**
+     * 视角方（操作界面的玩家）的武器上下文
+     * 双人同屏时玩家2 对应 Side.AI，这里统一按玩家攻击处理，结果渲染到敌方棋盘，规则与玩家1 完全相同
+     * @returns {BattleContext}
+     */
+    function buildViewerContext() {
+        return { ...session.buildWeaponContext(viewerSide), isPlayer: true };
+    }
 
-        // 1. 暂时禁用 transition，防止从 body -> grid 的坐标系变换产生飞入动画
-        ship.el.style.transition = 'none';
+    /**
+     * 录制视角方的一次行动
+     * 回放以玩家1 视角呈现：玩家2 的攻击事件改写到玩家1 的棋盘后再录制
+     */
+    function recordViewerAction(decision, events) {
+        if (isHotSeat()) {
+            lastAttackCells = events
+                .filter(event => event.type === EventType.CELL_UPDATE)
+                .map(({ payload: { r, c } }) => ({ r, c }));
+        }
+        const recorded = viewerSide === Side.PLAYER ? events : events.map(event =>
+            event.payload ? { ...event, payload: { ...event.payload, grid: 'PLAYER' } } : event
+        );
+        replayRecorder.record(viewerSide, decision, recorded);
+    }
 
-        ship.el.style.position = 'absolute';
-        ship.el.style.margin = '0';
-        pGrid.appendChild(ship.el);
+    /**
+     * 玩家行动结算完毕：锁定敌方棋盘并安排 AI 回合（双人同屏时安排交接，联机时等待对手行动）
+     */
+    function finishPlayerTurn() {
+        updateStatus();
+        document.getElementById('enemy-grid').style.pointerEvents = 'none';
+        if (session.isPlaying() && isHotSeat()) {
+            // 留出时间查看本次结果，随后遮住棋盘交给对手
+            handoverTimeout = setTimeout(() => {
+                handoverTimeout = null;
+                if (session.isPlaying()) resumeTurn();
+            }, getTiming().HANDOVER_DELAY);
+        } else if (session.isPlaying()) {
+            const timing = getTiming();
+            // 玩家回合结束，根据配置延迟切换视角
+            if (timing.VIEW_SWITCH_DELAY > 0) {
+                setTimeout(() => {
+                    if(session.isPlaying()) switchMobileView('player');
+                }, timing.VIEW_SWITCH_DELAY);
+            }
+            if (!isOnline()) scheduleAiTurn(timing.AI_ACTION_DELAY); 
+        }
+    }
 
-        updateShipVisuals(ship);
+    // === AI 智能系统：概率推断 ===
 
-        ship.el.style.left = (c * cellSize) + 'px';
-        ship.el.style.top = (r * cellSize) + 'px';
+    let AI_PROB_CONFIG = { ...DIFFICULTY_SETTINGS[DEFAULT_DIFFICULTY] };
+    let currentDifficulty = DEFAULT_DIFFICULTY;
+
+    function setDifficulty(level, options = {}) {
+        const { silent = false } = options;
+        currentDifficulty = level;
+        AI_PROB_CONFIG = campaign ? getMissionAiConfig(campaign.mission) : { ...DIFFICULTY_SETTINGS[level] }; // 战役按任务调整 AI 参数
         
-        // 2. 强制浏览器重绘，确保新位置立即生效且无动画
-        void ship.el.offsetWidth;
+        // 更新所有难度按钮状态 (包括桌面端和移动端设置菜单)
+        document.querySelectorAll('.diff-btn').forEach(btn => {
+            if (btn.dataset.difficulty === level) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
 
-        // 3. 恢复 transition (清除内联样式，回退到 CSS 类定义的 transition)
-        ship.el.style.transition = ''; 
+        if (!silent) {
+            log(`AI 难度已调整为: ${level === 'EASY' ? '新兵 (简单)' : (level === 'NORMAL' ? '舰长 (困难)' : '提督 (冷酷)')}`, "c-sys");
+        }
+    }
 
-        markGrid(ship, 1);
+    function clearAiTurnTimeout() {
+        aiTurnGeneration++;
+        if (aiTurnTimeout !== null) {
+            clearTimeout(aiTurnTimeout);
+            aiTurnTimeout = null;
+        }
     }
 
-    function returnToDock(ship) {
-        const dock = document.getElementById('dock');
-        
-        // 同样防止回港时的飞入动画
-        ship.el.style.transition = 'none';
+    /**
+     * 安排 AI 回合：等玩家这一次行动的特效播放完毕，再延迟 delay 开始
+     * @param {number} delay - ms
+     */
+    function scheduleAiTurn(delay) {
+        clearAiTurnTimeout();
+        const generation = aiTurnGeneration;
+        battleRenderer.whenIdle(() => {
+            if (generation !== aiTurnGeneration) return;
+            aiTurnTimeout = setTimeout(() => {
+                aiTurnTimeout = null;
+                aiTurn();
+            }, delay);
+        });
+    }
+    
+    function clearLastEnemyAttacks() {
+        const pGrid = document.getElementById('player-grid');
+        pGrid.querySelectorAll('.last-enemy-attack').forEach(el => {
+            el.classList.remove('last-enemy-attack');
+        });
+    }
 
-        ship.inDock = true;
-        ship.r = -1; ship.c = -1;
-        
-        // Fix 1: 重置时强制清除沉没状态
-        ship.sunk = false;
-        ship.hp = Array(ship.len).fill(ship.maxHp);
-        ship.el.classList.remove('sunk');
-        
-        ship.vertical = (currentDeployMode === 'vertical');
-        
-        ship.el.style.position = 'relative';
-        ship.el.style.left = 'auto';
-        ship.el.style.top = 'auto';
-        ship.el.style.margin = '0';
-        
-        updateShipVisuals(ship);
-        dock.appendChild(ship.el);
+    function aiTurn() {
+        if (!session.isPlaying() || session.turn !== Side.AI) return;
 
-        // 强制重绘并恢复
-        void ship.el.offsetWidth;
-        ship.el.style.transition = '';
+        // 1. 准备决策上下文
+        const viewGrid = getAiViewGrid();
+        const playerViewGrid = getPlayerViewGrid();  // 用于对称推演
+        const aiDecisionContext = {
+            viewGrid,
+            myShips,
+            enemyShips: session.getShips(Side.AI),
+            difficultyConfig: AI_PROB_CONFIG,
+            playerViewGrid,  // 新增：玩家视角的 AI 棋盘
+            boardSize: session.boardSize,
+            placementRule: session.placementRule,
+            salvoSize: isSalvoMode() ? getSalvoSize(session.getShips(Side.AI)) : undefined,
+            weaponStock: session.getWeaponStock(Side.AI),
+            opponentStock: session.getWeaponStock(Side.PLAYER),
+            reconReports: session.getReconReports(Side.PLAYER),
+            opponentReconReports: session.getReconReports(Side.AI),
+            ownDefenses: session.getDefenses(Side.AI)
+        };
+
+        // 2. 调用 AI 策略模块进行决策
+        const decision = makeAIDecision(aiDecisionContext);
+
+        // 3. 结算并交还操作权
+        resolveOpponentAction(decision);
     }
 
-    function rotateShipOnBoard(ship) {
-        const newV = !ship.vertical;
-        clearGrid(ship);
-        if (isValidPos(ship.r, ship.c, ship.len, newV, null)) {
-            placeShip(ship, ship.r, ship.c, newV);
+    /**
+     * 结算对手（AI 或联机对手）对我方的一次行动，随后把操作权交还玩家
+     * @param {Object|Array<Object>} decision - { weapon, r, c }，齐射时为各发的数组
+     */
+    function resolveOpponentAction(decision) {
+        // 清除上一次的攻击标记
+        clearLastEnemyAttacks();
+
+        // 使用武器系统执行攻击（齐射时 decision 为各发的数组）
+        if (weaponService) {
+            const context = session.buildWeaponContext(Side.AI);
+            const result = Array.isArray(decision)
+                ? weaponService.executeSalvo(decision, context)
+                : weaponService.executeAIAction(decision, context);
+            if (result.success) {
+                replayRecorder.record(Side.AI, decision, result.events);
+            } else {
+                // 行动被拒绝时本回合作废，冷却仍要推进一回合
+                spendWeapons(context.weaponStock, []);
+            }
+            renderDefenseMarkers(); // 对手的攻击可能触发了我方的防御
+            
+            // 检查胜负（声纳不会击沉船只，shipsSunk 为空）
+            if (result.shipsSunk && result.shipsSunk.length > 0) {
+                // AI 击沉玩家船只时，需要给对应的船添加 sunk 类
+                for (const shipId of result.shipsSunk) {
+                    const ship = myShips.find(s => s.id === shipId);
+                    if (ship && ship.el) {
+                        ship.el.classList.add('sunk');
+                    }
+                }
+                checkWin();
+            }
+            session.endTurn();
+            autosave();
+        }
+
+        updateStatus();
+        if (showAiDebug) updateAiHeatmapVisuals(); // 实时更新热力图
+        const enemyGridEl = document.getElementById('enemy-grid');
+        if (session.isPlaying()) {
+            enemyGridEl.style.pointerEvents = 'auto';
+            // 对手回合结束，根据配置切回敌方视角
+            const timing = getTiming();
+            if (timing.TURN_BACK_DELAY > 0) {
+                setTimeout(() => {
+                    if(session.isPlaying()) switchMobileView('enemy');
+                }, timing.TURN_BACK_DELAY);
+            }
         } else {
-            markGrid(ship, 1);
-            shake(ship.el);
-            log("旋转空间不足", "c-warn");
+            enemyGridEl.style.pointerEvents = 'none';
         }
     }
 
-    function shake(el) {
-        el.classList.remove('shake');
-        void el.offsetWidth;
-        el.classList.add('shake');
+    /**
+     * 获取 AI 视角的玩家棋盘（由 session 数据生成）
+     * @returns {number[][]} 0=未知, 1=miss, 2=hit, 3=destroyed, 4=suspect, 5=sunk, 6=occupied
+     */
+    function getAiViewGrid() {
+        return session.getViewGrid(Side.PLAYER);
+    }
+
+    /**
+     * 获取玩家视角的 AI 棋盘状态
+     * （与 getAiViewGrid 对称，用于 AI 对称推演）
+     */
+    function getPlayerViewGrid() {
+        return session.getViewGrid(Side.AI);
     }
 
-    function isValidPos(r, c, len, vertical, ignore) {
-        if (r < 0 || c < 0) return false;
-        if (vertical) {
-            if (r + len > BOARD_SIZE || c >= BOARD_SIZE) return false;
+    function checkWin() {
+        if (session.phase === GamePhase.END) return;
+        const winner = session.checkWinner();
+        if (!winner) return;
+
+        // 联机对战中对手的布局开局时未知，结束时写入回放（至少包括全部已沉没的舰船）
+        if (isOnline()) replayRecorder.updateFleet(Side.AI, session.getShips(Side.AI));
+        replayRecorder.finish(winner);
+        if (replayRecorder.getReplay()) saveLastReplay(replayRecorder.getReplay());
+
+        clearAiTurnTimeout();
+        const enemyGridEl = document.getElementById('enemy-grid');
+        if (enemyGridEl) enemyGridEl.style.pointerEvents = 'none';
+        revealEnemyShips(); // 游戏结束时显示敌方舰船
+        revealFleets(); // 公开布局，核对开局承诺
+        renderDailyShare(isDaily() ? finishDaily(winner) : null);
+        const campaignNote = isCampaign() ? finishCampaignMission(winner) : '';
+        const modal = document.getElementById('game-over-modal');
+        const title = document.getElementById('game-over-title');
+        const msg = document.getElementById('game-over-msg');
+        
+        if (isHotSeat()) {
+            title.innerText = "VICTORY";
+            title.className = "game-over-title win-text";
+            msg.innerText = `${getSideName(winner)} 获胜！${getSideName(session.getOpponent(winner))} 的舰队已被全歼！`;
+        } else if (winner === Side.PLAYER) {
+            title.innerText = "VICTORY";
+            title.className = "game-over-title win-text";
+            msg.innerText = "恭喜指挥官！敌方舰队已被全歼！";
         } else {
-            if (c + len > BOARD_SIZE || r >= BOARD_SIZE) return false;
-        }
-        for(let i=0; i<len; i++) {
-            let nr = vertical ? r+i : r;
-            let nc = vertical ? c : c+i;
-            if (myGridMap[nr][nc] === 1) return false;
+            title.innerText = "DEFEAT";
+            title.className = "game-over-title lose-text";
+            msg.innerText = "很遗憾，我方舰队已全军覆没...";
         }
-        return true;
+        if (campaignNote) msg.innerText += `\n${campaignNote}`;
+        
+        // 最后一击（沉没）的特效播放完再弹出；双人同屏总有一方获胜，奏胜利的号角
+        const victory = isHotSeat() || winner === Side.PLAYER;
+        battleRenderer.whenIdle(() => setTimeout(() => {
+            if (session.phase !== GamePhase.END) return;
+            modal.style.display = 'block';
+            battleSound.stopMusic();
+            if (victory) {
+                battleSound.playVictory();
+            } else {
+                battleSound.playDefeat();
+            }
+        }, 500));
     }
 
-    function markGrid(ship, val) {
-        for(let i=0; i<ship.len; i++) {
-            let nr = ship.vertical ? ship.r+i : ship.r;
-            let nc = ship.vertical ? ship.c : ship.c+i;
-            if(nr < BOARD_SIZE && nc < BOARD_SIZE) myGridMap[nr][nc] = val;
-        }
+    function revealEnemyShips() {
+        session.getShips(session.getOpponent(viewerSide)).forEach(ship => {
+            revealSingleEnemyShip(ship);
+        });
     }
-    function clearGrid(ship) { markGrid(ship, 0); }
 
-    // === 按钮功能 ===
-    function resetToDock() {
-        myGridMap = createEmptyGrid();
-        myShips.forEach(s => returnToDock(s));
-        checkReady();
+    function revealSingleEnemyShip(ship) {
+        if (ship.r < 0) return; // 联机对战中位置未知的对手舰船
+        const eGrid = document.getElementById('enemy-grid');
+        // 检查是否已显示，避免重复
+        if (eGrid.querySelector(`.revealed-enemy-ship[data-id="${ship.id}"]`)) return;
+
+        eGrid.appendChild(createStaticShipElement(ship, 'revealed-enemy-ship'));
     }
 
-    function autoDeploy() {
-        resetToDock();
-        setTimeout(() => {
-            // 使用 AI 部署模块生成稀疏分布的船只配置
-            const placements = aiDeployShips(SHIP_TYPES, BOARD_SIZE);
-            
-            // 根据生成的配置放置玩家船只
-            placements.forEach(placement => {
-                // 通过 code 匹配对应的玩家船只对象
-                const ship = myShips.find(s => s.code === placement.code);
-                if (ship) {
-                    placeShip(ship, placement.r, placement.c, placement.v);
-                }
-            });
-            
-            checkReady();
-        }, 50);
+    // === 舰队承诺 ===
+
+    /**
+     * 开局时公布舰队承诺（布局的加盐哈希），结束时公开布局与盐值供核对，证明开局后没有挪动过舰船
+     * 联机时只能为本方生成，对手的承诺经 GameMessage.COMMIT 收到
+     */
+    function publishFleetCommitments() {
+        fleetCommitments = {};
+        fleetVerification = {};
+        const sides = isOnline() ? [Side.PLAYER] : [Side.PLAYER, Side.AI];
+        sides.forEach(side => { fleetCommitments[side] = createCommitment(session.getShips(side)); });
+        const hashes = sides.map(side => `${getSideName(side)} ${shortHash(fleetCommitments[side].hash)}`).join('，');
+        log(`舰队承诺（布局的加盐 SHA-256，结束时公开核对）：${hashes}`, "c-sys");
+        if (isOnline()) online.client.send({ type: GameMessage.COMMIT, hash: fleetCommitments[Side.PLAYER].hash });
     }
 
-    function checkReady() {
-        const allReady = myShips.every(s => !s.inDock);
-        const btn = document.getElementById('start-btn');
-        const mbBtn = document.getElementById('mb-btn-start');
-        
-        if (gameState === 'SETUP') {
-            btn.disabled = !allReady;
-            if(mbBtn) mbBtn.disabled = !allReady;
-            
-            if(allReady) {
-                btn.className = "btn-orange";
-            } else {
-                btn.disabled = true;
+    /**
+     * 对局结束：公开本机掌握的布局并核对
+     * 联机时把本方布局发给对手，对手的布局等收到 GameMessage.REVEAL 后再核对
+     */
+    function revealFleets() {
+        if (isOnline()) {
+            const own = fleetCommitments[Side.PLAYER];
+            if (own) {
+                online.reveal = createReveal(own.salt, session.getShips(Side.PLAYER));
+                online.client.send({ type: GameMessage.REVEAL, ...online.reveal });
             }
+        } else {
+            [Side.PLAYER, Side.AI].forEach(side => {
+                const commitment = fleetCommitments[side];
+                if (commitment) verifyFleet(side, createReveal(commitment.salt, session.getShips(side)));
+            });
         }
+        renderFleetVerification();
     }
 
-    function handleStartOrRestart() {
-        const btn = document.getElementById('start-btn');
-        if (gameState === 'PLAYING' || gameState === 'END') {
-            if(confirm("确定要结束当前战斗并重新开始吗？")) {
-                resetGameFull();
-            }
+    /**
+     * 按对手记录的回报核对一方公开的布局，结果写入战况记录
+     * @param {string} side - 公开布局的一方
+     * @param {Object} reveal - { salt, placements }
+     * @returns {Object} verifyReveal 的输出
+     */
+    function verifyFleet(side, reveal) {
+        const result = verifyReveal({
+            hash: fleetCommitments[side]?.hash ?? null,
+            reveal,
+            fleetDefs: fleetFromShips(session.getShips(side)), // 战役中双方舰队不同
+            boardSize: session.boardSize,
+            placementRule: session.placementRule,
+            grid: session.getGrid(side),
+            ships: session.getShips(side),
+            reconReports: session.getReconReports(side)
+        });
+        if (fleetCommitments[side]?.late) result.problems.unshift('舰队承诺在开火后才送达，无法证明开局后没有改动布局');
+        fleetVerification[side] = result;
+        if (result.problems.length === 0) {
+            log(`${getSideName(side)}的舰队布局与开局承诺一致，${result.checked} 处回报全部吻合。`, "c-sys");
         } else {
-            startGame();
+            log(`${getSideName(side)}的舰队核对未通过：${result.problems.join('；')}`, "c-warn");
         }
+        return result;
     }
 
-    function resetGameFull() {
-        document.body.classList.remove('game-playing'); // 移除战斗状态类
-        clearAiTurnTimeout();
-        currentWinner = null;
-        gameState = 'SETUP';
-        document.getElementById('dock').style.display = 'flex';
-        document.getElementById('battle-panel').style.display = 'none';
-        
-        // 切换移动端底部栏
-        const mbDeploy = document.getElementById('mb-deploy-group');
-        const mbCombat = document.getElementById('mb-combat-group');
-        if(mbDeploy) mbDeploy.style.display = 'flex';
-        if(mbCombat) mbCombat.style.display = 'none';
-        
-        document.getElementById('dock').style.pointerEvents = 'auto';
-        document.getElementById('dock').style.opacity = 1;
-        
-        // Enable controls
-        const controls = [
-            'rotate-toggle', 'first-turn-toggle', 'btn-debug', 'btn-reset', 'btn-random',
-            'mobile-first-turn', 'mobile-debug', 'mobile-reset',
-            'mobile-menu-random', 'mobile-menu-reset'
-        ];
-        controls.forEach(id => {
-            const el = document.getElementById(id);
-            if(el) el.disabled = false;
+    /**
+     * 在结算界面列出核对结果
+     */
+    function renderFleetVerification() {
+        const el = document.getElementById('game-over-verify');
+        if (!el) return;
+        const sides = isOnline() ? [Side.AI] : [Side.PLAYER, Side.AI].filter(side => fleetCommitments[side]);
+        el.innerHTML = '';
+        sides.forEach(side => {
+            const result = fleetVerification[side];
+            const line = document.createElement('div');
+            const name = `${getSideName(side)}舰队`;
+            if (!result) {
+                line.className = 'verify-line verify-pending';
+                line.innerText = `⏳ ${name}：等待公开布局…`;
+            } else if (result.problems.length === 0) {
+                line.className = 'verify-line verify-ok';
+                line.innerText = `✔ ${name}：与开局承诺 ${shortHash(fleetCommitments[side].hash)} 一致，${result.checked} 处回报全部吻合`;
+            } else {
+                line.className = 'verify-line verify-fail';
+                line.innerText = `✘ ${name}：核对未通过\n${result.problems.map(problem => `· ${problem}`).join('\n')}`;
+            }
+            el.appendChild(line);
         });
-
-        const btn = document.getElementById('start-btn');
-        btn.innerText = "🚀 开始战斗";
-        btn.className = "btn-orange";
-        btn.disabled = true;
-        
-        const mbBtn = document.getElementById('mb-btn-start');
-        if(mbBtn) mbBtn.disabled = true;
-
-        initGrids();
-        document.getElementById('enemy-grid').style.pointerEvents = 'none';
-        myGridMap = createEmptyGrid();
-        resetToDock();
-        document.getElementById('log').innerHTML = '<div class="log-line c-sys">游戏已重置。</div>';
-        
-        // 重置时切回我方视角以便部署
-        switchMobileView('player');
     }
 
-    function startGame() {
-        document.body.classList.add('game-playing'); // 添加战斗状态类，用于 CSS 控制武器栏显示
-        clearAiTurnTimeout();
-        currentWinner = null;
-        gameState = 'PLAYING';
-        document.getElementById('dock').style.display = 'none';
-        document.getElementById('battle-panel').style.display = 'flex';
-        
-        // 切换移动端底部栏
-        const mbDeploy = document.getElementById('mb-deploy-group');
-        const mbCombat = document.getElementById('mb-combat-group');
-        if(mbDeploy) mbDeploy.style.display = 'none';
-        if(mbCombat) mbCombat.style.display = 'flex';
-        
-        // Disable setup controls
-        const disableList = [
-            'rotate-toggle', 'first-turn-toggle', 'btn-reset', 'btn-random',
-            'mobile-first-turn', 'mobile-reset',
-            'mobile-menu-random', 'mobile-menu-reset'
-        ];
-        disableList.forEach(id => {
-            const el = document.getElementById(id);
-            if(el) el.disabled = true;
-        });
-        
-        // Debug remains active
-        
-        myShips.forEach(s => s.el.style.cursor = 'default');
+    /**
+     * 创建棋盘上不可拖拽的舰船元素（揭示的敌舰、回放中的舰船）
+     * @param {Object} ship - 船只数据 { id, code, len, shape, r, c, rotation, sunk }
+     * @param {string} extraClass - 附加样式类
+     * @returns {HTMLElement}
+     */
+    function createStaticShipElement(ship, extraClass) {
+        const cellSize = getCellSize(); // 动态获取
+        const shipEl = document.createElement('div');
+        shipEl.className = `ship ${extraClass} ship-visuals-root`; 
+        shipEl.dataset.id = ship.id;
+        shipEl.style.position = 'absolute';
+        shipEl.style.left = (ship.c * cellSize) + 'px';
+        shipEl.style.top = (ship.r * cellSize) + 'px';
+        shipEl.style.pointerEvents = 'none'; 
+        // z-index 已在 CSS 中设为 1
         
-        const btn = document.getElementById('start-btn');
-        btn.innerText = "🔄 重新开始";
-        btn.className = "btn-restart";
+        const inner = document.createElement('div');
+        inner.className = 'ship-inner';
+        inner.innerHTML = getShipDom(getShipHull(ship));
+        shipEl.appendChild(inner);
 
-        resetAIState(); // 重置 AI 内部状态（伤害记录等）
-        initEnemy();
-        updateStatus();
-        selectWeapon('AP');
-        aiStack = []; 
+        layoutShipElement(shipEl, ship, getShipRotation(ship), cellSize);
 
-        if (firstTurn === 'PLAYER') {
-            log("战斗开始！玩家先手，点击敌方海域开火。", "c-warn");
-            document.getElementById('enemy-grid').style.pointerEvents = 'auto';
-            switchMobileView('enemy'); // 自动切到敌方视角
+        if (ship.sunk) {
+            shipEl.classList.add('sunk');
         } else {
-            log("战斗开始！电脑先手。", "c-warn");
-            document.getElementById('enemy-grid').style.pointerEvents = 'none';
-            switchMobileView('player'); // 自动切到我方视角
-            // AI 先手时的初始延迟，使用 AI_ACTION_DELAY 即可
-            scheduleAiTurn(getTiming().AI_ACTION_DELAY); 
+            shipEl.style.opacity = '0.9';
+            shipEl.style.filter = 'drop-shadow(0 0 5px white)';
         }
+
+        return shipEl;
     }
 
-    // === 敌方与AI ===
-    function initEnemy() {
-        // 1. 清理敌方网格 UI (修复重叠问题)
-        const eGrid = document.getElementById('enemy-grid');
-        eGrid.querySelectorAll('.wreck').forEach(el => el.remove());
-        eGrid.querySelectorAll('.revealed-enemy-ship').forEach(el => el.remove()); // 清理显示的敌舰
-        eGrid.querySelectorAll('.cell').forEach(cell => {
-            cell.className = 'cell';
-            // 移除可能存在的内部标记
-            while(cell.firstChild) cell.removeChild(cell.firstChild);
-        });
+    // 新增：更新已显示敌舰的视觉（用于 resize）
+    function updateRevealedShipVisuals(shipEl, ship) {
+        const cellSize = getCellSize();
+        shipEl.style.left = (ship.c * cellSize) + 'px';
+        shipEl.style.top = (ship.r * cellSize) + 'px';
+        layoutShipElement(shipEl, ship, getShipRotation(ship), cellSize);
+    }
 
-        // 2. 使用 AI 部署模块生成船只配置（稀疏分布策略）
-        const placements = aiDeployShips(SHIP_TYPES, BOARD_SIZE);
-        
-        // 3. 初始化数据
-        enemyShips = [];
-        enemyGridMap = createEmptyGrid().map(row => row.map(c => ({hit:false, shipId:-1, segmentIndex: -1})));
-        
-        placements.forEach((placement, idx) => {
-            const { r, c, v, len, name, maxHp, code } = placement;
-            
-            // 标记网格占用
-            for (let i = 0; i < len; i++) {
-                const nr = v ? r + i : r;
-                const nc = v ? c : c + i;
-                enemyGridMap[nr][nc].shipId = idx;
-                enemyGridMap[nr][nc].segmentIndex = i;
-            }
-            
-            // 创建船只对象
-            enemyShips.push({ 
-                id: idx, 
-                name, 
-                len, 
-                maxHp,
-                code,
-                hp: Array(len).fill(maxHp),
-                sunk: false, 
-                r, c, v 
-            });
+    // === 舰队编辑 ===
+
+    function initFleetEditor() {
+        fleetEditor = new FleetEditor({
+            getBoardSize: () => boardSize,
+            validate: (fleet) => getDeployProblem(fleet, boardSize, session.placementRule),
+            onApply: (fleet) => applyFleet(fleet)
         });
     }
 
-    function selectWeapon(type) {
-        currentWeapon = type;
-        document.querySelectorAll('.weapon-btn').forEach(btn => btn.classList.remove('active'));
-        const btnId = type === 'AP' ? 'btn-ap' : (type === 'HE' ? 'btn-he' : 'btn-sonar');
-        document.getElementById(btnId).classList.add('active');
+    function openFleetEditor() {
+        if (session.phase !== GamePhase.SETUP) return;
+        fleetEditor.open(fleetDefs);
+    }
 
-        // 更新移动端武器按钮显示
-        const mbName = document.getElementById('mb-weapon-name');
-        const mbIcon = document.getElementById('mb-weapon-icon');
-        if (mbName && mbIcon) {
-            if (type === 'AP') { mbName.innerText = '主炮'; mbIcon.innerText = '💥'; }
-            else if (type === 'HE') { mbName.innerText = '空袭'; mbIcon.innerText = '✈️'; }
-            else if (type === 'SONAR') { mbName.innerText = '水听'; mbIcon.innerText = '📡'; }
+    /**
+     * 更换双方使用的舰队（仅部署阶段），港口舰船按新舰队重建
+     * @param {Array<Object>} fleet - 已校验的舰队定义
+     * @param {Object} [options]
+     * @param {boolean} [options.silent=false] - 是否不输出日志
+     */
+    function applyFleet(fleet, options = {}) {
+        const { silent = false } = options;
+        if (session.phase !== GamePhase.SETUP) return;
+
+        myShips.forEach(ship => ship.el.remove());
+        myGridMap = createEmptyGrid();
+        fleetDefs = normalizeFleet(fleet);
+        saveActiveFleet(fleetDefs);
+        initShips();
+        initHelpShips();
+        checkReady();
+
+        if (!silent) {
+            const cells = fleetDefs.reduce((sum, def) => sum + def.len, 0);
+            log(`舰队已更新：${fleetDefs.length} 艘舰船，共 ${cells} 格，双方将使用该舰队。`, "c-sys");
         }
+        notifyMatchSettingsChanged();
     }
 
-    function updateWeaponStates() {
-        const cvAlive = myShips.some(s => s.code === 'CV' && !s.sunk);
-        const clAlive = myShips.some(s => s.code === 'CL' && !s.sunk);
-        const ddAlive = myShips.some(s => s.code === 'DD' && !s.sunk);
-        const ssAlive = myShips.some(s => s.code === 'SS' && !s.sunk);
-        
-        const enableHE = cvAlive; // 仅航母可用空袭
-        const enableSonar = ddAlive || ssAlive;
-        
-        document.getElementById('btn-he').disabled = !enableHE;
-        document.getElementById('btn-sonar').disabled = !enableSonar;
-        
-        if (currentWeapon === 'HE' && !enableHE) selectWeapon('AP');
-        if (currentWeapon === 'SONAR' && !enableSonar) selectWeapon('AP');
+    // === 战斗回放 ===
 
-        // 更新主炮伤害显示
-        const dmg = getAPDamage();
-        const descEl = document.getElementById('ap-desc');
-        if (descEl) descEl.innerText = `单点 ${dmg}伤`;
+    function initReplayViewer() {
+        replayViewer = new ReplayViewer({
+            clearBoards: clearReplayBoards,
+            drawShip: drawReplayShip,
+            onExport: exportReplay,
+            onExit: restoreSessionBoards
+        });
+    }
+
+    /**
+     * 在棋盘上绘制回放 / 观战用的舰船
+     * @param {string} grid - 'PLAYER' | 'ENEMY'
+     * @param {Object} ship
+     * @param {Object} options - { ghost }：未暴露的舰船以半透明显示
+     * @returns {HTMLElement}
+     */
+    function drawReplayShip(grid, ship, { ghost }) {
+        const gridId = grid === 'PLAYER' ? 'player-grid' : 'enemy-grid';
+        const shipEl = createStaticShipElement(ship, 'replay-ship');
+        if (ghost) {
+            shipEl.classList.add('ghost');
+        } else if (!ship.sunk) {
+            // 我方舰船按正常样式显示，去掉揭示敌舰用的发光效果
+            shipEl.style.opacity = '';
+            shipEl.style.filter = '';
+        }
+        document.getElementById(gridId).appendChild(shipEl);
+        return shipEl;
     }
 
-    function getAPDamage() {
-        const bbAlive = myShips.some(s => s.code === 'BB' && !s.sunk);
-        const ssAlive = myShips.some(s => s.code === 'SS' && !s.sunk);
-        const clAlive = myShips.some(s => s.code === 'CL' && !s.sunk);
-        if (bbAlive) return 3;
-        if (ssAlive || clAlive) return 2; // SS/CL 提供 2 点伤害
-        return 1;
+    /**
+     * 退出回放 / 观战后把棋盘交还给本局
+     */
+    function restoreSessionBoards() {
+        // 回放的棋盘尺寸与本局不同时，先恢复本局尺寸
+        if (renderedBoardSize !== boardSize) {
+            buildGridCells(boardSize);
+            myShips.forEach(ship => updateShipVisuals(ship));
+        }
+        // 交还棋盘：战斗已结束则重绘终局，部署阶段保持空白棋盘
+        if (session.phase === GamePhase.END) {
+            renderSessionBoards();
+            revealEnemyShips();
+        }
+        if (showAiDebug) updateAiHeatmapVisuals();
     }
 
-    function updateStatus() {
-        const list = document.getElementById('ship-status-list');
-        list.innerHTML = '';
-        myShips.forEach(ship => {
-            const row = document.createElement('div');
-            row.className = 'ship-status-row';
-            
-            const name = document.createElement('span');
-            name.innerText = ship.name;
-            if (ship.sunk) {
-                name.style.textDecoration = 'line-through';
-                name.style.color = '#fc8181';
-            }
-            
-            const hpContainer = document.createElement('div');
-            hpContainer.className = 'hp-blocks';
-            
-            ship.hp.forEach(hp => {
-                const block = document.createElement('div');
-                block.className = 'hp-block';
-                if (hp <= 0) block.classList.add('lost');
-                else if (hp < ship.maxHp) block.classList.add('dmg');
-                hpContainer.appendChild(block);
-            });
-            
-            row.appendChild(name);
-            row.appendChild(hpContainer);
-            list.appendChild(row);
+    /**
+     * 清空双方棋盘的格子状态与回放舰船（不影响 session 数据）
+     */
+    function clearReplayBoards() {
+        ['player-grid', 'enemy-grid'].forEach(id => {
+            const grid = document.getElementById(id);
+            grid.querySelectorAll('.replay-ship, .recon-badge').forEach(el => el.remove());
+            grid.querySelectorAll('.cell').forEach(cell => cell.className = 'cell');
         });
-        
-        updateWeaponStates();
     }
 
-    function clickEnemy(r, c) {
-        if (gameState !== 'PLAYING') return;
-        if (document.getElementById('enemy-grid').style.pointerEvents === 'none') return;
-
-        // === 新路径：完全使用武器系统 ===
-        if (weaponService) {
-            weaponService.setCurrentWeapon(currentWeapon);
-            const context = buildPlayerWeaponContext();
-            const result = weaponService.executePlayerAction({ r, c }, context);
-            
-            if (!result.success) return;
-            
-            // 检查胜负（仅对攻击类武器，声纳不会击沉船只）
-            if (currentWeapon !== 'SONAR' && result.shipsSunk && result.shipsSunk.length > 0) {
-                checkWin("玩家");
-            }
+    /**
+     * 进入回放（战斗进行中不可用）
+     * @param {Object|null} replay
+     */
+    function openReplay(replay) {
+        if (session.isPlaying()) {
+            log("战斗进行中，结束后才能查看回放。", "c-warn");
+            return;
         }
+        if (!replay) {
+            log("没有可供回放的战斗记录。", "c-warn");
+            return;
+        }
+        if (spectatorView.isOpen()) spectatorView.close();
+        battleRenderer.flush();
+        clearAttackHighlights();
+        clearHighlights();
+        if (replay.boardSize !== renderedBoardSize) buildGridCells(replay.boardSize);
+        replayViewer.open(replay);
+        log(`进入战斗回放（共 ${replay.turns.length} 步）。`, "c-sys");
+    }
 
-        updateStatus();
-        document.getElementById('enemy-grid').style.pointerEvents = 'none';
-        if (gameState === 'PLAYING') {
-            const timing = getTiming();
-            // 玩家回合结束，根据配置延迟切换视角
-            if (timing.VIEW_SWITCH_DELAY > 0) {
-                setTimeout(() => {
-                    if(gameState === 'PLAYING') switchMobileView('player');
-                }, timing.VIEW_SWITCH_DELAY);
-            }
-            scheduleAiTurn(timing.AI_ACTION_DELAY); 
+    function openLastReplay() {
+        const { replay, reason } = loadLastReplay();
+        if (reason) {
+            log(`无法读取回放：${reason}`, "c-warn");
+            return;
         }
+        openReplay(replay);
     }
 
-    // === AI 智能系统：概率推断 ===
+    /**
+     * 导入回放文件（JSON）
+     * @param {File} file
+     */
+    function importReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                log("无法读取回放：文件不是有效的 JSON", "c-warn");
+                return;
+            }
+            const { replay, reason } = parseReplay(data);
+            if (!replay) {
+                log(`无法读取回放：${reason}`, "c-warn");
+                return;
+            }
+            openReplay(replay);
+        };
+        reader.readAsText(file);
+    }
 
-    let AI_PROB_CONFIG = { ...DIFFICULTY_SETTINGS[DEFAULT_DIFFICULTY] };
-    let currentDifficulty = DEFAULT_DIFFICULTY;
+    /**
+     * 将回放导出为 JSON 文件下载
+     * @param {Object} replay
+     */
+    function exportReplay(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = new Date(replay.recordedAt).toISOString().slice(0, 19).replace(/[-:T]/g, '');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `battle-replay-${stamp}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 
-    function setDifficulty(level, options = {}) {
-        const { silent = false } = options;
-        currentDifficulty = level;
-        AI_PROB_CONFIG = { ...DIFFICULTY_SETTINGS[level] };
-        
-        // 更新所有难度按钮状态 (包括桌面端和移动端设置菜单)
-        document.querySelectorAll('.diff-btn').forEach(btn => {
-            if (btn.dataset.difficulty === level) {
-                btn.classList.add('active');
-            } else {
-                btn.classList.remove('active');
+    // === AI 观战 ===
+
+    function initSpectatorView() {
+        spectatorView = new SpectatorView({
+            service: replyService,
+            getMatchOptions: () => ({
+                fleet: fleetDefs,
+                boardSize,
+                placementRule: session.placementRule,
+                firingMode: session.firingMode,
+                seed: readSeedInput()
+            }),
+            clearBoards: clearReplayBoards,
+            drawShip: drawReplayShip,
+            onLog: log,
+            onExit: () => {
+                restoreSessionBoards();
+                updateBoardTitles(session.phase === GamePhase.SETUP ? getDeployingSide() : viewerSide);
             }
         });
-
-        if (!silent) {
-            log(`AI 难度已调整为: ${level === 'EASY' ? '新兵 (简单)' : (level === 'NORMAL' ? '舰长 (困难)' : '提督 (冷酷)')}`, "c-sys");
-        }
     }
 
-    function clearAiTurnTimeout() {
-        if (aiTurnTimeout !== null) {
-            clearTimeout(aiTurnTimeout);
-            aiTurnTimeout = null;
+    /**
+     * 进入 AI 观战（战斗进行中与联机时不可用：观战会占用 AI 的决策状态）
+     */
+    function openSpectator() {
+        if (session.isPlaying()) {
+            log("战斗进行中，结束后才能观战。", "c-warn");
+            return;
         }
+        if (online) {
+            log("联机中不能观战，请先断开连接。", "c-warn");
+            return;
+        }
+        if (replayViewer.isOpen()) replayViewer.close();
+        battleRenderer.flush();
+        clearAttackHighlights();
+        clearHighlights();
+        clearAiHeatmapVisuals();
+        spectatorView.open();
     }
 
-    function scheduleAiTurn(delay) {
-        clearAiTurnTimeout();
-        aiTurnTimeout = setTimeout(() => {
-            aiTurnTimeout = null;
-            aiTurn();
-        }, delay);
+    // === 临时对局设置 ===
+    // 残局挑战与每日挑战自带舰队、棋盘尺寸与规则，进入时暂存玩家自己的设置，退出时原样恢复
+
+    /**
+     * 暂存当前的部署设置
+     * @returns {Object} restoreMatchSetup 的参数
+     */
+    function captureMatchSetup() {
+        return {
+            fleetDefs,
+            boardSize,
+            placementRule: session.placementRule,
+            firingMode: session.firingMode,
+            matchMode: session.matchMode,
+            difficulty: currentDifficulty,
+            firstTurn
+        };
     }
-    
-    function clearLastEnemyAttacks() {
-        const pGrid = document.getElementById('player-grid');
-        pGrid.querySelectorAll('.last-enemy-attack').forEach(el => {
-            el.classList.remove('last-enemy-attack');
-        });
+
+    /**
+     * 恢复暂存的部署设置，港口按原来的舰队重建（不写入「上次使用的舰队」）
+     * @param {Object} setup - captureMatchSetup 的输出
+     */
+    function restoreMatchSetup(setup) {
+        myShips.forEach(ship => ship.el.remove());
+        fleetDefs = setup.fleetDefs;
+        boardSize = setup.boardSize;
+        session.reset(boardSize);
+        session.configure(setup);
+        document.querySelectorAll('[data-setting="board-size"]').forEach(select => select.value = boardSize);
+        initShips();
+        initHelpShips();
+        setDifficulty(setup.difficulty, { silent: true });
+        firstTurn = setup.firstTurn;
+        updatePlacementRuleUi();
+        updateFiringModeUi();
+        updateMatchModeUi();
     }
 
-    function aiTurn() {
-        if (gameState !== 'PLAYING') return;
-        
-        // 清除上一次的攻击标记
-        clearLastEnemyAttacks();
+    // === 残局挑战 ===
 
-        // 1. 准备决策上下文
-        const viewGrid = getAiViewGrid();
-        const playerViewGrid = getPlayerViewGrid();  // 用于对称推演
-        const aiDecisionContext = {
-            viewGrid,
-            myShips,
-            enemyShips,
-            difficultyConfig: AI_PROB_CONFIG,
-            playerViewGrid  // 新增：玩家视角的 AI 棋盘
-        };
+    /**
+     * 菜单中的残局列表：标出已取得的最佳评级，选中后显示局面说明与目标
+     */
+    function initScenarioPanel() {
+        const select = document.getElementById('scenario-select');
+        if (!select) return;
+        select.addEventListener('change', updateScenarioPanel);
+        updateScenarioPanel();
+    }
 
-        // 2. 调用 AI 策略模块进行决策
-        const decision = makeAIDecision(aiDecisionContext);
+    function updateScenarioPanel() {
+        const select = document.getElementById('scenario-select');
+        if (!select) return;
+        const selected = select.value || SCENARIOS[0]?.id;
+        const records = loadScenarioRecords();
+        select.innerHTML = '';
+        SCENARIOS.forEach((def, index) => {
+            const record = records[def.id];
+            const stars = record ? ` ${'★'.repeat(record.stars)}${'☆'.repeat(3 - record.stars)}` : '';
+            select.add(new Option(`${index + 1}. ${def.title}${stars}`, def.id));
+        });
+        select.value = selected;
+
+        const def = getScenario(select.value);
+        const info = document.getElementById('scenario-info');
+        if (!info || !def) return;
+        const record = records[def.id];
+        info.innerText = `${def.description}\n目标：${describeScenarioGoal(def)}`
+            + (record ? `\n最佳成绩：${record.score} 分（${record.actions} 次行动）` : '');
+    }
 
-        // 3. 使用武器系统执行攻击
-        if (weaponService) {
-            const context = buildAIWeaponContext();
-            const result = weaponService.executeAIAction(decision, context);
-            
-            // 4. 检查胜负（仅对攻击类武器）
-            if (decision.weapon !== 'SONAR' && result.shipsSunk && result.shipsSunk.length > 0) {
-                // AI 击沉玩家船只时，需要给对应的船添加 sunk 类
-                for (const shipId of result.shipsSunk) {
-                    const ship = myShips.find(s => s.id === shipId);
-                    if (ship && ship.el) {
-                        ship.el.classList.add('sunk');
-                    }
-                }
-                checkWin("电脑");
-            }
+    /**
+     * 开始一个残局挑战（战斗进行中与联机时不可用）
+     * @param {string} id
+     */
+    function startScenario(id) {
+        if (session.isPlaying()) {
+            log("战斗进行中，结束后才能开始残局挑战。", "c-warn");
+            return;
+        }
+        if (online) {
+            log("联机中不能开始残局挑战，请先断开连接。", "c-warn");
+            return;
         }
+        const def = getScenario(id);
+        const problems = def ? validateScenario(def) : ['残局不存在'];
+        if (problems.length > 0) {
+            log(`无法载入残局：${problems.join('；')}`, "c-warn");
+            return;
+        }
+        if (spectatorView.isOpen()) spectatorView.close();
+        resetGameFull();
+        loadScenarioBoard(def, buildScenarioSession(def), createScenarioUsage());
+        document.getElementById('log').innerHTML = '';
+        log(`残局挑战「${def.title}」：${def.description}`, "c-warn");
+        log(`目标：${describeScenarioGoal(def)}。可用武器：${describeScenarioWeapons(def)}。敌方不会还击。`, "c-sys");
+        if (def.hint) log(`提示：${def.hint}`, "c-sys");
+        autosave();
+        resumeTurn();
+    }
 
-        updateStatus();
-        if (showAiDebug) updateAiHeatmapVisuals(); // 实时更新热力图
-        const enemyGridEl = document.getElementById('enemy-grid');
-        if (gameState === 'PLAYING') {
-            enemyGridEl.style.pointerEvents = 'auto';
-            // AI 回合结束，根据配置切回敌方视角
-            const timing = getTiming();
-            if (timing.TURN_BACK_DELAY > 0) {
-                setTimeout(() => {
-                    if(gameState === 'PLAYING') switchMobileView('enemy');
-                }, timing.TURN_BACK_DELAY);
-            }
-        } else {
-            enemyGridEl.style.pointerEvents = 'none';
+    /**
+     * 恢复存档中的残局挑战（由 continueSavedBattle 在重置后调用）
+     * @param {Object} snapshot
+     */
+    function continueScenario(snapshot) {
+        const def = getScenario(snapshot.scenario.id);
+        if (!def) {
+            log("无法恢复存档：存档中的残局已不存在", "c-warn");
+            clearBattle();
+            setContinueVisible(false);
+            return;
         }
+        loadScenarioBoard(def, snapshot.session, snapshot.scenario.usage);
+        battleLog = [];
+        document.getElementById('log').innerHTML = '';
+        snapshot.log.forEach(entry => appendLogEntry(entry));
+        log(`已恢复残局挑战「${def.title}」（已行动 ${scenario.usage.actions} 次）。`, "c-warn");
+        autosave();
+        resumeTurn();
     }
 
-    function getAiViewGrid() {
-        // 0: Unknown, 1: Miss, 2: Hit, 3: Destroyed, 4: Suspect, 5: Sunk
-        let grid = Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
-        document.querySelectorAll('#player-grid .cell').forEach(cell => {
-            const r = parseInt(cell.dataset.r);
-            const c = parseInt(cell.dataset.c);
-            if (cell.classList.contains('destroyed')) grid[r][c] = 3;
-            else if (cell.classList.contains('hit')) grid[r][c] = 2;
-            else if (cell.classList.contains('miss')) grid[r][c] = 1;
-            else if (cell.classList.contains('ai-detect')) grid[r][c] = 4;
-        });
-
-        // 标记已沉没船只的位置为 5 (Sunk)，视为不可穿越的障碍
-        myShips.forEach(s => {
-            if (s.sunk) {
-                for(let i=0; i<s.len; i++) {
-                    let nr = s.vertical ? s.r+i : s.r;
-                    let nc = s.vertical ? s.c : s.c+i;
-                    if(nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE) grid[nr][nc] = 5;
-                }
-            }
+    /**
+     * 按残局的会话数据布置棋盘并进入战斗界面
+     *
+     * 残局自带双方舰队与棋盘尺寸，这里临时替换 fleetDefs 与 boardSize（不写入「上次使用的舰队」），
+     * 退出时由 leaveScenario 恢复原来的部署设置。
+     *
+     * @param {Object} def - 残局定义
+     * @param {Object} sessionData - GameSession.serialize() 格式的局面
+     * @param {Object} usage - 挑战进度（createScenarioUsage）
+     */
+    function loadScenarioBoard(def, sessionData, usage) {
+        scenario = {
+            def,
+            usage: { actions: usage.actions, weapons: { ...usage.weapons } },
+            restore: captureMatchSetup()
+        };
+
+        myShips.forEach(ship => ship.el.remove());
+        fleetDefs = fleetFromShips(sessionData.fleets[Side.PLAYER]);
+        boardSize = sessionData.boardSize;
+        session.reset(boardSize);
+        document.querySelectorAll('[data-setting="board-size"]').forEach(select => select.value = boardSize);
+        initGrids();
+        initShips();
+        initHelpShips();
+        myGridMap = createEmptyGrid();
+
+        session.restore(sessionData, { [Side.PLAYER]: myShips });
+        updatePlacementRuleUi();
+        updateFiringModeUi();
+        updateMatchModeUi();
+        myShips.forEach(ship => {
+            placeShip(ship, ship.r, ship.c, getShipRotation(ship));
+            if (ship.sunk) ship.el.classList.add('sunk');
+        });
+        renderSessionBoards();
+        session.getShips(Side.AI).forEach(ship => {
+            if (ship.sunk) revealSingleEnemyShip(ship);
         });
 
-        return grid;
+        enterBattleUI();
+        selectWeapon(DEFAULT_WEAPON);
+        updateStatus();
     }
 
     /**
-     * 获取玩家视角的 AI 棋盘状态
-     * （与 getAiViewGrid 对称，用于 AI 对称推演）
-     * 
-     * @returns {number[][]} BOARD_SIZE x BOARD_SIZE 数组
-     *   0=未知, 1=miss, 2=hit, 3=destroyed, 4=suspect, 5=sunk
+     * 退出残局：恢复进入前的舰队、棋盘尺寸与规则（由 resetGameFull 调用）
      */
-    function getPlayerViewGrid() {
-        const grid = Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
-        
-        document.querySelectorAll('#enemy-grid .cell').forEach(cell => {
-            const r = parseInt(cell.dataset.r);
-            const c = parseInt(cell.dataset.c);
-            if (cell.classList.contains('destroyed')) grid[r][c] = 3;
-            else if (cell.classList.contains('hit')) grid[r][c] = 2;
-            else if (cell.classList.contains('miss')) grid[r][c] = 1;
-            else if (cell.classList.contains('suspect')) grid[r][c] = 4;
-        });
-        
-        // 标记已沉没的 AI 船只
-        enemyShips.forEach(s => {
-            if (s.sunk) {
-                for (let i = 0; i < s.len; i++) {
-                    const nr = s.vertical ? s.r + i : s.r;
-                    const nc = s.vertical ? s.c : s.c + i;
-                    if (nr >= 0 && nr < BOARD_SIZE && nc >= 0 && nc < BOARD_SIZE) {
-                        grid[nr][nc] = 5;
-                    }
-                }
-            }
-        });
-        
-        return grid;
+    function leaveScenario() {
+        const { restore } = scenario;
+        scenario = null;
+        restoreMatchSetup(restore);
+        updateScenarioUi();
+        updateScenarioPanel();
     }
 
-    function checkWin(who) {
-        if (currentWinner) return;
-        const pDead = myShips.every(s => s.sunk);
-        const eDead = enemyShips.every(s => s.sunk);
-        if (!(pDead || eDead)) return;
+    /**
+     * 残局中的一次行动结算完毕：计数、判定目标，敌方不还击，行动权留在我方
+     * @param {string} weapon
+     */
+    function finishScenarioAction(weapon) {
+        recordScenarioAction(scenario.usage, weapon);
+        const outcome = evaluateScenario(scenario.def, session, scenario.usage);
+        if (outcome.status === ScenarioStatus.ONGOING) {
+            updateStatus();
+            autosave();
+            return;
+        }
+
+        session.phase = GamePhase.END;
+        session.winner = outcome.status === ScenarioStatus.SUCCESS ? Side.PLAYER : Side.AI;
+        session.turn = null;
+        updateStatus();
+        autosave();
+        document.getElementById('enemy-grid').style.pointerEvents = 'none';
+        revealEnemyShips();
+        renderFleetVerification();
+
+        renderDailyShare(null);
 
-        currentWinner = who;
-        gameState = 'END';
-        clearAiTurnTimeout();
-        const enemyGridEl = document.getElementById('enemy-grid');
-        if (enemyGridEl) enemyGridEl.style.pointerEvents = 'none';
-        revealEnemyShips(); // 游戏结束时显示敌方舰船
-        const modal = document.getElementById('game-over-modal');
         const title = document.getElementById('game-over-title');
         const msg = document.getElementById('game-over-msg');
-        
-        if (who === '玩家') {
-            title.innerText = "VICTORY";
+        if (outcome.status === ScenarioStatus.SUCCESS) {
+            const { score, stars } = scoreScenario(scenario.def, scenario.usage);
+            const best = saveScenarioRecord(scenario.def.id, { score, stars, actions: scenario.usage.actions });
+            title.innerText = "SUCCESS";
             title.className = "game-over-title win-text";
-            msg.innerText = "恭喜指挥官！敌方舰队已被全歼！";
+            msg.innerText = `${outcome.reason}！评级 ${'★'.repeat(stars)}${'☆'.repeat(3 - stars)}，得分 ${score}`
+                + (best ? '（新纪录）' : '');
+            log(`挑战成功：${outcome.reason}，评级 ${stars} 星，得分 ${score}。`, "c-warn");
         } else {
-            title.innerText = "DEFEAT";
+            title.innerText = "FAILED";
             title.className = "game-over-title lose-text";
-            msg.innerText = "很遗憾，我方舰队已全军覆没...";
+            msg.innerText = `挑战失败：${outcome.reason}。`;
+            log(`挑战失败：${outcome.reason}。`, "c-warn");
         }
-        
+        updateScenarioPanel();
         setTimeout(() => {
-            modal.style.display = 'block';
+            document.getElementById('game-over-modal').style.display = 'block';
+            battleSound.stopMusic();
         }, 500);
     }
 
-    function revealEnemyShips() {
-        enemyShips.forEach(ship => {
-            revealSingleEnemyShip(ship);
+    /**
+     * 状态面板中的目标与进度（不在残局中时隐藏）
+     */
+    function updateScenarioUi() {
+        const el = document.getElementById('scenario-goal');
+        if (!el) return;
+        el.style.display = scenario ? '' : 'none';
+        if (!scenario) return;
+        const { def, usage } = scenario;
+        const limits = Object.entries(def.goal.limits ?? {}).map(([weapon, limit]) =>
+            `${getWeaponLabel(weapon)} ${usage.weapons[weapon] ?? 0}/${limit}`
+        );
+        el.innerText = `🧩 ${def.title}\n${describeScenarioGoal(def)}\n行动 ${usage.actions}/${def.goal.maxActions}`
+            + (limits.length ? ` · ${limits.join(' · ')}` : '');
+    }
+
+    // === 战役 ===
+
+    /**
+     * 菜单中的任务列表：标出已完成与未解锁的任务，选中后显示简报、规则与奖励
+     */
+    function initCampaignPanel() {
+        const select = document.getElementById('campaign-select');
+        if (!select) return;
+        select.addEventListener('change', updateCampaignPanel);
+        updateCampaignPanel();
+    }
+
+    function updateCampaignPanel() {
+        const select = document.getElementById('campaign-select');
+        if (!select) return;
+        const progress = loadCampaignProgress();
+        // 默认选中第一个未完成的任务
+        const selected = select.value
+            || CAMPAIGN_MISSIONS.find(mission => !isMissionCompleted(progress, mission.id))?.id
+            || CAMPAIGN_MISSIONS[0]?.id;
+        select.innerHTML = '';
+        CAMPAIGN_MISSIONS.forEach((mission, index) => {
+            const mark = isMissionCompleted(progress, mission.id) ? ' ✅'
+                : isMissionUnlocked(progress, mission.id) ? '' : ' 🔒';
+            select.add(new Option(`${index + 1}. ${mission.title}${mark}`, mission.id));
         });
+        select.value = selected;
+
+        const mission = getCampaignMission(select.value);
+        const unlocks = getCampaignUnlocks(progress);
+        const roster = document.getElementById('campaign-roster');
+        if (roster) {
+            roster.innerText = `我方舰队：${buildCampaignFleet(unlocks.ships).map(def => def.name).join('、')}\n`
+                + `可用武器：${describeCampaignWeapons(unlocks.weapons)}`;
+        }
+        const info = document.getElementById('campaign-info');
+        if (!info || !mission) return;
+        const record = progress.missions[mission.id];
+        const rewards = describeMissionRewards(mission);
+        info.innerText = `${mission.briefing}\n${describeMissionRules(mission)}\n`
+            + `敌方舰队：${buildCampaignFleet(mission.enemy).map(def => def.name).join('、')}`
+            + (rewards ? `\n首次完成奖励：${rewards}` : '')
+            + (record?.wins ? `\n已完成 ${record.wins} 次，最少 ${record.bestTurns} 回合` : '');
+        const btn = document.getElementById('btn-campaign');
+        if (btn) btn.disabled = !isMissionUnlocked(progress, mission.id);
     }
 
-    function revealSingleEnemyShip(ship) {
-        const eGrid = document.getElementById('enemy-grid');
-        const cellSize = getCellSize(); // 动态获取
-        // 检查是否已显示，避免重复
-        if (eGrid.querySelector(`.revealed-enemy-ship[data-id="${ship.id}"]`)) return;
+    /**
+     * 进入战役任务的部署阶段（战斗进行中与联机时不可用）
+     * @param {string} id - 任务 id
+     */
+    function startCampaignMission(id) {
+        if (session.isPlaying()) {
+            log("战斗进行中，结束后才能开始战役任务。", "c-warn");
+            return;
+        }
+        if (online) {
+            log("联机中不能开始战役任务，请先断开连接。", "c-warn");
+            return;
+        }
+        const mission = getCampaignMission(id);
+        const progress = loadCampaignProgress();
+        if (!mission || !isMissionUnlocked(progress, id)) {
+            log("该任务尚未解锁，请先完成之前的任务。", "c-warn");
+            return;
+        }
+        const playerFleet = buildCampaignFleet(getCampaignUnlocks(progress).ships);
+        const problems = validateMission(mission, playerFleet);
+        if (problems.length > 0) {
+            log(`无法开始任务：${problems.join('；')}`, "c-warn");
+            return;
+        }
+        resetGameFull();
+        enterCampaign(mission, playerFleet);
+        log(`战役任务「${mission.title}」：${mission.briefing}`, "c-warn");
+        log(`${describeMissionRules(mission)}。可用武器：${describeCampaignWeapons(campaign.weapons)}。部署完毕后开始战斗。`, "c-sys");
+    }
 
-        const shipEl = document.createElement('div');
-        shipEl.className = 'ship revealed-enemy-ship ship-visuals-root'; 
-        shipEl.dataset.id = ship.id;
-        shipEl.style.position = 'absolute';
-        shipEl.style.left = (ship.c * cellSize) + 'px';
-        shipEl.style.top = (ship.r * cellSize) + 'px';
-        shipEl.style.pointerEvents = 'none'; 
-        // z-index 已在 CSS 中设为 1
-        
-        const inner = document.createElement('div');
-        inner.className = 'ship-inner';
-        inner.innerHTML = getShipDom(ship.code);
-        shipEl.appendChild(inner);
+    /**
+     * 切换到任务的设置（部署阶段，由 startCampaignMission 与继续战斗调用）
+     * @param {Object} mission
+     * @param {Array<Object>} playerFleet - 我方出战的舰队定义
+     */
+    function enterCampaign(mission, playerFleet) {
+        campaign = {
+            mission,
+            weapons: getCampaignUnlocks(loadCampaignProgress()).weapons,
+            restore: captureMatchSetup()
+        };
+        restoreMatchSetup({
+            ...getMissionSettings(mission),
+            fleetDefs: playerFleet,
+            matchMode: MatchMode.CAMPAIGN,
+            firstTurn: Side.PLAYER
+        });
+        initGrids();
+        myGridMap = createEmptyGrid();
+        checkReady();
+    }
 
-        const widthPx = (ship.len * cellSize) + 'px';
-        const heightPx = cellSize + 'px';
-        shipEl.style.setProperty('--w', widthPx);
-        shipEl.style.setProperty('--h', heightPx);
-        
-        if (ship.v) {
-            shipEl.classList.add('vertical');
-            shipEl.style.width = cellSize + 'px';
-            shipEl.style.height = widthPx;
-        } else {
-            shipEl.style.width = widthPx;
-            shipEl.style.height = cellSize + 'px';
+    /**
+     * 退出战役：恢复进入前的设置（由 resetGameFull 调用）
+     */
+    function leaveCampaign() {
+        const { restore } = campaign;
+        campaign = null;
+        restoreMatchSetup(restore);
+        updateCampaignPanel();
+    }
+
+    /**
+     * 任务结束：记录胜利并发放首次完成的奖励
+     * @param {string} winner
+     * @returns {string} 结算界面的附加说明
+     */
+    function finishCampaignMission(winner) {
+        const { mission } = campaign;
+        if (winner !== Side.PLAYER) {
+            log(`任务「${mission.title}」失败，可以重新部署再次出击。`, "c-warn");
+            return '任务失败，调整部署后再试一次吧。';
         }
+        const turns = replayRecorder.getReplay()?.turns.filter(turn => turn.side === Side.PLAYER).length ?? session.turnCount;
+        const { firstClear, bestTurns } = recordMissionWin(mission.id, turns);
+        const rewards = describeMissionRewards(mission);
+        const notes = [`任务「${mission.title}」完成，用时 ${turns} 回合${bestTurns && !firstClear ? '（新纪录）' : ''}。`];
+        if (firstClear && rewards) notes.push(`解锁：${rewards}！`);
+        const next = CAMPAIGN_MISSIONS[CAMPAIGN_MISSIONS.indexOf(mission) + 1];
+        if (firstClear && next) notes.push(`下一个任务「${next.title}」已解锁。`);
+        if (firstClear && !next) notes.push('战役全部完成！');
+        log(notes.join(''), "c-warn");
+        updateCampaignPanel();
+        return notes.join('\n');
+    }
 
-        if (ship.sunk) {
-            shipEl.classList.add('sunk');
-        } else {
-            shipEl.style.opacity = '0.9';
-            shipEl.style.filter = 'drop-shadow(0 0 5px white)';
+    // === 每日挑战 ===
+
+    /**
+     * 菜单中的每日挑战：今天的完成情况与连胜
+     */
+    function updateDailyPanel() {
+        const info = document.getElementById('daily-info');
+        if (!info) return;
+        const today = getDailyKey();
+        const history = loadDailyHistory();
+        const result = history[today];
+        const streak = getDailyStreak(history, today);
+        const status = result
+            ? `${result.won ? '✅ 胜利' : '❌ 失败'}，${result.turns} 回合，命中率 ${result.accuracy}%`
+            : '尚未完成';
+        info.innerText = `今天（UTC ${today}）：${status}\n`
+            + `连胜 ${streak.current} 天 · 最长 ${streak.best} 天 · 共 ${streak.played} 天，胜 ${streak.won} 天`;
+    }
+
+    /**
+     * 开始今天的每日挑战（战斗进行中与联机时不可用），玩家照常部署后开战
+     */
+    function startDaily() {
+        if (session.isPlaying()) {
+            log("战斗进行中，结束后才能开始每日挑战。", "c-warn");
+            return;
+        }
+        if (online) {
+            log("联机中不能开始每日挑战，请先断开连接。", "c-warn");
+            return;
         }
+        const key = getDailyKey();
+        resetGameFull();
+        enterDaily(key);
+        log(`每日挑战 ${key}：标准舰队与规则，${DIFFICULTY_LABELS[DAILY_SETTINGS.difficulty]}难度，玩家先手。部署完毕后开始战斗。`, "c-warn");
+        if (loadDailyHistory()[key]) log("今天的挑战已经完成过，本局结果不再记录。", "c-sys");
+    }
+
+    /**
+     * 切换到每日挑战的固定设置（部署阶段，由 startDaily 与继续战斗调用）
+     * 种子在开战时由日期生成，设置控件与种子输入框在部署期间锁定
+     * @param {string} key - 挑战编号
+     */
+    function enterDaily(key) {
+        daily = { key, restore: captureMatchSetup() };
+        restoreMatchSetup({
+            ...DAILY_SETTINGS,
+            fleetDefs: normalizeFleet(SHIP_TYPES),
+            matchMode: MatchMode.DAILY
+        });
+        initGrids();
+        myGridMap = createEmptyGrid();
+        checkReady();
+    }
 
-        // 动态缩放
-        updateShipScale(shipEl, ship.len, cellSize);
+    /**
+     * 退出每日挑战：恢复进入前的设置（由 resetGameFull 调用）
+     */
+    function leaveDaily() {
+        const { restore } = daily;
+        daily = null;
+        restoreMatchSetup(restore);
+        updateDailyPanel();
+    }
 
-        eGrid.appendChild(shipEl);
+    /**
+     * 每日挑战与战役期间锁定本局设置与先手；每日挑战还锁定种子（敌方布局须与当天其他玩家一致）
+     */
+    function updateFixedSetupUi() {
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) seedInput.disabled = isDaily();
+        if (!hasFixedSetup() || session.phase !== GamePhase.SETUP) return;
+        [...MATCH_SETTING_CONTROLS, ...FIRST_TURN_CONTROLS].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = true;
+        });
     }
 
-    // 新增：更新已显示敌舰的视觉（用于 resize）
-    function updateRevealedShipVisuals(shipEl, ship) {
-        const cellSize = getCellSize();
-        const widthPx = (ship.len * cellSize) + 'px';
-        const heightPx = cellSize + 'px';
-        
-        shipEl.style.left = (ship.c * cellSize) + 'px';
-        shipEl.style.top = (ship.r * cellSize) + 'px';
-        
-        shipEl.style.setProperty('--w', widthPx);
-        shipEl.style.setProperty('--h', heightPx);
-        
-        // 动态缩放
-        updateShipScale(shipEl, ship.len, cellSize);
-        
-        if (ship.v) {
-            shipEl.style.width = cellSize + 'px';
-            shipEl.style.height = widthPx;
-        } else {
-            shipEl.style.width = widthPx;
-            shipEl.style.height = cellSize + 'px';
+    /**
+     * 每日挑战结束：统计本局、记录当天第一次的结果
+     * @param {string} winner
+     * @returns {string|null} 分享文本（没有回放数据时为 null）
+     */
+    function finishDaily(winner) {
+        const replay = replayRecorder.getReplay();
+        if (!replay) return null;
+        const won = winner === Side.PLAYER;
+        const summary = summarizeDaily(replay);
+        const recorded = saveDailyResult(daily.key, {
+            won,
+            turns: summary.turns,
+            accuracy: summary.accuracy,
+            weapons: summary.weapons,
+            pattern: summary.pattern
+        });
+        const streak = getDailyStreak(loadDailyHistory(), getDailyKey());
+        log(`每日挑战 ${daily.key}：${summary.turns} 回合，命中率 ${summary.accuracy}%。`
+            + (recorded ? `当前连胜 ${streak.current} 天。` : '今天的结果此前已记录，本局不计入。'), "c-warn");
+        updateDailyPanel();
+        return formatDailyShare(daily.key, won, summary);
+    }
+
+    /**
+     * 结算界面中的分享文本（不是每日挑战时隐藏）
+     * @param {string|null} text
+     */
+    function renderDailyShare(text) {
+        const el = document.getElementById('game-over-share');
+        if (!el) return;
+        el.style.display = text ? '' : 'none';
+        document.getElementById('game-over-share-text').innerText = text ?? '';
+    }
+
+    /**
+     * 复制分享文本；非安全上下文没有 navigator.clipboard，改为选中文本供手动复制
+     */
+    function copyDailyResult() {
+        const el = document.getElementById('game-over-share-text');
+        const selectText = () => {
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+            log("无法访问剪贴板，已选中结果文本，请手动复制。", "c-warn");
+        };
+        if (!navigator.clipboard) {
+            selectText();
+            return;
         }
+        navigator.clipboard.writeText(el.innerText)
+            .then(() => log("每日挑战结果已复制到剪贴板。", "c-sys"))
+            .catch(selectText);
     }
 
     function closeGameOverModal() {
@@ -1620,10 +4111,15 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
     }
 
     function log(msg, cls) {
+        appendLogEntry({ time: new Date().toLocaleTimeString().split(' ')[0], msg, cls });
+    }
+
+    function appendLogEntry(entry) {
+        battleLog.push(entry);
         const logBox = document.getElementById('log');
         const div = document.createElement('div');
-        div.className = `log-line ${cls}`;
-        div.innerHTML = `[${new Date().toLocaleTimeString().split(' ')[0]}] ${msg}`;
+        div.className = `log-line ${entry.cls}`;
+        div.textContent = `[${entry.time}] ${entry.msg}`;
         logBox.prepend(div);
     }
 
@@ -1655,7 +4151,7 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
         const tbody = document.getElementById('rules-ship-table-body');
         if (!tbody) return;
         tbody.innerHTML = '';
-        SHIP_TYPES.forEach(type => {
+        fleetDefs.forEach(type => {
             const tr = document.createElement('tr');
             
             // Image
@@ -1666,15 +4162,11 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
             previewShip.className = 'ship ship-visuals-root';
             const inner = document.createElement('div');
             inner.className = 'ship-inner';
-            inner.innerHTML = getShipDom(type.code);
+            inner.innerHTML = getShipDom(getShipHull(type));
             previewShip.appendChild(inner);
 
-            updateShipVisuals({
-                len: type.len,
-                el: previewShip,
-                vertical: false,
-                inDock: false
-            });
+            // 非直线外形按 8px 小格绘制，保证放得进预览框
+            layoutShipElement(previewShip, type, 0, isStraightShip(type) ? getCellSize() : 8);
             
             // 帮助面板里的预览需要特殊处理，因为它的父容器大小是固定的，不是基于 cellSize
             // 我们可以强制给它一个较小的 scale，或者让它基于 30px 的格子计算
@@ -1708,12 +4200,11 @@ import { ShipState, isInBounds } from './weapons/WeaponTypes.js';
 
             // Ability
             const tdAbil = document.createElement('td');
-            if (type.code === 'CV') tdAbil.innerHTML = '解锁 <b>空袭</b>';
-            else if (type.code === 'DD') tdAbil.innerHTML = '解锁 <b>水听</b>';
-            else if (type.code === 'BB') tdAbil.innerHTML = '主炮伤害上限 3';
-            else if (type.code === 'SS') tdAbil.innerHTML = '主炮伤害上限 2<br>解锁 <b>水听</b>';
-            else if (type.code === 'CL') tdAbil.innerHTML = '主炮伤害上限 2 ';
-            else tdAbil.innerText = '-';
+            const abilText = [];
+            const apDamage = getShipApDamage(type);
+            if (apDamage > 1) abilText.push(`主炮伤害上限 ${apDamage}`);
+            getShipAbilities(type).forEach(ability => abilText.push(`解锁 <b>${ABILITY_LABELS[ability]}</b>`));
+            tdAbil.innerHTML = abilText.length ? abilText.join('<br>') : '-';
             tr.appendChild(tdAbil);
 
             tbody.appendChild(tr);
@@ -0,0 +1,188 @@
+// src/game/net/NetClient.js
+// 联机客户端 - 连接中继服务器、加入房间、断线自动重连
+
+import { PROTOCOL_VERSION, DEFAULT_RELAY_PORT, RelayMessage, parseMessage } from './NetProtocol.js';
+
+/** sessionStorage 键名：本标签页的客户端标识 */
+const CLIENT_ID_KEY = 'onlineClientId';
+
+/** 重连间隔（ms）：逐次翻倍，不超过上限 */
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 10000;
+
+/**
+ * 连接状态
+ */
+export const NetStatus = {
+    IDLE: 'IDLE',                   // 未连接
+    CONNECTING: 'CONNECTING',       // 正在连接 / 加入房间
+    WAITING: 'WAITING',             // 已加入房间，对手不在线
+    CONNECTED: 'CONNECTED',         // 双方都在线
+    RECONNECTING: 'RECONNECTING'    // 连接中断，等待重连
+};
+
+/**
+ * 默认的中继服务器地址（与页面同一主机）
+ * @returns {string}
+ */
+export function getDefaultRelayUrl() {
+    const host = (typeof location !== 'undefined' && location.hostname) || 'localhost';
+    return `ws://${host}:${DEFAULT_RELAY_PORT}`;
+}
+
+/**
+ * 生成客户端标识（重连时凭它取回原来的座位）
+ * @returns {string}
+ */
+export function createClientId() {
+    return Array.from({ length: 4 }, () => Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0')).join('');
+}
+
+/**
+ * 本标签页固定使用的客户端标识：刷新页面后重新加入同一房间仍回到原来的座位
+ * 存在 sessionStorage 中，同一浏览器的其他标签页各有自己的标识，不会互相挤占座位
+ * （从存档继续联机对战时沿用存档中的标识，见 game.js 的 connectOnline）
+ * @returns {string}
+ */
+export function getLocalClientId() {
+    try {
+        let id = sessionStorage.getItem(CLIENT_ID_KEY);
+        if (!id) {
+            id = createClientId();
+            sessionStorage.setItem(CLIENT_ID_KEY, id);
+        }
+        return id;
+    } catch (e) {
+        return createClientId();
+    }
+}
+
+/**
+ * 联机客户端
+ *
+ * 只负责连接与房间，对局消息的含义由 game.js 处理。
+ * 连接意外断开后按退避间隔自动重连，并以同一 clientId 重新加入房间；
+ * 重连成功后由调用方交换状态快照（GameMessage.SYNC）补齐断线期间错过的消息。
+ */
+export class NetClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - 中继服务器地址（ws://host:port）
+     * @param {string} options.room - 房间号
+     * @param {string} [options.clientId] - 客户端标识，省略时使用本标签页的标识（见 getLocalClientId）
+     * @param {Function} options.onMessage - 收到对手的对局消息 (data) => void
+     * @param {Function} options.onStatus - 连接状态变化 (status, info) => void，info 为 { seat, reason }
+     */
+    constructor(options) {
+        this.url = options.url;
+        this.room = options.room;
+        this.clientId = options.clientId ?? getLocalClientId();
+        this.onMessage = options.onMessage;
+        this.onStatus = options.onStatus;
+
+        this.socket = null;
+        this.status = NetStatus.IDLE;
+        this.seat = null;
+        this.closedByUser = false;
+        this.reconnectDelay = RECONNECT_BASE_DELAY;
+        this.reconnectTimer = null;
+    }
+
+    connect() {
+        this.closedByUser = false;
+        this._open();
+    }
+
+    /**
+     * 主动断开（不再重连），并释放房间中的座位
+     */
+    close() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            if (this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify({ type: RelayMessage.LEAVE }));
+            this.socket.close();
+        }
+        this.socket = null;
+        this._setStatus(NetStatus.IDLE);
+    }
+
+    /**
+     * 对手是否在线
+     */
+    isPeerConnected() {
+        return this.status === NetStatus.CONNECTED;
+    }
+
+    /**
+     * 发送对局消息给对手
+     * @param {Object} data - { type: GameMessage, ... }
+     * @returns {boolean} 是否已发出（对手不在线时返回 false，由重连后的同步补齐）
+     */
+    send(data) {
+        if (!this.isPeerConnected()) return false;
+        this.socket.send(JSON.stringify({ type: RelayMessage.RELAY, data }));
+        return true;
+    }
+
+    _open() {
+        this._setStatus(this.status === NetStatus.IDLE ? NetStatus.CONNECTING : NetStatus.RECONNECTING);
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (e) {
+            this.closedByUser = true;
+            this._setStatus(NetStatus.IDLE, { reason: '服务器地址无效' });
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({
+                type: RelayMessage.JOIN, room: this.room, clientId: this.clientId, version: PROTOCOL_VERSION
+            }));
+        });
+        socket.addEventListener('message', (event) => this._handle(parseMessage(event.data)));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.closedByUser) return;
+            this._setStatus(NetStatus.RECONNECTING);
+            this.reconnectTimer = setTimeout(() => this._open(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY);
+        });
+    }
+
+    _handle(message) {
+        if (!message) return;
+        switch (message.type) {
+            case RelayMessage.JOINED:
+                this.seat = message.seat;
+                this.reconnectDelay = RECONNECT_BASE_DELAY;
+                this._setStatus(message.peerConnected ? NetStatus.CONNECTED : NetStatus.WAITING);
+                break;
+            case RelayMessage.PEER_JOINED:
+                this._setStatus(NetStatus.CONNECTED);
+                break;
+            case RelayMessage.PEER_LEFT:
+                this._setStatus(NetStatus.WAITING);
+                break;
+            case RelayMessage.RELAY:
+                if (message.data && typeof message.data.type === 'string') this.onMessage(message.data);
+                break;
+            case RelayMessage.ERROR:
+                // 房间已满、版本不符等无法通过重连解决的错误
+                this.closedByUser = true;
+                if (this.socket) this.socket.close();
+                this.socket = null;
+                this._setStatus(NetStatus.IDLE, { reason: message.reason });
+                break;
+        }
+    }
+
+    _setStatus(status, info = {}) {
+        this.status = status;
+        this.onStatus(status, { seat: this.seat, ...info });
+    }
+}
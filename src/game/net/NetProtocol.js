@@ -0,0 +1,145 @@
+// src/game/net/NetProtocol.js
+// 联机协议 - 中继服务器与客户端共用的消息定义，纯数据层，不依赖浏览器或 Node API
+
+/**
+ * 协议版本
+ * 消息结构变更时递增，版本不同的客户端不能进入同一房间
+ */
+export const PROTOCOL_VERSION = 2;
+
+/** 中继服务器默认端口 */
+export const DEFAULT_RELAY_PORT = 8787;
+
+/** 房间号最大长度 */
+export const ROOM_CODE_MAX_LENGTH = 24;
+
+/**
+ * 客户端与中继服务器之间的消息类型
+ * 中继只认识这些类型；对局内容统一包在 RELAY 的 data 中原样转发
+ */
+export const RelayMessage = {
+    JOIN: 'join',               // 客户端 → 服务器：{ room, clientId, version }
+    LEAVE: 'leave',             // 客户端 → 服务器：主动离开，释放座位（断线则保留座位一段时间等待重连）
+    JOINED: 'joined',           // 服务器 → 客户端：{ seat, peerConnected }
+    PEER_JOINED: 'peer-joined', // 服务器 → 客户端：对手已连接
+    PEER_LEFT: 'peer-left',     // 服务器 → 客户端：对手已断开（座位保留一段时间，可重连）
+    RELAY: 'relay',             // 双向：{ data }，服务器转发给同房间的对手
+    ERROR: 'error'              // 服务器 → 客户端：{ reason }，随后断开
+};
+
+/**
+ * 对局消息类型（RELAY 的 data.type）
+ * 中继服务器不解析这些消息
+ */
+export const GameMessage = {
+    SETUP: 'setup',     // 房主 → 对手：本局设置 { setupId, boardSize, placementRule, firingMode, fleet, firstTurn }
+    READY: 'ready',     // 部署完毕 { setupId }，房主忽略基于旧设置的就绪
+    ACTION: 'action',   // 攻击方 → 防守方：{ seq, decision }，decision 同回放（齐射为数组）
+    RESULT: 'result',   // 防守方 → 攻击方：{ seq, events, cells, sunkShips } 或 { seq, reason }
+    COMMIT: 'commit',   // 开局时公布本方舰队的承诺 { hash }（布局的加盐哈希，见 FleetCommitment.js）
+    REVEAL: 'reveal',   // 结束时公开本方布局 { salt, placements }，对手据此核对开局承诺与全部回报
+    SYNC: 'sync',       // 重连后互相发送的状态快照 { phase, turnCount, ready, setupId, pending, lastReply, commitment, reveal }
+    ABORT: 'abort'      // 一方放弃本局
+};
+
+/**
+ * 座位：先进入房间的一方为房主，负责下发本局设置
+ */
+export const Seat = {
+    HOST: 0,
+    GUEST: 1
+};
+
+/**
+ * 房间号是否合法（字母、数字、下划线与短横线）
+ * @param {*} room
+ * @returns {boolean}
+ */
+export function isValidRoomCode(room) {
+    return typeof room === 'string'
+        && room.length > 0
+        && room.length <= ROOM_CODE_MAX_LENGTH
+        && /^[A-Za-z0-9_-]+$/.test(room);
+}
+
+/**
+ * 对手发来的行动是否结构完整：{ weapon, r, c }（鱼雷另有 heading，可切换打击样式的武器另有 aim），齐射时为非空数组
+ * 只检查结构，武器与目标是否合法由 WeaponService 按防守方的棋盘判定
+ * @param {*} decision
+ * @returns {boolean}
+ */
+export function isActionDecision(decision) {
+    const isShot = (shot) => shot !== null && typeof shot === 'object'
+        && typeof shot.weapon === 'string' && Number.isInteger(shot.r) && Number.isInteger(shot.c)
+        && (shot.heading === undefined || typeof shot.heading === 'string')
+        && (shot.aim === undefined || typeof shot.aim === 'string');
+    return Array.isArray(decision) ? decision.length > 0 && decision.every(isShot) : isShot(decision);
+}
+
+/** 回报中允许出现的事件类型与格子状态（与 WeaponTypes.js 一致，此处不引入以免中继服务器依赖客户端代码） */
+const RESULT_EVENT_TYPES = ['CELL_UPDATE', 'SHIP_UPDATE', 'LOG', 'EFFECT', 'LINE_REPORT'];
+const RESULT_CELL_STATES = ['HIT', 'DESTROYED', 'MISS', 'SUSPECT', 'OCCUPIED'];
+
+/** 拒绝原因的最大长度 */
+const RESULT_REASON_MAX_LENGTH = 60;
+
+/**
+ * 对手发来的回报是否结构完整：{ seq, events, cells, sunkShips } 或 { seq, reason }
+ * 坐标须在棋盘内、舰船编号须在舰队范围内；事件中的日志文字不可信，接收方应自行生成日志
+ *
+ * @param {*} result
+ * @param {number} boardSize - 本局棋盘尺寸
+ * @param {number} shipCount - 对手舰队的舰船数
+ * @returns {boolean}
+ */
+export function isActionResult(result, boardSize, shipCount) {
+    if (!result || typeof result !== 'object' || !Number.isInteger(result.seq)) return false;
+    if (result.reason !== undefined) {
+        return typeof result.reason === 'string' && result.reason.length <= RESULT_REASON_MAX_LENGTH;
+    }
+
+    const isIndex = (value, size) => Number.isInteger(value) && value >= 0 && value < size;
+    const isCell = (cell) => cell !== null && typeof cell === 'object' && isIndex(cell.r, boardSize) && isIndex(cell.c, boardSize);
+    const isCells = (cells) => Array.isArray(cells) && cells.every(isCell);
+    const isEvent = (event) => {
+        if (!event || typeof event !== 'object' || !RESULT_EVENT_TYPES.includes(event.type)) return false;
+        const payload = event.payload;
+        if (!payload || typeof payload !== 'object') return false;
+        switch (event.type) {
+            case 'CELL_UPDATE':
+                return isCell(payload) && RESULT_CELL_STATES.includes(payload.state);
+            case 'SHIP_UPDATE':
+                return isIndex(payload.shipId, shipCount) && Number.isInteger(payload.segmentIndex)
+                    && typeof payload.newHp === 'number' && typeof payload.sunk === 'boolean';
+            case 'LINE_REPORT':
+                return (payload.line === 'ROW' || payload.line === 'COLUMN') && isIndex(payload.index, boardSize)
+                    && isCells(payload.cells) && Number.isInteger(payload.count) && payload.count >= 0;
+            case 'EFFECT':
+                return typeof payload.effect === 'string' && isCells(payload.cells);
+            default:
+                return true;
+        }
+    };
+    const isHitCell = (cell) => isCell(cell) && isIndex(cell.shipId, shipCount) && Number.isInteger(cell.segmentIndex);
+    const isSunkShip = (ship) => ship !== null && typeof ship === 'object' && isIndex(ship.id, shipCount)
+        && isIndex(ship.r, boardSize) && isIndex(ship.c, boardSize) && isIndex(ship.rotation, 4)
+        && Array.isArray(ship.hp) && ship.hp.every(hp => typeof hp === 'number');
+
+    return Array.isArray(result.events) && result.events.every(isEvent)
+        && Array.isArray(result.cells) && result.cells.every(isHitCell)
+        && Array.isArray(result.sunkShips) && result.sunkShips.every(isSunkShip);
+}
+
+/**
+ * 解析收到的 JSON 消息
+ * @param {string} text
+ * @returns {Object|null} 不是带 type 的对象时返回 null
+ */
+export function parseMessage(text) {
+    try {
+        const message = JSON.parse(text);
+        return message && typeof message === 'object' && typeof message.type === 'string' ? message : null;
+    } catch (e) {
+        return null;
+    }
+}
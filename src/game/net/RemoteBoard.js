@@ -0,0 +1,168 @@
+// src/game/net/RemoteBoard.js
+// 联机对战的双方结算 - 防守方生成回报、攻击方据此更新对手棋盘的本地影子，纯数据层，不操作 DOM
+
+import { EventType, createLogEvent } from '../weapons/WeaponTypes.js';
+import { createShip, serializeShip, getShipCells, cloneReconReports } from '../core/GameSession.js';
+import { cloneDefenses } from '../core/Defenses.js';
+import { cloneWeaponStock } from '../core/WeaponStock.js';
+import { isDefensiveWeapon, getWeaponLabel, LINES } from '../core/WeaponRules.js';
+
+/**
+ * 联机对战中对手的舰队：只知道舰队定义，位置未知（r = c = -1）
+ * 之后随攻击回报逐步更新：命中格的船体段、各段血量与沉没状态，沉没后得知整艘舰船的位置
+ *
+ * @param {Array<Object>} fleetDefs - 双方共用的舰队定义
+ * @returns {Array<Object>}
+ */
+export function createHiddenFleet(fleetDefs) {
+    return fleetDefs.map((def, id) => createShip(def, id));
+}
+
+/**
+ * 防守方：按自己的真实舰队结算对手的行动，生成发回给攻击方的回报
+ *
+ * 在网格与舰队的副本上以攻击方视角（isPlayer = true）结算一遍，
+ * 得到的日志与攻击方本地开火时完全一致；真实数据随后由调用方按防守方视角另行结算。
+ * 结算是确定性的，两次结果相同。
+ *
+ * @param {WeaponService} service - 不带渲染器的武器服务
+ * @param {Object|Array<Object>} decision - { weapon, r, c }，齐射时为数组
+ * @param {BattleContext} context - 防守方视角的武器上下文（攻击方为对手）
+ * @returns {Object} { events, cells, sunkShips } 或 { reason }（行动不合法）
+ */
+export function createActionReply(service, decision, context) {
+    // 防御部署在攻击方自己的棋盘上，防守方无从结算，联机对战中不可用
+    if ([].concat(decision).some(action => isDefensiveWeapon(action.weapon))) {
+        return { reason: '联机对战不支持防御行动' };
+    }
+    const mirror = {
+        ...context,
+        defenderGrid: context.defenderGrid.map(row => row.map(cell => ({ ...cell }))),
+        defenderShips: context.defenderShips.map(ship => ({ ...ship, hp: [...ship.hp] })),
+        weaponStock: cloneWeaponStock(context.weaponStock),
+        reconReports: cloneReconReports(context.reconReports ?? []),
+        defenses: cloneDefenses(context.defenses ?? []),
+        isPlayer: true
+    };
+    const result = Array.isArray(decision)
+        ? service.executeSalvo(decision, mirror)
+        : service.executeAIAction(decision, mirror);
+    if (!result.success) return { reason: result.reason };
+
+    // 命中格属于哪艘舰船的哪一段（水听显形的格子没有 SHIP_UPDATE，需要单独告知）
+    const cells = result.events
+        .filter(event => event.type === EventType.CELL_UPDATE && ['HIT', 'DESTROYED'].includes(event.payload.state))
+        .map(({ payload: { r, c } }) => {
+            const { shipId, segmentIndex } = mirror.defenderGrid[r][c];
+            return { r, c, shipId, segmentIndex };
+        });
+    const sunkShips = result.shipsSunk.map(id => serializeShip(mirror.defenderShips[id]));
+    return { events: stripGrid(result.events), cells, sunkShips };
+}
+
+/**
+ * 攻击方：把回报写入对手棋盘的本地影子，使 getViewGrid、武器校验与胜负判定照常工作
+ *
+ * @param {Array<Array<Object>>} grid - 对手的网格（影子）
+ * @param {Array<Object>} ships - 对手的舰队（影子，见 createHiddenFleet）
+ * @param {Object} reply - createActionReply 的输出
+ * @param {Array<Object>} [reports] - 对手棋盘的侦察回报（影子），收到的侦察回报追加到这里
+ */
+export function applyActionReply(grid, ships, reply, reports) {
+    for (const { r, c, shipId, segmentIndex } of reply.cells) {
+        if (segmentIndex < 0 || segmentIndex >= ships[shipId].hp.length) continue;
+        grid[r][c].shipId = shipId;
+        grid[r][c].segmentIndex = segmentIndex;
+    }
+    for (const { type, payload } of reply.events) {
+        if (type === EventType.CELL_UPDATE) {
+            const cell = grid[payload.r][payload.c];
+            if (payload.state === 'SUSPECT') {
+                cell.suspect = true;
+            } else if (payload.state === 'OCCUPIED') {
+                // 深水炸弹只确认有船，不透露是哪一艘
+                cell.occupied = true;
+            } else {
+                cell.hit = true;
+            }
+        } else if (type === EventType.LINE_REPORT) {
+            const { line, index, cells, count } = payload;
+            reports?.push({ line, index, cells: cells.map(({ r, c }) => ({ r, c })), count });
+        } else if (type === EventType.SHIP_UPDATE) {
+            const ship = ships[payload.shipId];
+            if (payload.sunk) {
+                ship.sunk = true;
+            } else if (payload.segmentIndex >= 0 && payload.segmentIndex < ship.hp.length) {
+                ship.hp[payload.segmentIndex] = payload.newHp;
+            }
+        }
+    }
+    // 沉没的舰船整艘公开：补上位置，并标记其全部占格
+    for (const data of reply.sunkShips) {
+        const ship = ships[data.id];
+        Object.assign(ship, { r: data.r, c: data.c, rotation: data.rotation, vertical: data.vertical, hp: [...data.hp], sunk: true });
+        for (const { r, c, idx } of getShipCells(ship)) {
+            if (!grid[r]?.[c]) continue;
+            grid[r][c].shipId = ship.id;
+            grid[r][c].segmentIndex = idx;
+        }
+    }
+}
+
+/** 回报中各格子状态在日志里的说法 */
+const REPLY_STATE_LABELS = {
+    HIT: '命中',
+    DESTROYED: '击毁',
+    MISS: '未命中',
+    SUSPECT: '疑似',
+    OCCUPIED: '确认有船'
+};
+
+/**
+ * 攻击方：按自己的行动与回报中的格子生成日志（回报里的日志文字来自对手，不予采用）
+ *
+ * @param {Object|Array<Object>} decision - 本方发出的行动
+ * @param {Object} reply - 已通过 isActionResult 校验的回报
+ * @param {Array<Object>} ships - 对手的舰队（影子），提供沉没舰船的名称
+ * @returns {{ before: Array<Object>, after: Array<Object> }} 行动日志放在回报事件之前，结果日志放在之后（特效播完才显示）
+ */
+export function describeActionReply(decision, reply, ships) {
+    const before = [].concat(decision).map(({ weapon, r, c }) =>
+        createLogEvent(`我方${getWeaponLabel(weapon)}：目标 (${r + 1},${c + 1})`, 'c-p')
+    );
+
+    const after = [];
+    const counts = {};
+    for (const { type, payload } of reply.events) {
+        if (type === EventType.CELL_UPDATE) {
+            counts[payload.state] = (counts[payload.state] ?? 0) + 1;
+        } else if (type === EventType.LINE_REPORT) {
+            after.push(createLogEvent(
+                `侦察回报：第 ${payload.index + 1} ${LINES[payload.line].label}有 ${payload.count} 格未暴露的船体。`,
+                'c-sys'
+            ));
+        }
+    }
+    const outcome = Object.keys(REPLY_STATE_LABELS)
+        .filter(state => counts[state])
+        .map(state => `${REPLY_STATE_LABELS[state]} ${counts[state]} 格`);
+    after.push(createLogEvent(`回报：${outcome.length > 0 ? outcome.join('，') : '没有新的发现'}。`, 'c-sys'));
+
+    for (const { id } of reply.sunkShips) {
+        after.push(createLogEvent(`战报：敌方【${ships[id].name}】确认沉没！`, 'c-warn'));
+    }
+    return { before, after };
+}
+
+/**
+ * 去掉事件上的 grid / markClass（由接收方按自己的棋盘重新注入）
+ * @param {Array<Object>} events
+ * @returns {Array<Object>}
+ */
+function stripGrid(events) {
+    return events.map(event => {
+        if (!event.payload) return event;
+        const { grid, markClass, ...payload } = event.payload;
+        return { ...event, payload };
+    });
+}
@@ -0,0 +1,283 @@
+// src/game/ui/FleetEditor.js
+// 舰队编辑器 - 增删舰船、调整属性、管理命名预设
+
+import { SHIP_TYPES } from '../../data/ships.js';
+import {
+    Ability, ABILITY_LABELS, HULL_TYPES, FLEET_LIMITS,
+    normalizeFleet, validateFleet, loadFleetPresets, saveFleetPreset, deleteFleetPreset
+} from '../core/Fleet.js';
+import { SHAPE_PRESETS, STRAIGHT_LABEL, getShapePresetKey } from '../core/ShipShape.js';
+
+/**
+ * 舰队编辑器
+ *
+ * 编辑的是舰队定义的副本，点击「应用」且校验通过后才交给 game.js，
+ * 由 game.js 重建港口舰船并让双方在下一局使用新舰队。
+ */
+export class FleetEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getBoardSize - 当前棋盘尺寸 () => number，用于校验
+     * @param {Function} options.onApply - 应用新舰队 (fleet) => void
+     * @param {Function} [options.validate] - 应用前的校验 (fleet) => string|null，默认只按棋盘尺寸校验
+     */
+    constructor(options) {
+        this.getBoardSize = options.getBoardSize;
+        this.onApply = options.onApply;
+        this.validate = options.validate ?? (fleet => validateFleet(fleet, this.getBoardSize()));
+
+        this.modal = document.getElementById('fleet-modal');
+        this.tbody = document.getElementById('fleet-editor-body');
+        this.errorEl = document.getElementById('fleet-editor-error');
+        this.presetSelect = document.getElementById('fleet-preset-select');
+        this.presetName = document.getElementById('fleet-preset-name');
+
+        this.fleet = [];
+        this._bindControls();
+    }
+
+    /**
+     * 打开编辑器
+     * @param {Array<Object>} fleet - 当前使用的舰队定义
+     */
+    open(fleet) {
+        this.fleet = normalizeFleet(fleet);
+        this.presetName.value = '';
+        this._renderPresets();
+        this._render();
+        this.modal.style.display = 'block';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    /**
+     * 添加一艘舰船（默认为驱逐舰配置，代号取未被占用的编号）
+     */
+    addShip() {
+        if (this.fleet.length >= FLEET_LIMITS.MAX_SHIPS) {
+            this._showError(`舰队最多 ${FLEET_LIMITS.MAX_SHIPS} 艘舰船`);
+            return;
+        }
+        let n = 1;
+        while (this.fleet.some(def => def.code === `S${n}`)) n++;
+        this.fleet.push({
+            name: `舰船${n}`, len: 2, maxHp: 1, code: `S${n}`,
+            type: 'destroyer', apDamage: 1, abilities: []
+        });
+        this._render();
+    }
+
+    /**
+     * 校验并应用
+     */
+    apply() {
+        const reason = this.validate(this.fleet);
+        if (reason) {
+            this._showError(reason);
+            return;
+        }
+        this.onApply(normalizeFleet(this.fleet));
+        this.close();
+    }
+
+    savePreset() {
+        const name = this.presetName.value.trim();
+        if (!name) {
+            this._showError('请输入预设名称');
+            return;
+        }
+        const reason = validateFleet(this.fleet, this.getBoardSize());
+        if (reason) {
+            this._showError(reason);
+            return;
+        }
+        if (!saveFleetPreset(name, this.fleet)) {
+            this._showError('预设保存失败');
+            return;
+        }
+        this._renderPresets(name);
+        this._showError('');
+    }
+
+    loadPreset() {
+        const fleet = loadFleetPresets()[this.presetSelect.value];
+        if (!fleet) return;
+        this.fleet = normalizeFleet(fleet);
+        this.presetName.value = this.presetSelect.value;
+        this._render();
+    }
+
+    deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name || !confirm(`确定删除预设「${name}」吗？`)) return;
+        deleteFleetPreset(name);
+        this._renderPresets();
+    }
+
+    _renderPresets(selected = '') {
+        const names = Object.keys(loadFleetPresets());
+        this.presetSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.innerText = names.length ? '选择预设…' : '暂无预设';
+        this.presetSelect.appendChild(placeholder);
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.innerText = name;
+            this.presetSelect.appendChild(option);
+        });
+        this.presetSelect.value = selected;
+    }
+
+    _render() {
+        this.tbody.innerHTML = '';
+        this.fleet.forEach((def, index) => this.tbody.appendChild(this._createRow(def, index)));
+        document.getElementById('fleet-add-ship').disabled = this.fleet.length >= FLEET_LIMITS.MAX_SHIPS;
+        this._updateSummary();
+        this._showError('');
+    }
+
+    /**
+     * 生成一行舰船编辑控件，输入即写回 this.fleet[index]
+     */
+    _createRow(def, index) {
+        const tr = document.createElement('tr');
+        const addCell = (control) => {
+            const td = document.createElement('td');
+            td.appendChild(control);
+            tr.appendChild(td);
+            return control;
+        };
+        const textInput = (key, maxLength, className) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `fleet-input ${className}`;
+            input.maxLength = maxLength;
+            input.value = def[key];
+            input.addEventListener('input', () => {
+                def[key] = key === 'code' ? input.value.toUpperCase() : input.value;
+                this._updateSummary();
+            });
+            return input;
+        };
+        const numberInput = (key, max) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'fleet-input fleet-number';
+            input.min = 1;
+            input.max = max;
+            input.value = def[key];
+            input.addEventListener('input', () => {
+                def[key] = parseInt(input.value, 10);
+                this._updateSummary();
+            });
+            return input;
+        };
+
+        addCell(textInput('code', 3, 'fleet-code'));
+        addCell(textInput('name', FLEET_LIMITS.MAX_NAME_LENGTH, 'fleet-name'));
+
+        const hull = document.createElement('select');
+        hull.className = 'fleet-input';
+        Object.entries(HULL_TYPES).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.innerText = label;
+            hull.appendChild(option);
+        });
+        hull.value = def.type;
+        hull.addEventListener('change', () => def.type = hull.value);
+        addCell(hull);
+
+        // 外形：直线可自由设置长度，其余预设的长度由格数决定
+        const shape = document.createElement('select');
+        shape.className = 'fleet-input';
+        [['', STRAIGHT_LABEL], ...Object.entries(SHAPE_PRESETS).map(([key, preset]) => [key, preset.label])]
+            .forEach(([key, label]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.innerText = label;
+                shape.appendChild(option);
+            });
+        shape.value = getShapePresetKey(def) ?? '';
+        shape.addEventListener('change', () => {
+            const preset = SHAPE_PRESETS[shape.value];
+            if (preset) {
+                def.shape = preset.cells.map(cell => [...cell]);
+                def.len = preset.cells.length;
+            } else {
+                delete def.shape;
+            }
+            this._render();
+        });
+        addCell(shape);
+
+        addCell(numberInput('len', FLEET_LIMITS.MAX_LEN)).disabled = Boolean(def.shape);
+        addCell(numberInput('maxHp', FLEET_LIMITS.MAX_HP));
+        addCell(numberInput('apDamage', FLEET_LIMITS.MAX_AP_DAMAGE));
+
+        const abilities = document.createElement('div');
+        abilities.className = 'fleet-abilities';
+        Object.values(Ability).forEach(ability => {
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = def.abilities.includes(ability);
+            box.addEventListener('change', () => {
+                def.abilities = Object.values(Ability).filter(a =>
+                    a === ability ? box.checked : def.abilities.includes(a)
+                );
+            });
+            label.appendChild(box);
+            label.append(ABILITY_LABELS[ability]);
+            abilities.appendChild(label);
+        });
+        addCell(abilities);
+
+        const remove = document.createElement('button');
+        remove.className = 'fleet-remove';
+        remove.title = '移除';
+        remove.innerText = '✕';
+        remove.disabled = this.fleet.length <= FLEET_LIMITS.MIN_SHIPS;
+        remove.addEventListener('click', () => {
+            this.fleet.splice(index, 1);
+            this._render();
+        });
+        addCell(remove);
+
+        return tr;
+    }
+
+    _updateSummary() {
+        const size = this.getBoardSize();
+        const cells = this.fleet.reduce((sum, def) => sum + (Number(def.len) || 0), 0);
+        const maxCells = Math.floor(size * size * FLEET_LIMITS.MAX_COVERAGE);
+        document.getElementById('fleet-editor-summary').innerText =
+            `${this.fleet.length} 艘舰船，共 ${cells} 格（${size}×${size} 棋盘上限 ${maxCells} 格）`;
+    }
+
+    _showError(msg) {
+        this.errorEl.innerText = msg;
+    }
+
+    _bindControls() {
+        const actions = {
+            add: () => this.addShip(),
+            default: () => { this.fleet = normalizeFleet(SHIP_TYPES); this._render(); },
+            'load-preset': () => this.loadPreset(),
+            'delete-preset': () => this.deletePreset(),
+            'save-preset': () => this.savePreset(),
+            apply: () => this.apply(),
+            cancel: () => this.close()
+        };
+        this.modal.querySelectorAll('[data-fleet]').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.fleet]());
+        });
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+    }
+}
@@ -0,0 +1,39 @@
+// src/game/ui/HeatmapOverlay.js
+// AI 概率热力图 - 把概率网格画到棋盘格子上（人机对战的「AI 视角」与观战模式共用）
+
+/**
+ * 在棋盘上显示概率热力图
+ * @param {HTMLElement} gridEl - 棋盘元素（player-grid / enemy-grid）
+ * @param {number[][]} probabilityMap - 各格的概率 [0, 1]
+ */
+export function renderHeatmap(gridEl, probabilityMap) {
+    probabilityMap.forEach((row, r) => row.forEach((val, c) => {
+        const cell = gridEl.querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+        if (!cell) return;
+        clearCell(cell);
+
+        const ratio = Math.min(1, Math.max(0, val || 0));
+        if (ratio > 0) {
+            cell.setAttribute('data-heat', `${(ratio * 100).toFixed(1)}%`);
+            cell.classList.add('debug-heat');
+            const alpha = 0.1 + (ratio * 0.6);
+            const rVal = Math.floor(255 * ratio);
+            const bVal = Math.floor(255 * (1 - ratio));
+            cell.style.setProperty('--heat-bg', `rgba(${rVal}, 0, ${bVal}, ${alpha})`);
+        }
+    }));
+}
+
+/**
+ * 清除棋盘上的热力图
+ * @param {HTMLElement} gridEl
+ */
+export function clearHeatmap(gridEl) {
+    gridEl.querySelectorAll('.debug-heat').forEach(clearCell);
+}
+
+function clearCell(cell) {
+    cell.classList.remove('debug-heat');
+    cell.removeAttribute('data-heat');
+    cell.style.removeProperty('--heat-bg');
+}
@@ -0,0 +1,254 @@
+// src/game/ui/ReplayViewer.js
+// 回放查看器 - 将录制的事件重新交给 BattleRenderer 渲染
+
+import { REPLAY_STEP_INTERVAL } from '../../config/constants.js';
+import { BattleRenderer } from '../battle/BattleRenderer.js';
+import { EventType } from '../weapons/WeaponTypes.js';
+import { Side } from '../core/GameSession.js';
+import { getDecisionShots } from '../core/Replay.js';
+import { PLACEMENT_RULE_LABELS, DEFAULT_PLACEMENT_RULE } from '../core/PlacementRule.js';
+import { FIRING_MODE_LABELS, DEFAULT_FIRING_MODE } from '../core/FiringMode.js';
+import { MATCH_MODE_LABELS, DEFAULT_MATCH_MODE, MatchMode, getSideLabel } from '../core/MatchMode.js';
+
+/** 当前步命中格子的高亮样式 */
+const LAST_STEP_CLASS = 'replay-last';
+
+/** 当前步瞄准点的高亮样式 */
+const TARGET_CLASS = 'replay-target';
+
+/**
+ * 回放查看器
+ *
+ * 跳转到第 n 步时先清空棋盘，再把前 n 步的事件依次交给独立的 BattleRenderer，
+ * 因此后退/跳转与前进走的是同一条渲染路径，不需要为每种事件编写逆操作。
+ * 棋盘清理与舰船绘制由 game.js 通过回调注入，查看器只负责进度与控制条。
+ */
+export class ReplayViewer {
+    /**
+     * @param {Object} options
+     * @param {Function} options.clearBoards - 清空双方棋盘上的标记与回放舰船 () => void
+     * @param {Function} options.drawShip - 绘制回放舰船 (grid, ship, { ghost }) => void，grid 为 'PLAYER' | 'ENEMY'
+     * @param {Function} options.onExport - 导出当前回放 (replay) => void
+     * @param {Function} options.onExit - 退出回放后的回调 () => void
+     */
+    constructor(options) {
+        this.clearBoards = options.clearBoards;
+        this.drawShip = options.drawShip;
+        this.onExport = options.onExport || (() => {});
+        this.onExit = options.onExit || (() => {});
+
+        this.replay = null;
+        this.step = 0;
+        this.showAll = false;
+        this.playTimer = null;
+        this.stepLog = [];
+        this.sunk = { PLAYER: new Set(), ENEMY: new Set() };
+
+        this.renderer = new BattleRenderer({
+            logFn: (msg, cls) => this.stepLog.push({ msg, cls }),
+            onShipSunk: (shipId, grid) => this.sunk[grid].add(shipId)
+        });
+
+        this._bindControls();
+    }
+
+    /**
+     * 是否处于回放中
+     */
+    isOpen() {
+        return this.replay !== null;
+    }
+
+    /**
+     * 打开回放（从开局开始）
+     * @param {Object} replay - ReplayRecorder 录制的回放数据
+     */
+    open(replay) {
+        this.replay = replay;
+        this.showAll = false;
+        document.body.classList.add('replay-mode');
+        document.getElementById('replay-bar').style.display = 'flex';
+        document.getElementById('replay-show-all').checked = false;
+
+        const slider = document.getElementById('replay-slider');
+        slider.max = replay.turns.length;
+        this.seek(0);
+    }
+
+    /**
+     * 关闭回放并交还棋盘
+     */
+    close() {
+        if (!this.replay) return;
+        this.pause();
+        this.replay = null;
+        this.clearBoards();
+        document.body.classList.remove('replay-mode');
+        document.getElementById('replay-bar').style.display = 'none';
+        this.onExit();
+    }
+
+    /**
+     * 跳转到第 step 步之后的局面（0 = 开局）
+     * @param {number} step
+     */
+    seek(step) {
+        if (!this.replay) return;
+        const { turns } = this.replay;
+        this.step = Math.max(0, Math.min(step, turns.length));
+
+        this.clearBoards();
+        this.sunk = { PLAYER: new Set(), ENEMY: new Set() };
+
+        for (let i = 0; i < this.step; i++) {
+            const isCurrent = i === this.step - 1;
+            // 只有当前步保留高亮，之前步骤的 markClass（如 last-enemy-attack）一律去掉
+            const events = turns[i].events.map(event => event.type === EventType.CELL_UPDATE
+                ? { ...event, payload: { ...event.payload, markClass: isCurrent ? LAST_STEP_CLASS : null } }
+                : event
+            );
+            this.stepLog = [];
+            this.renderer.render(events);
+        }
+        if (this.step === 0) this.stepLog = [];
+
+        this._drawFleets();
+        this._markTarget();
+        this._updateBar();
+    }
+
+    /**
+     * 重新渲染当前步（窗口尺寸变化时使用）
+     */
+    refresh() {
+        this.seek(this.step);
+    }
+
+    next() {
+        if (this.step >= this.replay.turns.length) {
+            this.pause();
+            return;
+        }
+        this.seek(this.step + 1);
+    }
+
+    prev() {
+        this.seek(this.step - 1);
+    }
+
+    play() {
+        if (!this.replay || this.playTimer !== null) return;
+        if (this.step >= this.replay.turns.length) this.seek(0);
+        this.playTimer = setInterval(() => this.next(), REPLAY_STEP_INTERVAL);
+        this._updateBar();
+    }
+
+    pause() {
+        if (this.playTimer === null) return;
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this._updateBar();
+    }
+
+    /**
+     * 切换是否显示敌方全部舰船
+     * @param {boolean} showAll
+     */
+    setShowAll(showAll) {
+        this.showAll = showAll;
+        this.refresh();
+    }
+
+    /**
+     * 绘制双方舰队：我方舰船始终可见；敌方只显示已沉没的，勾选「显示双方舰队」后全部显示
+     */
+    _drawFleets() {
+        const { fleets } = this.replay;
+        fleets[Side.PLAYER].forEach(ship => {
+            this.drawShip('PLAYER', { ...ship, sunk: this.sunk.PLAYER.has(ship.id) }, { ghost: false });
+        });
+        fleets[Side.AI].forEach(ship => {
+            if (ship.r < 0) return; // 联机对战中始终未暴露位置的对手舰船
+            const sunk = this.sunk.ENEMY.has(ship.id);
+            if (sunk || this.showAll) {
+                this.drawShip('ENEMY', { ...ship, sunk }, { ghost: !sunk });
+            }
+        });
+    }
+
+    /**
+     * 标出当前步的瞄准点（齐射时标出每一发）
+     */
+    _markTarget() {
+        if (this.step === 0) return;
+        const { side, decision } = this.replay.turns[this.step - 1];
+        const gridId = side === Side.PLAYER ? 'enemy-grid' : 'player-grid';
+        getDecisionShots(decision).forEach(({ r, c }) => {
+            const cell = document.querySelector(`#${gridId} .cell[data-r="${r}"][data-c="${c}"]`);
+            if (cell) cell.classList.add(TARGET_CLASS);
+        });
+    }
+
+    _updateBar() {
+        const { turns, winner } = this.replay;
+        const total = turns.length;
+
+        document.getElementById('replay-slider').value = this.step;
+        document.getElementById('replay-step-label').innerText = `第 ${this.step} / ${total} 步`;
+        document.getElementById('replay-play').innerText = this.playTimer !== null ? '⏸' : '▶️';
+
+        const desc = document.getElementById('replay-step-desc');
+        desc.innerHTML = '';
+        if (this.step === 0) {
+            const {
+                firstTurn, seed, boardSize,
+                placementRule = DEFAULT_PLACEMENT_RULE, firingMode = DEFAULT_FIRING_MODE,
+                matchMode = DEFAULT_MATCH_MODE
+            } = this.replay;
+            desc.innerText = `开局：${getSideLabel(firstTurn, matchMode)}先手`
+                + (matchMode === MatchMode.VS_AI ? '' : `（${MATCH_MODE_LABELS[matchMode]}）`)
+                + `，${boardSize}×${boardSize} 棋盘，${PLACEMENT_RULE_LABELS[placementRule]}`
+                + `，${FIRING_MODE_LABELS[firingMode]}`
+                + (seed !== null && seed !== undefined ? `（种子 ${seed}）` : '');
+            return;
+        }
+        this.stepLog.forEach(({ msg, cls }) => {
+            const line = document.createElement('div');
+            line.className = `log-line ${cls}`;
+            line.innerHTML = msg;
+            desc.appendChild(line);
+        });
+        if (this.step === total && winner) {
+            const line = document.createElement('div');
+            line.className = 'log-line c-warn';
+            line.innerText = `战斗结束：${getSideLabel(winner, this.replay.matchMode)}胜利`;
+            desc.appendChild(line);
+        }
+    }
+
+    _bindControls() {
+        const actions = {
+            start: () => { this.pause(); this.seek(0); },
+            prev: () => { this.pause(); this.prev(); },
+            play: () => (this.playTimer !== null ? this.pause() : this.play()),
+            next: () => { this.pause(); this.next(); },
+            end: () => { this.pause(); this.seek(this.replay.turns.length); },
+            export: () => this.onExport(this.replay),
+            exit: () => this.close()
+        };
+        document.querySelectorAll('[data-replay]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.replay) actions[btn.dataset.replay]();
+            });
+        });
+
+        const slider = document.getElementById('replay-slider');
+        slider.addEventListener('input', () => {
+            this.pause();
+            this.seek(parseInt(slider.value, 10));
+        });
+
+        const showAll = document.getElementById('replay-show-all');
+        showAll.addEventListener('change', () => this.setShowAll(showAll.checked));
+    }
+}
@@ -0,0 +1,352 @@
+// src/game/ui/SpectatorView.js
+// 观战模式 - 两个 AI 在真实棋盘上对战，可调速、暂停、单步，并显示双方的概率热力图
+
+import { SPECTATOR_SPEEDS, DEFAULT_SPECTATOR_SPEED } from '../../config/constants.js';
+import { DIFFICULTY_SETTINGS, DIFFICULTY_LABELS } from '../../data/difficulties.js';
+import { AIDuel, DUEL_SIDE_LABELS } from '../../ai/AIDuel.js';
+import { BattleRenderer } from '../battle/BattleRenderer.js';
+import { EventType } from '../weapons/WeaponTypes.js';
+import { Side } from '../core/GameSession.js';
+import { renderHeatmap, clearHeatmap } from './HeatmapOverlay.js';
+
+/** 自定义参数的预设键 */
+const CUSTOM_PRESET = 'CUSTOM';
+
+/** 默认对阵：蓝方提督，红方舰长 */
+const DEFAULT_PRESETS = { [Side.PLAYER]: 'HARD', [Side.AI]: 'NORMAL' };
+
+/** 可调的 AI 参数（均在 [0, 1] 内） */
+const PARAMS = ['alpha', 'randomness', 'riskAwareness'];
+
+/** 当前步结算格与瞄准点的高亮样式（与回放共用） */
+const LAST_STEP_CLASS = 'replay-last';
+const TARGET_CLASS = 'replay-target';
+
+/** 一方舰队所在的棋盘：蓝方在我方棋盘，红方在敌方棋盘 */
+const GRID_IDS = { [Side.PLAYER]: 'player-grid', [Side.AI]: 'enemy-grid' };
+
+/**
+ * 观战视图
+ *
+ * 对局由 AIDuel 逐步推进，每一步的事件交给独立的 BattleRenderer 渲染，不经过 game.js 的 session；
+ * 棋盘清理与舰船绘制由 game.js 通过回调注入（与 ReplayViewer 相同），查看器只负责进度与控制条。
+ * 双方参数在菜单的「AI 观战」中选择：难度预设，或自定义 alpha / randomness / riskAwareness。
+ */
+export class SpectatorView {
+    /**
+     * @param {Object} options
+     * @param {WeaponService} options.service - 不带渲染器的武器服务
+     * @param {Function} options.getMatchOptions - 本局规则 () => { fleet, boardSize, placementRule, firingMode, seed }
+     * @param {Function} options.clearBoards - 清空双方棋盘上的标记 () => void
+     * @param {Function} options.drawShip - 绘制舰船 (grid, ship, { ghost }) => HTMLElement，grid 为 'PLAYER' | 'ENEMY'
+     * @param {Function} options.onLog - 写入战况记录 (msg, cls) => void
+     * @param {Function} options.onExit - 退出观战后的回调 () => void
+     */
+    constructor(options) {
+        this.service = options.service;
+        this.getMatchOptions = options.getMatchOptions;
+        this.clearBoards = options.clearBoards;
+        this.drawShip = options.drawShip;
+        this.onLog = options.onLog || (() => {});
+        this.onExit = options.onExit || (() => {});
+
+        this.duel = null;
+        this.step = 0;
+        this.speed = DEFAULT_SPECTATOR_SPEED;
+        this.playTimer = null;
+        this.shipEls = [];
+        this.stepLog = [];
+        this.lastSide = null;
+
+        this.renderer = new BattleRenderer({
+            logFn: (msg, cls) => this.stepLog.push({ msg, cls })
+        });
+
+        this._initConfigControls();
+        this._bindControls();
+    }
+
+    /**
+     * 是否处于观战中
+     */
+    isOpen() {
+        return this.duel !== null;
+    }
+
+    /**
+     * 按菜单中的参数开始一局观战，并自动播放
+     */
+    open() {
+        this.pause();
+        const configs = {
+            [Side.PLAYER]: this._readConfig(Side.PLAYER),
+            [Side.AI]: this._readConfig(Side.AI)
+        };
+        this.duel = new AIDuel({ ...this.getMatchOptions(), configs, service: this.service });
+        this.step = 0;
+        this.stepLog = [];
+        this.lastSide = null;
+
+        document.body.classList.add('spectator-mode');
+        document.getElementById('spectator-bar').style.display = 'flex';
+        this.clearBoards();
+        this._updateTitles();
+        this._drawFleets();
+        this._updateHeatmaps();
+        this._updateBar();
+        this.onLog(`开始观战：${this._describeSide(Side.PLAYER)} 对阵 ${this._describeSide(Side.AI)}（种子 ${this.duel.seed}）`, "c-sys");
+        this.play();
+    }
+
+    /**
+     * 退出观战并交还棋盘
+     */
+    close() {
+        if (!this.duel) return;
+        this.pause();
+        this.duel = null;
+        this._removeShips();
+        Object.values(GRID_IDS).forEach(id => clearHeatmap(document.getElementById(id)));
+        this.clearBoards();
+        document.body.classList.remove('spectator-mode');
+        document.getElementById('spectator-bar').style.display = 'none';
+        this.onExit();
+    }
+
+    play() {
+        if (!this.duel || this.playTimer !== null || this.duel.isFinished()) return;
+        this._scheduleNext();
+        this._updateBar();
+    }
+
+    pause() {
+        if (this.playTimer === null) return;
+        clearTimeout(this.playTimer);
+        this.playTimer = null;
+        if (this.duel) this._updateBar();
+    }
+
+    /**
+     * 推进一步（自动播放与单步共用）
+     */
+    next() {
+        if (!this.duel) return;
+        const result = this.duel.step();
+        if (!result) {
+            this.pause();
+            return;
+        }
+        this.step++;
+        this.lastSide = result.side;
+
+        document.querySelectorAll(`.${LAST_STEP_CLASS}, .${TARGET_CLASS}`).forEach(el => {
+            el.classList.remove(LAST_STEP_CLASS, TARGET_CLASS);
+        });
+        this.stepLog = [];
+        this.renderer.render(result.events.map(event => event.type === EventType.CELL_UPDATE
+            ? { ...event, payload: { ...event.payload, markClass: LAST_STEP_CLASS } }
+            : event
+        ));
+        this._markTargets(result);
+        this._drawFleets();
+        this._updateHeatmaps();
+
+        if (this.duel.isFinished()) {
+            this.pause();
+            this.onLog(this._describeResult(), "c-warn");
+        }
+        this._updateBar();
+    }
+
+    /**
+     * 重新绘制舰船（窗口尺寸变化时使用）
+     */
+    refresh() {
+        if (this.duel) this._drawFleets();
+    }
+
+    _scheduleNext() {
+        this.playTimer = setTimeout(() => {
+            this.playTimer = null;
+            this.next();
+            if (this.duel && !this.duel.isFinished()) this._scheduleNext();
+            this._updateBar();
+        }, SPECTATOR_SPEEDS[this.speed].interval);
+    }
+
+    // === 参数选择 ===
+
+    /**
+     * 菜单中双方的难度预设与参数输入框：选择预设时显示其参数，选择「自定义」后可编辑
+     */
+    _initConfigControls() {
+        document.querySelectorAll('[data-spectate-side]').forEach(row => {
+            const side = row.dataset.spectateSide;
+            const select = row.querySelector('[data-spectate-preset]');
+            Object.keys(DIFFICULTY_SETTINGS).forEach(key => select.add(new Option(DIFFICULTY_LABELS[key], key)));
+            select.add(new Option('自定义', CUSTOM_PRESET));
+            select.value = DEFAULT_PRESETS[side];
+            select.addEventListener('change', () => this._syncParamInputs(row));
+            this._syncParamInputs(row);
+        });
+    }
+
+    _syncParamInputs(row) {
+        const preset = row.querySelector('[data-spectate-preset]').value;
+        row.querySelectorAll('[data-spectate-param]').forEach(input => {
+            input.disabled = preset !== CUSTOM_PRESET;
+            if (preset !== CUSTOM_PRESET) input.value = DIFFICULTY_SETTINGS[preset][input.dataset.spectateParam];
+        });
+    }
+
+    /**
+     * 读取一方的参数（自定义值截断到 [0, 1]，无法识别时取 0）
+     * @param {string} side
+     * @returns {Object} { preset, alpha, randomness, riskAwareness }
+     */
+    _readConfig(side) {
+        const row = document.querySelector(`[data-spectate-side="${side}"]`);
+        const preset = row.querySelector('[data-spectate-preset]').value;
+        if (preset !== CUSTOM_PRESET) return { preset, ...DIFFICULTY_SETTINGS[preset] };
+        const config = { preset };
+        PARAMS.forEach(param => {
+            const value = parseFloat(row.querySelector(`[data-spectate-param="${param}"]`).value);
+            config[param] = Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+        });
+        return config;
+    }
+
+    _describeSide(side) {
+        const config = this.duel.configs[side];
+        const name = config.preset === CUSTOM_PRESET
+            ? `自定义 α=${config.alpha} 随机=${config.randomness} 风险=${config.riskAwareness}`
+            : DIFFICULTY_LABELS[config.preset];
+        return `${DUEL_SIDE_LABELS[side]}（${name}）`;
+    }
+
+    _describeResult() {
+        const { winner } = this.duel;
+        return winner
+            ? `观战结束：${this._describeSide(winner)}胜利，共 ${this.step} 步`
+            : `观战结束：${this.step} 步内未分胜负，判为平局`;
+    }
+
+    // === 棋盘 ===
+
+    /**
+     * 绘制双方舰队：蓝方在我方棋盘，红方在敌方棋盘；未沉没的红方舰船以半透明显示
+     */
+    _drawFleets() {
+        this._removeShips();
+        const { session } = this.duel;
+        session.getShips(Side.PLAYER).forEach(ship => {
+            this.shipEls.push(this.drawShip('PLAYER', ship, { ghost: false }));
+        });
+        session.getShips(Side.AI).forEach(ship => {
+            this.shipEls.push(this.drawShip('ENEMY', ship, { ghost: !ship.sunk }));
+        });
+    }
+
+    _removeShips() {
+        this.shipEls.forEach(el => el.remove());
+        this.shipEls = [];
+    }
+
+    /**
+     * 标出本步的瞄准点（齐射时标出每一发），画在防守方的棋盘上
+     */
+    _markTargets({ side, decision }) {
+        const gridId = GRID_IDS[this.duel.session.getOpponent(side)];
+        (Array.isArray(decision) ? decision : [decision]).forEach(({ r, c }) => {
+            const cell = document.querySelector(`#${gridId} .cell[data-r="${r}"][data-c="${c}"]`);
+            if (cell) cell.classList.add(TARGET_CLASS);
+        });
+    }
+
+    /**
+     * 按勾选显示热力图：一方的热力图画在它攻击的棋盘（对手舰队所在的棋盘）上
+     */
+    _updateHeatmaps() {
+        [Side.PLAYER, Side.AI].forEach(side => {
+            const gridEl = document.getElementById(GRID_IDS[this.duel.session.getOpponent(side)]);
+            if (document.getElementById(`spectator-heat-${side}`).checked && !this.duel.isFinished()) {
+                renderHeatmap(gridEl, this.duel.getHeatmap(side));
+            } else {
+                clearHeatmap(gridEl);
+            }
+        });
+    }
+
+    _updateTitles() {
+        document.getElementById('player-board-title').innerText = `${this._describeSide(Side.PLAYER)} 海域`;
+        document.getElementById('enemy-board-title').innerText = `${this._describeSide(Side.AI)} 海域`;
+    }
+
+    // === 控制条 ===
+
+    _updateBar() {
+        if (!this.duel) return;
+        const { session } = this.duel;
+        document.getElementById('spectator-step-label').innerText = `第 ${this.step} 步`;
+        const playBtn = document.getElementById('spectator-play');
+        playBtn.innerText = this.playTimer !== null ? '⏸' : '▶️';
+        playBtn.disabled = this.duel.isFinished();
+        document.querySelector('[data-spectate="step"]').disabled = this.duel.isFinished();
+
+        const desc = document.getElementById('spectator-step-desc');
+        desc.innerHTML = '';
+        if (this.step === 0) {
+            desc.innerText = `${this._describeSide(Side.PLAYER)} 对阵 ${this._describeSide(Side.AI)}，`
+                + `${session.boardSize}×${session.boardSize} 棋盘，种子 ${this.duel.seed}`;
+            return;
+        }
+        const head = document.createElement('div');
+        head.className = 'log-line c-sys';
+        head.innerText = `${DUEL_SIDE_LABELS[this.lastSide]}行动：`;
+        desc.appendChild(head);
+        this.stepLog.forEach(({ msg, cls }) => {
+            const line = document.createElement('div');
+            line.className = `log-line ${cls}`;
+            line.innerHTML = msg;
+            desc.appendChild(line);
+        });
+        if (this.duel.isFinished()) {
+            const line = document.createElement('div');
+            line.className = 'log-line c-warn';
+            line.innerText = this._describeResult();
+            desc.appendChild(line);
+        }
+    }
+
+    _bindControls() {
+        const actions = {
+            play: () => (this.playTimer !== null ? this.pause() : this.play()),
+            step: () => { this.pause(); this.next(); },
+            restart: () => this.open(),
+            exit: () => this.close()
+        };
+        document.querySelectorAll('[data-spectate]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.duel) actions[btn.dataset.spectate]();
+            });
+        });
+
+        const speed = document.getElementById('spectator-speed');
+        SPECTATOR_SPEEDS.forEach(({ label }, index) => speed.add(new Option(label, index)));
+        speed.value = this.speed;
+        speed.addEventListener('change', () => {
+            this.speed = parseInt(speed.value, 10);
+            // 正在等待下一步时按新速度重新计时
+            if (this.playTimer !== null) {
+                this.pause();
+                this.play();
+            }
+        });
+
+        [Side.PLAYER, Side.AI].forEach(side => {
+            document.getElementById(`spectator-heat-${side}`).addEventListener('change', () => {
+                if (this.duel) this._updateHeatmaps();
+            });
+        });
+    }
+}
@@ -0,0 +1,58 @@
+// src/game/weapons/DefenseWeapon.js
+// 防御武器 - 在己方棋盘部署防空掩护或烟幕（定义见 data/weapons.js），生效由 WeaponService 在对手的攻击结算前判定
+
+import { WeaponBase } from './WeaponBase.js';
+import { createLogEvent, isInBounds } from './WeaponTypes.js';
+import { getFleetAbilities } from '../core/Fleet.js';
+import { createDefense, deployDefense, isDefenseActive } from '../core/Defenses.js';
+import { WeaponEffect, getWeaponCoverage, isWeaponAvailable, formatWeaponLog } from '../core/WeaponRules.js';
+
+/**
+ * 防御武器
+ * 目标为己方棋盘上的 { r, c }：防空掩护为掩护中心，烟幕为所掩护舰船的任意一格。
+ * 上下文另需 ownGrid（行动方网格）与 ownDefenses（行动方已部署的防御，resolve 会修改）
+ */
+export class DefenseWeapon extends WeaponBase {
+    /**
+     * @param {Object} definition - WEAPON_DEFINITIONS 中 target 为 OWN 的一条
+     */
+    constructor(definition) {
+        super({ id: definition.id, label: definition.label, icon: definition.icon });
+        this.definition = definition;
+    }
+
+    /**
+     * 定义中 requires 的能力由存活舰船提供时可用
+     */
+    canUse(context) {
+        return isWeaponAvailable(this.id, getFleetAbilities(context.attackerShips));
+    }
+
+    /**
+     * 己方棋盘内任意格；烟幕须选中未沉没且还有未暴露格子的舰船
+     */
+    isValidTarget(target, context) {
+        const { r, c } = target;
+        if (!context.ownGrid || !isInBounds(r, c, context.boardSize)) return false;
+        if (this.definition.effect !== WeaponEffect.SMOKE) return true;
+        if (context.ownGrid[r][c].shipId === -1) return false;
+        return isDefenseActive(createDefense(this.id, target, context.ownGrid, context.boardSize), context.ownGrid);
+    }
+
+    /**
+     * 预览范围：定义中的 pattern（烟幕为所选的格子）
+     */
+    previewArea(target, boardSize) {
+        return { cells: getWeaponCoverage(this.id, target.r, target.c, boardSize) };
+    }
+
+    /**
+     * 部署防御（替换同一种旧防御），不改动任何网格
+     */
+    resolve(target, context) {
+        deployDefense(context.ownDefenses, createDefense(this.id, target, context.ownGrid, context.boardSize));
+        const message = formatWeaponLog(this.id, context.isPlayer, { r: target.r, c: target.c, damage: 0, count: 0 });
+        const events = message ? [createLogEvent(message, context.isPlayer ? 'c-p' : 'c-e')] : [];
+        return { events, shipsSunk: [] };
+    }
+}
@@ -0,0 +1,64 @@
+// src/game/weapons/DepthChargeWeapon.js
+// 深水炸弹 - 覆盖范围内只对潜艇造成伤害，水面舰船所在的格子被确认有船（定义见 data/weapons.js）
+
+import { WeaponBase } from './WeaponBase.js';
+import { resolveDepthCharge } from '../battle/DepthChargeResolver.js';
+import { createLogEvent, isInBounds } from './WeaponTypes.js';
+import { getFleetAbilities } from '../core/Fleet.js';
+import {
+    getWeaponCoverage, isWeaponAvailable, getWeaponCellDamage, formatWeaponLog
+} from '../core/WeaponRules.js';
+
+/**
+ * 深水炸弹
+ * 目标为 { r, c }：覆盖范围的中心，可以是棋盘内任意格
+ */
+export class DepthChargeWeapon extends WeaponBase {
+    /**
+     * @param {Object} definition - WEAPON_DEFINITIONS 中 effect 为 DEPTH_CHARGE 的一条
+     */
+    constructor(definition) {
+        super({ id: definition.id, label: definition.label, icon: definition.icon });
+        this.definition = definition;
+    }
+
+    /**
+     * 定义中 requires 的能力由存活舰船提供时可用
+     */
+    canUse(context) {
+        return isWeaponAvailable(this.id, getFleetAbilities(context.attackerShips));
+    }
+
+    /**
+     * 棋盘内任意格
+     */
+    isValidTarget(target, context) {
+        return isInBounds(target.r, target.c, context.boardSize);
+    }
+
+    /**
+     * 预览范围：定义中的 pattern
+     */
+    previewArea(target, boardSize) {
+        return { cells: getWeaponCoverage(this.id, target.r, target.c, boardSize) };
+    }
+
+    /**
+     * 逐格结算，日志附上确认的水面舰船格数
+     */
+    resolve(target, context) {
+        const { r, c } = target;
+        const cells = this.previewArea(target, context.boardSize).cells;
+        const damage = getWeaponCellDamage(this.id, getFleetAbilities(context.attackerShips));
+
+        const result = resolveDepthCharge(cells, damage, context.defenderGrid, context.defenderShips, context.isPlayer);
+
+        const message = formatWeaponLog(this.id, context.isPlayer, { r, c, damage, count: result.struck });
+        if (message) {
+            const outcome = result.occupied > 0 ? `，其中 ${result.occupied} 格回波为水面舰船（不受伤害）` : '';
+            result.events.unshift(createLogEvent(message + outcome, context.isPlayer ? 'c-p' : 'c-e'));
+        }
+
+        return { events: result.events, shipsSunk: result.shipsSunk };
+    }
+}
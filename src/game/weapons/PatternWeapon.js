@@ -0,0 +1,119 @@
+// src/game/weapons/PatternWeapon.js
+// 按定义生成的武器 - 覆盖范围、伤害、可用条件与目标规则均来自 data/weapons.js
+
+import { WeaponBase } from './WeaponBase.js';
+import { resolveMultiHit } from '../battle/HitResolver.js';
+import { resolveSonar } from '../battle/SonarResolver.js';
+import { resolveRecon } from '../battle/ReconResolver.js';
+import { EffectType, createLogEvent, createEffectEvent, isInBounds } from './WeaponTypes.js';
+import { getFleetAbilities } from '../core/Fleet.js';
+import { isAirStrike } from '../core/Defenses.js';
+import {
+    WeaponEffect, WeaponTarget, getWeaponCoverage, getAimLine, isValidAim, isWeaponAvailable, getWeaponCellDamage, formatWeaponLog
+} from '../core/WeaponRules.js';
+
+/**
+ * 按定义生成的武器
+ * - STRIKE：对覆盖范围内每格造成伤害，已未命中与已摧毁的格子、被防空掩护拦截的格子（context.intercepted）不再打击；
+ *   空袭自左向右逐格打击，之前附带机群掠过的特效
+ * - SCAN：水听扫描，不造成伤害，被烟幕遮蔽的格子（context.screened）没有信号
+ * - RECON：侦察整行 / 整列，回报未暴露的船体格数
+ * 定义了 aims 的武器目标为 { r, c, aim }，aim 省略时使用默认样式
+ */
+export class PatternWeapon extends WeaponBase {
+    /**
+     * @param {Object} definition - WEAPON_DEFINITIONS 中的一条
+     */
+    constructor(definition) {
+        super({ id: definition.id, label: definition.label, icon: definition.icon });
+        this.definition = definition;
+    }
+
+    /**
+     * 定义中 requires 的能力由存活舰船提供时可用
+     */
+    canUse(context) {
+        return isWeaponAvailable(this.id, getFleetAbilities(context.attackerShips));
+    }
+
+    /**
+     * BOARD：棋盘内任意格；OPEN：另外排除已未命中与已摧毁的格子
+     */
+    isValidTarget(target, context) {
+        if (!isValidAim(this.id, target.aim)) return false;
+        if (this.definition.target === WeaponTarget.BOARD) {
+            return isInBounds(target.r, target.c, context.boardSize);
+        }
+        if (!super.isValidTarget(target, context)) return false;
+        return !this._isDestroyed(target, context);
+    }
+
+    /**
+     * 预览范围：定义中的 pattern（有 aims 时为所选样式）
+     */
+    previewArea(target, boardSize) {
+        return { cells: getWeaponCoverage(this.id, target.r, target.c, boardSize, target) };
+    }
+
+    /**
+     * 执行攻击、扫描或侦察
+     */
+    resolve(target, context) {
+        const { r, c, aim } = target;
+        const cells = this.previewArea(target, context.boardSize).cells;
+
+        if (this.definition.effect === WeaponEffect.SCAN) {
+            const result = resolveSonar(
+                r, c, cells, context.defenderGrid, context.defenderShips, context.isPlayer, context.screened
+            );
+            // 扫描不造成伤害，不会击沉船只
+            return { events: result.events, shipsSunk: [] };
+        }
+
+        if (this.definition.effect === WeaponEffect.RECON) {
+            const line = getAimLine(this.id, aim);
+            const index = line === 'ROW' ? r : c;
+            const result = resolveRecon(cells, line, index, context.defenderGrid, context.reconReports);
+            const message = formatWeaponLog(this.id, context.isPlayer, { r, c, damage: 0, count: result.report.count, aim });
+            if (message) result.events.unshift(createLogEvent(message, context.isPlayer ? 'c-p' : 'c-e'));
+            return { events: result.events, shipsSunk: [] };
+        }
+
+        // 空袭机群自左向右掠过，按掠过的顺序打击
+        const airStrike = isAirStrike(this.id);
+        const strikeCells = airStrike ? [...cells].sort((a, b) => a.c - b.c || a.r - b.r) : cells;
+
+        // 过滤掉已确认 miss、已摧毁和被拦截的格子
+        const intercepted = context.intercepted ?? [];
+        const validCells = strikeCells.filter(cell => {
+            const gridCell = context.defenderGrid[cell.r][cell.c];
+            if (gridCell.hit && gridCell.shipId === -1) return false;
+            if (intercepted.some(({ r, c }) => r === cell.r && c === cell.c)) return false;
+            return !this._isDestroyed(cell, context);
+        });
+        const damage = getWeaponCellDamage(this.id, getFleetAbilities(context.attackerShips));
+
+        const result = resolveMultiHit(
+            validCells,
+            damage,
+            context.defenderGrid,
+            context.defenderShips,
+            context.isPlayer
+        );
+
+        if (airStrike) result.events.unshift(createEffectEvent(EffectType.AIR_SWEEP, strikeCells));
+        const message = formatWeaponLog(this.id, context.isPlayer, { r, c, damage, count: validCells.length, aim });
+        if (message) result.events.unshift(createLogEvent(message, context.isPlayer ? 'c-p' : 'c-e'));
+
+        return { events: result.events, shipsSunk: result.shipsSunk };
+    }
+
+    /**
+     * 格子上的船体段是否已被摧毁
+     */
+    _isDestroyed({ r, c }, context) {
+        const cell = context.defenderGrid[r][c];
+        if (!cell.hit || cell.shipId === -1) return false;
+        return context.defenderShips[cell.shipId].hp[cell.segmentIndex] <= 0;
+    }
+}
@@ -0,0 +1,67 @@
+// src/game/weapons/TorpedoWeapon.js
+// 鱼雷 - 自棋盘边缘沿航向航行，击中第一个未暴露的船体段（定义见 data/weapons.js）
+
+import { WeaponBase } from './WeaponBase.js';
+import { resolveTorpedo } from '../battle/TorpedoResolver.js';
+import { createLogEvent } from './WeaponTypes.js';
+import { getFleetAbilities } from '../core/Fleet.js';
+import {
+    getWeaponCoverage, getLaunchHeadings, isWeaponAvailable, getWeaponCellDamage, formatWeaponLog
+} from '../core/WeaponRules.js';
+
+/**
+ * 鱼雷
+ * 目标为 { r, c, heading }：(r, c) 是发射的边缘格，heading 是指向棋盘内的航向
+ */
+export class TorpedoWeapon extends WeaponBase {
+    /**
+     * @param {Object} definition - WEAPON_DEFINITIONS 中 effect 为 TORPEDO 的一条
+     */
+    constructor(definition) {
+        super({ id: definition.id, label: definition.label, icon: definition.icon });
+        this.definition = definition;
+    }
+
+    /**
+     * 定义中 requires 的能力由存活舰船提供时可用
+     */
+    canUse(context) {
+        return isWeaponAvailable(this.id, getFleetAbilities(context.attackerShips));
+    }
+
+    /**
+     * 须从边缘格向棋盘内发射，且航线上还有未暴露的格子
+     */
+    isValidTarget(target, context) {
+        const { r, c, heading } = target;
+        if (!getLaunchHeadings(r, c, context.boardSize).includes(heading)) return false;
+        return this.previewArea(target, context.boardSize).cells
+            .some(cell => !context.defenderGrid[cell.r][cell.c].hit);
+    }
+
+    /**
+     * 预览范围：整条航线（没有航向时为空）
+     */
+    previewArea(target, boardSize) {
+        return { cells: getWeaponCoverage(this.id, target.r, target.c, boardSize, target) };
+    }
+
+    /**
+     * 沿航线结算
+     */
+    resolve(target, context) {
+        const { r, c, heading } = target;
+        const path = this.previewArea(target, context.boardSize).cells;
+        const damage = getWeaponCellDamage(this.id, getFleetAbilities(context.attackerShips));
+
+        const result = resolveTorpedo(path, damage, context.defenderGrid, context.defenderShips, context.isPlayer);
+
+        const message = formatWeaponLog(this.id, context.isPlayer, { r, c, damage, count: result.travelled, heading });
+        if (message) {
+            const outcome = result.hitShip ? '后命中目标' : '，未命中任何目标';
+            result.events.unshift(createLogEvent(message + outcome, context.isPlayer ? 'c-p' : 'c-e'));
+        }
+
+        return { events: result.events, shipsSunk: result.sunk ? [result.hitShip.id] : [] };
+    }
+}
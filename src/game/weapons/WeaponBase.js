@@ -10,12 +10,18 @@
  * - attackerShips: ShipState[] - 攻击方船只状态快照
  * - defenderGrid: GridCell[][] - 防守方网格（{ hit, shipId, segmentIndex }）
  * - defenderShips: Ship[] - 防守方船只数组（原始对象，resolve 会修改）
+ * - weaponStock: Object|null - 攻击方的武器库存（弹药与冷却由 WeaponService 检查和扣除，武器本身无需处理）
+ * - defenses: Defense[] - 防守方已部署的防御（由 WeaponService 在结算前判定，见 core/Defenses.js）
+ * - intercepted / screened: {r, c}[] - 本次被防空掩护拦截 / 被烟幕遮蔽的格子（WeaponService 结算前填入，可省略）
+ * - ownGrid / ownShips / ownDefenses - 行动方自己的网格、舰队与防御（防御武器使用）
  * - isPlayer: boolean - 是否为玩家发起的攻击
+ * - boardSize: number - 本局棋盘尺寸（边界判断一律以它为准）
  * 
  * ## 实现注意事项
  * 1. resolve() 会原地修改 defenderGrid 和 defenderShips
  * 2. 返回的 events 数组由 BattleRenderer 统一渲染
- * 3. 新增武器只需继承此类并实现 canUse/previewArea/resolve
+ * 3. 常规武器在 data/weapons.js 中添加定义即可（由 PatternWeapon 实现），
+ *    只有定义无法描述的效果才需要继承此类并实现 canUse/previewArea/resolve（如 TorpedoWeapon）
  */
 export class WeaponBase {
     /**
@@ -38,9 +44,9 @@ export class WeaponBase {
      * @returns {boolean} 武器是否可用
      * 
      * @example
-     * // 检查航母是否存活以启用空袭
+     * // 检查是否有具备空袭能力的舰船存活
      * canUse(context) {
-     *     return context.attackerShips.some(s => s.code === 'CV' && !s.sunk);
+     *     return getFleetAbilities(context.attackerShips).abilities.includes(Ability.AIR);
      * }
      */
     canUse(context) {
@@ -49,7 +55,7 @@ export class WeaponBase {
     
     /**
      * 判断目标是否有效
-     * @param {Object} target - { r, c }
+     * @param {Object} target - { r, c }，鱼雷另有 heading
      * @param {Object} context - 武器执行上下文
      * @returns {boolean}
      */
@@ -66,10 +72,11 @@ export class WeaponBase {
     
     /**
      * 获取预览范围（用于鼠标悬停高亮）
-     * @param {Object} target - { r, c }
+     * @param {Object} target - { r, c }，鱼雷另有 heading
+     * @param {number} [boardSize] - 棋盘尺寸，超出边界的格子不计入
      * @returns {Object} { cells: [{r, c}] }
      */
-    previewArea(target) {
+    previewArea(target, boardSize) {
         throw new Error('子类必须实现 previewArea 方法');
     }
     
@@ -77,7 +84,7 @@ export class WeaponBase {
      * 执行武器效果
      * 此方法会原地修改 context.defenderGrid 和 context.defenderShips
      * 
-     * @param {Object} target - 目标坐标 { r, c }
+     * @param {Object} target - 目标坐标 { r, c }，鱼雷另有 heading
      * @param {BattleContext} context - 战斗上下文
      * @returns {Object} 结算结果
      * @returns {Array<Event>} returns.events - 事件数组，由 BattleRenderer 渲染
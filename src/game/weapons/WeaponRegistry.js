@@ -1,6 +1,21 @@
 // src/game/weapons/WeaponRegistry.js
 // 武器注册中心 - 集中管理所有武器实例
 
+import { WEAPON_DEFINITIONS } from '../../data/weapons.js';
+import { PatternWeapon } from './PatternWeapon.js';
+import { TorpedoWeapon } from './TorpedoWeapon.js';
+import { DepthChargeWeapon } from './DepthChargeWeapon.js';
+import { DefenseWeapon } from './DefenseWeapon.js';
+import { WeaponEffect } from '../core/WeaponRules.js';
+
+/** 需要专门实现的武器效果，其余效果由 PatternWeapon 按定义实现 */
+const WEAPON_CLASSES = {
+    [WeaponEffect.TORPEDO]: TorpedoWeapon,
+    [WeaponEffect.DEPTH_CHARGE]: DepthChargeWeapon,
+    [WeaponEffect.AA_COVER]: DefenseWeapon,
+    [WeaponEffect.SMOKE]: DefenseWeapon
+};
+
 /**
  * 武器注册中心
  * 集中管理所有武器实例
@@ -44,3 +59,17 @@ export class WeaponRegistry {
         return this._weapons.has(id);
     }
 }
+
+/**
+ * 按武器定义创建注册中心（注册顺序即武器栏顺序）
+ * @param {Array<Object>} [definitions] - 默认为 data/weapons.js 中的全部武器
+ * @returns {WeaponRegistry}
+ */
+export function createWeaponRegistry(definitions = WEAPON_DEFINITIONS) {
+    const registry = new WeaponRegistry();
+    definitions.forEach(def => {
+        const WeaponClass = WEAPON_CLASSES[def.effect] ?? PatternWeapon;
+        registry.register(new WeaponClass(def));
+    });
+    return registry;
+}
@@ -1,16 +1,21 @@
 // src/game/weapons/WeaponService.js
 // 武器服务 - 协调武器执行、事件注入和渲染
 
-import { EventType } from './WeaponTypes.js';
+import { EventType, createLogEvent } from './WeaponTypes.js';
+import { getWeaponCharges, getWeaponCooldown, spendWeapons } from '../core/WeaponStock.js';
+import { applyDefenses } from '../core/Defenses.js';
+import { isDefensiveWeapon, formatTriggerLog } from '../core/WeaponRules.js';
 
 /**
  * 武器服务
  * 协调武器执行、事件注入和渲染
+ * 上下文带有 weaponStock 时，弹药耗尽或冷却中的武器不能使用，结算成功后扣除弹药并推进冷却；
+ * 上下文带有 defenses 时，结算前先由防守方的防御修正本次攻击（见 _resolveWithDefenses）
  */
 export class WeaponService {
     /**
      * @param {WeaponRegistry} registry - 武器注册中心
-     * @param {BattleRenderer} renderer - 渲染器
+     * @param {BattleRenderer|null} renderer - 渲染器（为 null 时只结算不渲染，用于无界面环境）
      */
     constructor(registry, renderer) {
         this.registry = registry;
@@ -38,17 +43,18 @@ export class WeaponService {
     
     /**
      * 获取预览范围
-     * @param {Object} target - { r, c }
+     * @param {Object} target - { r, c }，鱼雷另有 heading
+     * @param {number} boardSize - 本局棋盘尺寸
      * @returns {Object} { cells: [{r, c}] }
      */
-    getPreviewArea(target) {
+    getPreviewArea(target, boardSize) {
         const weapon = this.getCurrentWeapon();
-        return weapon ? weapon.previewArea(target) : { cells: [] };
+        return weapon ? weapon.previewArea(target, boardSize) : { cells: [] };
     }
     
     /**
      * 执行玩家攻击
-     * @param {Object} target - { r, c }
+     * @param {Object} target - { r, c }，鱼雷另有 heading
      * @param {Object} context - 玩家武器上下文
      * @returns {Object} 执行结果 { success, events, shipsSunk, reason }
      */
@@ -63,29 +69,35 @@ export class WeaponService {
             return { success: false, events: [], shipsSunk: [], reason: '武器不可用' };
         }
         
+        const stockReason = this._checkStock(context.weaponStock, weapon.id);
+        if (stockReason) {
+            return { success: false, events: [], shipsSunk: [], reason: stockReason };
+        }
+        
         if (!weapon.isValidTarget(target, context)) {
             return { success: false, events: [], shipsSunk: [], reason: '目标无效' };
         }
         
-        const result = weapon.resolve(target, context);
+        const result = this._resolveWithDefenses(weapon, target, context);
+        spendWeapons(context.weaponStock, [weapon.id]);
         
         // 注入 grid 标识（玩家攻击敌方网格）
         this._injectGrid(result.events, 'ENEMY');
         
         // 渲染
-        this.renderer.render(result.events);
+        if (this.renderer) this.renderer.render(result.events);
         
         return { success: true, events: result.events, shipsSunk: result.shipsSunk || [] };
     }
     
     /**
      * 执行 AI 攻击
-     * @param {Object} decision - { r, c, weapon }
+     * @param {Object} decision - { r, c, weapon }，鱼雷另有 heading
      * @param {Object} context - AI 武器上下文（BattleContext）
      * @returns {Object} 执行结果 { success, events, shipsSunk, reason }
      */
     executeAIAction(decision, context) {
-        const { r, c, weapon: weaponId } = decision;
+        const { weapon: weaponId, ...target } = decision;
         const weapon = this.registry.get(weaponId);
         
         if (!weapon) {
@@ -98,23 +110,137 @@ export class WeaponService {
             return { success: false, events: [], shipsSunk: [], reason: '武器不可用' };
         }
         
+        const stockReason = this._checkStock(context.weaponStock, weaponId);
+        if (stockReason) {
+            console.warn(`[AI] ${weaponId}：${stockReason}，跳过攻击`);
+            return { success: false, events: [], shipsSunk: [], reason: stockReason };
+        }
+        
         // 校验目标有效性
-        if (!weapon.isValidTarget({ r, c }, context)) {
-            console.warn(`[AI] 目标 (${r},${c}) 无效，跳过攻击`);
+        if (!weapon.isValidTarget(target, context)) {
+            console.warn(`[AI] 目标 (${target.r},${target.c}) 无效，跳过攻击`);
             return { success: false, events: [], shipsSunk: [], reason: '目标无效' };
         }
         
-        const result = weapon.resolve({ r, c }, context);
+        const result = this._resolveWithDefenses(weapon, target, context);
+        spendWeapons(context.weaponStock, [weaponId]);
         
         // 注入 grid 标识和 AI 攻击标记（AI 攻击玩家网格）
         this._injectGrid(result.events, 'PLAYER', 'last-enemy-attack');
         
         // 渲染
-        this.renderer.render(result.events);
+        if (this.renderer) this.renderer.render(result.events);
         
         return { success: true, events: result.events, shipsSunk: result.shipsSunk || [] };
     }
     
+    /**
+     * 只校验不结算：武器存在且可用（不是防御武器）、弹药足够且不在冷却中、目标有效且互不重复
+     * 联机对战中攻击方据此在发出行动前检查，结算由防守方完成
+     *
+     * @param {Array<Object>} actions - [{ weapon, r, c, heading? }]
+     * @param {Object} context - 攻击方的武器上下文（BattleContext）
+     * @returns {string|null} 不合法的原因，合法时返回 null
+     */
+    validateActions(actions, context) {
+        if (actions.length === 0) return '未选择目标';
+
+        const seen = new Set();
+        const uses = {};
+        for (const { weapon: weaponId, ...target } of actions) {
+            const weapon = this.registry.get(weaponId);
+            if (!weapon) return '武器不存在';
+            if (isDefensiveWeapon(weaponId)) return '防御行动只能在单发的本地对局中使用';
+            if (!weapon.canUse(context)) return '武器不可用';
+            uses[weaponId] = (uses[weaponId] ?? 0) + 1;
+            const stockReason = this._checkStock(context.weaponStock, weaponId, uses[weaponId]);
+            if (stockReason) return stockReason;
+            const key = `${target.r},${target.c}`;
+            if (seen.has(key) || !weapon.isValidTarget(target, context)) return '目标无效';
+            seen.add(key);
+        }
+        return null;
+    }
+
+    /**
+     * 齐射：一次结算多发攻击（玩家与 AI 共用）
+     * 先校验全部目标，任何一发不合法则整轮不执行；结果在全部结算后一次性渲染
+     *
+     * @param {Array<Object>} actions - [{ weapon, r, c, heading? }]
+     * @param {Object} context - 攻击方的武器上下文（BattleContext）
+     * @returns {Object} 执行结果 { success, events, shipsSunk, reason }
+     */
+    executeSalvo(actions, context) {
+        const reason = this.validateActions(actions, context);
+        if (reason) {
+            if (!context.isPlayer) console.warn(`[AI] 齐射无效（${reason}），跳过攻击`);
+            return { success: false, events: [], shipsSunk: [], reason };
+        }
+
+        const events = [createLogEvent(
+            `${context.isPlayer ? '' : '敌方'}齐射 ${actions.length} 发`,
+            context.isPlayer ? 'c-p' : 'c-e'
+        )];
+        const shipsSunk = [];
+        for (const { weapon: weaponId, ...target } of actions) {
+            const result = this._resolveWithDefenses(this.registry.get(weaponId), target, context);
+            events.push(...result.events);
+            shipsSunk.push(...(result.shipsSunk || []));
+        }
+        spendWeapons(context.weaponStock, actions.map(action => action.weapon));
+
+        if (context.isPlayer) {
+            this._injectGrid(events, 'ENEMY');
+        } else {
+            this._injectGrid(events, 'PLAYER', 'last-enemy-attack');
+        }
+
+        if (this.renderer) this.renderer.render(events);
+
+        return { success: true, events, shipsSunk };
+    }
+
+    /**
+     * 防守方修正层：先判定防守方已部署的防御（防空掩护拦截空袭、烟幕遮蔽水听），再交给武器结算
+     * 生效的防御从 context.defenses 中撤除，其日志排在结算事件之前
+     *
+     * @param {WeaponBase} weapon
+     * @param {Object} target
+     * @param {Object} context - 攻击方的武器上下文（BattleContext）
+     * @returns {Object} weapon.resolve 的结果
+     */
+    _resolveWithDefenses(weapon, target, context) {
+        if (!context.defenses?.length) return weapon.resolve(target, context);
+
+        const cells = weapon.previewArea(target, context.boardSize).cells;
+        const { intercepted, screened, triggered } = applyDefenses(
+            context.defenses, weapon.id, cells, context.defenderGrid, context.defenderShips
+        );
+        if (triggered.length === 0) return weapon.resolve(target, context);
+
+        const result = weapon.resolve(target, { ...context, intercepted, screened });
+        // 防御属于防守方：玩家攻击时生效的是敌方的防御
+        const logs = triggered
+            .map(defense => formatTriggerLog(defense.weapon, !context.isPlayer, intercepted.length))
+            .filter(Boolean)
+            .map(message => createLogEvent(message, context.isPlayer ? 'c-e' : 'c-p'));
+        return { ...result, events: [...logs, ...result.events] };
+    }
+
+    /**
+     * 检查库存能否支持本回合第 count 次使用该武器
+     * @param {Object|null} stock - 攻击方的武器库存，为空时不限
+     * @param {string} weaponId
+     * @param {number} [count=1]
+     * @returns {string|null} 不能使用的原因
+     */
+    _checkStock(stock, weaponId, count = 1) {
+        if (getWeaponCooldown(stock, weaponId) > 0) return '武器冷却中';
+        const charges = getWeaponCharges(stock, weaponId);
+        if (charges !== null && charges < count) return '弹药已耗尽';
+        return null;
+    }
+
     /**
      * 为事件注入 grid 标识
      * @param {Array} events - 事件数组
@@ -2,6 +2,7 @@
 // 武器系统核心数据类型定义
 
 import { BOARD_SIZE } from '../../config/constants.js';
+import { getShipRotation } from '../core/ShipShape.js';
 
 /**
  * 格子状态枚举
@@ -12,6 +13,7 @@ export const CellState = {
     HIT: 'HIT',
     DESTROYED: 'DESTROYED',
     SUSPECT: 'SUSPECT',
+    OCCUPIED: 'OCCUPIED',   // 深水炸弹确认有船（非潜艇），未受伤害
     SUNK: 'SUNK'
 };
 
@@ -22,7 +24,19 @@ export const EventType = {
     CELL_UPDATE: 'CELL_UPDATE',
     SHIP_UPDATE: 'SHIP_UPDATE',
     LOG: 'LOG',
-    EFFECT: 'EFFECT'
+    EFFECT: 'EFFECT',
+    LINE_REPORT: 'LINE_REPORT'  // 侦察回报：整行 / 整列上未暴露的船体格数
+};
+
+/**
+ * 特效类型枚举（EFFECT 事件的 payload.effect）
+ */
+export const EffectType = {
+    IMPACT: 'IMPACT',           // 炮弹命中船体的爆炸
+    SPLASH: 'SPLASH',           // 落入海面的水花
+    AIR_SWEEP: 'AIR_SWEEP',     // 空袭机群依次掠过打击样式覆盖的格子
+    SONAR_RING: 'SONAR_RING',   // 声纳波纹自中心扩散到扫描范围
+    SINK: 'SINK'                // 舰船沉没
 };
 
 /**
@@ -32,12 +46,20 @@ export const EventType = {
  * @typedef {Object} BattleContext
  * @property {Array<ShipState>} attackerShips - 攻击方船只状态数组
  * @property {Array<Array<GridCell>>} defenderGrid - 防守方网格数据
- *   GridCell: { hit: boolean, shipId: number, segmentIndex: number }
+ *   GridCell: { hit: boolean, shipId: number, segmentIndex: number, suspect: boolean, occupied: boolean }
  *   - hit: 是否已被攻击
  *   - shipId: 船只ID，-1 表示无船
  *   - segmentIndex: 船体段索引，-1 表示无船
+ *   - suspect: 是否被声纳标记为疑似
+ *   - occupied: 是否被深水炸弹确认有船（非潜艇）
  * @property {Array<Object>} defenderShips - 防守方船只数组（原始对象，resolve 会修改）
+ * @property {Array<ReconReport>} [reconReports] - 防守方棋盘上已有的侦察回报，侦察结算时追加；省略时不记录
+ *   ReconReport: { line: 'ROW' | 'COLUMN', index: number, cells: {r, c}[], count: number }
+ *   - cells: 侦察时该行 / 列上未暴露的格子（未被攻击、也未被深水炸弹确认）
+ *   - count: 其中有船的格数
+ * @property {Object|null} [weaponStock] - 攻击方的武器库存（见 core/WeaponStock.js），WeaponService 据此限制弹药与冷却并在结算后扣除；省略时不限
  * @property {boolean} isPlayer - 是否为玩家发起的攻击
+ * @property {number} boardSize - 本局棋盘尺寸
  * 
  * 注意：resolve 方法会原地修改 defenderGrid 和 defenderShips 的数据
  * 如需不可变操作，调用方应在传入前进行深拷贝
@@ -53,10 +75,15 @@ export class ShipState {
         this.name = ship.name;
         this.len = ship.len;
         this.maxHp = ship.maxHp;
+        this.type = ship.type;
+        this.apDamage = ship.apDamage;
+        this.abilities = ship.abilities ? [...ship.abilities] : undefined;
+        this.shape = ship.shape;
         this.hp = [...ship.hp];     // 深拷贝
         this.sunk = ship.sunk;
         this.r = ship.r ?? -1;
         this.c = ship.c ?? -1;
+        this.rotation = getShipRotation(ship);
         this.vertical = ship.vertical ?? false;
     }
 }
@@ -105,12 +132,39 @@ export function createLogEvent(message, className) {
     };
 }
 
+/**
+ * 创建特效事件的工厂函数
+ * 特效只用于表现，不改变任何数据；渲染器播放完特效才应用其后的事件
+ * @param {string} effect - 特效类型（EffectType）
+ * @param {Array<{r: number, c: number}>} cells - 特效覆盖的格子（按播放顺序）
+ * @returns {Object} 特效事件
+ */
+export function createEffectEvent(effect, cells) {
+    return {
+        type: EventType.EFFECT,
+        payload: { effect, cells: cells.map(({ r, c }) => ({ r, c })) }
+    };
+}
+
+/**
+ * 创建侦察回报事件的工厂函数
+ * @param {Object} report - ReconReport（见 BattleContext）
+ * @returns {Object} 侦察回报事件
+ */
+export function createLineReportEvent({ line, index, cells, count }) {
+    return {
+        type: EventType.LINE_REPORT,
+        payload: { line, index, cells: cells.map(({ r, c }) => ({ r, c })), count }
+    };
+}
+
 /**
  * 边界检查工具
  * @param {number} r - 行坐标
  * @param {number} c - 列坐标
+ * @param {number} [size] - 棋盘尺寸，默认 BOARD_SIZE
  * @returns {boolean} 是否在边界内
  */
-export function isInBounds(r, c) {
-    return r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE;
+export function isInBounds(r, c, size = BOARD_SIZE) {
+    return r >= 0 && r < size && c >= 0 && c < size;
 }
@@ -1,5 +1,14 @@
 import "./styles/base.css";
 import "./styles/ships.css";
+import "./styles/replay.css";
+import "./styles/fleet.css";
+import "./styles/hotseat.css";
+import "./styles/online.css";
+import "./styles/spectator.css";
+import "./styles/scenario.css";
+import "./styles/daily.css";
+import "./styles/campaign.css";
+import "./styles/effects.css";
 import { initGame } from "./game/game";
 import { GAME_TITLE, GAME_VERSION } from "./config/constants";
 
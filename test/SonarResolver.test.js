@@ -0,0 +1,92 @@
+// test/SonarResolver.test.js
+// 水听结算器 - 烟幕遮蔽时的扫描结果
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSonar } from '../src/game/battle/SonarResolver.js';
+import { EventType } from '../src/game/weapons/WeaponTypes.js';
+
+const SIZE = 5;
+
+/**
+ * 建出 SIZE × SIZE 的网格，按 [{ id, cells }] 放入舰船
+ */
+function buildGrid(ships) {
+    const grid = Array.from({ length: SIZE }, () =>
+        Array.from({ length: SIZE }, () => ({ hit: false, shipId: -1, segmentIndex: -1, suspect: false, occupied: false }))
+    );
+    ships.forEach(({ id, cells }) => cells.forEach(({ r, c }, idx) => {
+        grid[r][c].shipId = id;
+        grid[r][c].segmentIndex = idx;
+    }));
+    return grid;
+}
+
+/** 以 (r, c) 为中心的 3x3 扫描范围 */
+function area3x3(r, c) {
+    const cells = [];
+    for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) cells.push({ r: r + dr, c: c + dc });
+    }
+    return cells;
+}
+
+const cellUpdates = events => events.filter(event => event.type === EventType.CELL_UPDATE).map(event => event.payload);
+const logText = events => events.filter(event => event.type === EventType.LOG).map(event => event.payload.message).join('\n');
+const touches = (updates, cells) => updates.some(u => cells.some(({ r, c }) => u.r === r && u.c === c));
+
+test('范围内只有烟幕下的船体：与空海域一样无反应，烟幕下的格子不标记', () => {
+    const smoked = [{ r: 1, c: 1 }, { r: 1, c: 2 }];
+    const grid = buildGrid([{ id: 0, cells: smoked }]);
+    const emptyGrid = buildGrid([]);
+
+    const result = resolveSonar(2, 2, area3x3(2, 2), grid, [], true, smoked);
+    const empty = resolveSonar(2, 2, area3x3(2, 2), emptyGrid, [], true);
+
+    assert.equal(result.hasSignal, false);
+    assert.equal(logText(result.events), logText(empty.events));
+    assert.match(logText(result.events), /无反应/);
+
+    const updates = cellUpdates(result.events);
+    assert.ok(!touches(updates, smoked), '烟幕下的格子不应出现在事件中');
+    assert.equal(updates.length, 9 - smoked.length);
+    assert.ok(updates.every(u => u.state === 'MISS'));
+    smoked.forEach(({ r, c }) => assert.deepEqual(
+        { hit: grid[r][c].hit, suspect: grid[r][c].suspect },
+        { hit: false, suspect: false }
+    ));
+});
+
+test('范围内还有其他舰船：发现信号，烟幕下的格子不标记疑似', () => {
+    const smoked = [{ r: 1, c: 1 }, { r: 1, c: 2 }];
+    const other = [{ r: 3, c: 2 }, { r: 3, c: 3 }];
+    const grid = buildGrid([{ id: 0, cells: smoked }, { id: 1, cells: other }]);
+
+    const result = resolveSonar(2, 2, area3x3(2, 2), grid, [], true, smoked);
+
+    assert.equal(result.hasSignal, true);
+    assert.match(logText(result.events), /发现信号/);
+
+    const updates = cellUpdates(result.events);
+    assert.ok(!touches(updates, smoked), '烟幕下的格子不应出现在事件中');
+    smoked.forEach(({ r, c }) => assert.equal(grid[r][c].suspect, false));
+    other.forEach(({ r, c }) => {
+        assert.equal(grid[r][c].suspect, true);
+        assert.ok(updates.some(u => u.r === r && u.c === c && u.state === 'SUSPECT'));
+    });
+    // 中心格照常显形
+    assert.ok(updates.some(u => u.r === 2 && u.c === 2 && u.state === 'MISS'));
+});
+
+test('中心格被烟幕遮蔽：不显形也不标记疑似', () => {
+    const smoked = [{ r: 2, c: 2 }, { r: 2, c: 3 }];
+    const other = [{ r: 1, c: 1 }];
+    const grid = buildGrid([{ id: 0, cells: smoked }, { id: 1, cells: other }]);
+
+    const result = resolveSonar(2, 2, area3x3(2, 2), grid, [], true, smoked);
+
+    assert.equal(result.hasSignal, true);
+    assert.ok(!touches(cellUpdates(result.events), smoked));
+    assert.equal(grid[2][2].hit, false);
+    assert.equal(grid[2][2].suspect, false);
+});
@@ -27,6 +27,12 @@
  *              --risk-min 0 --risk-max 0.4 --risk-step 0.1 \
  *              --games 50 --workers 8
  * 
+ * # 复现某次搜索（种子会在开始时打印，并写入 --output 结果文件）
+ * node run.js --preset quick --seed 123456
+ * 
+ * # 在其他尺寸的棋盘上调参（8~16，默认 11）
+ * node run.js --preset quick --board-size 14
+ * 
  * ============================================================================
  */
 
@@ -35,6 +41,8 @@ import { cpus } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { writeFileSync } from 'fs';
+import { deriveSeed, normalizeSeed, randomSeed } from '../../src/ai/SeededRandom.js';
+import { BOARD_SIZE, BOARD_SIZE_MIN, BOARD_SIZE_MAX } from '../../src/config/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -124,6 +132,14 @@ function parseArgs() {
                 config.workers = parseInt(next);
                 i++;
                 break;
+            case '--seed':
+                config.seed = normalizeSeed(next);
+                i++;
+                break;
+            case '--board-size':
+                config.boardSize = parseInt(next);
+                i++;
+                break;
             case '--output':
             case '-o':
                 config.outputFile = next;
@@ -137,6 +153,12 @@ function parseArgs() {
     }
     
     config.workers = config.workers || cpus().length;
+    config.seed = config.seed ?? randomSeed();
+    config.boardSize = config.boardSize || BOARD_SIZE;
+    if (config.boardSize < BOARD_SIZE_MIN || config.boardSize > BOARD_SIZE_MAX) {
+        console.error(`❌ 棋盘尺寸须在 ${BOARD_SIZE_MIN}~${BOARD_SIZE_MAX} 之间`);
+        process.exit(1);
+    }
     
     return config;
 }
@@ -161,12 +183,15 @@ function printHelp() {
   --risk-step <n>     Risk 步长 (默认 0.1)
   --games <n>         每对配置对战次数 (默认 30)
   --workers <n>       Worker 线程数 (默认 CPU 核心数)
+  --seed <n|text>     随机种子，相同种子可完整复现搜索结果 (默认随机)
+  --board-size <n>    棋盘尺寸 ${BOARD_SIZE_MIN}~${BOARD_SIZE_MAX} (默认 ${BOARD_SIZE})
   -o, --output <file> 输出结果到 JSON 文件
 
 示例:
   node run.js --test                    # 快速测试
   node run.js --preset quick            # 快速搜索
   node run.js --games 100 --workers 4   # 自定义参数
+  node run.js --test --seed 42          # 固定种子，可复现
 `);
 }
 
@@ -429,6 +454,8 @@ class ParallelGridSearch {
         console.log(`🎮 每对战场次: ${this.config.gamesPerPair}`);
         console.log(`📈 总对战场次: ${totalGames}（每场为一个并行任务）`);
         console.log(`🖥️  Worker 数量: ${this.config.workers}`);
+        console.log(`🎲 随机种子: ${this.config.seed}`);
+        console.log(`🗺️  棋盘尺寸: ${this.config.boardSize}x${this.config.boardSize}`);
         console.log('');
         console.log('───────────────────────────────────────────────────────────────────');
         
@@ -441,10 +468,12 @@ class ParallelGridSearch {
         console.log('');
         
         // 准备任务队列 - 拆分为单场对战任务，提高并行效率
+        // 每场的种子只取决于主种子和配对/场次编号，与 Worker 调度顺序无关
         let taskId = 0;
         const halfGames = Math.floor(this.config.gamesPerPair / 2);
         
-        for (const matchup of matchups) {
+        matchups.forEach((matchup, matchIndex) => {
+            const matchSeed = deriveSeed(this.config.seed, matchIndex);
             // A 先手的对战
             for (let g = 0; g < halfGames; g++) {
                 this.taskQueue.push({
@@ -454,10 +483,12 @@ class ParallelGridSearch {
                     configB: matchup.configB,
                     keyA: matchup.keyA,
                     keyB: matchup.keyB,
-                    isFirstHalf: true
+                    isFirstHalf: true,
+                    seed: deriveSeed(matchSeed, g),
+                    boardSize: this.config.boardSize
                 });
             }
-            // B 先手的对战（交换位置）
+            // B 先手的对战（交换位置，与对应的 A 先手场使用同一种子）
             for (let g = 0; g < halfGames; g++) {
                 this.taskQueue.push({
                     taskId: taskId++,
@@ -466,10 +497,12 @@ class ParallelGridSearch {
                     configB: matchup.configA,
                     keyA: matchup.keyA,
                     keyB: matchup.keyB,
-                    isFirstHalf: false
+                    isFirstHalf: false,
+                    seed: deriveSeed(matchSeed, g),
+                    boardSize: this.config.boardSize
                 });
             }
-        }
+        });
         
         this.totalTasks = this.taskQueue.length;
         
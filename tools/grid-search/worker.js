@@ -13,11 +13,14 @@ parentPort.postMessage({ type: 'loading', workerId });
 
 // ⭐ 动态导入，这样可以准确测量加载时间
 const { SimulationEngine } = await import('../../src/ai/SimulationEngine.js');
+const { deriveSeed } = await import('../../src/ai/SeededRandom.js');
 
 // 预热：运行一次模拟确保所有代码路径都已编译
+// 每个引擎持有独立的随机数生成器，预热不会影响后续任务的结果
 const warmupEngine = new SimulationEngine(
     { alpha: 0.5, randomness: 0, riskAwareness: 0 },
-    { alpha: 0.5, randomness: 0, riskAwareness: 0 }
+    { alpha: 0.5, randomness: 0, riskAwareness: 0 },
+    { seed: 0 }
 );
 warmupEngine.run();
 
@@ -26,9 +29,10 @@ warmupEngine.run();
  * 
  * 任务粒度：单个配对的所有对战（先后手各半）
  * 如果 games 较大，可以考虑进一步拆分
+ * 第 i 场及其换手场使用 deriveSeed(task.seed, i)
  */
 function runMatchup(task) {
-    const { taskId, configA, configB, games, keyA, keyB } = task;
+    const { taskId, configA, configB, games, keyA, keyB, seed, boardSize } = task;
     
     let winsA = 0, winsB = 0, draws = 0;
     let totalTurns = 0;
@@ -38,7 +42,7 @@ function runMatchup(task) {
     
     // A 先手
     for (let i = 0; i < halfGames; i++) {
-        const engine = new SimulationEngine(configA, configB);
+        const engine = new SimulationEngine(configA, configB, { seed: deriveSeed(seed, i), boardSize });
         const result = engine.run();
         
         if (result.winner === 'A') winsA++;
@@ -49,7 +53,7 @@ function runMatchup(task) {
     
     // B 先手（交换位置）
     for (let i = 0; i < halfGames; i++) {
-        const engine = new SimulationEngine(configB, configA);
+        const engine = new SimulationEngine(configB, configA, { seed: deriveSeed(seed, i), boardSize });
         const result = engine.run();
         
         // 结果要反过来：这里 A 赢了意味着原 configB 赢
@@ -77,9 +81,9 @@ function runMatchup(task) {
  * 执行单场对战任务（细粒度）
  */
 function runSingleGame(task) {
-    const { taskId, configA, configB, keyA, keyB, isFirstHalf } = task;
+    const { taskId, configA, configB, keyA, keyB, isFirstHalf, seed, boardSize } = task;
     
-    const engine = new SimulationEngine(configA, configB);
+    const engine = new SimulationEngine(configA, configB, { seed, boardSize });
     const result = engine.run();
     
     let winA = 0, winB = 0, draw = 0;
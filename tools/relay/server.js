@@ -0,0 +1,308 @@
+/**
+ * 联机对战中继服务器
+ *
+ * 两个浏览器通过同一房间号配对，服务器只负责转发对局消息，不参与结算：
+ * 每一方用自己的 WeaponService 按自己的舰队结算对手的行动，再把结果发回。
+ * 座位按 clientId 保留，断线的一方在保留时间内重连可回到原来的座位，双方再交换状态快照补齐进度；
+ * 超时仍未重连则释放座位，其他客户端可以加入。
+ *
+ * 无第三方依赖，复用主项目 src/game/net/NetProtocol.js 的消息定义。
+ *
+ * ============================================================================
+ * 使用方法
+ * ============================================================================
+ *
+ * cd tools/relay
+ *
+ * # 默认端口 8787，监听所有网卡（本机与局域网均可连接）
+ * node server.js
+ *
+ * # 指定端口
+ * node server.js --port 9000
+ *
+ * 启动后在两个浏览器的“设置 → 联机对战”中填写打印出的地址与相同的房间号即可。
+ */
+
+import { createServer } from 'http';
+import { networkInterfaces } from 'os';
+import { acceptUpgrade } from './websocket.js';
+import {
+    PROTOCOL_VERSION,
+    DEFAULT_RELAY_PORT,
+    RelayMessage,
+    isValidRoomCode,
+    parseMessage
+} from '../../src/game/net/NetProtocol.js';
+
+/** 心跳间隔（ms）：超过一个间隔没有回应 pong 的连接视为已断开 */
+const HEARTBEAT_INTERVAL = 15000;
+
+/** 断线的座位保留的时长（ms），期间同一 clientId 可重连取回 */
+const SEAT_HOLD_TIME = 2 * 60 * 1000;
+
+/** 房间双方都离线后保留的时长（ms），期间可重连 */
+const EMPTY_ROOM_TTL = 10 * 60 * 1000;
+
+// ============================================================================
+// 命令行
+// ============================================================================
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { port: DEFAULT_RELAY_PORT };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]);
+                break;
+            case '--help':
+            case '-h':
+                printHelp();
+                process.exit(0);
+        }
+    }
+
+    if (!Number.isInteger(config.port) || config.port <= 0 || config.port > 65535) {
+        console.error('❌ 端口须在 1~65535 之间');
+        process.exit(1);
+    }
+    return config;
+}
+
+function printHelp() {
+    console.log(`
+海战棋联机对战中继服务器
+
+使用方法:
+  node server.js [选项]
+
+参数:
+  -p, --port <n>      监听端口 (默认 ${DEFAULT_RELAY_PORT})
+  -h, --help          显示帮助
+`);
+}
+
+// ============================================================================
+// 房间
+// ============================================================================
+
+/**
+ * 房间：两个座位，按 clientId 占用
+ * 座位 0 为房主（先进入的一方），负责下发本局设置
+ */
+class Room {
+    constructor(code) {
+        this.code = code;
+        this.seats = [null, null];  // { clientId, conn, releaseTimer }
+        this.expireTimer = null;
+    }
+
+    /**
+     * 为客户端分配座位：已占座的 clientId 回到原座位，否则取第一个空座
+     * @returns {number} 座位号，房间已满时为 -1
+     */
+    claimSeat(clientId) {
+        const existing = this.seats.findIndex(seat => seat?.clientId === clientId);
+        if (existing >= 0) return existing;
+        const free = this.seats.findIndex(seat => seat === null);
+        if (free >= 0) this.seats[free] = { clientId, conn: null, releaseTimer: null };
+        return free;
+    }
+
+    peerOf(seat) {
+        return this.seats[1 - seat];
+    }
+
+    isEmpty() {
+        return this.seats.every(seat => !seat?.conn);
+    }
+}
+
+class RelayServer {
+    constructor() {
+        this.rooms = new Map();     // code -> Room
+    }
+
+    /**
+     * 接管一条新连接
+     * @param {WebSocketConnection} conn
+     */
+    accept(conn) {
+        let room = null;
+        let seat = -1;
+        conn.alive = true;
+        conn.on('pong', () => { conn.alive = true; });
+
+        conn.on('message', (text) => {
+            const message = parseMessage(text);
+            if (!message) return;
+
+            if (message.type === RelayMessage.JOIN && !room) {
+                const result = this.join(conn, message);
+                if (result) ({ room, seat } = result);
+                return;
+            }
+            if (message.type === RelayMessage.RELAY && room) {
+                // 对手离线时直接丢弃，重连后由双方的状态快照补齐
+                room.peerOf(seat)?.conn?.send(JSON.stringify({ type: RelayMessage.RELAY, data: message.data }));
+            }
+            if (message.type === RelayMessage.LEAVE && room) {
+                this.leave(room, seat);
+                room = null;
+                conn.close();
+            }
+        });
+
+        conn.on('close', () => {
+            if (!room || room.seats[seat]?.conn !== conn) return;
+            room.seats[seat].conn = null;
+            send(room.peerOf(seat)?.conn, { type: RelayMessage.PEER_LEFT });
+            log(`👋 房间 ${room.code} 座位 ${seat} 断开`);
+            this.scheduleRelease(room, seat);
+            if (room.isEmpty()) this.scheduleExpire(room);
+        });
+    }
+
+    /**
+     * 处理加入房间请求
+     * @returns {Object|null} { room, seat }，失败时返回 null（已向客户端发送错误并断开）
+     */
+    join(conn, { room: code, clientId, version }) {
+        const fail = (reason) => {
+            send(conn, { type: RelayMessage.ERROR, reason });
+            conn.close();
+            return null;
+        };
+        if (version !== PROTOCOL_VERSION) return fail('客户端版本与服务器不一致，请刷新页面');
+        if (!isValidRoomCode(code)) return fail('房间号只能包含字母、数字、下划线与短横线');
+        if (typeof clientId !== 'string' || !clientId) return fail('缺少客户端标识');
+
+        let room = this.rooms.get(code);
+        if (!room) {
+            room = new Room(code);
+            this.rooms.set(code, room);
+        }
+        const seat = room.claimSeat(clientId);
+        if (seat < 0) return fail('房间已满');
+
+        clearTimeout(room.expireTimer);
+        clearTimeout(room.seats[seat].releaseTimer);
+        // 同一客户端的旧连接（如页面未正常关闭）让位给新连接
+        const previous = room.seats[seat].conn;
+        room.seats[seat].conn = conn;
+        if (previous) previous.close();
+
+        const peer = room.peerOf(seat);
+        send(conn, { type: RelayMessage.JOINED, seat, peerConnected: !!peer?.conn });
+        send(peer?.conn, { type: RelayMessage.PEER_JOINED });
+        log(`🔗 房间 ${code} 座位 ${seat} 已连接`);
+        return { room, seat };
+    }
+
+    /**
+     * 主动离开：释放座位，其他客户端可以加入
+     */
+    leave(room, seat) {
+        clearTimeout(room.seats[seat]?.releaseTimer);
+        room.seats[seat] = null;
+        send(room.peerOf(seat)?.conn, { type: RelayMessage.PEER_LEFT });
+        log(`🚪 房间 ${room.code} 座位 ${seat} 离开`);
+        if (room.isEmpty()) this.scheduleExpire(room);
+    }
+
+    /**
+     * 断线的座位保留 SEAT_HOLD_TIME，超时仍未重连则释放，其他客户端可以加入
+     */
+    scheduleRelease(room, seat) {
+        const holder = room.seats[seat];
+        clearTimeout(holder.releaseTimer);
+        holder.releaseTimer = setTimeout(() => {
+            if (room.seats[seat] !== holder || holder.conn) return;
+            room.seats[seat] = null;
+            log(`⌛ 房间 ${room.code} 座位 ${seat} 超时未重连，已释放`);
+        }, SEAT_HOLD_TIME);
+        holder.releaseTimer.unref();
+    }
+
+    scheduleExpire(room) {
+        clearTimeout(room.expireTimer);
+        room.expireTimer = setTimeout(() => {
+            if (room.isEmpty()) {
+                this.rooms.delete(room.code);
+                log(`🗑️  房间 ${room.code} 已过期`);
+            }
+        }, EMPTY_ROOM_TTL);
+        room.expireTimer.unref();
+    }
+
+    /**
+     * 心跳：断开上一轮未回应的连接
+     */
+    heartbeat() {
+        for (const room of this.rooms.values()) {
+            for (const seat of room.seats) {
+                const conn = seat?.conn;
+                if (!conn) continue;
+                if (!conn.alive) {
+                    conn.close();
+                    continue;
+                }
+                conn.alive = false;
+                conn.ping();
+            }
+        }
+    }
+}
+
+function send(conn, message) {
+    conn?.send(JSON.stringify(message));
+}
+
+function log(text) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${text}`);
+}
+
+/**
+ * 本机的局域网地址，方便另一台设备连接
+ * @returns {Array<string>}
+ */
+function getLanAddresses() {
+    return Object.values(networkInterfaces())
+        .flat()
+        .filter(info => info && info.family === 'IPv4' && !info.internal)
+        .map(info => info.address);
+}
+
+// ============================================================================
+// 主函数
+// ============================================================================
+
+function main() {
+    const config = parseArgs();
+    const relay = new RelayServer();
+
+    const server = createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('海战棋联机中继服务器运行中\n');
+    });
+    server.on('upgrade', (req, socket) => {
+        const conn = acceptUpgrade(req, socket);
+        if (conn) relay.accept(conn);
+    });
+
+    setInterval(() => relay.heartbeat(), HEARTBEAT_INTERVAL).unref();
+
+    server.listen(config.port, '0.0.0.0', () => {
+        console.log('');
+        console.log('🌐 海战棋联机中继服务器已启动');
+        console.log(`   本机:   ws://localhost:${config.port}`);
+        for (const address of getLanAddresses()) {
+            console.log(`   局域网: ws://${address}:${config.port}`);
+        }
+        console.log('');
+    });
+}
+
+main();
@@ -0,0 +1,194 @@
+/**
+ * 最小的 WebSocket 服务端实现（RFC 6455）
+ *
+ * 只覆盖中继需要的部分：握手、文本帧（含分片）、ping/pong 与关闭。
+ * 不依赖第三方包，Node 自带的 http 模块即可运行。
+ */
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** 单条消息的最大长度（字节），对局消息远小于此值 */
+const MAX_PAYLOAD = 1 << 20;
+
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * 处理 HTTP upgrade 请求，握手成功时返回连接对象
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @returns {WebSocketConnection|null}
+ */
+export function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket);
+}
+
+/**
+ * 一条 WebSocket 连接
+ *
+ * 事件：
+ * - message (text)
+ * - pong ()
+ * - close ()
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('end', () => this._onClose());
+        socket.on('close', () => this._onClose());
+        socket.on('error', () => this._onClose());
+    }
+
+    /**
+     * 发送文本消息
+     * @param {string} text
+     */
+    send(text) {
+        this._sendFrame(Opcode.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    ping() {
+        this._sendFrame(Opcode.PING, Buffer.alloc(0));
+    }
+
+    close() {
+        if (this.closed) return;
+        this._sendFrame(Opcode.CLOSE, Buffer.alloc(0));
+        this.socket.end();
+        this._onClose();
+    }
+
+    _sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    _onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while ((frame = this._readFrame())) {
+            if (frame === 'error') {
+                this.close();
+                return;
+            }
+            this._handleFrame(frame);
+        }
+    }
+
+    /**
+     * 从缓冲区取出一个完整的帧
+     * @returns {Object|null|'error'} 数据不足时返回 null，协议错误时返回 'error'
+     */
+    _readFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0F;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            const big = buf.readBigUInt64BE(2);
+            if (big > BigInt(MAX_PAYLOAD)) return 'error';
+            length = Number(big);
+            offset = 10;
+        }
+        // 客户端发来的帧必须带掩码
+        if (!masked || length > MAX_PAYLOAD) return 'error';
+        if (buf.length < offset + 4 + length) return null;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buf.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    _handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case Opcode.TEXT:
+            case Opcode.BINARY:
+            case Opcode.CONTINUATION: {
+                this.fragments.push(payload);
+                const total = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (total > MAX_PAYLOAD) {
+                    this.close();
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', text);
+                }
+                break;
+            }
+            case Opcode.PING:
+                this._sendFrame(Opcode.PONG, payload);
+                break;
+            case Opcode.PONG:
+                this.emit('pong');
+                break;
+            case Opcode.CLOSE:
+                this.close();
+                break;
+        }
+    }
+
+    _onClose() {
+        if (this.closed) return;
+        this.closed = true;
+        // 先让关闭帧发出去，对方不响应时再强制断开
+        this.socket.end();
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+        this.emit('close');
+    }
+}